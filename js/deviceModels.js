@@ -0,0 +1,409 @@
+/**
+ * CircuitLab MNA - Modelos de Dispositivos No Lineales
+ *
+ * El núcleo MNA solo resuelve circuitos lineales. Los dispositivos no lineales se
+ * resuelven con Newton-Raphson (ver MNACore.analizarNoLineal): en cada iteración
+ * cada dispositivo se sustituye por su MODELO LINEALIZADO alrededor de la
+ * estimación actual de voltajes, igual que los modelos de compañía del transitorio.
+ *
+ * Cada dispositivo se describe con una o más RAMAS de corriente i que entra por el
+ * terminal "desde" y sale por el terminal "hacia". Linealizada en v₀:
+ *
+ *   i(v) ≈ i(v₀) + Σ gₖ·(vₖ − vₖ₀) = Σ gₖ·vₖ + Ieq      con Ieq = i(v₀) − Σ gₖ·vₖ₀
+ *
+ * donde vₖ son los voltajes de control (pares de nodos) y gₖ = ∂i/∂vₖ. Cada término
+ * gₖ·vₖ se estampa como una fuente de corriente controlada por voltaje (G) y Ieq
+ * como una fuente de corriente independiente (I).
+ *
+ * Diodo (D): ánodo = nodoPositivo, cátodo = nodoNegativo
+ *   i = Is·(e^(v/(n·VT)) − 1)
+ *   {corrienteSaturacion (Is), coeficienteEmision (n), resistenciaSerie (Rs, opcional)}
+ *   La resistencia serie se modela con un resistor hacia un nodo interno del ánodo.
+ *
+ * BJT (Q): colector = nodoPositivo, emisor = nodoNegativo, nodoBase
+ *   Ebers-Moll (transporte) con efecto Early:
+ *   iF = Is·(e^(vBE/VT) − 1)    iR = Is·(e^(vBC/VT) − 1)
+ *   iC = (iF − iR)·(1 − vBC/VAF) − iR/βR      iB = iF/βF + iR/βR
+ *   {polaridad ('NPN' | 'PNP'), corrienteSaturacion, betaF, betaR, voltajeEarly (0 = sin efecto)}
+ *
+ * MOSFET (M): drenador = nodoPositivo, fuente = nodoNegativo, nodoCompuerta
+ *   Ley cuadrática (sustrato unido a la fuente), con vov = vGS − Vth:
+ *   corte (vov ≤ 0): iD = 0
+ *   triodo (vDS < vov): iD = K·(vov·vDS − vDS²/2)·(1 + λ·vDS)
+ *   saturación: iD = (K/2)·vov²·(1 + λ·vDS)
+ *   {polaridad ('NMOS' | 'PMOS'), transconductancia (K = μCox·W/L), voltajeUmbral (Vth), lambda}
+ *
+ * En los PNP y PMOS los voltajes y corrientes se invierten (−vBE, −vGS...), así que
+ * Vth es positivo para un PMOS de enriquecimiento.
+ */
+
+const DeviceModels = {
+    // Voltaje térmico kT/q a 300 K (V)
+    VT: 0.025852,
+
+    // Conductancia mínima en paralelo con cada unión (evita nodos flotantes en inversa o corte)
+    GMIN: 1e-12,
+
+    // Por encima de este argumento la exponencial se continúa con su recta tangente
+    // (evita desbordamientos cuando una iteración sobrestima el voltaje de la unión)
+    ARGUMENTO_MAX_EXP: 40,
+
+    // Voltaje a partir del cual una unión PN se considera en conducción (regiones del BJT)
+    UMBRAL_CONDUCCION: 0.5,
+
+    // Tipos de elementos no lineales
+    TIPOS_NO_LINEALES: ['D', 'Q', 'M'],
+
+    /**
+     * @param {Object} elemento
+     * @returns {boolean} true si el elemento requiere Newton-Raphson
+     */
+    esNoLineal(elemento) {
+        return this.TIPOS_NO_LINEALES.includes(elemento.tipo);
+    },
+
+    /**
+     * 1. EXPANDIR NODOS INTERNOS
+     *
+     * Sustituye cada diodo con resistencia serie por un resistor Rs entre el ánodo
+     * y un nodo interno, y el diodo ideal entre ese nodo y el cátodo. Los nodos
+     * internos se numeran a partir de numNodes.
+     *
+     * @param {Array} elementos - Elementos del circuito
+     * @param {number} numNodes - Número total de nodos del circuito
+     * @returns {Object} {elementos: Array, numNodes: number (con los internos),
+     *                    nodosInternos: [{nodo, elemento}]}
+     */
+    expandirNodosInternos(elementos, numNodes) {
+        const expandidos = [];
+        const nodosInternos = [];
+
+        for (const elem of elementos) {
+            if (elem.tipo !== 'D' || !(elem.resistenciaSerie > 0)) {
+                expandidos.push(elem);
+                continue;
+            }
+
+            const interno = numNodes + nodosInternos.length;
+            nodosInternos.push({ nodo: interno, elemento: elem.nombre });
+
+            expandidos.push({
+                tipo: 'R',
+                nombre: `${elem.nombre}_Rs`,
+                nodoPositivo: elem.nodoPositivo,
+                nodoNegativo: interno,
+                valor: elem.resistenciaSerie
+            });
+            expandidos.push({ ...elem, nodoPositivo: interno, resistenciaSerie: 0 });
+        }
+
+        return {
+            elementos: expandidos,
+            numNodes: numNodes + nodosInternos.length,
+            nodosInternos: nodosInternos
+        };
+    },
+
+    /**
+     * 2. EVALUAR UN DISPOSITIVO
+     *
+     * @param {Object} elemento - Dispositivo no lineal
+     * @param {Object} voltajes - {nodo: voltaje}
+     * @returns {Object} {
+     *            ramas: [{desde, hacia, corriente, derivadas: [{nodoPositivo, nodoNegativo, g}]}]
+     *                   (la primera rama es la corriente principal: diodo, colector o drenador),
+     *            estado: punto de operación para mostrar (región, voltajes, corrientes,
+     *                    parámetros de pequeña señal)
+     *          }
+     */
+    evaluar(elemento, voltajes) {
+        switch (elemento.tipo) {
+            case 'D':
+                return this.evaluarDiodo(elemento, voltajes);
+            case 'Q':
+                return this.evaluarBJT(elemento, voltajes);
+            case 'M':
+                return this.evaluarMOSFET(elemento, voltajes);
+            default:
+                throw new Error(`El elemento ${elemento.nombre} no es un dispositivo no lineal`);
+        }
+    },
+
+    /**
+     * 3. LINEALIZAR EL CIRCUITO
+     *
+     * Cada rama de cada dispositivo no lineal se reemplaza por:
+     * - una fuente G de valor gₖ por cada voltaje de control (de "desde" hacia "hacia")
+     * - una fuente de corriente Ieq que inyecta en el terminal "hacia"
+     * El resto de elementos se copian sin cambios.
+     *
+     * Sin fuentes equivalentes (incluirFuentes = false) queda el modelo de pequeña
+     * señal del dispositivo en ese punto de operación.
+     *
+     * @param {Array} elementos - Elementos del circuito (con nodos internos expandidos)
+     * @param {Object} voltajes - {nodo: voltaje} estimación actual
+     * @param {boolean} incluirFuentes - Agregar las fuentes Ieq (default: true)
+     * @returns {Object} {elementos: Array, modelos: {nombre: {ramas (con ieq), estado}}}
+     */
+    linealizarCircuito(elementos, voltajes, incluirFuentes = true) {
+        const circuito = [];
+        const modelos = {};
+
+        for (const elem of elementos) {
+            if (!this.esNoLineal(elem)) {
+                circuito.push(elem);
+                continue;
+            }
+
+            const { ramas, estado } = this.evaluar(elem, voltajes);
+
+            ramas.forEach((rama, r) => {
+                rama.ieq = rama.corriente;
+
+                rama.derivadas.forEach((derivada, k) => {
+                    rama.ieq -= derivada.g * (voltajes[derivada.nodoPositivo] - voltajes[derivada.nodoNegativo]);
+
+                    circuito.push({
+                        tipo: 'G',
+                        nombre: `${elem.nombre}_g${r}${k}`,
+                        nodoPositivo: rama.hacia,
+                        nodoNegativo: rama.desde,
+                        nodoControlPositivo: derivada.nodoPositivo,
+                        nodoControlNegativo: derivada.nodoNegativo,
+                        valor: derivada.g
+                    });
+                });
+
+                if (incluirFuentes) {
+                    circuito.push({
+                        tipo: 'I',
+                        nombre: `${elem.nombre}_Ieq${r}`,
+                        nodoPositivo: rama.hacia,
+                        nodoNegativo: rama.desde,
+                        valor: rama.ieq
+                    });
+                }
+            });
+
+            modelos[elem.nombre] = { ramas: ramas, estado: estado };
+        }
+
+        return { elementos: circuito, modelos: modelos };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Corriente de una rama con su modelo linealizado
+     * @param {Object} rama - Rama de linealizarCircuito (con ieq)
+     * @param {Object} voltajes - {nodo: voltaje} (reales o fasores)
+     * @param {boolean} incluirFuente - Sumar Ieq (false en pequeña señal)
+     * @returns {number|Complex} Σ gₖ·vₖ (+ Ieq)
+     */
+    corrienteLineal(rama, voltajes, incluirFuente = true) {
+        return rama.derivadas.reduce((suma, derivada) => math.add(suma, math.multiply(
+            derivada.g,
+            math.subtract(voltajes[derivada.nodoPositivo], voltajes[derivada.nodoNegativo])
+        )), incluirFuente ? rama.ieq : 0);
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Diodo (una rama de ánodo a cátodo)
+     */
+    evaluarDiodo(diodo, voltajes) {
+        const a = diodo.nodoPositivo;
+        const c = diodo.nodoNegativo;
+        const v = voltajes[a] - voltajes[c];
+
+        const union = this.evaluarUnion(v, diodo.corrienteSaturacion, diodo.coeficienteEmision);
+        const corriente = union.corriente + this.GMIN * v;
+        const conductancia = union.conductancia + this.GMIN;
+
+        return {
+            ramas: [{
+                desde: a, hacia: c, corriente: corriente,
+                derivadas: [{ nodoPositivo: a, nodoNegativo: c, g: conductancia }]
+            }],
+            estado: {
+                tipo: 'D',
+                region: v >= 0 ? 'directa' : 'inversa',
+                voltaje: v,
+                corriente: corriente,
+                conductancia: conductancia
+            }
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: BJT de Ebers-Moll (ramas colector → emisor y base → emisor)
+     */
+    evaluarBJT(bjt, voltajes) {
+        const c = bjt.nodoPositivo;
+        const e = bjt.nodoNegativo;
+        const b = bjt.nodoBase;
+        const p = bjt.polaridad === 'PNP' ? -1 : 1;
+
+        const vbe = p * (voltajes[b] - voltajes[e]);
+        const vbc = p * (voltajes[b] - voltajes[c]);
+
+        const uF = this.evaluarUnion(vbe, bjt.corrienteSaturacion, 1);
+        const uR = this.evaluarUnion(vbc, bjt.corrienteSaturacion, 1);
+
+        // Efecto Early sobre la corriente de transporte
+        const early = bjt.voltajeEarly > 0 ? 1 - vbc / bjt.voltajeEarly : 1;
+        const dEarly = bjt.voltajeEarly > 0 ? -1 / bjt.voltajeEarly : 0;
+        const transporte = uF.corriente - uR.corriente;
+
+        const ic = transporte * early - uR.corriente / bjt.betaR - this.GMIN * vbc;
+        const ib = uF.corriente / bjt.betaF + uR.corriente / bjt.betaR + this.GMIN * (vbe + vbc);
+
+        const dIcVbe = uF.conductancia * early;
+        const dIcVbc = -uR.conductancia * early + transporte * dEarly - uR.conductancia / bjt.betaR - this.GMIN;
+        const dIbVbe = uF.conductancia / bjt.betaF + this.GMIN;
+        const dIbVbc = uR.conductancia / bjt.betaR + this.GMIN;
+
+        // Con la polaridad invertida en voltajes y corrientes, las derivadas respecto a
+        // los voltajes de nodo no cambian de signo
+        const conduceBE = vbe >= this.UMBRAL_CONDUCCION;
+        const conduceBC = vbc >= this.UMBRAL_CONDUCCION;
+        let region;
+        if (conduceBE && conduceBC) region = 'saturación';
+        else if (conduceBE) region = 'activa';
+        else if (conduceBC) region = 'activa inversa';
+        else region = 'corte';
+
+        // ro = ∂vCE/∂iC con vBE fija (vBC = vBE − vCE), sin la conductancia GMIN
+        const dIcVce = -(dIcVbc + this.GMIN);
+
+        return {
+            ramas: [
+                {
+                    desde: c, hacia: e, corriente: p * ic,
+                    derivadas: [
+                        { nodoPositivo: b, nodoNegativo: e, g: dIcVbe },
+                        { nodoPositivo: b, nodoNegativo: c, g: dIcVbc }
+                    ]
+                },
+                {
+                    desde: b, hacia: e, corriente: p * ib,
+                    derivadas: [
+                        { nodoPositivo: b, nodoNegativo: e, g: dIbVbe },
+                        { nodoPositivo: b, nodoNegativo: c, g: dIbVbc }
+                    ]
+                }
+            ],
+            estado: {
+                tipo: 'Q',
+                polaridad: bjt.polaridad,
+                region: region,
+                vbe: voltajes[b] - voltajes[e],
+                vce: voltajes[c] - voltajes[e],
+                ic: p * ic,
+                ib: p * ib,
+                beta: ib !== 0 ? ic / ib : Infinity,
+                gm: dIcVbe,
+                rpi: 1 / dIbVbe,
+                ro: dIcVce > 0 ? 1 / dIcVce : Infinity
+            }
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: MOSFET de ley cuadrática (rama drenador → fuente)
+     * Con vDS < 0 el drenador y la fuente intercambian sus papeles (dispositivo simétrico).
+     */
+    evaluarMOSFET(mosfet, voltajes) {
+        const d = mosfet.nodoPositivo;
+        const s = mosfet.nodoNegativo;
+        const g = mosfet.nodoCompuerta;
+        const p = mosfet.polaridad === 'PMOS' ? -1 : 1;
+        const K = mosfet.transconductancia;
+        const lambda = mosfet.lambda || 0;
+
+        const vgs = p * (voltajes[g] - voltajes[s]);
+        const vds = p * (voltajes[d] - voltajes[s]);
+
+        const inverso = vds < 0;
+        const vgsEf = inverso ? vgs - vds : vgs;
+        const vdsEf = inverso ? -vds : vds;
+        const vov = vgsEf - mosfet.voltajeUmbral;
+        const modulacion = 1 + lambda * vdsEf;
+
+        let id = 0, gm = 0, gds = 0, region;
+        if (vov <= 0) {
+            region = 'corte';
+        } else if (vdsEf < vov) {
+            region = 'triodo';
+            const base = vov * vdsEf - vdsEf * vdsEf / 2;
+            id = K * base * modulacion;
+            gm = K * vdsEf * modulacion;
+            gds = K * (vov - vdsEf) * modulacion + K * base * lambda;
+        } else {
+            region = 'saturación';
+            id = K / 2 * vov * vov * modulacion;
+            gm = K * vov * modulacion;
+            gds = K / 2 * vov * vov * lambda;
+        }
+
+        // Derivadas respecto a vGS y vDS del dispositivo (deshaciendo el intercambio)
+        let corriente = id, dIdVgs = gm, dIdVds = gds;
+        if (inverso) {
+            corriente = -id;
+            dIdVgs = -gm;
+            dIdVds = gm + gds;
+        }
+        corriente += this.GMIN * vds;
+        dIdVds += this.GMIN;
+
+        return {
+            ramas: [{
+                desde: d, hacia: s, corriente: p * corriente,
+                derivadas: [
+                    { nodoPositivo: g, nodoNegativo: s, g: dIdVgs },
+                    { nodoPositivo: d, nodoNegativo: s, g: dIdVds }
+                ]
+            }],
+            estado: {
+                tipo: 'M',
+                polaridad: mosfet.polaridad,
+                region: region,
+                vgs: voltajes[g] - voltajes[s],
+                vds: voltajes[d] - voltajes[s],
+                id: p * corriente,
+                gm: gm,
+                ro: gds > 0 ? 1 / gds : Infinity
+            }
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Unión PN ideal i = Is·(e^(v/(n·VT)) − 1)
+     * @returns {Object} {corriente, conductancia}
+     */
+    evaluarUnion(v, corrienteSaturacion, coeficienteEmision) {
+        const nvt = coeficienteEmision * this.VT;
+        const { valor, derivada } = this.exponencialLimitada(v / nvt);
+        return {
+            corriente: corrienteSaturacion * (valor - 1),
+            conductancia: corrienteSaturacion * derivada / nvt
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Exponencial con continuación lineal por encima de ARGUMENTO_MAX_EXP
+     * @param {number} x - Argumento
+     * @returns {Object} {valor, derivada}
+     */
+    exponencialLimitada(x) {
+        if (x <= this.ARGUMENTO_MAX_EXP) {
+            const e = Math.exp(x);
+            return { valor: e, derivada: e };
+        }
+
+        const eMax = Math.exp(this.ARGUMENTO_MAX_EXP);
+        return { valor: eMax * (1 + x - this.ARGUMENTO_MAX_EXP), derivada: eMax };
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceModels;
+}
@@ -0,0 +1,263 @@
+/**
+ * CircuitLab MNA - Impedancias de Entrada y Salida
+ *
+ * El circuito se observa desde dos puertos, cada uno definido por un par de nodos
+ * (+, −): el de entrada, donde se conecta la fuente que lo excita, y el de salida,
+ * donde se conecta la carga.
+ *
+ * - Zin: impedancia que ve la fuente de entrada, Zin = V/I en el puerto de entrada
+ *   con la carga conectada o desconectada. Si hay una fuente independiente conectada
+ *   directamente al puerto ella misma es la excitación (1 V o 1 A); si no, se inyecta
+ *   una fuente de prueba de 1 A.
+ * - Zout: impedancia vista desde el puerto de salida hacia el circuito, con la carga
+ *   desconectada y la excitación apagada (fuente de entrada V → cortocircuito,
+ *   I → circuito abierto), medida con una fuente de prueba de 1 A.
+ *
+ * La carga es opcional: un resistor, capacitor o inductor del circuito conectado
+ * entre los nodos del puerto de salida. Las demás fuentes independientes se apagan
+ * (ver TheveninAnalysis.apagarFuentes) y las controladas se conservan.
+ *
+ * Con diodos o transistores las impedancias son las de pequeña señal: solo se apaga la
+ * amplitud AC (valorAC) de las fuentes, que conservan su valor de polarización, y las
+ * fuentes de prueba tienen valor DC nulo, así que el punto de operación no cambia.
+ * Por eso en ese caso la frecuencia debe ser mayor a 0 Hz.
+ */
+
+const ImpedanceAnalysis = {
+    // |I|/|V| por debajo de este valor la impedancia se considera infinita (circuito abierto)
+    ADMITANCIA_MINIMA: 1e-15,
+
+    /**
+     * 1. IMPEDANCIAS DE ENTRADA Y SALIDA
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {entrada: {positivo, negativo}, salida: {positivo, negativo},
+     *                             carga: nombre del elemento de carga ('' si no hay),
+     *                             conCarga (Zin con la carga conectada), frecuencia (Hz, 0 = DC),
+     *                             barrido: null o {tipo, inicio, fin, puntos} (ver SweepAnalysis.generarFrecuencias)}
+     * @returns {Object} {
+     *            exito, tipoAnalisis: 'impedancias',
+     *            frecuencias: number[] (solo la frecuencia de análisis si no hay barrido),
+     *            zin, zout: (number|Complex|null)[] una por frecuencia (null = infinita),
+     *            voltajes: {nodo: voltaje} del circuito completo a la frecuencia de análisis,
+     *            fuenteEntrada: nombre de la fuente del puerto de entrada o null,
+     *            carga: nombre del elemento de carga o null,
+     *            info: {entrada, salida, conCarga, frecuencia, tipoBarrido, pequenaSenal, groundNode}
+     *          } o {exito: false, error}
+     */
+    medir(elementos, numNodes, groundNode, opciones) {
+        try {
+            const { entrada, salida, conCarga, frecuencia, barrido } = opciones;
+            const carga = opciones.carga
+                ? elementos.find(elem => elem.nombre.toUpperCase() === opciones.carga.toUpperCase())
+                : null;
+            const pequenaSenal = elementos.some(elem => DeviceModels.esNoLineal(elem));
+
+            const completo = MNACore.analizarCircuito(elementos, numNodes, groundNode, frecuencia);
+            if (!completo.exito) {
+                throw new Error(`Circuito completo: ${completo.error}`);
+            }
+
+            const fuente = this.buscarFuenteEntrada(elementos, entrada);
+            const frecuencias = barrido ? SweepAnalysis.generarFrecuencias(barrido) : [frecuencia];
+
+            // Zin: con o sin la carga; Zout: siempre sin ella
+            const sinCarga = elementos.filter(elem => elem !== carga);
+            const circuitoEntrada = conCarga ? elementos : sinCarga;
+
+            const zin = [];
+            const zout = [];
+            frecuencias.forEach(f => {
+                zin.push(this.impedanciaEntrada(circuitoEntrada, numNodes, groundNode, entrada, fuente, f, pequenaSenal));
+                zout.push(this.impedanciaPuerto(this.apagar(sinCarga, pequenaSenal), numNodes, groundNode,
+                    salida, f, pequenaSenal, 'Zout'));
+            });
+
+            return {
+                exito: true,
+                tipoAnalisis: 'impedancias',
+                frecuencias: frecuencias,
+                zin: zin,
+                zout: zout,
+                voltajes: completo.voltajes,
+                fuenteEntrada: fuente ? fuente.nombre : null,
+                carga: carga ? carga.nombre : null,
+                info: {
+                    entrada: entrada,
+                    salida: salida,
+                    conCarga: conCarga,
+                    frecuencia: frecuencia,
+                    tipoBarrido: barrido ? barrido.tipo : null,
+                    pequenaSenal: pequenaSenal,
+                    groundNode: groundNode
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'impedancias'
+            };
+        }
+    },
+
+    /**
+     * 2. IMPEDANCIA DE ENTRADA
+     *
+     * Con una fuente en el puerto, Zin = v/i con v el voltaje de la fuente (de + a −) e
+     * i la corriente que entrega por su terminal +; el resultado no depende de su
+     * orientación respecto al puerto.
+     *
+     * @param {Array} elementos - Circuito con o sin la carga
+     * @param {Object} entrada - Puerto {positivo, negativo}
+     * @param {Object|null} fuente - Fuente conectada al puerto (buscarFuenteEntrada)
+     * @param {number} frecuencia - Frecuencia en Hz
+     * @param {boolean} pequenaSenal - El circuito tiene dispositivos no lineales
+     * @returns {number|Complex|null} Zin (null si es infinita)
+     */
+    impedanciaEntrada(elementos, numNodes, groundNode, entrada, fuente, frecuencia, pequenaSenal) {
+        const apagado = this.apagar(elementos, pequenaSenal);
+
+        if (!fuente) {
+            return this.impedanciaPuerto(apagado, numNodes, groundNode, entrada, frecuencia, pequenaSenal, 'Zin');
+        }
+
+        const indice = elementos.indexOf(fuente);
+        const circuito = apagado.map((elem, k) => (k === indice ? this.excitacion(fuente, pequenaSenal) : elem));
+
+        const resultado = MNACore.analizarCircuito(circuito, numNodes, groundNode, frecuencia);
+
+        // Una fuente de corriente apagada es un circuito abierto: la fuente de prueba
+        // del puerto mide lo mismo y prueba también con 1 V
+        if (!resultado.exito && fuente.tipo === 'I') {
+            return this.impedanciaPuerto(apagado, numNodes, groundNode, entrada, frecuencia, pequenaSenal, 'Zin');
+        }
+        if (!resultado.exito) {
+            throw new Error(`Zin con ${fuente.nombre} como excitación (f = ${frecuencia} Hz): ${resultado.error}`);
+        }
+
+        const voltaje = TheveninAnalysis.diferencia(resultado.voltajes, fuente.nodoPositivo, fuente.nodoNegativo);
+        const corriente = fuente.tipo === 'V' ? resultado.corrientes[fuente.nombre] : 1;
+        return this.cociente(voltaje, corriente);
+    },
+
+    /**
+     * 3. IMPEDANCIA VISTA DESDE UN PUERTO CON UNA FUENTE DE PRUEBA
+     *
+     * Fuente de prueba de 1 A entrando por el nodo +: Z = V(+) − V(−). Si el circuito
+     * no tiene solución (puerto sin camino a tierra, ej: un capacitor en DC) y es lineal,
+     * se repite con una fuente de 1 V: Z = 1/i (infinita si i = 0). En pequeña señal
+     * la fuente de 1 V no sirve: cortocircuitaría el puerto en la polarización.
+     *
+     * @param {Array} apagado - Circuito con las fuentes apagadas (ver apagar)
+     * @param {Object} puerto - {positivo, negativo}
+     * @param {string} etiqueta - 'Zin' | 'Zout' (para los mensajes de error)
+     * @returns {number|Complex|null} Impedancia (null si es infinita)
+     * @throws {Error} Si ninguna fuente de prueba tiene solución
+     */
+    impedanciaPuerto(apagado, numNodes, groundNode, puerto, frecuencia, pequenaSenal, etiqueta) {
+        const probar = tipo => MNACore.analizarCircuito(
+            apagado.concat([this.fuentePrueba(tipo, puerto, pequenaSenal)]), numNodes, groundNode, frecuencia
+        );
+
+        const conCorriente = probar('I');
+        if (conCorriente.exito) {
+            return this.simplificar(TheveninAnalysis.diferencia(conCorriente.voltajes, puerto.positivo, puerto.negativo));
+        }
+
+        if (!pequenaSenal) {
+            const conVoltaje = probar('V');
+            if (conVoltaje.exito) {
+                return this.cociente(1, conVoltaje.corrientes.Vprueba);
+            }
+        }
+
+        throw new Error(`${etiqueta} en el puerto (${puerto.positivo}, ${puerto.negativo}) a ${frecuencia} Hz: ${conCorriente.error}`);
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Primera fuente independiente conectada entre los nodos del puerto
+     * @returns {Object|null}
+     */
+    buscarFuenteEntrada(elementos, puerto) {
+        return elementos.find(elem =>
+            (elem.tipo === 'V' || elem.tipo === 'I') && this.conectadoAlPuerto(elem, puerto)
+        ) || null;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: El elemento está conectado entre los dos nodos del puerto
+     * (en cualquier orientación)
+     */
+    conectadoAlPuerto(elem, puerto) {
+        return (elem.nodoPositivo === puerto.positivo && elem.nodoNegativo === puerto.negativo) ||
+            (elem.nodoPositivo === puerto.negativo && elem.nodoNegativo === puerto.positivo);
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Apagar las fuentes independientes (en pequeña señal solo su valorAC)
+     * @returns {Array} Copia del circuito
+     */
+    apagar(elementos, pequenaSenal) {
+        if (!pequenaSenal) {
+            return TheveninAnalysis.apagarFuentes(elementos);
+        }
+        return elementos.map(elem =>
+            (elem.tipo === 'V' || elem.tipo === 'I' ? { ...elem, valorAC: 0 } : elem)
+        );
+    },
+
+    /**
+     * MÉTODO AUXILIAR: La fuente de entrada con amplitud 1 y fase 0 (en pequeña señal
+     * conserva su valor de polarización)
+     */
+    excitacion(fuente, pequenaSenal) {
+        if (pequenaSenal) {
+            return { ...fuente, valorAC: 1 };
+        }
+
+        const excitacion = { ...fuente, valor: 1, fase: 0 };
+        delete excitacion.formaOnda;
+        return excitacion;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Fuente de prueba de 1 A o 1 V en el puerto (valor DC nulo en
+     * pequeña señal)
+     */
+    fuentePrueba(tipo, puerto, pequenaSenal) {
+        return {
+            tipo: tipo,
+            nombre: `${tipo}prueba`,
+            nodoPositivo: puerto.positivo,
+            nodoNegativo: puerto.negativo,
+            valor: pequenaSenal ? 0 : 1,
+            valorAC: 1
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Z = v/i, null (infinita) si la corriente es despreciable
+     */
+    cociente(voltaje, corriente) {
+        if (!(math.abs(corriente) > this.ADMITANCIA_MINIMA * Math.max(math.abs(voltaje), 1))) {
+            return null;
+        }
+        return this.simplificar(math.divide(voltaje, corriente));
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Número real si la parte imaginaria es cero (en DC)
+     */
+    simplificar(valor) {
+        return typeof valor === 'object' && valor.im === 0 ? valor.re : valor;
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImpedanceAnalysis;
+}
@@ -19,6 +19,8 @@ const App = {
     groundNode: 0,              // Nodo de referencia (tierra)
     numElements: 0,             // Número de elementos
     frequency: 0,               // Frecuencia de operación (Hz)
+    parametros: [],             // Tabla de parámetros globales (ver Parameters)
+    tipoAnalisis: 'punto',      // Análisis seleccionado (punto, barridoAC, barridoDC, transitorio, thevenin, superposicion, dosPuertos)
 
     // Último resultado calculado (para exportación)
     ultimoResultado: null,
@@ -65,6 +67,31 @@ const App = {
             btnResolver.addEventListener('click', this.resolverCircuito.bind(this));
         }
 
+        // Selector: Tipo de análisis
+        const selectAnalisis = document.getElementById('tipoAnalisis');
+        if (selectAnalisis) {
+            selectAnalisis.addEventListener('change', this.actualizarOpcionesAnalisis.bind(this));
+        }
+
+        // Barrido paramétrico: mostrar sus opciones solo si está activado
+        const selectParametrico = document.getElementById('parametricoActivo');
+        if (selectParametrico) {
+            selectParametrico.addEventListener('change', () => {
+                document.getElementById('opcionesParametrico').style.display =
+                    selectParametrico.value === 'si' ? '' : 'none';
+            });
+        }
+
+        // Tiempo final del transitorio: redibujar las vistas previas de las formas de onda
+        const inputTFinal = document.getElementById('transitorioTFinal');
+        if (inputTFinal) {
+            inputTFinal.addEventListener('change', () => {
+                for (let i = 0; i < this.numElements; i++) {
+                    this.actualizarVistaPreviaForma(i);
+                }
+            });
+        }
+
         // Botón: Resetear aplicación
         const btnReset = document.getElementById('btnReset');
         if (btnReset) {
@@ -141,6 +168,7 @@ const App = {
 
             // PASO 4: Generar formulario dinámico para cada elemento
             const container = document.getElementById('elementsContainer');
+            PlotDisplay.destruirGraficas('elementsContainer'); // Vistas previas anteriores
             container.innerHTML = ''; // Limpiar contenedor
 
             for (let i = 0; i < this.numElements; i++) {
@@ -200,6 +228,17 @@ const App = {
                             <option value="L">Inductor (L)</option>
                             <option value="V">Fuente de Voltaje (V)</option>
                             <option value="I">Fuente de Corriente (I)</option>
+                            <option value="E">Fuente de Voltaje Controlada por Voltaje (E)</option>
+                            <option value="G">Fuente de Corriente Controlada por Voltaje (G)</option>
+                            <option value="F">Fuente de Corriente Controlada por Corriente (F)</option>
+                            <option value="H">Fuente de Voltaje Controlada por Corriente (H)</option>
+                            <option value="OA">Amplificador Operacional Ideal (OA)</option>
+                            <option value="K">Acoplamiento Magnético entre Inductores (K)</option>
+                            <option value="T">Transformador Ideal (T)</option>
+                            <option value="S">Interruptor Controlado por Tiempo (S)</option>
+                            <option value="D">Diodo (D)</option>
+                            <option value="Q">Transistor BJT (Q)</option>
+                            <option value="M">Transistor MOSFET (M)</option>
                         </select>
                     </div>
                     <div class="form-group">
@@ -209,21 +248,24 @@ const App = {
                     </div>
                 </div>
 
-                <div class="form-row">
+                <div class="form-row" id="filaNodos_${indice}">
                     <div class="form-group">
-                        <label for="nodoPos_${indice}">Nodo Positivo:</label>
+                        <label id="label_nodoPos_${indice}" for="nodoPos_${indice}">Nodo Positivo:</label>
                         <input type="number" id="nodoPos_${indice}" min="0" required>
                     </div>
                     <div class="form-group">
-                        <label for="nodoNeg_${indice}">Nodo Negativo:</label>
+                        <label id="label_nodoNeg_${indice}" for="nodoNeg_${indice}">Nodo Negativo:</label>
                         <input type="number" id="nodoNeg_${indice}" min="0" required>
                     </div>
                 </div>
 
-                <div class="form-row">
+                <!-- Campos adicionales según el tipo (nodos de control, etc.) -->
+                <div id="camposExtra_${indice}"></div>
+
+                <div class="form-row" id="filaValor_${indice}">
                     <div class="form-group">
                         <label id="label_valor_${indice}" for="valor_${indice}">Valor:</label>
-                        <input type="number" id="valor_${indice}" step="any" required>
+                        <input type="text" id="valor_${indice}" placeholder="Ej: 1000 o 2*Rcarga" required>
                         <small id="unidad_${indice}" class="unidad-text"></small>
                     </div>
                     <div class="form-group">
@@ -240,6 +282,21 @@ const App = {
                         </select>
                     </div>
                 </div>
+
+                <div class="form-row" id="filaTolerancia_${indice}">
+                    <div class="form-group">
+                        <label for="tol_${indice}">Tolerancia (%):</label>
+                        <input type="number" id="tol_${indice}" min="0" max="99" step="any" placeholder="Vacío = valor exacto">
+                        <small class="text-muted">Solo en el análisis de Monte Carlo</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="distribucion_${indice}">Distribución:</label>
+                        <select id="distribucion_${indice}">
+                            <option value="uniforme">Uniforme (±tolerancia)</option>
+                            <option value="gaussiana">Gaussiana (tolerancia = 3σ)</option>
+                        </select>
+                    </div>
+                </div>
             </div>
         `;
 
@@ -281,6 +338,24 @@ const App = {
         const tipo = document.getElementById(`tipo_${indice}`).value;
         const labelValor = document.getElementById(`label_valor_${indice}`);
         const unidad = document.getElementById(`unidad_${indice}`);
+        const labelNodoPos = document.getElementById(`label_nodoPos_${indice}`);
+        const labelNodoNeg = document.getElementById(`label_nodoNeg_${indice}`);
+
+        // Etiquetas de nodos por defecto (terminales + y -)
+        labelNodoPos.textContent = 'Nodo Positivo:';
+        labelNodoNeg.textContent = 'Nodo Negativo:';
+
+        // Ocultar el valor en elementos que no lo tienen (amplificador operacional ideal)
+        document.getElementById(`filaValor_${indice}`).style.display =
+            Validator.TIPOS_SIN_VALOR.includes(tipo) ? 'none' : '';
+
+        // La tolerancia (Monte Carlo) solo se aplica a los valores que pueden variar
+        document.getElementById(`filaTolerancia_${indice}`).style.display =
+            Validator.TIPOS_TOLERANCIA.includes(tipo) ? '' : 'none';
+
+        // Ocultar los nodos en elementos que no se conectan a nodos (acoplamiento K)
+        document.getElementById(`filaNodos_${indice}`).style.display =
+            Validator.TIPOS_SIN_NODOS.includes(tipo) ? 'none' : '';
 
         switch(tipo) {
             case 'R':
@@ -303,10 +378,429 @@ const App = {
                 labelValor.textContent = 'Inductancia:';
                 unidad.textContent = 'Henrios (H)';
                 break;
+            case 'E':
+                labelValor.textContent = 'Ganancia (μ):';
+                unidad.textContent = 'Adimensional (V/V)';
+                break;
+            case 'G':
+                labelValor.textContent = 'Transconductancia (gm):';
+                unidad.textContent = 'Siemens (S)';
+                break;
+            case 'F':
+                labelValor.textContent = 'Ganancia de corriente (β):';
+                unidad.textContent = 'Adimensional (A/A)';
+                break;
+            case 'H':
+                labelValor.textContent = 'Transresistencia (r):';
+                unidad.textContent = 'Ohmios (V/A)';
+                break;
+            case 'OA':
+                labelNodoPos.textContent = 'Entrada No Inversora (+):';
+                labelNodoNeg.textContent = 'Entrada Inversora (−):';
+                labelValor.textContent = 'Valor:';
+                unidad.textContent = '';
+                break;
+            case 'K':
+                labelValor.textContent = 'Coeficiente de acoplamiento (k):';
+                unidad.textContent = 'Adimensional, |k| ≤ 1';
+                break;
+            case 'T':
+                labelNodoPos.textContent = 'Primario (+):';
+                labelNodoNeg.textContent = 'Primario (−):';
+                labelValor.textContent = 'Relación de vueltas (N₁:N₂):';
+                unidad.textContent = 'n = N₁/N₂ (v₁ = n·v₂)';
+                break;
+            case 'S':
+                labelValor.textContent = 'Valor:';
+                unidad.textContent = '';
+                break;
+            case 'D':
+                labelNodoPos.textContent = 'Ánodo (+):';
+                labelNodoNeg.textContent = 'Cátodo (−):';
+                labelValor.textContent = 'Valor:';
+                unidad.textContent = '';
+                break;
+            case 'Q':
+                labelNodoPos.textContent = 'Colector (+):';
+                labelNodoNeg.textContent = 'Emisor (−):';
+                labelValor.textContent = 'Valor:';
+                unidad.textContent = '';
+                break;
+            case 'M':
+                labelNodoPos.textContent = 'Drenador (+):';
+                labelNodoNeg.textContent = 'Fuente (−):';
+                labelValor.textContent = 'Valor:';
+                unidad.textContent = '';
+                break;
             default:
                 labelValor.textContent = 'Valor:';
                 unidad.textContent = '';
         }
+
+        this.renderizarCamposAdicionales(indice, tipo);
+    },
+
+    /**
+     * Genera los campos adicionales que requiere cada tipo de elemento
+     * (fase y forma de onda de fuentes V e I, condición inicial de C y L, nodos de control de E y G,
+     * fuente de control de F y H, salida del amp. op., inductores acoplados por K,
+     * secundario del transformador, parámetros del interruptor y del diodo, y tercer
+     * terminal y modelo de los transistores)
+     *
+     * @param {number} indice - Índice del elemento
+     * @param {string} tipo - Tipo de elemento seleccionado
+     */
+    renderizarCamposAdicionales(indice, tipo) {
+        const contenedor = document.getElementById(`camposExtra_${indice}`);
+        if (!contenedor) return;
+
+        // La vista previa de la forma de onda anterior (si la había) deja de existir
+        PlotDisplay.destruirGrafica(`formaPreview_${indice}`);
+
+        switch (tipo) {
+            case 'E':
+            case 'G':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="nodoCtrlPos_${indice}">Nodo de Control (+):</label>
+                            <input type="number" id="nodoCtrlPos_${indice}" min="0" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="nodoCtrlNeg_${indice}">Nodo de Control (−):</label>
+                            <input type="number" id="nodoCtrlNeg_${indice}" min="0" required>
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'OA':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="nodoSalida_${indice}">Nodo de Salida:</label>
+                            <input type="number" id="nodoSalida_${indice}" min="0" required>
+                            <small class="text-muted">La salida ideal está referida a tierra</small>
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'F':
+            case 'H':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="elementoControl_${indice}">Fuente de Control:</label>
+                            <input type="text" id="elementoControl_${indice}" placeholder="Ej: Vsense" required>
+                            <small class="text-muted">Nombre de la fuente V cuya corriente controla a este elemento</small>
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'V':
+            case 'I': {
+                const opcionesForma = Validator.TIPOS_FORMA_ONDA
+                    .map(forma => `<option value="${forma}">${Waveforms.DEFINICIONES[forma].nombre}</option>`)
+                    .join('');
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="fase_${indice}">Fase (°):</label>
+                            <input type="number" id="fase_${indice}" step="any" value="0">
+                            <small class="text-muted">Solo en AC: la fuente es el fasor valor∠fase</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="ac_${indice}">Amplitud AC (pequeña señal):</label>
+                            <input type="number" id="ac_${indice}" step="any" placeholder="Vacío = 0">
+                            <small class="text-muted">Solo en AC con diodos o transistores: el valor fija la polarización DC</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="forma_${indice}">Forma de onda:</label>
+                            <select id="forma_${indice}">${opcionesForma}</select>
+                            <small class="text-muted">Solo en el transitorio; DC usa el valor de la fuente</small>
+                        </div>
+                    </div>
+                    <div class="form-row" id="formaParametros_${indice}"></div>
+                    <small id="formaAviso_${indice}" class="text-muted"></small>
+                    <div class="grafica-contenedor grafica-preview" id="formaPreviewContenedor_${indice}" style="display: none;">
+                        <canvas id="formaPreview_${indice}"></canvas>
+                    </div>
+                `;
+                contenedor.querySelector(`#forma_${indice}`).addEventListener('change', () => {
+                    this.renderizarParametrosForma(indice);
+                });
+                break;
+            }
+            case 'C':
+            case 'L':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="ci_${indice}">Condición inicial (${tipo === 'C' ? 'V' : 'A'}):</label>
+                            <input type="number" id="ci_${indice}" step="any" placeholder="Vacío = punto de operación">
+                            <small class="text-muted">Solo en el transitorio: ${tipo === 'C' ? 'voltaje v₊ − v₋' : 'corriente de + a −'} en t = 0⁻. Vacío = punto de operación DC</small>
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'S':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="estadoInicial_${indice}">Estado inicial:</label>
+                            <select id="estadoInicial_${indice}">
+                                <option value="abierto">Abierto (se cierra en t₀)</option>
+                                <option value="cerrado">Cerrado (se abre en t₀)</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="tConmutacion_${indice}">Tiempo de conmutación t₀ (s):</label>
+                            <input type="number" id="tConmutacion_${indice}" step="any" min="0" value="0">
+                            <small class="text-muted">Solo conmuta en el transitorio</small>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="ron_${indice}">Resistencia cerrado Ron (Ω):</label>
+                            <input type="number" id="ron_${indice}" step="any" value="0.001">
+                        </div>
+                        <div class="form-group">
+                            <label for="roff_${indice}">Resistencia abierto Roff (Ω):</label>
+                            <input type="number" id="roff_${indice}" step="any" value="1e9">
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'D':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="is_${indice}">Corriente de saturación Is (A):</label>
+                            <input type="number" id="is_${indice}" step="any" value="1e-14">
+                        </div>
+                        <div class="form-group">
+                            <label for="n_${indice}">Coeficiente de emisión n:</label>
+                            <input type="number" id="n_${indice}" step="any" value="1">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="rs_${indice}">Resistencia serie Rs (Ω):</label>
+                            <input type="number" id="rs_${indice}" step="any" min="0" value="0">
+                            <small class="text-muted">Opcional (0 = sin resistencia serie)</small>
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'Q':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="nodoBase_${indice}">Nodo de Base:</label>
+                            <input type="number" id="nodoBase_${indice}" min="0" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="polaridad_${indice}">Polaridad:</label>
+                            <select id="polaridad_${indice}">
+                                <option value="NPN">NPN</option>
+                                <option value="PNP">PNP</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="is_${indice}">Corriente de saturación Is (A):</label>
+                            <input type="number" id="is_${indice}" step="any" value="1e-14">
+                        </div>
+                        <div class="form-group">
+                            <label for="betaF_${indice}">Ganancia directa βF:</label>
+                            <input type="number" id="betaF_${indice}" step="any" value="100">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="betaR_${indice}">Ganancia inversa βR:</label>
+                            <input type="number" id="betaR_${indice}" step="any" value="1">
+                        </div>
+                        <div class="form-group">
+                            <label for="vaf_${indice}">Voltaje Early VAF (V):</label>
+                            <input type="number" id="vaf_${indice}" step="any" min="0" value="0">
+                            <small class="text-muted">0 = sin efecto Early (ro infinita)</small>
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'M':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="nodoCompuerta_${indice}">Nodo de Compuerta:</label>
+                            <input type="number" id="nodoCompuerta_${indice}" min="0" required>
+                            <small class="text-muted">El sustrato está unido a la fuente</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="polaridad_${indice}">Polaridad:</label>
+                            <select id="polaridad_${indice}">
+                                <option value="NMOS">NMOS</option>
+                                <option value="PMOS">PMOS</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="kp_${indice}">Transconductancia K = μCox·W/L (A/V²):</label>
+                            <input type="number" id="kp_${indice}" step="any" value="1e-3">
+                        </div>
+                        <div class="form-group">
+                            <label for="vth_${indice}">Voltaje umbral Vth (V):</label>
+                            <input type="number" id="vth_${indice}" step="any" value="1">
+                            <small class="text-muted">Positivo para enriquecimiento, también en PMOS</small>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="lambda_${indice}">Modulación de canal λ (1/V):</label>
+                            <input type="number" id="lambda_${indice}" step="any" min="0" value="0">
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'K':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="inductor1_${indice}">Inductor 1:</label>
+                            <input type="text" id="inductor1_${indice}" placeholder="Ej: L1" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="inductor2_${indice}">Inductor 2:</label>
+                            <input type="text" id="inductor2_${indice}" placeholder="Ej: L2" required>
+                            <small class="text-muted">El punto de cada inductor está en su nodo positivo</small>
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'T':
+                contenedor.innerHTML = `
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="nodoSecPos_${indice}">Secundario (+):</label>
+                            <input type="number" id="nodoSecPos_${indice}" min="0" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="nodoSecNeg_${indice}">Secundario (−):</label>
+                            <input type="number" id="nodoSecNeg_${indice}" min="0" required>
+                            <small class="text-muted">Los puntos están en los terminales (+)</small>
+                        </div>
+                    </div>
+                `;
+                break;
+            default:
+                contenedor.innerHTML = '';
+                return;
+        }
+
+        // Validación en tiempo real para los nodos adicionales
+        contenedor.querySelectorAll('input[type="number"][id^="nodo"]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.validarEntradaNumerica(input, 0, this.numNodes - 1);
+            });
+        });
+    },
+
+    /**
+     * Genera los campos de parámetros de la forma de onda seleccionada en una fuente
+     * (un campo por parámetro, o una lista de puntos para PWL) y su vista previa
+     *
+     * @param {number} indice - Índice del elemento
+     */
+    renderizarParametrosForma(indice) {
+        const tipoForma = document.getElementById(`forma_${indice}`).value;
+        const contenedor = document.getElementById(`formaParametros_${indice}`);
+
+        if (tipoForma === 'PWL') {
+            contenedor.innerHTML = `
+                <div class="form-group">
+                    <label for="forma_${indice}_puntos">Puntos (t v):</label>
+                    <textarea id="forma_${indice}_puntos" rows="3" placeholder="0 0, 1e-3 5, 2e-3 5, 3e-3 0">0 0, 1e-3 1, 2e-3 1, 3e-3 0</textarea>
+                    <small class="text-muted">Pares tiempo (s) y valor separados por comas o saltos de línea</small>
+                </div>
+            `;
+        } else {
+            contenedor.innerHTML = Waveforms.DEFINICIONES[tipoForma].parametros.map(parametro => `
+                <div class="form-group">
+                    <label for="forma_${indice}_${parametro.clave}">${parametro.etiqueta}:</label>
+                    <input type="number" id="forma_${indice}_${parametro.clave}" step="any" value="${parametro.defecto}">
+                </div>
+            `).join('');
+        }
+
+        contenedor.querySelectorAll('input, textarea').forEach(campo => {
+            campo.addEventListener('input', () => this.actualizarVistaPreviaForma(indice));
+        });
+
+        this.actualizarVistaPreviaForma(indice);
+    },
+
+    /**
+     * Leer la forma de onda de una fuente desde el formulario
+     *
+     * @param {number} indice - Índice del elemento
+     * @returns {Object|null} {tipo, ...parámetros}, o null si la fuente es DC
+     */
+    leerFormaOnda(indice) {
+        const select = document.getElementById(`forma_${indice}`);
+        if (!select || select.value === 'DC') {
+            return null;
+        }
+
+        const forma = { tipo: select.value };
+
+        if (forma.tipo === 'PWL') {
+            forma.puntos = Waveforms.parsearPWL(document.getElementById(`forma_${indice}_puntos`).value);
+        } else {
+            Waveforms.DEFINICIONES[forma.tipo].parametros.forEach(parametro => {
+                forma[parametro.clave] = parseFloat(document.getElementById(`forma_${indice}_${parametro.clave}`).value);
+            });
+        }
+
+        return forma;
+    },
+
+    /**
+     * Dibujar la vista previa de la forma de onda de una fuente entre 0 y el
+     * tiempo final del transitorio (o mostrar el primer error de sus parámetros)
+     *
+     * @param {number} indice - Índice del elemento
+     */
+    actualizarVistaPreviaForma(indice) {
+        const contenedor = document.getElementById(`formaPreviewContenedor_${indice}`);
+        const aviso = document.getElementById(`formaAviso_${indice}`);
+        if (!contenedor) return;
+
+        const forma = this.leerFormaOnda(indice);
+        const nombre = document.getElementById(`nombre_${indice}`).value.trim() || `Elemento ${indice + 1}`;
+        const validacion = forma ? Validator.validarFormaOnda(forma, nombre) : { valido: false, errores: [] };
+
+        aviso.textContent = validacion.errores.length > 0 ? validacion.errores[0] : '';
+
+        if (!validacion.valido) {
+            PlotDisplay.destruirGrafica(`formaPreview_${indice}`);
+            contenedor.style.display = 'none';
+            return;
+        }
+
+        const tFinalTransitorio = parseFloat(document.getElementById('transitorioTFinal').value);
+        const tFinal = tFinalTransitorio > 0 ? tFinalTransitorio : 1e-3;
+        const { tiempos, valores } = Waveforms.muestrear({ formaOnda: forma }, tFinal);
+        const tipo = document.getElementById(`tipo_${indice}`).value;
+
+        contenedor.style.display = '';
+        PlotDisplay.dibujarGrafica(`formaPreview_${indice}`, {
+            x: tiempos,
+            series: [{ nombre: nombre, datos: valores }],
+            etiquetaX: 'Tiempo (s)',
+            etiquetaY: tipo === 'I' ? 'Corriente (A)' : 'Voltaje (V)'
+        });
     },
 
     /**
@@ -320,9 +814,10 @@ const App = {
 
         for (let i = 0; i < this.numElements; i++) {
             // --- Inicio del bloque de reemplazo ---
-            const valorBase = parseFloat(document.getElementById(`valor_${i}`).value);
+            const textoValor = document.getElementById(`valor_${i}`).value.trim();
             const prefijo = parseFloat(document.getElementById(`prefijo_${i}`).value);
-            const valorFinal = valorBase * prefijo;
+            const esExpresion = Parameters.esExpresion(textoValor);
+            const valorFinal = esExpresion ? NaN : parseFloat(textoValor) * prefijo;
 
             const elemento = {
                 tipo: document.getElementById(`tipo_${i}`).value,
@@ -335,6 +830,123 @@ const App = {
             };
             // --- Fin del bloque de reemplazo ---
 
+            // Valor escrito como expresión: se evalúa con los parámetros globales (ver evaluarParametros)
+            if (esExpresion) {
+                elemento.expresion = prefijo === 1 ? textoValor : `(${textoValor}) * ${prefijo}`;
+            }
+
+            // Nodos de control de fuentes controladas por voltaje (E, G)
+            if (Validator.TIPOS_CONTROL_VOLTAJE.includes(elemento.tipo)) {
+                elemento.nodoControlPositivo = parseInt(document.getElementById(`nodoCtrlPos_${i}`).value);
+                elemento.nodoControlNegativo = parseInt(document.getElementById(`nodoCtrlNeg_${i}`).value);
+            }
+
+            // Fase de las fuentes independientes (grados, 0 por defecto)
+            // y forma de onda para el transitorio (solo si no es DC)
+            if (Validator.TIPOS_FUENTES.includes(elemento.tipo)) {
+                const fase = parseFloat(document.getElementById(`fase_${i}`).value);
+                elemento.fase = isNaN(fase) ? 0 : fase;
+
+                const valorAC = document.getElementById(`ac_${i}`).value.trim();
+                if (valorAC !== '') {
+                    elemento.valorAC = parseFloat(valorAC);
+                }
+
+                const formaOnda = this.leerFormaOnda(i);
+                if (formaOnda) {
+                    elemento.formaOnda = formaOnda;
+                }
+            }
+
+            // Condición inicial de capacitores e inductores (vacía = punto de operación en t = 0⁻)
+            if (elemento.tipo === 'C' || elemento.tipo === 'L') {
+                const condicionInicial = document.getElementById(`ci_${i}`).value.trim();
+                if (condicionInicial !== '') {
+                    elemento.condicionInicial = parseFloat(condicionInicial);
+                }
+            }
+
+            // Parámetros del interruptor controlado por tiempo
+            if (elemento.tipo === 'S') {
+                elemento.estadoInicial = document.getElementById(`estadoInicial_${i}`).value;
+                elemento.tiempoConmutacion = parseFloat(document.getElementById(`tConmutacion_${i}`).value);
+                elemento.resistenciaOn = parseFloat(document.getElementById(`ron_${i}`).value);
+                elemento.resistenciaOff = parseFloat(document.getElementById(`roff_${i}`).value);
+            }
+
+            // Parámetros del modelo del diodo (resistencia serie opcional)
+            if (elemento.tipo === 'D') {
+                elemento.corrienteSaturacion = parseFloat(document.getElementById(`is_${i}`).value);
+                elemento.coeficienteEmision = parseFloat(document.getElementById(`n_${i}`).value);
+                const resistenciaSerie = document.getElementById(`rs_${i}`).value.trim();
+                if (resistenciaSerie !== '') {
+                    elemento.resistenciaSerie = parseFloat(resistenciaSerie);
+                }
+            }
+
+            // Tercer terminal y parámetros del modelo de los transistores
+            if (elemento.tipo === 'Q') {
+                elemento.nodoBase = parseInt(document.getElementById(`nodoBase_${i}`).value);
+                elemento.polaridad = document.getElementById(`polaridad_${i}`).value;
+                elemento.corrienteSaturacion = parseFloat(document.getElementById(`is_${i}`).value);
+                elemento.betaF = parseFloat(document.getElementById(`betaF_${i}`).value);
+                elemento.betaR = parseFloat(document.getElementById(`betaR_${i}`).value);
+                elemento.voltajeEarly = parseFloat(document.getElementById(`vaf_${i}`).value);
+            }
+
+            if (elemento.tipo === 'M') {
+                elemento.nodoCompuerta = parseInt(document.getElementById(`nodoCompuerta_${i}`).value);
+                elemento.polaridad = document.getElementById(`polaridad_${i}`).value;
+                elemento.transconductancia = parseFloat(document.getElementById(`kp_${i}`).value);
+                elemento.voltajeUmbral = parseFloat(document.getElementById(`vth_${i}`).value);
+                elemento.lambda = parseFloat(document.getElementById(`lambda_${i}`).value);
+            }
+
+            // Nodo de salida del amplificador operacional ideal
+            if (elemento.tipo === 'OA') {
+                elemento.nodoSalida = parseInt(document.getElementById(`nodoSalida_${i}`).value);
+            }
+
+            // Nodos del secundario del transformador ideal
+            if (elemento.tipo === 'T') {
+                elemento.nodoSecundarioPositivo = parseInt(document.getElementById(`nodoSecPos_${i}`).value);
+                elemento.nodoSecundarioNegativo = parseInt(document.getElementById(`nodoSecNeg_${i}`).value);
+            }
+
+            // El acoplamiento K no tiene nodos: referencia a dos inductores por nombre
+            if (Validator.TIPOS_SIN_NODOS.includes(elemento.tipo)) {
+                delete elemento.nodoPositivo;
+                delete elemento.nodoNegativo;
+                elemento.inductor1 = Validator.sanitizarEntrada(
+                    document.getElementById(`inductor1_${i}`).value
+                );
+                elemento.inductor2 = Validator.sanitizarEntrada(
+                    document.getElementById(`inductor2_${i}`).value
+                );
+            }
+
+            // Tolerancia del valor para Monte Carlo (vacía = valor exacto)
+            if (Validator.TIPOS_TOLERANCIA.includes(elemento.tipo)) {
+                const tolerancia = document.getElementById(`tol_${i}`).value.trim();
+                if (tolerancia !== '') {
+                    elemento.tolerancia = parseFloat(tolerancia);
+                    elemento.distribucion = document.getElementById(`distribucion_${i}`).value;
+                }
+            }
+
+            // Los elementos sin valor no llevan el campo valor
+            if (Validator.TIPOS_SIN_VALOR.includes(elemento.tipo)) {
+                delete elemento.valor;
+                delete elemento.expresion;
+            }
+
+            // Fuente de control de fuentes controladas por corriente (F, H)
+            if (Validator.TIPOS_CONTROL_CORRIENTE.includes(elemento.tipo)) {
+                elemento.elementoControl = Validator.sanitizarEntrada(
+                    document.getElementById(`elementoControl_${i}`).value
+                );
+            }
+
             this.elementos.push(elemento);
         }
 
@@ -347,10 +959,11 @@ const App = {
      * MÉTODO MÁS IMPORTANTE - Ejecuta el flujo completo de análisis MNA
      *
      * Flujo:
-     * 1. Leer elementos del formulario
+     * 1. Leer elementos del formulario, evaluar los parámetros globales y leer
+     *    las opciones del tipo de análisis
      * 2. Validar TODOS los elementos
      * 3. Mostrar advertencias si las hay
-     * 4. Ejecutar algoritmo MNA
+     * 4. Ejecutar el análisis seleccionado (algoritmo MNA)
      * 5. Mostrar resultados
      */
     resolverCircuito() {
@@ -358,22 +971,42 @@ const App = {
 
         try {
             // PASO 1: Leer elementos del formulario
-            const elementos = this.leerElementos();
+            const elementosFormulario = this.leerElementos();
 
-            if (elementos.length === 0) {
+            if (elementosFormulario.length === 0) {
                 ResultDisplay.mostrarAdvertencia(
                     'No hay elementos para resolver. Genere el formulario primero.'
                 );
                 return;
             }
 
+            // Valores escritos como expresión: evaluarlos con los parámetros globales
+            const elementos = this.evaluarParametros(elementosFormulario);
+            if (!elementos) {
+                return;
+            }
+
+            // Leer el tipo de análisis y sus opciones (null si no son válidas)
+            this.tipoAnalisis = document.getElementById('tipoAnalisis').value;
+            const opciones = this.leerOpcionesAnalisis(elementos);
+            if (!opciones) {
+                return;
+            }
+
             // PASO 2: Validar TODOS los elementos
+            // (el barrido AC se valida con su primera frecuencia, el barrido DC en DC
+            // y el transitorio sin las suposiciones de DC sobre C y L)
             console.log('Validando configuración completa...');
+            let frecuenciaValidacion = this.frequency;
+            if (this.tipoAnalisis === 'barridoAC') frecuenciaValidacion = opciones.inicio;
+            if (this.tipoAnalisis === 'barridoDC') frecuenciaValidacion = 0;
+
             const validacionCompleta = Validator.validarTodo({
                 elementos: elementos,
                 numNodes: this.numNodes,
                 groundNode: this.groundNode,
-                frequency: this.frequency
+                frequency: frecuenciaValidacion,
+                tipoAnalisis: this.tipoAnalisis
             });
 
             if (!validacionCompleta.valido) {
@@ -399,37 +1032,49 @@ const App = {
                 });
             }
 
-            // PASO 4: Llamar al algoritmo MNA
-            ResultDisplay.mostrarExito('Resolviendo circuito mediante análisis nodal modificado...');
-            console.log('Ejecutando MNACore.analizarCircuito...');
-
-            const resultado = MNACore.analizarCircuito(
-                elementos,
-                this.numNodes,
-                this.groundNode,
-                this.frequency
-            );
-
-            console.log('Resultado del análisis:', resultado);
-
-            // PASO 5: Verificar éxito del análisis
-            if (!resultado.exito) {
-                throw new Error(resultado.error || 'Error desconocido al resolver el circuito');
+            // PASO 4: Ejecutar el análisis seleccionado (una vez por valor en el barrido paramétrico)
+            switch (opciones.parametrico ? 'parametrico' : this.tipoAnalisis) {
+                case 'parametrico':
+                    this.ejecutarBarridoParametrico(elementosFormulario, opciones);
+                    break;
+                case 'barridoAC':
+                    this.ejecutarBarridoAC(elementos, opciones);
+                    break;
+                case 'barridoDC':
+                    this.ejecutarBarridoDC(elementos, opciones);
+                    break;
+                case 'transitorio':
+                    this.ejecutarTransitorio(elementos, opciones);
+                    break;
+                case 'thevenin':
+                    this.ejecutarThevenin(elementos, opciones);
+                    break;
+                case 'superposicion':
+                    this.ejecutarSuperposicion(elementos, opciones);
+                    break;
+                case 'dosPuertos':
+                    this.ejecutarDosPuertos(elementos, opciones);
+                    break;
+                case 'impedancias':
+                    this.ejecutarImpedancias(elementos, opciones);
+                    break;
+                case 'sensibilidad':
+                    this.ejecutarSensibilidad(elementos, opciones);
+                    break;
+                case 'monteCarlo':
+                    this.ejecutarMonteCarlo(elementos, opciones);
+                    break;
+                case 'peorCaso':
+                    this.ejecutarPeorCaso(elementos, opciones);
+                    break;
+                case 'polosCeros':
+                    this.ejecutarPolosCeros(elementos, opciones);
+                    break;
+                default:
+                    this.ejecutarPuntoOperacion(elementos);
             }
 
-            // Guardar resultado para exportación
-            this.ultimoResultado = resultado;
-
-            // PASO 6: Mostrar resultados en la interfaz
-            console.log('Mostrando resultados...');
-            ResultDisplay.mostrarResultados(resultado, this.frequency);
-
-            // Mensaje de éxito
-            const numVoltajes = Object.keys(resultado.voltajes).length;
-            const numCorrientes = Object.keys(resultado.corrientes).length;
-            ResultDisplay.mostrarExito(`¡Circuito resuelto exitosamente! ${numVoltajes} voltajes y ${numCorrientes} corrientes calculadas.`);
-
-            // PASO 7: Scroll suave a la sección de resultados
+            // PASO 5: Scroll suave a la sección de resultados
             setTimeout(() => {
                 document.getElementById('resultsSection').scrollIntoView({
                     behavior: 'smooth',
@@ -448,6 +1093,590 @@ const App = {
         }
     },
 
+    /**
+     * Leer la tabla de parámetros globales y evaluar los valores de los elementos
+     * escritos como expresión
+     * @param {Array} elementos - Elementos leídos del formulario
+     * @returns {Array|null} Elementos con los valores evaluados, o null si los
+     *          parámetros no son válidos
+     */
+    evaluarParametros(elementos) {
+        this.parametros = Parameters.parsearTabla(document.getElementById('parametros').value);
+
+        const validacion = Validator.validarParametros(this.parametros, elementos);
+        let errores = validacion.errores;
+        let evaluacion = null;
+
+        if (validacion.valido) {
+            evaluacion = Parameters.evaluar(this.parametros, elementos);
+            if (!evaluacion.exito) {
+                errores = [evaluacion.error];
+            }
+        }
+
+        if (errores.length > 0) {
+            alert('⚠️ PARÁMETROS NO VÁLIDOS\n\n' + errores.join('\n\n'));
+            console.error('Errores en los parámetros globales:', errores);
+            return null;
+        }
+
+        console.log('Parámetros globales:', evaluacion.valores);
+        this.elementos = evaluacion.elementos;
+        return evaluacion.elementos;
+    },
+
+    /**
+     * Análisis en un solo punto: voltajes, corrientes y matrices a App.frequency
+     * @param {Array} elementos - Elementos ya validados
+     * @throws {Error} Si el sistema MNA no se puede resolver
+     */
+    ejecutarPuntoOperacion(elementos) {
+        ResultDisplay.mostrarExito('Resolviendo circuito mediante análisis nodal modificado...');
+        console.log('Ejecutando MNACore.analizarCircuito...');
+
+        const resultado = MNACore.analizarCircuito(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            this.frequency
+        );
+
+        console.log('Resultado del análisis:', resultado);
+
+        // Verificar éxito del análisis
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido al resolver el circuito');
+        }
+
+        // Voltaje, corriente y potencia de cada elemento
+        resultado.potencias = PowerAnalysis.calcularPotencias(elementos, resultado, this.frequency);
+
+        // Guardar resultado para exportación
+        this.ultimoResultado = resultado;
+
+        // Mostrar resultados en la interfaz
+        console.log('Mostrando resultados...');
+        ResultDisplay.mostrarResultados(resultado, this.frequency);
+
+        // Mensaje de éxito
+        const numVoltajes = Object.keys(resultado.voltajes).length;
+        const numCorrientes = Object.keys(resultado.corrientes).length;
+        ResultDisplay.mostrarExito(`¡Circuito resuelto exitosamente! ${numVoltajes} voltajes y ${numCorrientes} corrientes calculadas.`);
+    },
+
+    /**
+     * Barrido AC: resuelve el circuito en cada frecuencia y muestra los diagramas de Bode
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {tipo, inicio, fin, puntos}
+     * @throws {Error} Si alguna frecuencia del barrido no se puede resolver
+     */
+    ejecutarBarridoAC(elementos, opciones) {
+        ResultDisplay.mostrarExito('Resolviendo el barrido en frecuencia...');
+        console.log('Ejecutando SweepAnalysis.barridoAC...', opciones);
+
+        const resultado = SweepAnalysis.barridoAC(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido en el barrido AC');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarBarridoAC(resultado);
+
+        ResultDisplay.mostrarExito(`¡Barrido completado! ${resultado.frecuencias.length} frecuencias resueltas.`);
+    },
+
+    /**
+     * Barrido DC: resuelve el circuito en DC para cada valor del elemento barrido
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {elemento, inicio, fin, puntos}
+     * @throws {Error} Si algún punto del barrido no se puede resolver
+     */
+    ejecutarBarridoDC(elementos, opciones) {
+        ResultDisplay.mostrarExito(`Resolviendo el barrido DC de ${opciones.elemento}...`);
+        console.log('Ejecutando SweepAnalysis.barridoDC...', opciones);
+
+        const resultado = SweepAnalysis.barridoDC(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido en el barrido DC');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarBarridoDC(resultado);
+
+        ResultDisplay.mostrarExito(`¡Barrido completado! ${resultado.valores.length} puntos de operación resueltos.`);
+    },
+
+    /**
+     * Análisis transitorio: formas de onda desde t = 0 hasta el tiempo final
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {tFinal, paso, metodo}
+     * @throws {Error} Si algún paso de tiempo no se puede resolver
+     */
+    ejecutarTransitorio(elementos, opciones) {
+        ResultDisplay.mostrarExito('Resolviendo el análisis transitorio...');
+        console.log('Ejecutando TransientAnalysis.analizarTransitorio...', opciones);
+
+        const resultado = TransientAnalysis.analizarTransitorio(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido en el análisis transitorio');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarTransitorio(resultado);
+
+        const origenEstado = {
+            puntoOperacion: 'punto de operación DC en t = 0⁻',
+            condicionesIniciales: 'condiciones iniciales',
+            reposo: 'circuito en reposo'
+        }[resultado.info.estadoInicial];
+        ResultDisplay.mostrarExito(`¡Análisis transitorio completado! ${resultado.tiempos.length} instantes de tiempo resueltos (estado inicial: ${origenEstado}).`);
+        resultado.info.advertencias.forEach(advertencia => ResultDisplay.mostrarAdvertencia(advertencia));
+    },
+
+    /**
+     * Equivalente de Thévenin/Norton visto desde un par de nodos, a App.frequency
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {nodoA, nodoB, frecuencia}
+     * @throws {Error} Si alguna de las dos soluciones no se puede obtener
+     */
+    ejecutarThevenin(elementos, opciones) {
+        ResultDisplay.mostrarExito(`Calculando el equivalente entre los nodos ${opciones.nodoA} y ${opciones.nodoB}...`);
+        console.log('Ejecutando TheveninAnalysis.calcularEquivalente...', opciones);
+
+        const resultado = TheveninAnalysis.calcularEquivalente(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido al calcular el equivalente');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarThevenin(resultado);
+
+        ResultDisplay.mostrarExito('¡Equivalente calculado! (circuito abierto y fuente de prueba de 1 A)');
+    },
+
+    /**
+     * Superposición: una solución por fuente independiente, a App.frequency
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {frecuencia}
+     * @throws {Error} Si alguna de las soluciones no se puede obtener
+     */
+    ejecutarSuperposicion(elementos, opciones) {
+        ResultDisplay.mostrarExito('Resolviendo el circuito con cada fuente independiente por separado...');
+        console.log('Ejecutando SuperpositionAnalysis.analizar...', opciones);
+
+        const resultado = SuperpositionAnalysis.analizar(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido en la superposición');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarSuperposicion(resultado);
+
+        ResultDisplay.mostrarExito(`¡Superposición completada! ${resultado.fuentes.length + 1} soluciones MNA (una por fuente y la completa)`);
+    },
+
+    /**
+     * Parámetros de dos puertos (Z, Y, H, G, ABCD) a App.frequency
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {puerto1, puerto2, frecuencia}
+     * @throws {Error} Si ninguna combinación de fuentes de prueba tiene solución
+     */
+    ejecutarDosPuertos(elementos, opciones) {
+        ResultDisplay.mostrarExito('Calculando los parámetros de dos puertos...');
+        console.log('Ejecutando TwoPortAnalysis.calcularParametros...', opciones);
+
+        const resultado = TwoPortAnalysis.calcularParametros(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido al calcular los parámetros de dos puertos');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarDosPuertos(resultado);
+
+        ResultDisplay.mostrarExito('¡Parámetros de dos puertos calculados!');
+    },
+
+    /**
+     * Impedancias de entrada y salida a App.frequency o en un barrido en frecuencia
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {entrada, salida, carga, conCarga, frecuencia, barrido}
+     * @throws {Error} Si alguna de las soluciones no se puede obtener
+     */
+    ejecutarImpedancias(elementos, opciones) {
+        ResultDisplay.mostrarExito('Calculando las impedancias de entrada y salida...');
+        console.log('Ejecutando ImpedanceAnalysis.medir...', opciones);
+
+        const resultado = ImpedanceAnalysis.medir(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido al calcular las impedancias');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarImpedancias(resultado);
+
+        ResultDisplay.mostrarExito(`¡Impedancias calculadas! ${resultado.frecuencias.length} frecuencia(s) resuelta(s).`);
+    },
+
+    /**
+     * Sensibilidad de un voltaje respecto a cada elemento (método adjunto), a App.frequency
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {nodoSalida, nodoReferencia, frecuencia}
+     * @throws {Error} Si el circuito no se puede resolver
+     */
+    ejecutarSensibilidad(elementos, opciones) {
+        ResultDisplay.mostrarExito(`Calculando la sensibilidad de V(${opciones.nodoSalida}, ${opciones.nodoReferencia})...`);
+        console.log('Ejecutando SensitivityAnalysis.calcular...', opciones);
+
+        const resultado = SensitivityAnalysis.calcular(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido en el análisis de sensibilidad');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarSensibilidad(resultado);
+
+        ResultDisplay.mostrarExito(`¡Sensibilidad calculada! ${resultado.sensibilidades.length} elementos con una sola solución adjunta.`);
+    },
+
+    /**
+     * Análisis de Monte Carlo: N soluciones con los valores dentro de su tolerancia, a App.frequency
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {corridas, semilla, nodos, corrientes, frecuencia}
+     * @throws {Error} Si el circuito nominal o todas las corridas fallan
+     */
+    ejecutarMonteCarlo(elementos, opciones) {
+        ResultDisplay.mostrarExito(`Ejecutando ${opciones.corridas} corridas de Monte Carlo (semilla ${opciones.semilla})...`);
+        console.log('Ejecutando MonteCarloAnalysis.analizar...', opciones);
+
+        const resultado = MonteCarloAnalysis.analizar(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido en el análisis de Monte Carlo');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarMonteCarlo(resultado);
+
+        const fallidas = resultado.fallidas > 0 ? ` (${resultado.fallidas} sin solución, excluidas)` : '';
+        ResultDisplay.mostrarExito(`¡Monte Carlo completado! ${resultado.exitosas} corridas resueltas${fallidas}.`);
+    },
+
+    /**
+     * Peor caso de un voltaje: esquinas de tolerancia elegidas con la sensibilidad, a App.frequency
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {nodoSalida, nodoReferencia, frecuencia}
+     * @throws {Error} Si el circuito no se puede resolver en alguna esquina
+     */
+    ejecutarPeorCaso(elementos, opciones) {
+        ResultDisplay.mostrarExito(`Buscando el peor caso de V(${opciones.nodoSalida}, ${opciones.nodoReferencia})...`);
+        console.log('Ejecutando WorstCaseAnalysis.calcular...', opciones);
+
+        const resultado = WorstCaseAnalysis.calcular(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido en el análisis del peor caso');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarPeorCaso(resultado);
+
+        ResultDisplay.mostrarExito(`¡Peor caso calculado! ${resultado.elementos.length} elementos en sus extremos de tolerancia.`);
+    },
+
+    /**
+     * Polos y ceros de H(s) = V(salida, referencia) / fuente, con el sistema MNA en el dominio s
+     * @param {Array} elementos - Elementos ya validados
+     * @param {Object} opciones - {fuente, nodoSalida, nodoReferencia}
+     * @throws {Error} Si el sistema G + sC es singular o la salida no depende de la entrada
+     */
+    ejecutarPolosCeros(elementos, opciones) {
+        ResultDisplay.mostrarExito(`Calculando los polos y ceros de V(${opciones.nodoSalida}, ${opciones.nodoReferencia}) / ${opciones.fuente}...`);
+        console.log('Ejecutando PoleZeroAnalysis.calcular...', opciones);
+
+        const resultado = PoleZeroAnalysis.calcular(
+            elementos,
+            this.numNodes,
+            this.groundNode,
+            opciones
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido en el análisis de polos y ceros');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarPolosCeros(resultado);
+
+        ResultDisplay.mostrarExito(`¡Polos y ceros calculados! ${resultado.info.orden} polo(s) y ${resultado.info.numCeros} cero(s) finitos.`);
+    },
+
+    /**
+     * Barrido paramétrico: repite el análisis seleccionado para cada valor de un
+     * parámetro global y superpone los resultados
+     * @param {Array} elementos - Elementos leídos del formulario (con sus expresiones)
+     * @param {Object} opciones - Opciones del análisis con parametrico: {parametro, tipo, inicio, fin, puntos}
+     * @throws {Error} Si algún valor del parámetro no se puede evaluar o resolver
+     */
+    ejecutarBarridoParametrico(elementos, opciones) {
+        const { parametrico, ...opcionesAnalisis } = opciones;
+        ResultDisplay.mostrarExito(`Repitiendo el análisis para cada valor de ${parametrico.parametro}...`);
+        console.log('Ejecutando ParametricAnalysis.barrer...', opciones);
+
+        const resultado = ParametricAnalysis.barrer(
+            elementos,
+            this.parametros,
+            this.numNodes,
+            this.groundNode,
+            {
+                ...parametrico,
+                analisis: this.tipoAnalisis,
+                opcionesAnalisis: opcionesAnalisis,
+                frecuencia: this.frequency
+            }
+        );
+
+        if (!resultado.exito) {
+            throw new Error(resultado.error || 'Error desconocido en el barrido paramétrico');
+        }
+
+        this.ultimoResultado = resultado;
+        ResultDisplay.mostrarBarridoParametrico(resultado);
+
+        ResultDisplay.mostrarExito(`¡Barrido paramétrico completado! ${resultado.valores.length} valores de ${resultado.parametro} resueltos.`);
+    },
+
+    /**
+     * Leer y validar las opciones del tipo de análisis seleccionado
+     * @param {Array} elementos - Elementos del circuito (para validar el elemento barrido)
+     * @returns {Object|null} Opciones del análisis, o null si no son válidas
+     */
+    leerOpcionesAnalisis(elementos) {
+        let opciones = {};
+        let validacion = { valido: true, errores: [] };
+
+        switch (this.tipoAnalisis) {
+            case 'barridoAC':
+                opciones = {
+                    tipo: document.getElementById('barridoTipo').value,
+                    inicio: parseFloat(document.getElementById('barridoInicio').value),
+                    fin: parseFloat(document.getElementById('barridoFin').value),
+                    puntos: parseInt(document.getElementById('barridoPuntos').value)
+                };
+                validacion = Validator.validarBarridoAC(opciones);
+                break;
+
+            case 'barridoDC':
+                opciones = {
+                    elemento: Validator.sanitizarEntrada(document.getElementById('barridoDCElemento').value.trim()),
+                    inicio: parseFloat(document.getElementById('barridoDCInicio').value),
+                    fin: parseFloat(document.getElementById('barridoDCFin').value),
+                    puntos: parseInt(document.getElementById('barridoDCPuntos').value)
+                };
+                validacion = Validator.validarBarridoDC(opciones, elementos);
+                break;
+
+            case 'transitorio':
+                opciones = {
+                    tFinal: parseFloat(document.getElementById('transitorioTFinal').value),
+                    paso: parseFloat(document.getElementById('transitorioPaso').value),
+                    metodo: document.getElementById('transitorioMetodo').value
+                };
+                validacion = Validator.validarTransitorio(opciones);
+                break;
+
+            case 'thevenin':
+                opciones = {
+                    nodoA: parseInt(document.getElementById('theveninNodoA').value),
+                    nodoB: parseInt(document.getElementById('theveninNodoB').value),
+                    frecuencia: this.frequency
+                };
+                validacion = Validator.validarThevenin(opciones, elementos, this.numNodes);
+                break;
+
+            case 'superposicion':
+                opciones = { frecuencia: this.frequency };
+                validacion = Validator.validarSuperposicion(elementos);
+                break;
+
+            case 'dosPuertos':
+                opciones = {
+                    puerto1: {
+                        positivo: parseInt(document.getElementById('puerto1Positivo').value),
+                        negativo: parseInt(document.getElementById('puerto1Negativo').value)
+                    },
+                    puerto2: {
+                        positivo: parseInt(document.getElementById('puerto2Positivo').value),
+                        negativo: parseInt(document.getElementById('puerto2Negativo').value)
+                    },
+                    frecuencia: this.frequency
+                };
+                validacion = Validator.validarDosPuertos(opciones, elementos, this.numNodes);
+                break;
+
+            case 'impedancias': {
+                const modoFrecuencia = document.getElementById('impedanciaFrecuencia').value;
+                opciones = {
+                    entrada: {
+                        positivo: parseInt(document.getElementById('entradaPositivo').value),
+                        negativo: parseInt(document.getElementById('entradaNegativo').value)
+                    },
+                    salida: {
+                        positivo: parseInt(document.getElementById('salidaPositivo').value),
+                        negativo: parseInt(document.getElementById('salidaNegativo').value)
+                    },
+                    carga: Validator.sanitizarEntrada(document.getElementById('impedanciaCarga').value.trim()),
+                    conCarga: document.getElementById('impedanciaConCarga').value === 'si',
+                    frecuencia: this.frequency,
+                    barrido: modoFrecuencia === 'analisis' ? null : {
+                        tipo: modoFrecuencia,
+                        inicio: parseFloat(document.getElementById('impedanciaInicio').value),
+                        fin: parseFloat(document.getElementById('impedanciaFin').value),
+                        puntos: parseInt(document.getElementById('impedanciaPuntos').value)
+                    }
+                };
+                validacion = Validator.validarImpedancias(opciones, elementos, this.numNodes);
+                break;
+            }
+
+            case 'sensibilidad':
+                opciones = {
+                    nodoSalida: parseInt(document.getElementById('sensibilidadNodoSalida').value),
+                    nodoReferencia: parseInt(document.getElementById('sensibilidadNodoReferencia').value),
+                    frecuencia: this.frequency
+                };
+                validacion = Validator.validarSensibilidad(opciones, elementos, this.numNodes);
+                break;
+
+            case 'monteCarlo': {
+                // Listas separadas por comas o espacios
+                const lista = id => document.getElementById(id).value.split(/[\s,;]+/).filter(item => item !== '');
+                opciones = {
+                    corridas: parseInt(document.getElementById('monteCarloCorridas').value),
+                    semilla: parseInt(document.getElementById('monteCarloSemilla').value),
+                    nodos: lista('monteCarloNodos').map(nodo => Number(nodo)),
+                    corrientes: lista('monteCarloCorrientes').map(nombre => Validator.sanitizarEntrada(nombre)),
+                    frecuencia: this.frequency
+                };
+                validacion = Validator.validarMonteCarlo(opciones, elementos, this.numNodes, this.groundNode);
+                break;
+            }
+
+            case 'peorCaso':
+                opciones = {
+                    nodoSalida: parseInt(document.getElementById('peorCasoNodoSalida').value),
+                    nodoReferencia: parseInt(document.getElementById('peorCasoNodoReferencia').value),
+                    frecuencia: this.frequency
+                };
+                validacion = Validator.validarPeorCaso(opciones, elementos, this.numNodes);
+                break;
+
+            case 'polosCeros':
+                opciones = {
+                    fuente: Validator.sanitizarEntrada(document.getElementById('polosCerosFuente').value.trim()),
+                    nodoSalida: parseInt(document.getElementById('polosCerosNodoSalida').value),
+                    nodoReferencia: parseInt(document.getElementById('polosCerosNodoReferencia').value)
+                };
+                validacion = Validator.validarPolosCeros(opciones, elementos, this.numNodes);
+                break;
+        }
+
+        // Barrido paramétrico opcional: el análisis se repite para cada valor de un parámetro
+        if (document.getElementById('parametricoActivo').value === 'si') {
+            opciones.parametrico = {
+                parametro: document.getElementById('parametricoParametro').value.trim(),
+                tipo: document.getElementById('parametricoTipo').value,
+                inicio: parseFloat(document.getElementById('parametricoInicio').value),
+                fin: parseFloat(document.getElementById('parametricoFin').value),
+                puntos: parseInt(document.getElementById('parametricoPuntos').value)
+            };
+            const validacionParametrico = Validator.validarBarridoParametrico(
+                opciones.parametrico,
+                this.parametros.map(parametro => parametro.nombre)
+            );
+            validacion = {
+                valido: validacion.valido && validacionParametrico.valido,
+                errores: validacion.errores.concat(validacionParametrico.errores)
+            };
+        }
+
+        if (!validacion.valido) {
+            alert('⚠️ OPCIONES DE ANÁLISIS NO VÁLIDAS\n\n' + validacion.errores.join('\n\n'));
+            console.error('Errores en las opciones del análisis:', validacion.errores);
+            return null;
+        }
+
+        return opciones;
+    },
+
+    /**
+     * Mostrar solo las opciones del tipo de análisis seleccionado
+     */
+    actualizarOpcionesAnalisis() {
+        const tipo = document.getElementById('tipoAnalisis').value;
+
+        document.querySelectorAll('[data-opciones]').forEach(panel => {
+            panel.style.display = panel.dataset.opciones === tipo ? '' : 'none';
+        });
+    },
+
     /**
      * 7. RESETEAR APLICACIÓN
      * Limpia todo y vuelve al estado inicial
@@ -463,12 +1692,14 @@ const App = {
             this.groundNode = 0;
             this.numElements = 0;
             this.frequency = 0;
+            this.parametros = [];
 
             // Ocultar secciones
             document.getElementById('elementsSection').style.display = 'none';
             document.getElementById('resultsSection').style.display = 'none';
 
             // Limpiar contenedores
+            PlotDisplay.destruirGraficas('elementsContainer');
             document.getElementById('elementsContainer').innerHTML = '';
             ResultDisplay.limpiarResultados();
 
@@ -477,6 +1708,7 @@ const App = {
             document.getElementById('groundNode').value = '';
             document.getElementById('numElements').value = '';
             document.getElementById('frequency').value = '';
+            document.getElementById('parametros').value = '';
 
             // Remover clases de error
             document.querySelectorAll('.input-error').forEach(input => {
@@ -585,6 +1817,12 @@ const App = {
             return;
         }
 
+        // Las expresiones se evalúan al analizar, con los parámetros globales
+        if (Parameters.esExpresion(valorInput.value)) {
+            valorInput.title = 'Expresión: se evalúa con los parámetros globales al analizar';
+            return;
+        }
+
         // Validar según el tipo
         let esValido = true;
         let mensajeError = '';
@@ -612,7 +1850,19 @@ const App = {
                         mensajeError = 'La inductancia debe ser mayor a 0H';
                     }
                     break;
-                // V e I pueden ser cualquier valor (positivo, negativo o cero)
+                case 'K': // Acoplamiento magnético
+                    if (Math.abs(valor) > 1) {
+                        esValido = false;
+                        mensajeError = 'El coeficiente de acoplamiento debe cumplir |k| ≤ 1';
+                    }
+                    break;
+                case 'T': // Transformador ideal
+                    if (valor <= 0) {
+                        esValido = false;
+                        mensajeError = 'La relación de vueltas debe ser mayor a 0';
+                    }
+                    break;
+                // V, I y las ganancias de E, G, F y H pueden ser cualquier valor (positivo, negativo o cero)
             }
         }
 
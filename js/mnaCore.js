@@ -13,12 +13,34 @@
  *   z = [i] - Vector de términos conocidos
  *       [e]
  *
+ * Los dispositivos no lineales (diodos y transistores) se resuelven con Newton-Raphson:
+ * el circuito se linealiza alrededor de la estimación actual (DeviceModels) y se
+ * resuelve con este mismo algoritmo hasta que la solución deja de cambiar. En AC se
+ * usa su modelo de pequeña señal en el punto de operación DC.
+ *
  * Referencias:
  * - Ho, Ruehli, Brennan. "The Modified Nodal Approach to Network Analysis" (1975)
  * - Nilsson & Riedel. "Electric Circuits" (2015)
  */
 
 const MNACore = {
+    // Newton-Raphson (ver resolverNewton)
+    MAX_ITERACIONES_NEWTON: 100,
+    TOLERANCIA_VOLTAJE: 1e-6,      // V (absoluta)
+    TOLERANCIA_CORRIENTE: 1e-12,   // A (absoluta)
+    TOLERANCIA_RELATIVA: 1e-6,
+
+    // Ayudas a la convergencia (ver resolverPuntoOperacion)
+    PASO_MAXIMO_VOLTAJE: 1,        // V por iteración en las uniones (Newton amortiguado)
+    GMIN_INICIAL: 1e-2,            // S, primera conductancia a tierra del gmin stepping
+    GMIN_FINAL: 1e-12,             // S, última antes de retirarla
+    FACTOR_GMIN: 10,               // reducción de gmin entre pasos
+    PASO_INICIAL_FUENTES: 0.1,     // fracción de las fuentes del primer paso de la rampa
+    PASO_MINIMO_FUENTES: 1e-3,     // por debajo de este paso la rampa se abandona
+    MAX_NODOS_DIAGNOSTICO: 5,      // nodos listados en el mensaje de no convergencia
+
+    // Número de condición a partir del cual la matriz A se considera singular
+    CONDICION_MAXIMA: 1e15,
 
     /**
      * 1. CONSTRUCCIÓN DE MATRIZ G (Conductancias)
@@ -36,22 +58,38 @@ const MNACore = {
      * - Capacitor AC: g = jωC = j·2πf·C (imaginario puro)
      * - Inductor AC: g = 1/(jωL) = -j/(2πf·L) (imaginario puro)
      * - Capacitor DC (f=0): g = 0 (circuito abierto)
-     * - Inductor DC (f=0): g → ∞ (cortocircuito, requiere tratamiento especial)
+     * - Inductor DC (f=0): g → ∞ (cortocircuito). No se estampa en G: se modela
+     *   como una rama de 0V con su propia corriente (ver obtenerElementosRama)
+     * - Interruptor: g = 1/Ron (cerrado) o 1/Roff (abierto), según el instante
+     *   (ver obtenerResistenciaInterruptor)
+     *
+     * INDUCTORES ACOPLADOS (referenciados por un elemento K):
+     * - No se estampan en G: su corriente es una incógnita de rama y su
+     *   impedancia (propia y mutua) se estampa en la matriz D
+     *
+     * FUENTE DE CORRIENTE CONTROLADA POR VOLTAJE (G):
+     * - Inyecta gm·(vc+ - vc-) en el nodo positivo (misma convención que las fuentes I)
+     * - Estampilla NO simétrica: solo afecta las filas de los nodos de salida
+     *   y las columnas de los nodos de control
      *
      * @param {Array} elementos - Lista de elementos del circuito
      * @param {number} numNodes - Número total de nodos (incluyendo tierra)
      * @param {number} groundNode - Índice del nodo de tierra
      * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
+     * @param {number|null} tiempo - Instante del transitorio en s (null fuera del transitorio)
      * @returns {Array} Matriz G (nxn) usando math.js
      */
-    construirMatrizG(elementos, numNodes, groundNode, frequency) {
+    construirMatrizG(elementos, numNodes, groundNode, frequency, tiempo = null) {
         const n = numNodes - 1; // Número de nodos sin contar tierra
         let G = math.zeros(n, n); // Matriz inicializada en ceros
         const omega = 2 * Math.PI * frequency; // Frecuencia angular (rad/s)
 
-        // Filtrar elementos pasivos (R, C, L)
+        // Filtrar elementos pasivos (R, C, L, S)
+        // Los inductores en DC y los acoplados se modelan como corrientes de rama (bloques B/C/D)
+        const elementosRama = this.obtenerElementosRama(elementos, frequency);
         const elementosPasivos = elementos.filter(e =>
-            e.tipo === 'R' || e.tipo === 'C' || e.tipo === 'L'
+            e.tipo === 'R' || e.tipo === 'C' || e.tipo === 'S' ||
+            (e.tipo === 'L' && !elementosRama.includes(e))
         );
 
         // Procesar cada elemento pasivo
@@ -83,16 +121,14 @@ const MNACore = {
                     break;
 
                 case 'L':
-                    // Inductor
-                    if (frequency === 0) {
-                        // DC: inductor es cortocircuito
-                        // En MNA, esto requiere tratamiento especial (similar a fuente de voltaje)
-                        // Por ahora, usar conductancia muy alta
-                        conductancia = 1e12; // Conductancia muy alta para simular cortocircuito
-                    } else {
-                        // AC: g = 1/(jωL) = -j/(ωL)
-                        conductancia = math.complex(0, -1 / (omega * elemento.valor));
-                    }
+                    // Inductor (solo AC: en DC es una rama de 0V)
+                    // g = 1/(jωL) = -j/(ωL)
+                    conductancia = math.complex(0, -1 / (omega * elemento.valor));
+                    break;
+
+                case 'S':
+                    // Interruptor: resistencia Ron u Roff según su estado en este instante
+                    conductancia = 1 / this.obtenerResistenciaInterruptor(elemento, tiempo);
                     break;
 
                 default:
@@ -126,6 +162,36 @@ const MNACore = {
             }
         }
 
+        // Procesar fuentes de corriente controladas por voltaje (G)
+        const transconductancias = elementos.filter(e => e.tipo === 'G');
+
+        for (const fuente of transconductancias) {
+            const gm = fuente.valor;
+
+            // Nodos de salida (filas) y de control (columnas)
+            const iPos = this.nodoAIndice(fuente.nodoPositivo, groundNode);
+            const iNeg = this.nodoAIndice(fuente.nodoNegativo, groundNode);
+            const iCtrlPos = this.nodoAIndice(fuente.nodoControlPositivo, groundNode);
+            const iCtrlNeg = this.nodoAIndice(fuente.nodoControlNegativo, groundNode);
+
+            // La corriente inyectada gm·vc pasa al lado izquierdo de Gv = i con signo negativo:
+            // fila del nodo positivo: -gm en vc+, +gm en vc-
+            // fila del nodo negativo: +gm en vc+, -gm en vc-
+            const estampas = [
+                [iPos, iCtrlPos, -gm],
+                [iPos, iCtrlNeg, gm],
+                [iNeg, iCtrlPos, gm],
+                [iNeg, iCtrlNeg, -gm]
+            ];
+
+            for (const [fila, columna, valor] of estampas) {
+                // CRÍTICO: omitir filas y columnas del nodo de tierra
+                if (fila >= 0 && columna >= 0) {
+                    G = MatrixBuilder.sumarElemento(G, fila, columna, valor);
+                }
+            }
+        }
+
         return G;
     },
 
@@ -133,38 +199,80 @@ const MNACore = {
      * 2. CONSTRUCCIÓN DE MATRIZ B
      *
      * Construye la matriz B de dimensión nxm
-     * donde n = número de nodos (sin tierra), m = número de fuentes de voltaje
+     * donde n = número de nodos (sin tierra), m = número de corrientes de rama
+     * (fuentes de voltaje independientes y controladas, ver obtenerElementosRama)
      *
      * REGLAS DEL ALGORITMO MNA:
-     * - B[i][j] = +1 si el terminal positivo de la fuente de voltaje j está en el nodo i
-     * - B[i][j] = -1 si el terminal negativo de la fuente de voltaje j está en el nodo i
+     * - B[i][j] = +1 si el terminal positivo del elemento de rama j está en el nodo i
+     * - B[i][j] = -1 si el terminal negativo del elemento de rama j está en el nodo i
      * - B[i][j] = 0 en cualquier otro caso
      * - No se incluyen filas para el nodo de tierra
+     * - Inductores en DC e inductores acoplados: misma incidencia, su incógnita es la
+     *   corriente que entra por el terminal positivo (extremo marcado con punto)
+     * - Transformador ideal (T) con relación n = N1:N2: la incógnita es la corriente
+     *   del primario i1; el secundario conduce i2 = -n·i1, por lo que además de la
+     *   incidencia del primario se estampa -n en el nodo secundario positivo y +n
+     *   en el negativo
+     * - Amplificador operacional ideal (OA): su corriente de salida solo aparece en
+     *   la fila del nodo de salida (+1); la corriente regresa por la referencia interna
+     *   (tierra), y sus entradas no toman corriente
      *
      * La matriz B relaciona los voltajes de nodo con las corrientes en las fuentes de voltaje.
      *
+     * FUENTE DE CORRIENTE CONTROLADA POR CORRIENTE (F):
+     * - Inyecta β·j_k en su nodo positivo, donde j_k es la corriente de rama de la
+     *   fuente de voltaje de control. No agrega incógnitas: estampa -β en la fila
+     *   del nodo positivo y +β en la del negativo, en la columna k de la fuente de control
+     *
      * @param {Array} elementos - Lista de elementos del circuito
      * @param {number} numNodes - Número total de nodos (incluyendo tierra)
      * @param {number} groundNode - Índice del nodo de tierra
+     * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
+     * @param {Map} indicesControl - Nombre de fuente F/H -> índice de rama de su fuente de control
      * @returns {Array} Matriz B (nxm) usando math.js
      */
-    construirMatrizB(elementos, numNodes, groundNode) {
+    construirMatrizB(elementos, numNodes, groundNode, frequency = 0,
+                     indicesControl = this.resolverElementosControl(elementos, frequency)) {
         const n = numNodes - 1; // Número de nodos sin tierra
 
-        // Filtrar solo fuentes de voltaje
-        const fuentesVoltaje = elementos.filter(e => e.tipo === 'V');
-        const m = fuentesVoltaje.length; // Número de fuentes de voltaje
+        // Elementos con corriente de rama (fuentes V, E, H, amp. op., transformadores, inductores)
+        const elementosRama = this.obtenerElementosRama(elementos, frequency);
+        const m = elementosRama.length; // Número de corrientes de rama
 
-        // Si no hay fuentes de voltaje, retornar matriz vacía (nx0)
+        // Si no hay corrientes de rama, retornar matriz vacía (nx0)
         if (m === 0) {
             return math.zeros(n, 0);
         }
 
         let B = math.zeros(n, m); // Matriz inicializada en ceros
 
-        // Procesar cada fuente de voltaje
+        // Procesar cada elemento de rama
         for (let j = 0; j < m; j++) {
-            const fuente = fuentesVoltaje[j];
+            const fuente = elementosRama[j];
+
+            // Amplificador operacional: la corriente de rama sale del nodo de salida hacia tierra
+            if (fuente.tipo === 'OA') {
+                const iSalida = this.nodoAIndice(fuente.nodoSalida, groundNode);
+                if (iSalida >= 0) {
+                    B = MatrixBuilder.establecerElemento(B, iSalida, j, 1);
+                }
+                continue;
+            }
+
+            // Transformador ideal: corriente del secundario i2 = -n·i1
+            if (fuente.tipo === 'T') {
+                const n = fuente.valor;
+                const iSecPos = this.nodoAIndice(fuente.nodoSecundarioPositivo, groundNode);
+                const iSecNeg = this.nodoAIndice(fuente.nodoSecundarioNegativo, groundNode);
+
+                if (iSecPos >= 0) {
+                    B = MatrixBuilder.sumarElemento(B, iSecPos, j, -n);
+                }
+                if (iSecNeg >= 0) {
+                    B = MatrixBuilder.sumarElemento(B, iSecNeg, j, n);
+                }
+            }
+
             const nodoPositivo = fuente.nodoPositivo; // Terminal positivo
             const nodoNegativo = fuente.nodoNegativo; // Terminal negativo
 
@@ -187,27 +295,113 @@ const MNACore = {
             }
         }
 
+        // Procesar fuentes de corriente controladas por corriente (F)
+        const fuentesF = elementos.filter(e => e.tipo === 'F');
+
+        for (const fuente of fuentesF) {
+            const k = indicesControl.get(fuente.nombre);
+            const beta = fuente.valor;
+
+            const iPos = this.nodoAIndice(fuente.nodoPositivo, groundNode);
+            const iNeg = this.nodoAIndice(fuente.nodoNegativo, groundNode);
+
+            // La corriente inyectada β·j_k pasa al lado izquierdo con signo negativo
+            if (iPos >= 0) {
+                B = MatrixBuilder.sumarElemento(B, iPos, k, -beta);
+            }
+            if (iNeg >= 0) {
+                B = MatrixBuilder.sumarElemento(B, iNeg, k, beta);
+            }
+        }
+
         return B;
     },
 
     /**
      * 3. CONSTRUCCIÓN DE MATRIZ C
      *
-     * Construye la matriz C como la transpuesta de B.
+     * Construye la matriz C de dimensión mxn: una fila por cada ecuación de rama.
      *
-     * REGLA DEL ALGORITMO MNA:
-     * - C = B^T (transpuesta de B)
-     * - Dimensión: mxn (donde m = fuentes de voltaje, n = nodos sin tierra)
+     * REGLAS DEL ALGORITMO MNA:
+     * - Fuente de voltaje independiente: la fila es la incidencia de la fuente
+     *   (v+ - v- = e), por lo que para circuitos sin fuentes dependientes C = B^T
+     * - Fuente de voltaje controlada por voltaje (E): la ecuación de rama es
+     *   v+ - v- - μ·(vc+ - vc-) = 0, así que además de la incidencia se estampa
+     *   -μ en la columna del nodo de control positivo y +μ en la del negativo
+     * - Fuente de voltaje controlada por corriente (H): su fila es solo la incidencia;
+     *   el término de control -r·j_k va en la matriz D
+     * - Amplificador operacional ideal (OA, nulor): su fila impone v+ - v- = 0 sobre
+     *   las entradas (nodoPositivo = no inversora, nodoNegativo = inversora), que es
+     *   la misma forma que la incidencia de una fuente de 0V
+     * - Inductor en DC: su fila es la incidencia (v+ - v- = 0, rama de 0V)
+     * - Inductor acoplado: su fila es la incidencia; los términos -jωL·i y -jωM·i
+     *   de su ecuación v+ - v- = jωL·i1 + jωM·i2 van en la matriz D
+     * - Transformador ideal (T): su ecuación es v1 - n·v2 = 0, es decir, la incidencia
+     *   del primario más -n en el nodo secundario positivo y +n en el negativo
      *
      * La matriz C relaciona las corrientes en fuentes de voltaje con los voltajes de nodo.
-     * Esta relación asegura la conservación de corriente (Ley de Kirchhoff de corrientes).
      *
-     * @param {Array} B - Matriz B (nxm)
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
      * @returns {Array} Matriz C (mxn) usando math.js
      */
-    construirMatrizC(B) {
-        // La transpuesta se calcula directamente con math.js
-        return math.transpose(B);
+    construirMatrizC(elementos, numNodes, groundNode, frequency = 0) {
+        const n = numNodes - 1; // Número de nodos sin tierra
+        const elementosRama = this.obtenerElementosRama(elementos, frequency);
+        const m = elementosRama.length;
+
+        if (m === 0) {
+            return math.zeros(0, n);
+        }
+
+        let C = math.zeros(m, n);
+
+        for (let k = 0; k < m; k++) {
+            const elemento = elementosRama[k];
+
+            // Incidencia de la rama: v+ - v-
+            const iPos = this.nodoAIndice(elemento.nodoPositivo, groundNode);
+            const iNeg = this.nodoAIndice(elemento.nodoNegativo, groundNode);
+
+            if (iPos >= 0) {
+                C = MatrixBuilder.sumarElemento(C, k, iPos, 1);
+            }
+            if (iNeg >= 0) {
+                C = MatrixBuilder.sumarElemento(C, k, iNeg, -1);
+            }
+
+            // Término de control de la fuente E: -μ·(vc+ - vc-)
+            if (elemento.tipo === 'E') {
+                const ganancia = elemento.valor;
+                const iCtrlPos = this.nodoAIndice(elemento.nodoControlPositivo, groundNode);
+                const iCtrlNeg = this.nodoAIndice(elemento.nodoControlNegativo, groundNode);
+
+                if (iCtrlPos >= 0) {
+                    C = MatrixBuilder.sumarElemento(C, k, iCtrlPos, -ganancia);
+                }
+                if (iCtrlNeg >= 0) {
+                    C = MatrixBuilder.sumarElemento(C, k, iCtrlNeg, ganancia);
+                }
+            }
+
+            // Término del secundario del transformador: -n·(vs+ - vs-)
+            if (elemento.tipo === 'T') {
+                const n = elemento.valor;
+                const iSecPos = this.nodoAIndice(elemento.nodoSecundarioPositivo, groundNode);
+                const iSecNeg = this.nodoAIndice(elemento.nodoSecundarioNegativo, groundNode);
+
+                if (iSecPos >= 0) {
+                    C = MatrixBuilder.sumarElemento(C, k, iSecPos, -n);
+                }
+                if (iSecNeg >= 0) {
+                    C = MatrixBuilder.sumarElemento(C, k, iSecNeg, n);
+                }
+            }
+        }
+
+        return C;
     },
 
     /**
@@ -216,18 +410,54 @@ const MNACore = {
      * Construye la matriz D de dimensión mxm (matriz cuadrada).
      *
      * REGLA DEL ALGORITMO MNA:
-     * - Para fuentes de voltaje independientes: D = matriz de ceros (mxm)
-     * - Para fuentes dependientes o elementos especiales: D puede tener valores no-cero
-     *
-     * En este simulador básico, solo consideramos fuentes independientes,
-     * por lo tanto D siempre es una matriz de ceros.
+     * - D[k][l] es el coeficiente de la corriente de rama l en la ecuación de rama k
+     * - Fuentes de voltaje independientes: sus ecuaciones no dependen de corrientes (ceros)
+     * - Fuentes E: su ecuación solo involucra voltajes de nodo (el control va en C),
+     *   por lo que tampoco aportan términos a D
+     * - Fuentes H: su ecuación es v+ - v- - r·j_k = 0, así que D[h][k] = -r,
+     *   donde k es la rama de la fuente de voltaje de control
+     * - Inductores acoplados: D[a][a] = -jωLa en su propia rama y, por cada
+     *   acoplamiento K entre las ramas a y b, D[a][b] = D[b][a] = -jωM con
+     *   M = k·√(La·Lb). En DC (ω = 0) estos términos se anulan y el inductor
+     *   queda como una rama de 0V (cortocircuito), igual que los inductores no acoplados
      *
-     * @param {number} numFuentesVoltaje - Número de fuentes de voltaje (m)
-     * @returns {Array} Matriz D (mxm) de ceros usando math.js
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
+     * @param {Map} indicesControl - Nombre de fuente F/H -> índice de rama de su fuente de control
+     * @returns {Array} Matriz D (mxm) usando math.js
      */
-    construirMatrizD(numFuentesVoltaje) {
-        const m = numFuentesVoltaje;
-        return math.zeros(m, m); // Matriz mxm de ceros
+    construirMatrizD(elementos, frequency = 0, indicesControl = this.resolverElementosControl(elementos, frequency)) {
+        const elementosRama = this.obtenerElementosRama(elementos, frequency);
+        const m = elementosRama.length;
+        let D = math.zeros(m, m); // Matriz mxm inicializada en ceros
+        const omega = 2 * Math.PI * frequency; // Frecuencia angular (rad/s)
+
+        for (let h = 0; h < m; h++) {
+            const elemento = elementosRama[h];
+            if (elemento.tipo === 'H') {
+                const k = indicesControl.get(elemento.nombre);
+                D = MatrixBuilder.sumarElemento(D, h, k, -elemento.valor);
+            }
+
+            // Autoinductancia del inductor acoplado: -jωL
+            if (elemento.tipo === 'L' && frequency !== 0) {
+                D = MatrixBuilder.sumarElemento(D, h, h, math.complex(0, -omega * elemento.valor));
+            }
+        }
+
+        // Inductancia mutua de cada acoplamiento: -jωM en ambas ramas
+        if (frequency !== 0) {
+            for (const {coeficiente, indice1, indice2} of this.resolverAcoplamientos(elementos, frequency)) {
+                const L1 = elementosRama[indice1].valor;
+                const L2 = elementosRama[indice2].valor;
+                const reactanciaMutua = math.complex(0, -omega * coeficiente * Math.sqrt(L1 * L2));
+
+                D = MatrixBuilder.sumarElemento(D, indice1, indice2, reactanciaMutua);
+                D = MatrixBuilder.sumarElemento(D, indice2, indice1, reactanciaMutua);
+            }
+        }
+
+        return D;
     },
 
     /**
@@ -279,13 +509,17 @@ const MNACore = {
      * - Corriente POSITIVA si la fuente INYECTA corriente en el nodo (terminal positivo)
      * - Corriente NEGATIVA si la fuente EXTRAE corriente del nodo (terminal negativo)
      * - Convención: corriente positiva entra por el terminal positivo (nodo1)
+     * - En AC la corriente es el fasor I = valor∠fase (ver obtenerFasorFuente)
+     * - En el transitorio es el valor de su forma de onda en el instante t
      *
      * @param {Array} elementos - Lista de elementos del circuito
      * @param {number} numNodes - Número total de nodos (incluyendo tierra)
      * @param {number} groundNode - Índice del nodo de tierra
+     * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
+     * @param {number|null} tiempo - Instante del transitorio en s (null fuera del transitorio)
      * @returns {Array} Vector i (nx1) usando math.js
      */
-    construirVectorI(elementos, numNodes, groundNode) {
+    construirVectorI(elementos, numNodes, groundNode, frequency = 0, tiempo = null) {
         const n = numNodes - 1; // Número de nodos sin tierra
         let i = math.zeros(n, 1); // Vector columna inicializado en ceros
 
@@ -296,7 +530,7 @@ const MNACore = {
         for (const fuente of fuentesCorriente) {
             const nodoPositivo = fuente.nodoPositivo; // Terminal por donde entra la corriente
             const nodoNegativo = fuente.nodoNegativo; // Terminal por donde sale la corriente
-            const corriente = fuente.valor;
+            const corriente = this.obtenerFasorFuente(fuente, frequency, tiempo);
 
             // Convertir nodos a índices
             // IMPORTANTE: retorna -1 si el nodo es groundNode
@@ -326,28 +560,35 @@ const MNACore = {
      * Construye el vector e de voltajes conocidos de dimensión mx1.
      *
      * REGLAS DEL ALGORITMO MNA:
-     * - e[j] = voltaje de la fuente de voltaje j
+     * - e[j] = voltaje de la fuente de voltaje j (en AC, el fasor valor∠fase;
+     *   en el transitorio, el valor de su forma de onda en el instante t)
+     * - Las fuentes controladas (E, H), los amplificadores, transformadores e inductores
+     *   tienen e[j] = 0: su ecuación de rama es homogénea
      * - El orden de las fuentes debe coincidir con el orden en la matriz B
      * - Voltaje positivo significa que el terminal positivo tiene mayor potencial
      *
      * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
+     * @param {number|null} tiempo - Instante del transitorio en s (null fuera del transitorio)
      * @returns {Array} Vector e (mx1) usando math.js
      */
-    construirVectorE(elementos) {
-        // Filtrar solo fuentes de voltaje
-        const fuentesVoltaje = elementos.filter(e => e.tipo === 'V');
-        const m = fuentesVoltaje.length;
+    construirVectorE(elementos, frequency = 0, tiempo = null) {
+        // Elementos con corriente de rama (mismo orden que en B)
+        const elementosRama = this.obtenerElementosRama(elementos, frequency);
+        const m = elementosRama.length;
 
-        // Si no hay fuentes de voltaje, retornar vector vacío
+        // Si no hay corrientes de rama, retornar vector vacío
         if (m === 0) {
             return math.zeros(0, 1);
         }
 
         let e = math.zeros(m, 1); // Vector columna
 
-        // Llenar el vector con los valores de las fuentes
+        // Llenar el vector con los valores de las fuentes independientes
         for (let j = 0; j < m; j++) {
-            e = e.subset(math.index(j, 0), fuentesVoltaje[j].valor);
+            if (elementosRama[j].tipo === 'V') {
+                e = e.subset(math.index(j, 0), this.obtenerFasorFuente(elementosRama[j], frequency, tiempo));
+            }
         }
 
         return e;
@@ -389,7 +630,7 @@ const MNACore = {
      * - Complejidad: O(n³) para la descomposición, O(n²) para la sustitución
      *
      * MANEJO DE ERRORES:
-     * - Matriz singular (det(A) = 0): indica que el circuito está mal definido
+     * - Matriz singular (|det(A)| ≈ 0 respecto a la escala de A): indica que el circuito está mal definido
      *   Causas comunes:
      *   * Nodos flotantes (sin conexión a tierra)
      *   * Lazos de fuentes de voltaje
@@ -398,7 +639,9 @@ const MNACore = {
      *
      * @param {Array} A - Matriz de coeficientes ((n+m)x(n+m))
      * @param {Array} z - Vector de términos conocidos ((n+m)x1)
-     * @returns {Array} Vector x de soluciones ((n+m)x1)
+     * @returns {Object} {x: vector de soluciones ((n+m)x1), lu: factorización {L, U, p}
+     *          de math.lup(A), reutilizable para otros términos independientes y para
+     *          el sistema adjunto (ver resolverAdjunto)}
      * @throws {Error} Si la matriz es singular o el sistema no tiene solución
      */
     resolverSistema(A, z) {
@@ -415,12 +658,21 @@ const MNACore = {
                 throw new Error(`Dimensiones incompatibles: A es ${sizeA[0]}x${sizeA[1]}, z es ${sizeZ[0]}x${sizeZ[1]}`);
             }
 
-            // Verificar que la matriz no es singular calculando su determinante
+            // Verificar que la matriz no es singular con su número de condición
+            // cond₁(A) = ‖A‖₁·‖A⁻¹‖₁: a diferencia del determinante no depende de la escala
+            // de los valores, así que resistencias muy grandes (p. ej. Roff de un interruptor
+            // abierto) o conductancias muy grandes (uniones PN linealizadas) no se confunden
+            // con una matriz singular
             // Nota: Para matrices grandes, esto puede ser costoso, pero es necesario para validación
-            const det = math.det(A);
+            let condicion;
+            try {
+                condicion = math.norm(A, 1) * math.norm(math.inv(A), 1);
+            } catch (errorInversa) {
+                condicion = Infinity;
+            }
 
-            if (math.abs(det) < 1e-10) {
-                // Determinante muy pequeño o cero: matriz singular
+            if (!(condicion < this.CONDICION_MAXIMA)) {
+                // Número de condición enorme: matriz singular (det ≈ 0)
                 throw new Error(
                     'Matriz singular detectada (det ≈ 0). ' +
                     'Posibles causas:\n' +
@@ -433,14 +685,15 @@ const MNACore = {
 
             // Resolver el sistema usando descomposición LU
             // lusolve retorna un array de soluciones
-            const x = math.lusolve(A, z);
+            const lu = math.lup(A);
+            const x = math.lusolve(lu, z);
 
             // Verificar que se obtuvo una solución válida
             if (!x || x.length === 0) {
                 throw new Error('No se pudo obtener solución del sistema');
             }
 
-            return x;
+            return { x, lu };
 
         } catch (error) {
             // Capturar errores de math.js y proporcionar mensajes más descriptivos
@@ -461,6 +714,28 @@ const MNACore = {
         }
     },
 
+    /**
+     * 9b. RESOLVER EL SISTEMA ADJUNTO Aᵀx̂ = c
+     *
+     * Reutiliza la factorización de resolverSistema (P·A = L·U) sin volver a factorizar:
+     *   Aᵀ = Uᵀ·Lᵀ·P  →  Uᵀ·w = c (sustitución hacia adelante), Lᵀ·u = w (hacia atrás)
+     * y x̂ se obtiene deshaciendo la permutación. La transpuesta no se conjuga: en AC
+     * el sistema adjunto usa Aᵀ, no la transpuesta conjugada.
+     *
+     * Con x̂ la derivada de cualquier salida cᵀx respecto a un parámetro p es
+     *   ∂(cᵀx)/∂p = x̂ᵀ·(∂z/∂p − ∂A/∂p·x)
+     * una sola solución adjunta por salida, para todos los parámetros.
+     *
+     * @param {Object} lu - Factorización {L, U, p} de resolverSistema (matrices.LU)
+     * @param {Array} c - Vector de la salida ((n+m)x1)
+     * @returns {Array} x̂ como arreglo ((n+m) números o Complex)
+     */
+    resolverAdjunto(lu, c) {
+        const w = math.lsolve(math.transpose(lu.U), c);
+        const u = math.usolve(math.transpose(lu.L), w);
+        return lu.p.map(fila => u.get([fila, 0]));
+    },
+
     /**
      * 10. MÉTODO PRINCIPAL: analizarCircuito
      *
@@ -478,20 +753,41 @@ const MNACore = {
      * 8. Retornar voltajes de nodos y corrientes de fuentes
      *
      * @param {Array} elementos - Lista de elementos del circuito
-     *        Cada elemento debe tener: {tipo, nombre, nodo1, nodo2, valor}
+     *        Cada elemento debe tener: {tipo, nombre, nodoPositivo, nodoNegativo, valor}
+     *        Las fuentes V e I pueden tener {fase} en grados (solo se usa en AC)
+     *        y {formaOnda} (solo se usa en el transitorio, ver Waveforms)
+     *        Las fuentes E y G además tienen {nodoControlPositivo, nodoControlNegativo}
+     *        Las fuentes F y H además tienen {elementoControl} (nombre de una fuente V)
+     *        Los amplificadores operacionales (OA) usan nodoPositivo/nodoNegativo como
+     *        entradas no inversora/inversora y además tienen {nodoSalida}
+     *        Los acoplamientos (K) no tienen nodos: {inductor1, inductor2, valor = k}
+     *        Los transformadores ideales (T) usan nodoPositivo/nodoNegativo como primario,
+     *        además tienen {nodoSecundarioPositivo, nodoSecundarioNegativo} y valor = n
+     *        Los interruptores (S) no tienen valor: {resistenciaOn, resistenciaOff,
+     *        tiempoConmutacion, estadoInicial ('abierto' | 'cerrado')}
+     *        Los diodos (D) y transistores (Q, M) no tienen valor: sus parámetros y
+     *        terminales se describen en DeviceModels; con ellos el análisis es no lineal
+     *        (analizarNoLineal) y las fuentes V e I pueden tener {valorAC} (pequeña señal)
      * @param {number} numNodes - Número total de nodos (incluyendo tierra)
      * @param {number} groundNode - Índice del nodo de tierra
      * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
+     * @param {number|null} tiempo - Instante del transitorio en s: las fuentes toman el
+     *        valor de su forma de onda y los interruptores el estado de ese instante
+     *        (con frequency = 0). null fuera del transitorio (interruptores en su estado inicial)
+     * @param {Object|null} estimacion - {nodo: voltaje} punto de partida de Newton-Raphson
+     *        (solo con dispositivos no lineales; null = todos los nodos en 0 V)
      * @returns {Object} Resultados del análisis:
      *          {
      *            exito: boolean,
      *            voltajes: {nodo: voltaje},
-     *            corrientes: {nombreFuente: corriente},
-     *            matrices: {A, x, z, G, B, C, D} (para depuración)
+     *            corrientes: {nombreElemento: corriente} (fuentes V/E/H, salidas de
+     *                        amp. op., primarios de transformadores e inductores en DC o acoplados),
+     *            matrices: {A, x, z, G, B, C, D} (para depuración) y LU (factorización
+     *                      de A, ver resolverSistema)
      *          }
      * @throws {Error} Si el circuito no puede ser resuelto
      */
-    analizarCircuito(elementos, numNodes, groundNode, frequency = 0) {
+    analizarCircuito(elementos, numNodes, groundNode, frequency = 0, tiempo = null, estimacion = null) {
         try {
             // ==================== PASO 1: VALIDACIÓN Y PREPARACIÓN ====================
 
@@ -500,6 +796,11 @@ const MNACore = {
                 throw new Error('No hay elementos en el circuito');
             }
 
+            // Circuito no lineal: Newton-Raphson sobre el circuito linealizado
+            if (elementos.some(e => DeviceModels.esNoLineal(e))) {
+                return this.analizarNoLineal(elementos, numNodes, groundNode, frequency, tiempo, estimacion);
+            }
+
             if (numNodes < 2) {
                 throw new Error('El circuito debe tener al menos 2 nodos (incluyendo tierra)');
             }
@@ -518,9 +819,15 @@ const MNACore = {
             const resistores = elementos.filter(e => e.tipo === 'R');
             const capacitores = elementos.filter(e => e.tipo === 'C');
             const inductores = elementos.filter(e => e.tipo === 'L');
+            const fuentesDependientes = elementos.filter(e => ['E', 'G', 'F', 'H'].includes(e.tipo));
+            const amplificadores = elementos.filter(e => e.tipo === 'OA');
+            const acoplamientos = elementos.filter(e => e.tipo === 'K');
+            const transformadores = elementos.filter(e => e.tipo === 'T');
+            const interruptores = elementos.filter(e => e.tipo === 'S');
+            const elementosRama = this.obtenerElementosRama(elementos, frequency);
 
             const n = numNodes - 1; // Número de nodos sin tierra
-            const m = fuentesVoltaje.length; // Número de fuentes de voltaje
+            const m = elementosRama.length; // Número de corrientes de rama
 
             // Validar que hay al menos un camino a tierra
             const nodosConectados = new Set([groundNode]);
@@ -542,44 +849,51 @@ const MNACore = {
                 console.warn('Advertencia: Algunos nodos no están conectados a tierra');
             }
 
+            // Resolver la fuente de voltaje que controla a cada fuente F/H
+            // (índice de su corriente de rama en los bloques B/C/D)
+            const indicesControl = this.resolverElementosControl(elementos, frequency);
+
+            // Verificar que cada acoplamiento K referencia dos inductores existentes
+            this.resolverAcoplamientos(elementos, frequency);
+
             // ==================== PASO 2: CONSTRUCCIÓN DE MATRICES ====================
 
             // Construir matriz G (conductancias)
-            const G = this.construirMatrizG(elementos, numNodes, groundNode, frequency);
+            const G = this.construirMatrizG(elementos, numNodes, groundNode, frequency, tiempo);
 
             // Construir vector i (corrientes conocidas)
-            const i = this.construirVectorI(elementos, numNodes, groundNode);
+            const i = this.construirVectorI(elementos, numNodes, groundNode, frequency, tiempo);
 
             // Declarar variables del sistema
-            let A, z, x;
+            let A, z, x, lu;
             let B = null, C = null, D = null, e = null;
 
-            // ==================== PASO 3: CONSTRUCCIÓN CONDICIONAL SEGÚN FUENTES DE VOLTAJE ====================
+            // ==================== PASO 3: CONSTRUCCIÓN CONDICIONAL SEGÚN CORRIENTES DE RAMA ====================
 
             if (m === 0) {
                 // CASO 1: SIN fuentes de voltaje (m = 0)
                 // Sistema simplificado: Gv = i (solo ecuaciones de nodos)
                 A = G;
                 z = i;
-                x = this.resolverSistema(A, z);
+                ({ x, lu } = this.resolverSistema(A, z));
             } else {
-                // CASO 2: CON fuentes de voltaje (m > 0)
+                // CASO 2: CON fuentes de voltaje independientes o controladas (m > 0)
                 // Sistema completo MNA con matrices ampliadas
 
                 // Construir matriz B (incidencia de fuentes de voltaje)
-                B = this.construirMatrizB(elementos, numNodes, groundNode);
+                B = this.construirMatrizB(elementos, numNodes, groundNode, frequency, indicesControl);
 
-                // Construir matriz C (transpuesta de B)
-                C = this.construirMatrizC(B);
+                // Construir matriz C (incidencia + términos de control de fuentes E)
+                C = this.construirMatrizC(elementos, numNodes, groundNode, frequency);
 
-                // Construir matriz D (ceros para fuentes independientes)
-                D = this.construirMatrizD(m);
+                // Construir matriz D (coeficientes de corrientes de rama)
+                D = this.construirMatrizD(elementos, frequency, indicesControl);
 
                 // Ensamblar matriz A completa
                 A = this.ensamblarMatrizA(G, B, C, D);
 
                 // Construir vector e (voltajes conocidos)
-                e = this.construirVectorE(elementos);
+                e = this.construirVectorE(elementos, frequency, tiempo);
 
                 // Ensamblar vector z completo
                 z = this.ensamblarVectorZ(i, e);
@@ -587,7 +901,7 @@ const MNACore = {
                 // ==================== PASO 4: RESOLUCIÓN DEL SISTEMA ====================
 
                 // Resolver Ax = z
-                x = this.resolverSistema(A, z);
+                ({ x, lu } = this.resolverSistema(A, z));
             }
 
             // ==================== PASO 5: EXTRACCIÓN DE RESULTADOS ====================
@@ -611,13 +925,22 @@ const MNACore = {
             // El nodo de tierra siempre tiene voltaje 0
             voltajes[groundNode] = 0;
 
-            // Extraer corrientes de fuentes de voltaje
+            // Extraer corrientes de fuentes de voltaje (independientes y controladas)
             // NOTA: Invertimos el signo porque en MNA la corriente positiva es la que SALE de la fuente
             // pero queremos mostrar la corriente que la fuente SUMINISTRA al circuito
+            // (en un amplificador operacional: la corriente que su salida entrega al circuito)
+            // Los inductores (en DC o acoplados) y transformadores son pasivos: se reporta la
+            // corriente que entra por su terminal positivo (primario en el transformador), sin invertir
             if (m > 0) {
                 for (let j = 0; j < m; j++) {
-                    const fuente = fuentesVoltaje[j];
+                    const fuente = elementosRama[j];
                     const corrienteRaw = x.get([n + j, 0]);
+
+                    if (fuente.tipo === 'L' || fuente.tipo === 'T') {
+                        corrientes[fuente.nombre] = corrienteRaw;
+                        continue;
+                    }
+
                     // Invertir signo: corriente positiva = fuente suministra corriente
                     corrientes[fuente.nombre] = typeof corrienteRaw === 'number'
                         ? -corrienteRaw
@@ -638,16 +961,32 @@ const MNACore = {
                     G: G,
                     B: B,
                     C: C,
-                    D: D
+                    D: D,
+                    LU: lu
                 },
                 info: {
                     numNodos: numNodes,
                     numNodosSinTierra: n,
-                    numFuentesVoltaje: m,
+                    numFuentesVoltaje: fuentesVoltaje.length,
+                    numFuentesDependientes: fuentesDependientes.length,
+                    numAmplificadores: amplificadores.length,
+                    numAcoplamientos: acoplamientos.length,
+                    numTransformadores: transformadores.length,
+                    numInterruptores: interruptores.length,
+                    fasoresFuentes: fuentesVoltaje.concat(fuentesCorriente).map(f => ({
+                        nombre: f.nombre,
+                        tipo: f.tipo,
+                        magnitud: f.valor,
+                        fase: frequency === 0 ? 0 : (f.fase || 0),
+                        fasor: this.obtenerFasorFuente(f, frequency)
+                    })),
+                    numCorrientesRama: m,
+                    incognitasRama: elementosRama.map(e => ({ nombre: e.nombre, tipo: e.tipo })),
                     numFuentesCorriente: fuentesCorriente.length,
                     numResistores: resistores.length,
                     numCapacitores: capacitores.length,
                     numInductores: inductores.length,
+                    groundNode: groundNode,
                     frequency: frequency,
                     tipoAnalisis: frequency === 0 ? 'DC' : 'AC',
                     determinante: math.det(A)
@@ -661,11 +1000,620 @@ const MNACore = {
                 error: error.message,
                 voltajes: {},
                 corrientes: {},
-                matrices: null
+                matrices: null,
+                // Nodos que no convergieron (circuitos no lineales, ver resolverPuntoOperacion)
+                diagnostico: error.diagnostico || null
             };
         }
     },
 
+    /**
+     * 10b. ANÁLISIS NO LINEAL (Newton-Raphson y pequeña señal)
+     *
+     * FLUJO:
+     * 1. Expandir los nodos internos (resistencia serie de los diodos)
+     * 2. Punto de operación DC con Newton-Raphson y, si no converge, con las
+     *    ayudas a la convergencia (resolverPuntoOperacion)
+     * 3. En DC (frequency = 0) el resultado es el de la última iteración
+     * 4. En AC cada dispositivo se sustituye por su modelo de pequeña señal en el
+     *    punto de operación (conductancias y transconductancias, sin fuentes Ieq) y
+     *    las fuentes independientes toman su amplitud de pequeña señal (valorAC, 0 si
+     *    no tiene): su valor es la polarización DC
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
+     * @param {number|null} tiempo - Instante del transitorio (ver analizarCircuito)
+     * @param {Object|null} estimacion - {nodo: voltaje} punto de partida
+     * @returns {Object} Resultado de analizarCircuito (última iteración en DC, circuito
+     *          de pequeña señal en AC), con la corriente principal de cada dispositivo
+     *          (diodo, colector o drenador, entrando por el terminal +) y además:
+     *          info.newton: {iteraciones, residuo (A), cambioMaximo (V)}
+     *          info.convergencia: {estrategia, intentos} (ver resolverPuntoOperacion)
+     *          info.dispositivos: {nombre: estado} (región, voltajes, corrientes y
+     *                             parámetros de pequeña señal en el punto de operación)
+     *          info.puntoOperacion: {voltajes} (DC, sin nodos internos)
+     *          info.pequenaSenal: true en AC
+     *          info.nodosInternos: [{nodo, elemento}]
+     *          info.ramasDispositivos: {nombre: [{desde, hacia, corriente}]} todas las ramas
+     *                             de cada dispositivo (nodos internos sustituidos por el
+     *                             terminal externo; en AC, corrientes de pequeña señal)
+     * @throws {Error} Si ninguna estrategia converge (con error.diagnostico, ver resolverPuntoOperacion)
+     */
+    analizarNoLineal(elementos, numNodes, groundNode, frequency, tiempo, estimacion) {
+        const expansion = DeviceModels.expandirNodosInternos(elementos, numNodes);
+        const op = this.resolverPuntoOperacion(expansion, groundNode, tiempo, estimacion);
+
+        let resultado = op.resultado;
+        let modelos = op.modelos;
+        const corrientesDispositivos = {};
+
+        if (frequency === 0) {
+            for (const nombre in op.modelos) {
+                corrientesDispositivos[nombre] = op.modelos[nombre].ramas[0].corriente;
+            }
+        } else {
+            const pequenaSenal = DeviceModels.linealizarCircuito(expansion.elementos, op.voltajes, false);
+            modelos = pequenaSenal.modelos;
+            const circuitoAC = pequenaSenal.elementos.map(e =>
+                e.tipo === 'V' || e.tipo === 'I' ? { ...e, valor: e.valorAC || 0 } : e
+            );
+
+            resultado = this.analizarCircuito(circuitoAC, expansion.numNodes, groundNode, frequency);
+            if (!resultado.exito) {
+                throw new Error(`Circuito de pequeña señal: ${resultado.error}`);
+            }
+
+            for (const nombre in modelos) {
+                corrientesDispositivos[nombre] =
+                    DeviceModels.corrienteLineal(modelos[nombre].ramas[0], resultado.voltajes, false);
+            }
+        }
+
+        // Ramas de cada dispositivo vistas desde sus terminales externos (la resistencia
+        // serie del diodo conduce la misma corriente que la unión)
+        const externos = {};
+        expansion.nodosInternos.forEach(({ nodo, elemento }) => {
+            externos[nodo] = elementos.find(e => e.nombre === elemento).nodoPositivo;
+        });
+        const ramasDispositivos = {};
+        for (const nombre in modelos) {
+            ramasDispositivos[nombre] = modelos[nombre].ramas.map(rama => ({
+                desde: externos[rama.desde] !== undefined ? externos[rama.desde] : rama.desde,
+                hacia: externos[rama.hacia] !== undefined ? externos[rama.hacia] : rama.hacia,
+                corriente: frequency === 0
+                    ? rama.corriente
+                    : DeviceModels.corrienteLineal(rama, resultado.voltajes, false)
+            }));
+        }
+
+        // Los nodos internos no se reportan como nodos del circuito
+        const voltajesOP = { ...op.voltajes };
+        expansion.nodosInternos.forEach(({ nodo }) => {
+            delete resultado.voltajes[nodo];
+            delete voltajesOP[nodo];
+        });
+
+        Object.assign(resultado.corrientes, corrientesDispositivos);
+
+        const estados = {};
+        for (const nombre in op.modelos) {
+            estados[nombre] = op.modelos[nombre].estado;
+        }
+
+        const dispositivos = expansion.elementos.filter(e => DeviceModels.esNoLineal(e));
+        resultado.info.numNodos = numNodes;
+        resultado.info.numDiodos = dispositivos.filter(d => d.tipo === 'D').length;
+        resultado.info.numTransistores = dispositivos.filter(d => d.tipo === 'Q' || d.tipo === 'M').length;
+        resultado.info.newton = op.newton;
+        resultado.info.convergencia = op.convergencia;
+        resultado.info.dispositivos = estados;
+        resultado.info.puntoOperacion = { voltajes: voltajesOP };
+        resultado.info.pequenaSenal = frequency !== 0;
+        resultado.info.nodosInternos = expansion.nodosInternos;
+        resultado.info.ramasDispositivos = ramasDispositivos;
+        return resultado;
+    },
+
+    /**
+     * 10c. PUNTO DE OPERACIÓN CON AYUDAS A LA CONVERGENCIA
+     *
+     * Newton-Raphson puro falla en circuitos con realimentación o etapas de mucha
+     * ganancia (la linealización inicial está muy lejos de la solución). Se prueban,
+     * en orden y hasta que una converge:
+     * 1. newton:      Newton-Raphson desde la estimación
+     * 2. amortiguado: Newton con el cambio por iteración de los voltajes de control de
+     *                 los dispositivos (uniones) limitado a PASO_MAXIMO_VOLTAJE, para
+     *                 no saltar lejos de la región donde la linealización es válida
+     * 3. gmin:        conductancia gmin de cada nodo a tierra, de GMIN_INICIAL a
+     *                 GMIN_FINAL (÷FACTOR_GMIN), cada paso desde la solución del anterior;
+     *                 al final se retira
+     * 4. fuentes:     rampa de las fuentes independientes de 0 al 100 % (paso adaptativo)
+     *
+     * @param {Object} expansion - Resultado de DeviceModels.expandirNodosInternos
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {number|null} tiempo - Instante del transitorio (ver analizarCircuito)
+     * @param {Object|null} estimacion - {nodo: voltaje} punto de partida
+     * @returns {Object} Resultado de resolverNewton con newton.iteraciones acumuladas en
+     *          la estrategia y convergencia: {estrategia, intentos: [{estrategia, exito,
+     *          iteraciones | error}]}
+     * @throws {Error} Si ninguna estrategia converge. error.diagnostico = {intentos,
+     *         nodos: [{nodo, elemento, voltaje, cambio, residuo}]} con los nodos que no
+     *         convergieron en el intento de Newton-Raphson (nodo interno: elemento ≠ null)
+     */
+    resolverPuntoOperacion(expansion, groundNode, tiempo, estimacion) {
+        const estrategias = {
+            newton: () => this.resolverNewton(expansion, groundNode, tiempo, estimacion),
+            amortiguado: () => this.resolverNewton(expansion, groundNode, tiempo, estimacion, { amortiguado: true }),
+            gmin: () => this.resolverPasosGmin(expansion, groundNode, tiempo, estimacion),
+            fuentes: () => this.resolverRampaFuentes(expansion, groundNode, tiempo)
+        };
+
+        const intentos = [];
+        let nodosSinConvergencia = [];
+
+        for (const estrategia in estrategias) {
+            try {
+                const op = estrategias[estrategia]();
+                intentos.push({ estrategia, exito: true, iteraciones: op.newton.iteraciones });
+                op.convergencia = { estrategia, intentos };
+                return op;
+            } catch (error) {
+                intentos.push({ estrategia, exito: false, error: error.message });
+                if (estrategia === 'newton' && error.nodos) {
+                    nodosSinConvergencia = error.nodos;
+                }
+            }
+        }
+
+        // Diagnóstico: nodos que no convergieron, del peor al mejor
+        const nodos = nodosSinConvergencia.map(diagnostico => {
+            const interno = expansion.nodosInternos.find(n => n.nodo === diagnostico.nodo);
+            return { ...diagnostico, elemento: interno ? interno.elemento : null };
+        });
+
+        const listado = nodos.slice(0, this.MAX_NODOS_DIAGNOSTICO).map(n =>
+            `${n.elemento ? `nodo interno de ${n.elemento}` : `nodo ${n.nodo}`} ` +
+            `(v = ${n.voltaje.toPrecision(4)} V, Δv = ${n.cambio.toExponential(2)} V, residuo ${n.residuo.toExponential(2)} A)`
+        ).join('; ');
+
+        const error = new Error(
+            'El punto de operación no convergió con ninguna estrategia (Newton-Raphson, Newton amortiguado, ' +
+            'gmin stepping y rampa de fuentes). ' +
+            (listado ? `Nodos sin convergencia: ${listado}. ` : '') +
+            `${intentos[0].error} ` +
+            'Revise los parámetros de los dispositivos no lineales y que el circuito tenga un punto de operación.'
+        );
+        error.diagnostico = { intentos, nodos };
+        throw error;
+    },
+
+    /**
+     * 10d. NEWTON-RAPHSON (punto de operación DC)
+     *
+     * 1. Partir de la estimación (o de 0 V en todos los nodos)
+     * 2. Linealizar cada dispositivo en la estimación actual (DeviceModels) y resolver
+     *    el circuito lineal resultante con analizarCircuito
+     * 3. Repetir hasta que, en todos los nodos y ramas de los dispositivos:
+     *    |Δv| ≤ TOLERANCIA_VOLTAJE + TOLERANCIA_RELATIVA·|v|
+     *    |i(v) − i_lineal(v)| ≤ TOLERANCIA_CORRIENTE + TOLERANCIA_RELATIVA·|i(v)|
+     *    (el residuo es el error de LCK que deja el modelo linealizado)
+     *
+     * @param {Object} expansion - Resultado de DeviceModels.expandirNodosInternos
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {number|null} tiempo - Instante del transitorio (ver analizarCircuito)
+     * @param {Object|null} estimacion - {nodo: voltaje} punto de partida
+     * @param {Object} opciones - {amortiguado (limita el cambio de los voltajes de control
+     *        de los dispositivos a PASO_MAXIMO_VOLTAJE),
+     *        gmin (S, conductancia de cada nodo a tierra), factorFuentes (0 a 1)}
+     * @returns {Object} {resultado (última iteración), voltajes (con nodos internos),
+     *                    modelos (DeviceModels.linealizarCircuito en la solución), newton}
+     * @throws {Error} Si una iteración no tiene solución o no converge. Al no converger,
+     *         error.nodos = [{nodo, voltaje, cambio, residuo}] de los nodos fuera de tolerancia
+     */
+    resolverNewton(expansion, groundNode, tiempo, estimacion, opciones = {}) {
+        const { amortiguado = false, gmin = 0, factorFuentes = 1 } = opciones;
+        const circuito = this.aplicarAyudasConvergencia(expansion, groundNode, tiempo, gmin, factorFuentes);
+
+        let voltajes = {};
+        for (let nodo = 0; nodo < expansion.numNodes; nodo++) {
+            const inicial = estimacion && estimacion[nodo] !== undefined ? math.re(estimacion[nodo]) : 0;
+            voltajes[nodo] = nodo === groundNode ? 0 : inicial;
+        }
+
+        let residuo = Infinity;
+        let cambioMaximo = Infinity;
+        let sinConvergencia = [];
+
+        for (let iteracion = 1; iteracion <= this.MAX_ITERACIONES_NEWTON; iteracion++) {
+            const { elementos: lineal, modelos } = DeviceModels.linealizarCircuito(circuito, voltajes);
+            const resultado = this.analizarCircuito(lineal, expansion.numNodes, groundNode, 0, tiempo);
+
+            if (!resultado.exito) {
+                throw new Error(`Newton-Raphson, iteración ${iteracion}: ${resultado.error}`);
+            }
+
+            // Actualización amortiguada: el mayor salto de un voltaje de control fija un
+            // factor común a todos los nodos (se conserva la dirección de Newton)
+            let factor = 1;
+            if (amortiguado) {
+                const delta = nodo => math.re(resultado.voltajes[nodo]) - voltajes[nodo];
+                let salto = 0;
+                for (const nombre in modelos) {
+                    modelos[nombre].ramas.forEach(rama => rama.derivadas.forEach(derivada => {
+                        salto = Math.max(salto, Math.abs(delta(derivada.nodoPositivo) - delta(derivada.nodoNegativo)));
+                    }));
+                }
+                factor = Math.min(1, this.PASO_MAXIMO_VOLTAJE / salto);
+            }
+
+            const nuevos = {};
+            const cambios = {};
+            cambioMaximo = 0;
+
+            for (let nodo = 0; nodo < expansion.numNodes; nodo++) {
+                nuevos[nodo] = voltajes[nodo] + factor * (math.re(resultado.voltajes[nodo]) - voltajes[nodo]);
+                cambios[nodo] = Math.abs(nuevos[nodo] - voltajes[nodo]);
+                cambioMaximo = Math.max(cambioMaximo, cambios[nodo]);
+            }
+
+            // Residuo: corriente de cada rama frente a la de su modelo linealizado,
+            // atribuido a los dos nodos de la rama
+            const { modelos: modelosNuevos } = DeviceModels.linealizarCircuito(circuito, nuevos);
+            const residuos = {};
+            residuo = 0;
+
+            for (const nombre in modelos) {
+                modelos[nombre].ramas.forEach((rama, r) => {
+                    const corriente = modelosNuevos[nombre].ramas[r].corriente;
+                    const error = Math.abs(corriente - DeviceModels.corrienteLineal(rama, nuevos));
+                    const excede = error > this.TOLERANCIA_CORRIENTE + this.TOLERANCIA_RELATIVA * Math.abs(corriente);
+
+                    residuo = Math.max(residuo, error);
+                    [rama.desde, rama.hacia].forEach(nodo => {
+                        if (excede) residuos[nodo] = Math.max(residuos[nodo] || 0, error);
+                    });
+                });
+            }
+
+            sinConvergencia = [];
+            for (let nodo = 0; nodo < expansion.numNodes; nodo++) {
+                if (nodo === groundNode) continue;
+                const excedeVoltaje = cambios[nodo] >
+                    this.TOLERANCIA_VOLTAJE + this.TOLERANCIA_RELATIVA * Math.abs(nuevos[nodo]);
+
+                if (excedeVoltaje || residuos[nodo] !== undefined) {
+                    sinConvergencia.push({
+                        nodo: nodo,
+                        voltaje: nuevos[nodo],
+                        cambio: cambios[nodo],
+                        residuo: residuos[nodo] || 0
+                    });
+                }
+            }
+
+            voltajes = nuevos;
+
+            if (sinConvergencia.length === 0) {
+                return {
+                    resultado: resultado,
+                    voltajes: voltajes,
+                    modelos: modelosNuevos,
+                    newton: { iteraciones: iteracion, residuo, cambioMaximo }
+                };
+            }
+        }
+
+        const error = new Error(
+            `Newton-Raphson no convergió en ${this.MAX_ITERACIONES_NEWTON} iteraciones ` +
+            `(residuo final ${residuo.toExponential(3)} A, último cambio de voltaje ${cambioMaximo.toExponential(3)} V).`
+        );
+        error.nodos = sinConvergencia.sort((a, b) => b.cambio - a.cambio || b.residuo - a.residuo);
+        throw error;
+    },
+
+    /**
+     * 10e. GMIN STEPPING
+     *
+     * Cada nodo se une a tierra con una conductancia gmin que vuelve al circuito casi
+     * lineal; gmin se reduce gradualmente y cada paso parte de la solución del anterior.
+     *
+     * @returns {Object} Resultado de resolverNewton sin gmin, con las iteraciones de todos los pasos
+     * @throws {Error} Si algún paso no converge
+     */
+    resolverPasosGmin(expansion, groundNode, tiempo, estimacion) {
+        let voltajes = estimacion;
+        let iteraciones = 0;
+
+        for (let gmin = this.GMIN_INICIAL; gmin >= this.GMIN_FINAL; gmin /= this.FACTOR_GMIN) {
+            try {
+                const paso = this.resolverNewton(expansion, groundNode, tiempo, voltajes, { amortiguado: true, gmin });
+                voltajes = paso.voltajes;
+                iteraciones += paso.newton.iteraciones;
+            } catch (error) {
+                throw new Error(`gmin = ${gmin.toExponential(0)} S: ${error.message}`);
+            }
+        }
+
+        const op = this.resolverNewton(expansion, groundNode, tiempo, voltajes, { amortiguado: true });
+        op.newton.iteraciones += iteraciones;
+        return op;
+    },
+
+    /**
+     * 10f. RAMPA DE FUENTES (source stepping)
+     *
+     * Las fuentes independientes crecen de 0 (solución trivial) a su valor: cada
+     * fracción parte de la solución de la anterior. El paso se duplica tras cada
+     * éxito y se reduce a la mitad tras cada fallo, hasta PASO_MINIMO_FUENTES.
+     *
+     * @returns {Object} Resultado de resolverNewton al 100 %, con las iteraciones de todos los pasos
+     * @throws {Error} Si el paso se vuelve menor que PASO_MINIMO_FUENTES
+     */
+    resolverRampaFuentes(expansion, groundNode, tiempo) {
+        let factor = 0;
+        let paso = this.PASO_INICIAL_FUENTES;
+        let voltajes = null;
+        let iteraciones = 0;
+        let op = null;
+
+        while (factor < 1) {
+            const siguiente = Math.min(1, factor + paso);
+
+            try {
+                op = this.resolverNewton(expansion, groundNode, tiempo, voltajes, {
+                    amortiguado: true,
+                    factorFuentes: siguiente
+                });
+            } catch (error) {
+                paso /= 2;
+                if (paso < this.PASO_MINIMO_FUENTES) {
+                    throw new Error(`Fuentes al ${(factor * 100).toFixed(1)} %: ${error.message}`);
+                }
+                continue;
+            }
+
+            factor = siguiente;
+            voltajes = op.voltajes;
+            iteraciones += op.newton.iteraciones;
+            paso *= 2;
+        }
+
+        op.newton.iteraciones = iteraciones;
+        return op;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Circuito con las ayudas a la convergencia aplicadas
+     * - gmin > 0: resistor 1/gmin de cada nodo a tierra (`gmin_<nodo>`)
+     * - factorFuentes < 1: fuentes V e I independientes escaladas (en el transitorio
+     *   se escala su valor en el instante, que sustituye a la forma de onda)
+     * @returns {Array} Elementos (los de la expansión si no hay ayudas)
+     */
+    aplicarAyudasConvergencia(expansion, groundNode, tiempo, gmin, factorFuentes) {
+        let circuito = expansion.elementos;
+
+        if (factorFuentes !== 1) {
+            circuito = circuito.map(elem => {
+                if (elem.tipo !== 'V' && elem.tipo !== 'I') return elem;
+
+                const fuente = { ...elem, valor: factorFuentes * this.obtenerFasorFuente(elem, 0, tiempo) };
+                delete fuente.formaOnda;
+                return fuente;
+            });
+        }
+
+        if (gmin > 0) {
+            circuito = circuito.slice();
+            for (let nodo = 0; nodo < expansion.numNodes; nodo++) {
+                if (nodo === groundNode) continue;
+                circuito.push({
+                    tipo: 'R',
+                    nombre: `gmin_${nodo}`,
+                    nodoPositivo: nodo,
+                    nodoNegativo: groundNode,
+                    valor: 1 / gmin
+                });
+            }
+        }
+
+        return circuito;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: obtenerElementosRama
+     *
+     * Devuelve, en el orden en que fueron ingresados, los elementos que agregan
+     * una corriente de rama como incógnita al sistema (columnas de B, filas de C).
+     *
+     * ELEMENTOS CON CORRIENTE DE RAMA:
+     * - V: fuente de voltaje independiente
+     * - E: fuente de voltaje controlada por voltaje (VCVS)
+     * - H: fuente de voltaje controlada por corriente (CCVS)
+     * - OA: amplificador operacional ideal (su incógnita es la corriente de salida)
+     * - T: transformador ideal (su incógnita es la corriente del primario)
+     * - L: todos los inductores en DC (ramas de 0V, en lugar de una conductancia
+     *   infinita que arruinaría el condicionamiento de A) y, en AC, solo los
+     *   inductores referenciados por un acoplamiento K
+     *
+     * Este orden define el orden de las incógnitas j en x y de las filas de e en z.
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
+     * @returns {Array} Elementos con corriente de rama
+     */
+    obtenerElementosRama(elementos, frequency = 0) {
+        const inductoresAcoplados = this.obtenerInductoresAcoplados(elementos);
+        return elementos.filter(e =>
+            ['V', 'E', 'H', 'OA', 'T'].includes(e.tipo) ||
+            (e.tipo === 'L' && (frequency === 0 || inductoresAcoplados.has(e.nombre.toUpperCase())))
+        );
+    },
+
+    /**
+     * MÉTODO AUXILIAR: obtenerResistenciaInterruptor
+     *
+     * Resistencia de un interruptor controlado por tiempo. Antes del instante de
+     * conmutación (y en los análisis que no son transitorios) el interruptor está en
+     * su estado inicial; desde tiempoConmutacion en adelante, en el estado contrario.
+     *
+     * @param {Object} interruptor - {resistenciaOn, resistenciaOff, tiempoConmutacion, estadoInicial}
+     * @param {number|null} tiempo - Instante del transitorio en s (null fuera del transitorio)
+     * @returns {number} Ron si está cerrado, Roff si está abierto
+     */
+    obtenerResistenciaInterruptor(interruptor, tiempo = null) {
+        let cerrado = interruptor.estadoInicial === 'cerrado';
+
+        if (tiempo !== null && tiempo >= interruptor.tiempoConmutacion) {
+            cerrado = !cerrado;
+        }
+
+        return cerrado ? interruptor.resistenciaOn : interruptor.resistenciaOff;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: obtenerFasorFuente
+     *
+     * Devuelve el valor que una fuente independiente (V o I) aporta al vector z.
+     *
+     * - AC: fasor valor∠fase = valor·(cos θ + j·sen θ), con la fase en grados.
+     *   Permite modelar fuentes desfasadas (p. ej. sistemas trifásicos a 0°, -120°, 120°)
+     * - DC: la fase no tiene sentido y se ignora (se usa el valor real)
+     * - Transitorio (tiempo ≠ null): valor instantáneo de la forma de onda
+     *   (Waveforms.evaluar); sin forma de onda, la fuente es constante
+     *
+     * Si la fase es cero se devuelve el número real, para no introducir
+     * complejos innecesarios en el sistema.
+     *
+     * @param {Object} fuente - Fuente independiente {valor, fase, formaOnda}
+     * @param {number} frequency - Frecuencia de análisis en Hz (0 para DC)
+     * @param {number|null} tiempo - Instante del transitorio en s (null fuera del transitorio)
+     * @returns {number|Complex} Valor o fasor de la fuente
+     */
+    obtenerFasorFuente(fuente, frequency = 0, tiempo = null) {
+        if (tiempo !== null) {
+            return Waveforms.evaluar(fuente, tiempo);
+        }
+
+        const fase = fuente.fase || 0;
+
+        if (frequency === 0 || fase === 0) {
+            return fuente.valor;
+        }
+
+        const theta = fase * Math.PI / 180; // Grados a radianes
+        return math.complex(fuente.valor * Math.cos(theta), fuente.valor * Math.sin(theta));
+    },
+
+    /**
+     * MÉTODO AUXILIAR: obtenerInductoresAcoplados
+     *
+     * Devuelve los nombres (en mayúsculas) de los inductores referenciados por algún
+     * acoplamiento K. Estos inductores dejan de estamparse como admitancia en G y
+     * pasan a tener su propia corriente de rama.
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @returns {Set} Nombres de los inductores acoplados
+     */
+    obtenerInductoresAcoplados(elementos) {
+        const nombres = new Set();
+
+        for (const elemento of elementos) {
+            if (elemento.tipo !== 'K') continue;
+            nombres.add(String(elemento.inductor1 || '').toUpperCase());
+            nombres.add(String(elemento.inductor2 || '').toUpperCase());
+        }
+
+        return nombres;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: resolverAcoplamientos
+     *
+     * Resuelve, para cada acoplamiento K, los índices de rama de sus dos inductores.
+     * La inductancia mutua es positiva cuando ambas corrientes entran por el terminal
+     * positivo (convención de puntos); un coeficiente k negativo invierte la polaridad.
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} frequency - Frecuencia de análisis en Hz (define qué inductores son ramas)
+     * @returns {Array} [{nombre, coeficiente, indice1, indice2}] por cada acoplamiento
+     * @throws {Error} Si algún inductor referenciado no existe o no es un inductor
+     */
+    resolverAcoplamientos(elementos, frequency = 0) {
+        const elementosRama = this.obtenerElementosRama(elementos, frequency);
+        const acoplamientos = [];
+
+        for (const elemento of elementos) {
+            if (elemento.tipo !== 'K') continue;
+
+            const indices = [elemento.inductor1, elemento.inductor2].map(referencia => {
+                const nombre = String(referencia || '').toUpperCase();
+                const indice = elementosRama.findIndex(e =>
+                    e.tipo === 'L' && e.nombre.toUpperCase() === nombre
+                );
+
+                if (indice < 0) {
+                    throw new Error(
+                        `El acoplamiento ${elemento.nombre} referencia a "${referencia}", ` +
+                        'que no es un inductor del circuito'
+                    );
+                }
+
+                return indice;
+            });
+
+            acoplamientos.push({
+                nombre: elemento.nombre,
+                coeficiente: elemento.valor,
+                indice1: indices[0],
+                indice2: indices[1]
+            });
+        }
+
+        return acoplamientos;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: resolverElementosControl
+     *
+     * Resuelve, para cada fuente controlada por corriente (F, H), la fila de los
+     * bloques B/C/D que corresponde a su fuente de voltaje de control.
+     *
+     * La corriente de control es la incógnita j_k de esa fuente: la corriente que
+     * entra por su terminal positivo (convención del "amperímetro" de 0V de SPICE).
+     * La comparación de nombres no distingue mayúsculas (igual que validarNombresUnicos).
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} frequency - Frecuencia de análisis en Hz (define qué inductores son ramas)
+     * @returns {Map} Nombre de la fuente F/H -> índice de rama de la fuente de control
+     * @throws {Error} Si la fuente de control no existe o no es una fuente de voltaje
+     */
+    resolverElementosControl(elementos, frequency = 0) {
+        const elementosRama = this.obtenerElementosRama(elementos, frequency);
+        const indicesControl = new Map();
+
+        for (const elemento of elementos) {
+            if (elemento.tipo !== 'F' && elemento.tipo !== 'H') continue;
+
+            const nombreControl = String(elemento.elementoControl || '').toUpperCase();
+            const k = elementosRama.findIndex(e =>
+                e.tipo === 'V' && e.nombre.toUpperCase() === nombreControl
+            );
+
+            if (k < 0) {
+                throw new Error(
+                    `La fuente ${elemento.nombre} está controlada por "${elemento.elementoControl}", ` +
+                    'que no es una fuente de voltaje independiente del circuito'
+                );
+            }
+
+            indicesControl.set(elemento.nombre, k);
+        }
+
+        return indicesControl;
+    },
+
     /**
      * 11. MÉTODO AUXILIAR: nodoAIndice
      *
@@ -718,7 +1666,7 @@ const MNACore = {
      *
      * CASOS ESPECIALES (DC, f=0):
      * - Capacitor: Z → ∞ (circuito abierto)
-     * - Inductor: Z → 0 (cortocircuito)
+     * - Inductor: Z → 0 (cortocircuito; en el sistema MNA se modela como rama de 0V)
      *
      * @param {Object} elemento - Elemento del circuito {tipo, valor}
      * @param {number} frequency - Frecuencia en Hz
@@ -0,0 +1,226 @@
+/**
+ * CircuitLab MNA - Análisis de Monte Carlo (tolerancias de los componentes)
+ *
+ * Cada elemento puede tener una tolerancia t (en %) y una distribución:
+ *
+ *   uniforme:   valor·(1 + t·u)      u uniforme en [−1, 1]
+ *   gaussiana:  valor·(1 + t/3·z)    z normal estándar truncada a |z| ≤ 3
+ *
+ * En la gaussiana la tolerancia corresponde a 3σ, así que ninguna muestra sale de la
+ * banda ±t (como los componentes que el fabricante descarta fuera de tolerancia).
+ *
+ * El circuito se resuelve N veces con MNACore.analizarCircuito (en DC o a la
+ * frecuencia de operación), cada vez con valores nuevos, y de cada voltaje de nodo
+ * y corriente de elemento seleccionados se obtienen la media, la desviación estándar,
+ * el mínimo, el máximo y un histograma. En AC las estadísticas son de la magnitud.
+ *
+ * Los números aleatorios salen de un generador con semilla (mulberry32): la misma
+ * semilla y el mismo circuito repiten exactamente las mismas corridas.
+ */
+
+const MonteCarloAnalysis = {
+    // Desviaciones estándar que abarca la tolerancia en la distribución gaussiana
+    SIGMAS_TOLERANCIA: 3,
+
+    // Límites del número de intervalos del histograma (√N entre estos valores)
+    INTERVALOS_MINIMOS: 5,
+    INTERVALOS_MAXIMOS: 30,
+
+    /**
+     * 1. ANÁLISIS DE MONTE CARLO
+     *
+     * @param {Array} elementos - Lista de elementos del circuito (con tolerancia y distribucion opcionales)
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {corridas, semilla, nodos: number[], corrientes: string[] (nombres),
+     *                             frecuencia (Hz, 0 = DC)}
+     * @returns {Object} {
+     *            exito, tipoAnalisis: 'monteCarlo',
+     *            corridas, exitosas, fallidas (corridas sin solución, ej: sin convergencia),
+     *            variados: [{nombre, tolerancia, distribucion}],
+     *            variables: [{nombre, tipo: 'voltaje'|'corriente', unidad, nominal, muestras,
+     *                         media, desviacion, minimo, maximo, histograma: {bordes, conteos}}],
+     *            info: {semilla, frecuencia, groundNode}
+     *          } o {exito: false, error}
+     */
+    analizar(elementos, numNodes, groundNode, opciones) {
+        try {
+            const { corridas, semilla, nodos, corrientes, frecuencia } = opciones;
+
+            const nominal = MNACore.analizarCircuito(elementos, numNodes, groundNode, frecuencia);
+            if (!nominal.exito) {
+                throw new Error(`Circuito nominal: ${nominal.error}`);
+            }
+
+            const variables = nodos.map(nodo => ({ nombre: `V(${nodo})`, tipo: 'voltaje', unidad: 'V', nodo: nodo }))
+                .concat(corrientes.map(nombre => ({ nombre: `I(${nombre})`, tipo: 'corriente', unidad: 'A', elemento: nombre })));
+            const medir = resultado => this.medir(variables, elementos, resultado, frecuencia);
+
+            const valoresNominales = medir(nominal);
+            const muestras = variables.map(() => []);
+            const aleatorio = this.crearGenerador(semilla);
+            let fallidas = 0;
+
+            for (let corrida = 0; corrida < corridas; corrida++) {
+                const resultado = MNACore.analizarCircuito(this.muestrear(elementos, aleatorio),
+                    numNodes, groundNode, frecuencia);
+                if (!resultado.exito) {
+                    fallidas++;
+                    continue;
+                }
+                medir(resultado).forEach((valor, k) => muestras[k].push(valor));
+            }
+
+            if (fallidas === corridas) {
+                throw new Error(`Ninguna de las ${corridas} corridas tuvo solución`);
+            }
+
+            return {
+                exito: true,
+                tipoAnalisis: 'monteCarlo',
+                corridas: corridas,
+                exitosas: corridas - fallidas,
+                fallidas: fallidas,
+                variados: elementos
+                    .filter(elem => elem.tolerancia > 0)
+                    .map(elem => ({ nombre: elem.nombre, tolerancia: elem.tolerancia, distribucion: elem.distribucion })),
+                variables: variables.map((variable, k) => ({
+                    nombre: variable.nombre,
+                    tipo: variable.tipo,
+                    unidad: variable.unidad,
+                    nominal: valoresNominales[k],
+                    muestras: muestras[k],
+                    ...this.estadisticas(muestras[k])
+                })),
+                info: {
+                    semilla: semilla,
+                    frecuencia: frecuencia,
+                    groundNode: groundNode
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'monteCarlo'
+            };
+        }
+    },
+
+    /**
+     * 2. VALORES DE UNA CORRIDA
+     *
+     * Copia del circuito en la que cada elemento con tolerancia tiene un valor
+     * aleatorio; los demás se conservan tal cual.
+     *
+     * @param {Array} elementos - Circuito nominal
+     * @param {Function} aleatorio - Generador uniforme en [0, 1) (ver crearGenerador)
+     * @returns {Array} Circuito de la corrida
+     */
+    muestrear(elementos, aleatorio) {
+        return elementos.map(elem => {
+            if (!(elem.tolerancia > 0)) return elem;
+
+            const desviacion = elem.distribucion === 'gaussiana'
+                ? this.normalTruncada(aleatorio) / this.SIGMAS_TOLERANCIA
+                : 2 * aleatorio() - 1;
+            return { ...elem, valor: elem.valor * (1 + desviacion * elem.tolerancia / 100) };
+        });
+    },
+
+    /**
+     * 3. ESTADÍSTICAS DE LAS MUESTRAS DE UNA VARIABLE
+     *
+     * @param {number[]} muestras - Al menos una muestra
+     * @returns {Object} {media, desviacion (muestral, N − 1), minimo, maximo, histograma}
+     */
+    estadisticas(muestras) {
+        const n = muestras.length;
+        const media = muestras.reduce((suma, valor) => suma + valor, 0) / n;
+        const varianza = n > 1
+            ? muestras.reduce((suma, valor) => suma + (valor - media) ** 2, 0) / (n - 1)
+            : 0;
+        const minimo = Math.min(...muestras);
+        const maximo = Math.max(...muestras);
+
+        return {
+            media: media,
+            desviacion: Math.sqrt(varianza),
+            minimo: minimo,
+            maximo: maximo,
+            histograma: this.histograma(muestras, minimo, maximo)
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Histograma con √N intervalos iguales entre el mínimo y el máximo
+     * (uno solo si todas las muestras son iguales)
+     * @returns {Object} {bordes: number[] (intervalos + 1), conteos: number[]}
+     */
+    histograma(muestras, minimo, maximo) {
+        const ancho = maximo - minimo;
+        const intervalos = ancho > 0
+            ? Math.min(this.INTERVALOS_MAXIMOS, Math.max(this.INTERVALOS_MINIMOS, Math.ceil(Math.sqrt(muestras.length))))
+            : 1;
+
+        const bordes = Array.from({ length: intervalos + 1 }, (_, k) => minimo + ancho * k / intervalos);
+        const conteos = new Array(intervalos).fill(0);
+        muestras.forEach(valor => {
+            const k = ancho > 0 ? Math.floor((valor - minimo) / ancho * intervalos) : 0;
+            conteos[Math.min(k, intervalos - 1)]++;
+        });
+
+        return { bordes: bordes, conteos: conteos };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Valor de cada variable en una solución (magnitud en AC)
+     * @returns {number[]}
+     */
+    medir(variables, elementos, resultado, frecuencia) {
+        const filas = variables.some(variable => variable.tipo === 'corriente')
+            ? PowerAnalysis.calcularPotencias(elementos, resultado, frecuencia).elementos
+            : [];
+
+        return variables.map(variable => {
+            const valor = variable.tipo === 'voltaje'
+                ? resultado.voltajes[variable.nodo]
+                : filas.find(fila => fila.nombre.toUpperCase() === variable.elemento.toUpperCase()).corriente;
+            return frecuencia === 0 ? math.re(valor) : math.abs(valor);
+        });
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Generador uniforme en [0, 1) con semilla (mulberry32)
+     * @param {number} semilla - Entero de 32 bits
+     * @returns {Function} Cada llamada devuelve el siguiente número
+     */
+    crearGenerador(semilla) {
+        let estado = semilla >>> 0;
+        return () => {
+            estado = (estado + 0x6D2B79F5) >>> 0;
+            let t = estado;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Normal estándar (Box-Muller) truncada a ±SIGMAS_TOLERANCIA
+     * (las muestras fuera de la banda se descartan)
+     */
+    normalTruncada(aleatorio) {
+        let z;
+        do {
+            z = Math.sqrt(-2 * Math.log(1 - aleatorio())) * Math.cos(2 * Math.PI * aleatorio());
+        } while (Math.abs(z) > this.SIGMAS_TOLERANCIA);
+        return z;
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarloAnalysis;
+}
@@ -0,0 +1,197 @@
+/**
+ * CircuitLab MNA - Parámetros Globales y Valores con Expresiones
+ *
+ * La tabla de parámetros tiene una definición por línea:
+ *
+ *   Rcarga = 1k
+ *   fc = 1/(2*pi*R1*C1)
+ *
+ * y el valor de un elemento puede ser una expresión en lugar de un número
+ * (ej: 2*Rcarga). Las expresiones se evalúan con math.js: admiten sus operadores,
+ * funciones y constantes (sqrt, log10, pi...), los parámetros de la tabla y los
+ * nombres de los elementos (su valor en unidades base). Un número seguido de un
+ * prefijo métrico (G, M, k, m, u o µ, n, p) se multiplica por él: 4.7k = 4700.
+ *
+ * Cada parámetro o elemento se evalúa después de los nombres que usa, así que el
+ * orden de las líneas no importa; las dependencias circulares son un error.
+ */
+
+const Parameters = {
+    // Exponente de cada prefijo métrico (los mismos del selector de prefijo del formulario)
+    EXPONENTES_PREFIJO: { G: 9, M: 6, k: 3, m: -3, u: -6, 'µ': -6, n: -9, p: -12 },
+
+    // Número (con exponente opcional) seguido directamente de un prefijo métrico
+    PATRON_PREFIJO: /(^|[^\w.])(\d+\.?\d*|\.\d+)(?:[eE]([+-]?\d+))?([GMkmuµnp])(?!\w)/g,
+
+    /**
+     * 1. LEER LA TABLA DE PARÁMETROS DESDE TEXTO
+     *
+     * Una definición "nombre = expresión" por línea (o separadas por punto y coma);
+     * se ignoran las líneas vacías y las que empiezan con #. Las líneas sin "=" se
+     * devuelven con nombre null para que el validador las reporte.
+     *
+     * @param {string} texto
+     * @returns {Array} [{nombre, expresion, texto (línea original)}]
+     */
+    parsearTabla(texto) {
+        return String(texto)
+            .split(/[\n;]+/)
+            .map(linea => linea.trim())
+            .filter(linea => linea !== '' && !linea.startsWith('#'))
+            .map(linea => {
+                const igual = linea.indexOf('=');
+                if (igual < 0) {
+                    return { nombre: null, expresion: null, texto: linea };
+                }
+                return {
+                    nombre: linea.slice(0, igual).trim(),
+                    expresion: linea.slice(igual + 1).trim(),
+                    texto: linea
+                };
+            });
+    },
+
+    /**
+     * 2. EVALUAR LOS PARÁMETROS Y LOS VALORES DE LOS ELEMENTOS
+     *
+     * @param {Array} parametros - Tabla ya validada (ver parsearTabla y Validator.validarParametros)
+     * @param {Array} elementos - Elementos del circuito; los que tienen `expresion` reciben su valor
+     * @param {Object} fijos - Valores que reemplazan la expresión de algunos parámetros
+     *                         ({nombre: number}, ej: el paso de un barrido paramétrico)
+     * @returns {Object} {exito, valores: {parametro: number}, elementos (copia con los valores evaluados)}
+     *          o {exito: false, error}
+     */
+    evaluar(parametros, elementos, fijos = {}) {
+        try {
+            const reservado = parametros.find(p => math[p.nombre] !== undefined);
+            if (reservado) {
+                throw new Error(`El nombre del parámetro "${reservado.nombre}" está reservado: es una constante o función de math.js.`);
+            }
+
+            // Expresión pendiente de cada nombre y valores ya conocidos
+            const definiciones = {};
+            const valores = {};
+            parametros.forEach(p => {
+                definiciones[p.nombre] = { expresion: p.expresion, origen: `Parámetro ${p.nombre}` };
+            });
+            elementos.forEach(elem => {
+                if (elem.expresion !== undefined) {
+                    definiciones[elem.nombre] = { expresion: elem.expresion, origen: `Elemento ${elem.nombre}` };
+                } else if (typeof elem.valor === 'number') {
+                    valores[elem.nombre] = elem.valor;
+                }
+            });
+            for (const nombre in fijos) {
+                delete definiciones[nombre];
+                valores[nombre] = fijos[nombre];
+            }
+
+            // Evaluación en profundidad: primero los nombres de los que depende cada expresión
+            const enCurso = [];
+            const resolver = nombre => {
+                if (Object.prototype.hasOwnProperty.call(valores, nombre)) return;
+
+                if (enCurso.includes(nombre)) {
+                    const ciclo = enCurso.slice(enCurso.indexOf(nombre)).concat(nombre);
+                    throw new Error(`Dependencia circular entre parámetros: ${ciclo.join(' → ')}`);
+                }
+
+                enCurso.push(nombre);
+                const { expresion, origen } = definiciones[nombre];
+                const nodo = this.analizar(expresion, origen);
+
+                nodo.filter(n => n.isSymbolNode).forEach(simbolo => {
+                    if (Object.prototype.hasOwnProperty.call(definiciones, simbolo.name)) {
+                        resolver(simbolo.name);
+                    } else if (!Object.prototype.hasOwnProperty.call(valores, simbolo.name) && math[simbolo.name] === undefined) {
+                        throw new Error(`${origen}: "${simbolo.name}" no es un parámetro ni un elemento del circuito con valor.`);
+                    }
+                });
+
+                valores[nombre] = this.calcular(nodo, valores, origen);
+                enCurso.pop();
+            };
+            Object.keys(definiciones).forEach(resolver);
+
+            const valoresParametros = {};
+            parametros.forEach(p => {
+                valoresParametros[p.nombre] = valores[p.nombre];
+            });
+
+            return {
+                exito: true,
+                valores: valoresParametros,
+                elementos: elementos.map(elem =>
+                    elem.expresion === undefined ? elem : { ...elem, valor: valores[elem.nombre] }
+                )
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message
+            };
+        }
+    },
+
+    /**
+     * 3. ¿EL TEXTO DEL VALOR ES UNA EXPRESIÓN?
+     *
+     * @param {string} texto - Contenido del campo de valor
+     * @returns {boolean} False si está vacío o es un número (ej: 1000, 4.7e-6)
+     */
+    esExpresion(texto) {
+        const limpio = String(texto).trim();
+        return limpio !== '' && !isFinite(Number(limpio));
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Árbol de math.js de una expresión, con los prefijos métricos
+     * ya convertidos a exponente (4.7k → 4.7e3)
+     * @throws {Error} Si la expresión no es válida
+     */
+    analizar(expresion, origen) {
+        const normalizada = expresion.replace(this.PATRON_PREFIJO, (_, antes, numero, exponente, prefijo) =>
+            `${antes}${numero}e${Number(exponente || 0) + this.EXPONENTES_PREFIJO[prefijo]}`
+        );
+
+        let nodo;
+        try {
+            nodo = math.parse(normalizada);
+        } catch (error) {
+            throw new Error(`${origen}: la expresión "${expresion}" no es válida (${error.message}).`);
+        }
+
+        if (nodo.filter(n => n.isAssignmentNode || n.isFunctionAssignmentNode).length > 0) {
+            throw new Error(`${origen}: la expresión "${expresion}" no puede contener asignaciones.`);
+        }
+
+        return nodo;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Valor de una expresión con los nombres ya evaluados
+     * @returns {number} Número real finito
+     * @throws {Error} Si el resultado no es un número real finito (ej: unidades o complejos)
+     */
+    calcular(nodo, valores, origen) {
+        let resultado;
+        try {
+            resultado = nodo.compile().evaluate(new Map(Object.entries(valores)));
+        } catch (error) {
+            throw new Error(`${origen}: ${error.message}.`);
+        }
+
+        const valor = math.typeOf(resultado) === 'Complex' && resultado.im === 0 ? resultado.re : resultado;
+        if (typeof valor !== 'number' || !isFinite(valor)) {
+            throw new Error(`${origen}: la expresión no da un número real finito (resultado: ${math.format(resultado, 6)}).`);
+        }
+
+        return valor;
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Parameters;
+}
@@ -0,0 +1,178 @@
+/**
+ * CircuitLab MNA - Barrido Paramétrico
+ *
+ * Repite el análisis seleccionado (cualquiera de los del simulador) para cada
+ * valor de un parámetro global. En cada paso el parámetro
+ * toma el valor del barrido y se vuelven a evaluar los demás parámetros y los
+ * valores de los elementos escritos como expresión (ver Parameters), así que
+ * todo lo que depende del parámetro cambia con él.
+ *
+ * Los valores del parámetro se generan como las frecuencias de un barrido AC
+ * (SweepAnalysis.generarFrecuencias): lineales o por década. Con el punto de
+ * operación cada variable da una curva contra el parámetro; con los análisis que
+ * dan curvas (barridos, transitorio, impedancias en frecuencia) se superpone una
+ * curva por valor, y con los que dan tablas (Thévenin, dos puertos, sensibilidad,
+ * polos y ceros...) cada magnitud de la tabla se grafica contra el parámetro
+ * (ver ResultDisplay.magnitudesParametricas).
+ *
+ * En cada valor el circuito se vuelve a validar (Validator.validarTodo): un paso
+ * que lleva un elemento fuera de su rango (p. ej. una resistencia ≤ 0) detiene el
+ * barrido con los errores del validador.
+ */
+
+const ParametricAnalysis = {
+    /**
+     * 1. BARRIDO PARAMÉTRICO
+     *
+     * @param {Array} elementos - Lista de elementos del circuito (con `expresion` opcional)
+     * @param {Array} parametros - Tabla de parámetros globales (ver Parameters.parsearTabla)
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {parametro, tipo ('lineal'|'decada'), inicio, fin, puntos,
+     *                             analisis, opcionesAnalisis (las del análisis repetido),
+     *                             frecuencia (Hz, del punto de operación)}
+     * @returns {Object} {
+     *            exito, tipoAnalisis: 'parametrico', analisis, parametro,
+     *            valores: number[] (valores del parámetro),
+     *            resultados: [] (resultado del análisis en cada valor),
+     *            voltajes: {nodo: number[]}, corrientes: {nombre: number[]}
+     *              (solo con el punto de operación: un valor por paso, magnitud en AC),
+     *            info: {numNodos, groundNode, frecuencia, tipoBarrido, numPuntos}
+     *          } o {exito: false, error}
+     */
+    barrer(elementos, parametros, numNodes, groundNode, opciones) {
+        try {
+            const { parametro, analisis, frecuencia } = opciones;
+            const valores = SweepAnalysis.generarFrecuencias(opciones);
+
+            const resultados = valores.map(valor => {
+                const evaluacion = Parameters.evaluar(parametros, elementos, { [parametro]: valor });
+                if (!evaluacion.exito) {
+                    throw new Error(`${parametro} = ${valor}: ${evaluacion.error}`);
+                }
+
+                const validacion = Validator.validarTodo({
+                    elementos: evaluacion.elementos,
+                    numNodes: numNodes,
+                    groundNode: groundNode,
+                    frequency: this.frecuenciaValidacion(analisis, opciones),
+                    tipoAnalisis: analisis
+                });
+                if (!validacion.valido) {
+                    throw new Error(`${parametro} = ${valor}: ${validacion.errores.join(' ')}`);
+                }
+
+                const resultado = this.ejecutar(analisis, evaluacion.elementos, numNodes, groundNode, opciones);
+                if (!resultado.exito) {
+                    throw new Error(`${parametro} = ${valor}: ${resultado.error}`);
+                }
+                return resultado;
+            });
+
+            const barrido = {
+                exito: true,
+                tipoAnalisis: 'parametrico',
+                analisis: analisis,
+                parametro: parametro,
+                valores: valores,
+                resultados: resultados,
+                info: {
+                    numNodos: numNodes,
+                    groundNode: groundNode,
+                    frecuencia: frecuencia,
+                    tipoBarrido: opciones.tipo,
+                    numPuntos: valores.length
+                }
+            };
+
+            if (analisis === 'punto') {
+                Object.assign(barrido, this.curvasPunto(resultados, frecuencia));
+            }
+
+            return barrido;
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'parametrico'
+            };
+        }
+    },
+
+    /**
+     * 2. UN PASO DEL BARRIDO: EL ANÁLISIS SELECCIONADO CON LOS VALORES DEL PASO
+     *
+     * @param {string} analisis - Tipo de análisis del simulador ('punto', 'barridoAC', 'thevenin'...)
+     * @param {Array} circuito - Elementos con los valores evaluados
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {opcionesAnalisis, frecuencia} (ver barrer)
+     * @returns {Object} Resultado del análisis ({exito, error} si falla)
+     */
+    ejecutar(analisis, circuito, numNodes, groundNode, opciones) {
+        const { opcionesAnalisis } = opciones;
+
+        switch (analisis) {
+            case 'barridoAC':
+                return SweepAnalysis.barridoAC(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'barridoDC':
+                return SweepAnalysis.barridoDC(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'transitorio':
+                return TransientAnalysis.analizarTransitorio(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'thevenin':
+                return TheveninAnalysis.calcularEquivalente(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'superposicion':
+                return SuperpositionAnalysis.analizar(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'dosPuertos':
+                return TwoPortAnalysis.calcularParametros(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'impedancias':
+                return ImpedanceAnalysis.medir(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'sensibilidad':
+                return SensitivityAnalysis.calcular(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'monteCarlo':
+                return MonteCarloAnalysis.analizar(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'peorCaso':
+                return WorstCaseAnalysis.calcular(circuito, numNodes, groundNode, opcionesAnalisis);
+            case 'polosCeros':
+                return PoleZeroAnalysis.calcular(circuito, numNodes, groundNode, opcionesAnalisis);
+            default:
+                return MNACore.analizarCircuito(circuito, numNodes, groundNode, opciones.frecuencia);
+        }
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Frecuencia con la que se valida cada paso (la misma que usa
+     * App.resolverCircuito: la inicial en el barrido AC y DC en el barrido DC)
+     */
+    frecuenciaValidacion(analisis, opciones) {
+        if (analisis === 'barridoAC') return opciones.opcionesAnalisis.inicio;
+        if (analisis === 'barridoDC') return 0;
+        return opciones.frecuencia;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Voltajes y corrientes del punto de operación en función del
+     * parámetro (parte real en DC, magnitud en AC)
+     * @returns {Object} {voltajes: {nodo: number[]}, corrientes: {nombre: number[]}}
+     */
+    curvasPunto(resultados, frecuencia) {
+        const escalar = valor => frecuencia === 0 ? math.re(valor) : math.abs(valor);
+        const voltajes = {};
+        const corrientes = {};
+
+        Object.keys(resultados[0].voltajes).forEach(nodo => {
+            voltajes[nodo] = resultados.map(resultado => escalar(resultado.voltajes[nodo]));
+        });
+        Object.keys(resultados[0].corrientes).forEach(nombre => {
+            corrientes[nombre] = resultados.map(resultado => escalar(resultado.corrientes[nombre]));
+        });
+
+        return { voltajes: voltajes, corrientes: corrientes };
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParametricAnalysis;
+}
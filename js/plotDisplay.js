@@ -0,0 +1,307 @@
+/**
+ * ============================================
+ * PLOT DISPLAY - Gráficas de Resultados
+ * ============================================
+ *
+ * Envoltura mínima sobre Chart.js para dibujar las curvas de los análisis
+ * (diagramas de Bode, barridos, formas de onda) con un estilo uniforme.
+ *
+ * Funcionalidades:
+ * - Gráficas de una o varias curvas y = f(x) sobre un <canvas>
+ * - Gráficas de barras horizontales con signo (sensibilidades)
+ * - Histogramas (Monte Carlo)
+ * - Diagramas de polos y ceros en el plano s
+ * - Ejes lineales o logarítmicos
+ * - Reemplazo de la gráfica anterior en el mismo canvas
+ * - Vistas previas pequeñas (formas de onda de las fuentes)
+ */
+
+const PlotDisplay = {
+    // Instancias de Chart.js por id de canvas (para destruirlas al redibujar)
+    graficas: {},
+
+    // Paleta de colores de las curvas (coincide con las variables CSS del tema)
+    COLORES: ['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#8b5cf6', '#ec4899', '#64748b'],
+
+    /**
+     * Indica si Chart.js está disponible (se carga desde CDN)
+     * @returns {boolean}
+     */
+    disponible() {
+        return typeof Chart !== 'undefined';
+    },
+
+    /**
+     * Preparar un canvas para una gráfica nueva: destruye la anterior y, si Chart.js
+     * no está disponible, deja un aviso en su lugar (los datos siguen en la tabla)
+     * @param {string} canvasId - Id del elemento <canvas>
+     * @returns {HTMLCanvasElement|null} El canvas, o null si no se puede dibujar
+     */
+    prepararCanvas(canvasId) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return null;
+
+        this.destruirGrafica(canvasId);
+
+        if (!this.disponible()) {
+            canvas.insertAdjacentHTML('afterend',
+                '<p class="text-muted text-sm grafica-no-disponible">No se pudo cargar la biblioteca de gráficas (Chart.js). Los datos se muestran en la tabla.</p>');
+            return null;
+        }
+        return canvas;
+    },
+
+    /**
+     * Dibujar una gráfica de líneas con una o varias curvas
+     * @param {string} canvasId - Id del elemento <canvas>
+     * @param {Object} config - Configuración de la gráfica:
+     *        {
+     *          x: number[],                         valores del eje horizontal
+     *          series: [{nombre, datos: number[]}], una curva por serie
+     *          etiquetaX: string, etiquetaY: string,
+     *          escalaX: 'linear' | 'logarithmic'    (default: 'linear')
+     *        }
+     */
+    dibujarGrafica(canvasId, config) {
+        const canvas = this.prepararCanvas(canvasId);
+        if (!canvas) return;
+
+        const { x, series, etiquetaX, etiquetaY, escalaX = 'linear' } = config;
+
+        const datasets = series.map((serie, indice) => {
+            const color = this.COLORES[indice % this.COLORES.length];
+            return {
+                label: serie.nombre,
+                // Los valores no finitos (p. ej. log de 0) se dejan como huecos en la curva
+                data: x.map((valorX, k) => ({
+                    x: valorX,
+                    y: isFinite(serie.datos[k]) ? serie.datos[k] : null
+                })),
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0
+            };
+        });
+
+        this.graficas[canvasId] = new Chart(canvas, {
+            type: 'line',
+            data: { datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                parsing: false,
+                interaction: { mode: 'nearest', axis: 'x', intersect: false },
+                plugins: {
+                    legend: { display: series.length > 1 }
+                },
+                scales: {
+                    x: {
+                        type: escalaX,
+                        title: { display: true, text: etiquetaX }
+                    },
+                    y: {
+                        type: 'linear',
+                        title: { display: true, text: etiquetaY }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Dibujar una gráfica de barras horizontales, una barra por categoría. Las barras
+     * positivas usan el primer color de la paleta y las negativas el rojo.
+     * @param {string} canvasId - Id del elemento <canvas>
+     * @param {Object} config - {etiquetas: string[], valores: number[], etiquetaValor: string}
+     */
+    dibujarBarras(canvasId, config) {
+        const canvas = this.prepararCanvas(canvasId);
+        if (!canvas) return;
+
+        const { etiquetas, valores, etiquetaValor } = config;
+        const colores = valores.map(valor => (valor < 0 ? this.COLORES[3] : this.COLORES[0]));
+
+        this.graficas[canvasId] = new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: etiquetas,
+                datasets: [{
+                    label: etiquetaValor,
+                    data: valores.map(valor => (isFinite(valor) ? valor : null)),
+                    backgroundColor: colores,
+                    borderColor: colores,
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: { display: false }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: etiquetaValor }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Dibujar un histograma: una barra por intervalo, sin separación entre barras
+     * @param {string} canvasId - Id del elemento <canvas>
+     * @param {Object} config - {bordes: number[] (intervalos + 1), conteos: number[], etiquetaX: string}
+     */
+    dibujarHistograma(canvasId, config) {
+        const canvas = this.prepararCanvas(canvasId);
+        if (!canvas) return;
+
+        const { bordes, conteos, etiquetaX } = config;
+
+        // Cada barra se rotula con el centro de su intervalo
+        const centros = conteos.map((_, k) => Number(((bordes[k] + bordes[k + 1]) / 2).toPrecision(4)));
+
+        this.graficas[canvasId] = new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: centros,
+                datasets: [{
+                    label: 'Corridas',
+                    data: conteos,
+                    backgroundColor: this.COLORES[0],
+                    borderColor: this.COLORES[0],
+                    borderWidth: 1,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: { display: false }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: etiquetaX }
+                    },
+                    y: {
+                        type: 'linear',
+                        beginAtZero: true,
+                        title: { display: true, text: 'Corridas' }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Dibujar los polos (×) y ceros (○) en el plano s. Los ejes siempre incluyen el
+     * origen, para que se vea de qué lado del eje jω queda cada raíz.
+     * @param {string} canvasId - Id del elemento <canvas>
+     * @param {Object} config - {polos: [{x (σ), y (ω)}], ceros: [{x, y}]}
+     */
+    dibujarPlanoS(canvasId, config) {
+        const canvas = this.prepararCanvas(canvasId);
+        if (!canvas) return;
+
+        const { polos, ceros } = config;
+
+        this.graficas[canvasId] = new Chart(canvas, {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: 'Polos',
+                        data: polos,
+                        pointStyle: 'crossRot',
+                        pointRadius: 8,
+                        pointHoverRadius: 10,
+                        borderWidth: 2,
+                        borderColor: this.COLORES[3],
+                        backgroundColor: this.COLORES[3]
+                    },
+                    {
+                        label: 'Ceros',
+                        data: ceros,
+                        pointStyle: 'circle',
+                        pointRadius: 7,
+                        pointHoverRadius: 9,
+                        borderWidth: 2,
+                        borderColor: this.COLORES[0],
+                        backgroundColor: 'transparent'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                parsing: false,
+                plugins: {
+                    legend: { display: true }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        suggestedMin: 0,
+                        suggestedMax: 0,
+                        title: { display: true, text: 'σ = Re(s) (1/s)' }
+                    },
+                    y: {
+                        type: 'linear',
+                        suggestedMin: 0,
+                        suggestedMax: 0,
+                        title: { display: true, text: 'jω = Im(s) (rad/s)' }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Destruir la gráfica de un canvas (si existe)
+     * @param {string} canvasId - Id del elemento <canvas>
+     */
+    destruirGrafica(canvasId) {
+        if (this.graficas[canvasId]) {
+            this.graficas[canvasId].destroy();
+            delete this.graficas[canvasId];
+        }
+
+        const canvas = document.getElementById(canvasId);
+        if (canvas && canvas.parentElement) {
+            const aviso = canvas.parentElement.querySelector('.grafica-no-disponible');
+            if (aviso) aviso.remove();
+        }
+    },
+
+    /**
+     * Destruir todas las gráficas, o solo las que están dentro de un contenedor
+     * (p. ej. los resultados, sin tocar las vistas previas del formulario)
+     * @param {string|null} contenedorId - Id del contenedor (default: todas)
+     */
+    destruirGraficas(contenedorId = null) {
+        const contenedor = contenedorId ? document.getElementById(contenedorId) : null;
+
+        Object.keys(this.graficas).forEach(canvasId => {
+            const canvas = document.getElementById(canvasId);
+            if (!contenedor || !canvas || contenedor.contains(canvas)) {
+                this.destruirGrafica(canvasId);
+            }
+        });
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlotDisplay;
+}
@@ -0,0 +1,621 @@
+/**
+ * CircuitLab MNA - Polos y Ceros de una Función de Transferencia
+ *
+ * Calcula los polos y ceros de H(s) = V(salida, referencia) / X, donde X es el
+ * valor de una fuente independiente de entrada (V o I); las demás fuentes
+ * independientes se anulan. En el dominio s el sistema MNA es
+ *
+ *   (G + s·C)·x = b·X          y la salida es  V = cᵀ·x
+ *
+ * G reúne los términos que no dependen de s: son exactamente las estampas de DC de
+ * MNACore, en las que todos los inductores ya son ramas con su propia corriente.
+ * C reúne los que multiplican a s, con las mismas reglas de estampado que el
+ * análisis AC con jω → s: cada capacitor estampa C en el bloque de nodos, cada
+ * inductor −L en la diagonal de su rama y cada acoplamiento −M entre sus dos ramas.
+ *
+ * Polos: los valores de s con det(G + s·C) = 0. Ceros: los del sistema ampliado
+ *
+ *   [G + s·C   b]
+ *   [  cᵀ      0]
+ *
+ * cuyo determinante es −det(G + s·C)·H(s). Ambos son valores propios generalizados
+ * y se reducen a un problema ordinario con un desplazamiento s0 en el que el
+ * sistema no es singular:
+ *
+ *   (G + s0·C)⁻¹·C·x = μ·x      →      s = s0 − 1/μ
+ *
+ * Los valores propios μ ≈ 0 corresponden a raíces en el infinito (ecuaciones sin
+ * término en s, como las de las fuentes) y se descartan. Los μ se calculan con
+ * balanceo, reducción a Hessenberg y el algoritmo QR de doble desplazamiento de
+ * Francis (como EISPACK/JAMA): math.eigs no admite matrices defectivas, que aquí
+ * son habituales (varios valores propios nulos).
+ *
+ * Los polos y ceros que coinciden (modos que la entrada no excita o que la salida
+ * no ve) se cancelan. Cada par complejo s = −σ ± jω_d se describe con
+ *
+ *   ω0 = |s|,   ζ = σ/ω0,   Q = 1/(2ζ)
+ */
+
+const PoleZeroAnalysis = {
+    // Desplazamientos s0 que se prueban, como múltiplos de la escala ‖G‖₁/‖C‖₁
+    FACTORES_DESPLAZAMIENTO: [1, -1, 0.31, -3.2, 9.7, -0.097],
+
+    // Número de condición a partir del cual G + s0·C se considera singular
+    CONDICION_MAXIMA: 1e12,
+
+    // |μ| por debajo de esta fracción de ‖(G + s0·C)⁻¹·C‖ es una raíz en el infinito
+    TOLERANCIA_INFINITO: 1e-7,
+
+    // Distancia relativa a la que un polo y un cero se cancelan
+    TOLERANCIA_CANCELACION: 1e-6,
+
+    // Partes reales o imaginarias menores que esta fracción de |s0| se toman como 0
+    TOLERANCIA_CERO: 1e-10,
+
+    // Iteraciones QR por valor propio antes de abandonar
+    MAX_ITERACIONES_QR: 60,
+
+    /**
+     * 1. POLOS Y CEROS DE H(s) = V(salida, referencia) / fuente
+     *
+     * @param {Array} elementos - Lista de elementos del circuito (lineal)
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {fuente (nombre de una fuente V o I), nodoSalida, nodoReferencia}
+     * @returns {Object} {
+     *            exito, tipoAnalisis: 'polosCeros',
+     *            polos, ceros: [{valor: Complex (parte imaginaria ≥ 0: un par se lista una vez),
+     *                            par (complejo conjugado), omega0 (rad/s), frecuencia (Hz),
+     *                            zeta, Q (null si la raíz es real)}] ordenados por ω0,
+     *            ganancia: K de H(s) = K·Π(s − z)/Π(s − p), unidad ('V/V' o 'V/A'),
+     *            estabilidad: 'estable' | 'marginal' | 'inestable',
+     *            canceladas: número de pares polo-cero cancelados,
+     *            info: {fuente, tipoFuente, nodoSalida, nodoReferencia, groundNode,
+     *                   orden (número de polos), numCeros, desplazamiento (s0)}
+     *          } o {exito: false, error}
+     */
+    calcular(elementos, numNodes, groundNode, opciones) {
+        try {
+            const { nodoSalida, nodoReferencia } = opciones;
+            const fuente = elementos.find(elem =>
+                ['V', 'I'].includes(elem.tipo) && elem.nombre.toUpperCase() === opciones.fuente.toUpperCase()
+            );
+            if (!fuente) {
+                throw new Error(`La fuente de entrada "${opciones.fuente}" no es una fuente independiente del circuito.`);
+            }
+
+            const sistema = this.construirSistema(elementos, numNodes, groundNode, fuente, opciones);
+            const { s0, inversa, inversaCeros } = this.elegirDesplazamiento(sistema);
+
+            const polosTodos = this.raicesFinitas(math.multiply(inversa, sistema.C), s0);
+            const cerosTodos = this.raicesFinitas(math.multiply(inversaCeros, sistema.Cceros), s0);
+            const { polos, ceros, canceladas } = this.cancelar(polosTodos, cerosTodos);
+
+            // K = H(s0)·Π(s0 − p)/Π(s0 − z)
+            const transferencia = math.multiply(sistema.c, math.multiply(inversa, sistema.b));
+            let ganancia = math.complex(transferencia, 0);
+            polos.forEach(p => { ganancia = math.multiply(ganancia, math.subtract(s0, p)); });
+            ceros.forEach(z => { ganancia = math.divide(ganancia, math.subtract(s0, z)); });
+
+            return {
+                exito: true,
+                tipoAnalisis: 'polosCeros',
+                polos: this.describir(polos),
+                ceros: this.describir(ceros),
+                ganancia: math.re(ganancia),
+                unidad: fuente.tipo === 'V' ? 'V/V' : 'V/A',
+                estabilidad: this.estabilidad(polos),
+                canceladas: canceladas,
+                info: {
+                    fuente: fuente.nombre,
+                    tipoFuente: fuente.tipo,
+                    nodoSalida: nodoSalida,
+                    nodoReferencia: nodoReferencia,
+                    groundNode: groundNode,
+                    orden: polos.length,
+                    numCeros: ceros.length,
+                    desplazamiento: s0
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'polosCeros'
+            };
+        }
+    },
+
+    /**
+     * 2. SISTEMA MNA EN EL DOMINIO s: (G + s·C)·x = b·X, V = cᵀ·x
+     *
+     * G son las matrices de DC de MNACore (todos los inductores como ramas) y C las
+     * estampas de los capacitores, inductores y acoplamientos con jω → s. b es el
+     * vector z con la fuente de entrada en 1 y las demás fuentes en 0.
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} fuente - Fuente independiente de entrada
+     * @param {Object} opciones - {nodoSalida, nodoReferencia}
+     * @returns {Object} {G, C, b, c, Gceros, Cceros} como arreglos de números
+     *          (Gceros y Cceros: sistema ampliado con b y cᵀ, ver el encabezado)
+     */
+    construirSistema(elementos, numNodes, groundNode, fuente, opciones) {
+        const n = numNodes - 1;
+        const ramas = MNACore.obtenerElementosRama(elementos, 0);
+        const m = ramas.length;
+        const indicesControl = MNACore.resolverElementosControl(elementos, 0);
+
+        // Términos independientes de s: el sistema de DC
+        let G = MNACore.construirMatrizG(elementos, numNodes, groundNode, 0);
+        if (m > 0) {
+            G = MNACore.ensamblarMatrizA(
+                G,
+                MNACore.construirMatrizB(elementos, numNodes, groundNode, 0, indicesControl),
+                MNACore.construirMatrizC(elementos, numNodes, groundNode, 0),
+                MNACore.construirMatrizD(elementos, 0, indicesControl)
+            );
+        }
+        G = G.toArray();
+
+        // Términos proporcionales a s
+        const C = math.zeros(n + m, n + m).toArray();
+        elementos.filter(elem => elem.tipo === 'C').forEach(capacitor => {
+            const i = MNACore.nodoAIndice(capacitor.nodoPositivo, groundNode);
+            const j = MNACore.nodoAIndice(capacitor.nodoNegativo, groundNode);
+            if (i >= 0) C[i][i] += capacitor.valor;
+            if (j >= 0) C[j][j] += capacitor.valor;
+            if (i >= 0 && j >= 0) {
+                C[i][j] -= capacitor.valor;
+                C[j][i] -= capacitor.valor;
+            }
+        });
+        ramas.forEach((rama, k) => {
+            if (rama.tipo === 'L') C[n + k][n + k] -= rama.valor;
+        });
+        MNACore.resolverAcoplamientos(elementos, 0).forEach(({ coeficiente, indice1, indice2 }) => {
+            const mutua = coeficiente * Math.sqrt(ramas[indice1].valor * ramas[indice2].valor);
+            C[n + indice1][n + indice2] -= mutua;
+            C[n + indice2][n + indice1] -= mutua;
+        });
+
+        // Excitación: la fuente de entrada con valor 1 y las demás en 0
+        const excitados = elementos.map(elem =>
+            ['V', 'I'].includes(elem.tipo) ? { ...elem, valor: elem === fuente ? 1 : 0, fase: 0 } : elem
+        );
+        let b = MNACore.construirVectorI(excitados, numNodes, groundNode, 0);
+        if (m > 0) {
+            b = MNACore.ensamblarVectorZ(b, MNACore.construirVectorE(excitados, 0));
+        }
+        b = b.toArray().map(fila => fila[0]);
+
+        // Salida: +1 en el nodo de salida y −1 en el de referencia
+        const c = new Array(n + m).fill(0);
+        [[opciones.nodoSalida, 1], [opciones.nodoReferencia, -1]].forEach(([nodo, signo]) => {
+            const indice = MNACore.nodoAIndice(nodo, groundNode);
+            if (indice >= 0) c[indice] = signo;
+        });
+
+        return {
+            G: G,
+            C: C,
+            b: b,
+            c: c,
+            Gceros: G.map((fila, k) => fila.concat(b[k])).concat([c.concat(0)]),
+            Cceros: C.map(fila => fila.concat(0)).concat([new Array(n + m + 1).fill(0)])
+        };
+    },
+
+    /**
+     * 3. DESPLAZAMIENTO s0 EN EL QUE NINGÚN SISTEMA ES SINGULAR
+     *
+     * Se prueban múltiplos de la escala natural ‖G‖₁/‖C‖₁ (del orden de 1/RC) hasta
+     * que G + s0·C y el sistema ampliado de los ceros tienen solución única.
+     *
+     * @param {Object} sistema - Ver construirSistema
+     * @returns {Object} {s0, inversa: (G + s0·C)⁻¹, inversaCeros: inversa del sistema ampliado}
+     * @throws {Error} Si el circuito es singular para todo s o la salida no depende de la entrada
+     */
+    elegirDesplazamiento(sistema) {
+        const normaG = math.norm(sistema.G, 1);
+        const normaC = math.norm(sistema.C, 1);
+        const escala = normaG > 0 && normaC > 0 ? normaG / normaC : 1;
+        let resoluble = false;
+
+        for (const factor of this.FACTORES_DESPLAZAMIENTO) {
+            const s0 = factor * escala;
+
+            const inversa = this.invertir(math.add(sistema.G, math.multiply(s0, sistema.C)));
+            if (!inversa) continue;
+            resoluble = true;
+
+            const inversaCeros = this.invertir(math.add(sistema.Gceros, math.multiply(s0, sistema.Cceros)));
+            if (inversaCeros) {
+                return { s0: s0, inversa: inversa, inversaCeros: inversaCeros };
+            }
+        }
+
+        if (!resoluble) {
+            throw new Error(
+                'El sistema G + sC es singular para todo s: el circuito no tiene solución única ' +
+                '(nodo sin conexión a tierra o lazo de fuentes de voltaje e inductores).'
+            );
+        }
+        throw new Error('La salida no depende de la fuente de entrada: H(s) = 0 y no tiene polos ni ceros.');
+    },
+
+    /**
+     * 4. RAÍCES FINITAS A PARTIR DE LOS VALORES PROPIOS DE (G + s0·C)⁻¹·C
+     *
+     * @param {Array} matriz - (G + s0·C)⁻¹·C
+     * @param {number} s0 - Desplazamiento
+     * @returns {Array} Raíces s = s0 − 1/μ (Complex), sin las del infinito (μ ≈ 0)
+     */
+    raicesFinitas(matriz, s0) {
+        const balanceada = this.balancear(matriz.map(fila => fila.slice()));
+        const umbral = this.TOLERANCIA_INFINITO * math.norm(balanceada, 1);
+        const limpiar = x => (Math.abs(x) <= this.TOLERANCIA_CERO * Math.abs(s0) ? 0 : x);
+
+        return this.valoresPropios(this.reducirHessenberg(balanceada))
+            .filter(mu => math.abs(mu) > umbral)
+            .map(mu => {
+                const s = math.subtract(s0, math.divide(1, mu));
+                return math.complex(limpiar(s.re), limpiar(s.im));
+            });
+    },
+
+    /**
+     * 5. VALORES PROPIOS DE UNA MATRIZ DE HESSENBERG (QR de doble desplazamiento)
+     *
+     * Algoritmo hqr de EISPACK en la versión de JAMA, sin vectores propios: deflación
+     * cuando un elemento subdiagonal es despreciable, bloques 1×1 (raíz real) y 2×2
+     * (par real o complejo conjugado), y desplazamientos excepcionales en las
+     * iteraciones 10 y 30 si la convergencia se estanca.
+     *
+     * @param {Array} H - Matriz de Hessenberg superior (se modifica)
+     * @returns {Array} Valores propios (Complex); los pares conjugados van juntos
+     * @throws {Error} Si algún valor propio no converge
+     */
+    valoresPropios(H) {
+        const nn = H.length;
+        const eps = Math.pow(2, -52);
+        const re = new Array(nn).fill(0);
+        const im = new Array(nn).fill(0);
+        let n = nn - 1;
+        let exshift = 0;
+        let p = 0, q = 0, r = 0, s = 0, z = 0, w, x, y;
+
+        let norma = 0;
+        for (let i = 0; i < nn; i++) {
+            for (let j = Math.max(i - 1, 0); j < nn; j++) {
+                norma += Math.abs(H[i][j]);
+            }
+        }
+
+        let iter = 0;
+        while (n >= 0) {
+            // Buscar un elemento subdiagonal despreciable
+            let l = n;
+            while (l > 0) {
+                s = Math.abs(H[l - 1][l - 1]) + Math.abs(H[l][l]);
+                if (s === 0) s = norma;
+                if (Math.abs(H[l][l - 1]) <= eps * s) break;
+                l--;
+            }
+
+            if (l === n) {
+                // Una raíz real
+                re[n] = H[n][n] + exshift;
+                im[n] = 0;
+                n--;
+                iter = 0;
+            } else if (l === n - 1) {
+                // Dos raíces: par real o complejo conjugado
+                w = H[n][n - 1] * H[n - 1][n];
+                p = (H[n - 1][n - 1] - H[n][n]) / 2;
+                q = p * p + w;
+                z = Math.sqrt(Math.abs(q));
+                x = H[n][n] + exshift;
+
+                if (q >= 0) {
+                    z = p >= 0 ? p + z : p - z;
+                    re[n - 1] = x + z;
+                    re[n] = z !== 0 ? x - w / z : x + z;
+                    im[n - 1] = 0;
+                    im[n] = 0;
+                } else {
+                    re[n - 1] = x + p;
+                    re[n] = x + p;
+                    im[n - 1] = z;
+                    im[n] = -z;
+                }
+                n -= 2;
+                iter = 0;
+            } else {
+                // Sin convergencia todavía: paso QR de doble desplazamiento
+                x = H[n][n];
+                y = H[n - 1][n - 1];
+                w = H[n][n - 1] * H[n - 1][n];
+
+                if (iter === 10) {
+                    // Desplazamiento excepcional de Wilkinson
+                    exshift += x;
+                    for (let i = 0; i <= n; i++) H[i][i] -= x;
+                    s = Math.abs(H[n][n - 1]) + Math.abs(H[n - 1][n - 2]);
+                    x = y = 0.75 * s;
+                    w = -0.4375 * s * s;
+                }
+
+                if (iter === 30) {
+                    // Desplazamiento excepcional de MATLAB
+                    s = (y - x) / 2;
+                    s = s * s + w;
+                    if (s > 0) {
+                        s = Math.sqrt(s);
+                        if (y < x) s = -s;
+                        s = x - w / ((y - x) / 2 + s);
+                        for (let i = 0; i <= n; i++) H[i][i] -= s;
+                        exshift += s;
+                        x = y = w = 0.964;
+                    }
+                }
+
+                iter++;
+                if (iter > this.MAX_ITERACIONES_QR) {
+                    throw new Error('El cálculo de los valores propios no convergió.');
+                }
+
+                // Buscar dos elementos subdiagonales consecutivos pequeños
+                let m = n - 2;
+                while (m >= l) {
+                    z = H[m][m];
+                    r = x - z;
+                    s = y - z;
+                    p = (r * s - w) / H[m + 1][m] + H[m][m + 1];
+                    q = H[m + 1][m + 1] - z - r - s;
+                    r = H[m + 2][m + 1];
+                    s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                    p /= s;
+                    q /= s;
+                    r /= s;
+                    if (m === l) break;
+                    if (Math.abs(H[m][m - 1]) * (Math.abs(q) + Math.abs(r)) <
+                        eps * (Math.abs(p) * (Math.abs(H[m - 1][m - 1]) + Math.abs(z) + Math.abs(H[m + 1][m + 1])))) {
+                        break;
+                    }
+                    m--;
+                }
+
+                for (let i = m + 2; i <= n; i++) {
+                    H[i][i - 2] = 0;
+                    if (i > m + 2) H[i][i - 3] = 0;
+                }
+
+                // Paso QR doble sobre las filas l..n y las columnas m..n
+                for (let k = m; k <= n - 1; k++) {
+                    const noUltimo = k !== n - 1;
+                    if (k !== m) {
+                        p = H[k][k - 1];
+                        q = H[k + 1][k - 1];
+                        r = noUltimo ? H[k + 2][k - 1] : 0;
+                        x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                        if (x === 0) continue;
+                        p /= x;
+                        q /= x;
+                        r /= x;
+                    }
+
+                    s = Math.sqrt(p * p + q * q + r * r);
+                    if (p < 0) s = -s;
+                    if (s === 0) continue;
+
+                    if (k !== m) {
+                        H[k][k - 1] = -s * x;
+                    } else if (l !== m) {
+                        H[k][k - 1] = -H[k][k - 1];
+                    }
+                    p += s;
+                    x = p / s;
+                    y = q / s;
+                    z = r / s;
+                    q /= p;
+                    r /= p;
+
+                    // Modificación de filas
+                    for (let j = k; j < nn; j++) {
+                        p = H[k][j] + q * H[k + 1][j];
+                        if (noUltimo) {
+                            p += r * H[k + 2][j];
+                            H[k + 2][j] -= p * z;
+                        }
+                        H[k][j] -= p * x;
+                        H[k + 1][j] -= p * y;
+                    }
+
+                    // Modificación de columnas
+                    for (let i = 0; i <= Math.min(n, k + 3); i++) {
+                        p = x * H[i][k] + y * H[i][k + 1];
+                        if (noUltimo) {
+                            p += z * H[i][k + 2];
+                            H[i][k + 2] -= p * r;
+                        }
+                        H[i][k] -= p;
+                        H[i][k + 1] -= p * q;
+                    }
+                }
+            }
+        }
+
+        return re.map((parteReal, k) => math.complex(parteReal, im[k]));
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Inversa de una matriz si su número de condición cond₁ es
+     * aceptable (mismo criterio que MNACore.resolverSistema)
+     * @returns {Array|null} Inversa, o null si la matriz es (casi) singular
+     */
+    invertir(matriz) {
+        try {
+            const inversa = math.inv(matriz);
+            const condicion = math.norm(matriz, 1) * math.norm(inversa, 1);
+            return condicion < this.CONDICION_MAXIMA ? inversa : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Balanceo por potencias de 2 (balanc de EISPACK): iguala la norma
+     * de cada fila con la de su columna sin cambiar los valores propios, lo que reduce
+     * el error cuando los valores de los elementos difieren en muchos órdenes de magnitud
+     * @returns {Array} La misma matriz, balanceada
+     */
+    balancear(a) {
+        const n = a.length;
+        let terminado = false;
+
+        while (!terminado) {
+            terminado = true;
+            for (let i = 0; i < n; i++) {
+                let c = 0;
+                let r = 0;
+                for (let j = 0; j < n; j++) {
+                    if (j === i) continue;
+                    c += Math.abs(a[j][i]);
+                    r += Math.abs(a[i][j]);
+                }
+                if (c === 0 || r === 0) continue;
+
+                const suma = c + r;
+                let f = 1;
+                while (c < r / 2) {
+                    f *= 2;
+                    c *= 4;
+                }
+                while (c > r * 2) {
+                    f /= 2;
+                    c /= 4;
+                }
+
+                if ((c + r) / f < 0.95 * suma) {
+                    terminado = false;
+                    for (let j = 0; j < n; j++) a[i][j] /= f;
+                    for (let j = 0; j < n; j++) a[j][i] *= f;
+                }
+            }
+        }
+
+        return a;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Reducción a Hessenberg superior por eliminación gaussiana con
+     * pivoteo (elmhes de EISPACK); conserva los valores propios
+     * @returns {Array} La misma matriz, con ceros debajo de la subdiagonal
+     */
+    reducirHessenberg(a) {
+        const n = a.length;
+
+        for (let m = 1; m < n - 1; m++) {
+            // Pivote: el mayor elemento de la columna m − 1 desde la fila m
+            let pivote = 0;
+            let fila = m;
+            for (let j = m; j < n; j++) {
+                if (Math.abs(a[j][m - 1]) > Math.abs(pivote)) {
+                    pivote = a[j][m - 1];
+                    fila = j;
+                }
+            }
+
+            // Intercambio de filas y de columnas (transformación de semejanza)
+            if (fila !== m) {
+                [a[fila], a[m]] = [a[m], a[fila]];
+                for (let j = 0; j < n; j++) {
+                    [a[j][fila], a[j][m]] = [a[j][m], a[j][fila]];
+                }
+            }
+
+            if (pivote === 0) continue;
+
+            for (let i = m + 1; i < n; i++) {
+                const factor = a[i][m - 1] / pivote;
+                if (factor === 0) continue;
+                for (let j = m; j < n; j++) a[i][j] -= factor * a[m][j];
+                a[i][m - 1] = 0;
+                for (let j = 0; j < n; j++) a[j][m] += factor * a[j][i];
+            }
+        }
+
+        return a;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Cancelación de los polos y ceros que coinciden
+     * @returns {Object} {polos, ceros (Complex[] sin los cancelados), canceladas}
+     */
+    cancelar(polos, ceros) {
+        const restantes = polos.slice();
+        const cerosRestantes = [];
+
+        ceros.forEach(cero => {
+            const k = restantes.findIndex(polo =>
+                math.abs(math.subtract(polo, cero)) <=
+                this.TOLERANCIA_CANCELACION * Math.max(math.abs(polo), math.abs(cero))
+            );
+            if (k >= 0) {
+                restantes.splice(k, 1);
+            } else {
+                cerosRestantes.push(cero);
+            }
+        });
+
+        return {
+            polos: restantes,
+            ceros: cerosRestantes,
+            canceladas: ceros.length - cerosRestantes.length
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Raíces reales y pares complejos (listados una vez, con parte
+     * imaginaria positiva) con ω0, ζ y Q, ordenados por ω0
+     */
+    describir(raices) {
+        return raices
+            .filter(raiz => raiz.im >= 0)
+            .map(raiz => {
+                const omega0 = math.abs(raiz);
+                const par = raiz.im > 0;
+                const zeta = par ? -raiz.re / omega0 : null;
+                return {
+                    valor: raiz,
+                    par: par,
+                    omega0: omega0,
+                    frecuencia: omega0 / (2 * Math.PI),
+                    zeta: zeta,
+                    Q: par ? (zeta === 0 ? Infinity : 1 / (2 * zeta)) : null
+                };
+            })
+            .sort((a, b) => a.omega0 - b.omega0 || a.valor.re - b.valor.re);
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Estabilidad según la posición de los polos: todos en el
+     * semiplano izquierdo (estable), alguno sobre el eje jω (marginal) o alguno en
+     * el semiplano derecho (inestable)
+     */
+    estabilidad(polos) {
+        const tolerancia = polo => this.TOLERANCIA_CANCELACION * math.abs(polo);
+
+        if (polos.some(polo => polo.re > tolerancia(polo))) return 'inestable';
+        if (polos.some(polo => polo.re >= -tolerancia(polo))) return 'marginal';
+        return 'estable';
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PoleZeroAnalysis;
+}
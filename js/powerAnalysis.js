@@ -0,0 +1,253 @@
+/**
+ * CircuitLab MNA - Voltajes, Corrientes y Potencia por Elemento
+ *
+ * MNACore.analizarCircuito solo entrega los voltajes de nodo y las corrientes de
+ * rama de las fuentes de voltaje (y elementos similares). Este módulo post-procesa
+ * esa solución para obtener, en cada elemento y con la convención pasiva de signos
+ * (la corriente entra por el terminal + y sale por el −):
+ *
+ *   v = V(+) − V(−)
+ *   i = v/R, jωC·v, v/(jωL)... según el tipo de elemento
+ *   S = P + jQ = v·i          en DC
+ *   S = ½·v·i*                en AC (los fasores son amplitudes)
+ *   fp = |P| / |S|            atrasado si Q > 0 (la corriente atrasa al voltaje)
+ *
+ * S positiva es potencia absorbida: las fuentes que entregan potencia tienen P < 0.
+ * Teorema de Tellegen: Σ S = 0 sobre todos los elementos, así que la potencia
+ * compleja que entregan las fuentes (independientes y controladas) es igual a la
+ * que absorbe el resto del circuito.
+ */
+
+const PowerAnalysis = {
+    // Fuentes (independientes, controladas y salida del amplificador operacional)
+    TIPOS_FUENTE: ['V', 'I', 'E', 'G', 'F', 'H', 'OA'],
+
+    // Error relativo máximo de Σ S frente a Σ |S| para considerar cumplido el balance
+    // (en circuitos no lineales queda el residuo de Newton-Raphson)
+    TOLERANCIA_BALANCE: 1e-6,
+
+    // Por debajo de esta potencia aparente (VA) el factor de potencia no se define
+    POTENCIA_MINIMA: 1e-15,
+
+    /**
+     * 1. VOLTAJE, CORRIENTE Y POTENCIA DE CADA ELEMENTO
+     *
+     * Los transformadores ideales ocupan dos filas (primario y secundario) y los
+     * acoplamientos K ninguna: su efecto ya está en la corriente de los inductores.
+     * En diodos y transistores la fila muestra la rama principal (ánodo-cátodo,
+     * colector-emisor o drenador-fuente) y la potencia suma todas sus ramas.
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {Object} resultado - Resultado exitoso de MNACore.analizarCircuito()
+     * @param {number} frequency - Frecuencia del análisis en Hz (0 para DC)
+     * @returns {Object} {
+     *            elementos: [{nombre, tipo, etiqueta, esFuente, voltaje, corriente,
+     *                         potencia (S), factorPotencia (null si S = 0)}],
+     *            balance: ver calcularBalance()
+     *          }
+     */
+    calcularPotencias(elementos, resultado, frequency) {
+        const filas = [];
+
+        for (const elem of elementos) {
+            if (elem.tipo === 'K') continue;
+
+            if (elem.tipo === 'T') {
+                // Secundario: i2 = −n·i1 entrando por su terminal positivo
+                const primario = resultado.corrientes[elem.nombre];
+                filas.push(this.crearFila(elem, `${elem.nombre} (primario)`,
+                    this.voltajeEntre(resultado, elem.nodoPositivo, elem.nodoNegativo),
+                    primario, frequency));
+                filas.push(this.crearFila(elem, `${elem.nombre} (secundario)`,
+                    this.voltajeEntre(resultado, elem.nodoSecundarioPositivo, elem.nodoSecundarioNegativo),
+                    math.multiply(-elem.valor, primario), frequency));
+                continue;
+            }
+
+            if (DeviceModels.esNoLineal(elem)) {
+                filas.push(this.crearFilaDispositivo(elem, resultado, frequency));
+                continue;
+            }
+
+            // El amplificador operacional entrega su corriente entre la salida y tierra
+            const voltaje = elem.tipo === 'OA'
+                ? this.voltajeEntre(resultado, elem.nodoSalida, resultado.info.groundNode)
+                : this.voltajeEntre(resultado, elem.nodoPositivo, elem.nodoNegativo);
+
+            filas.push(this.crearFila(elem, elem.nombre, voltaje,
+                this.calcularCorriente(elem, voltaje, resultado, elementos, frequency), frequency));
+        }
+
+        return {
+            elementos: filas,
+            balance: this.calcularBalance(filas)
+        };
+    },
+
+    /**
+     * 2. CORRIENTE DE UN ELEMENTO LINEAL (convención pasiva)
+     *
+     * - R, S: v/R (R = Ron u Roff del interruptor)
+     * - C: jωC·v (0 en DC)
+     * - L: corriente de rama si es incógnita del sistema (DC o acoplado), v/(jωL) si no
+     * - V, E, H, OA: la corriente de rama invertida (analizarCircuito reporta la que
+     *   la fuente entrega al circuito)
+     * - I: −valor (inyecta su valor en el nodo positivo); en el circuito de pequeña
+     *   señal de un circuito no lineal, −valorAC
+     * - G: −gm·(V(c+) − V(c−))
+     * - F: β por la corriente que la fuente de control entrega al circuito (inyecta
+     *   β·j en su nodo positivo, con j la corriente que entra por el + de la fuente V)
+     *
+     * @param {Object} elem - Elemento lineal
+     * @param {number|Complex} voltaje - v = V(+) − V(−)
+     * @param {Object} resultado - Resultado de analizarCircuito
+     * @param {Array} elementos - Todos los elementos (para la fuente de control de F)
+     * @param {number} frequency - Frecuencia en Hz
+     * @returns {number|Complex} Corriente de + a − por el elemento
+     */
+    calcularCorriente(elem, voltaje, resultado, elementos, frequency) {
+        const omega = 2 * Math.PI * frequency;
+
+        switch (elem.tipo) {
+            case 'R':
+                return math.divide(voltaje, elem.valor);
+
+            case 'S':
+                return math.divide(voltaje, MNACore.obtenerResistenciaInterruptor(elem));
+
+            case 'C':
+                return frequency === 0 ? 0 : math.multiply(math.complex(0, omega * elem.valor), voltaje);
+
+            case 'L':
+                return resultado.corrientes[elem.nombre] !== undefined
+                    ? resultado.corrientes[elem.nombre]
+                    : math.divide(voltaje, math.complex(0, omega * elem.valor));
+
+            case 'V':
+            case 'E':
+            case 'H':
+            case 'OA':
+                return math.multiply(-1, resultado.corrientes[elem.nombre]);
+
+            case 'I': {
+                const fuente = resultado.info.pequenaSenal ? { ...elem, valor: elem.valorAC || 0 } : elem;
+                return math.multiply(-1, MNACore.obtenerFasorFuente(fuente, frequency));
+            }
+
+            case 'G':
+                return math.multiply(-elem.valor,
+                    this.voltajeEntre(resultado, elem.nodoControlPositivo, elem.nodoControlNegativo));
+
+            case 'F': {
+                const control = elementos.find(e =>
+                    e.tipo === 'V' && e.nombre.toUpperCase() === String(elem.elementoControl).toUpperCase()
+                );
+                return math.multiply(elem.valor, resultado.corrientes[control.nombre]);
+            }
+
+            default:
+                return 0;
+        }
+    },
+
+    /**
+     * 3. BALANCE DE POTENCIA (teorema de Tellegen)
+     *
+     * @param {Array} filas - Filas de calcularPotencias()
+     * @returns {Object} {
+     *            suministrada: −Σ S de las fuentes,
+     *            absorbida: Σ S del resto de elementos,
+     *            diferencia: |Σ S| (VA),
+     *            cumple: diferencia ≤ TOLERANCIA_BALANCE·Σ|S|
+     *          }
+     */
+    calcularBalance(filas) {
+        let suministrada = math.complex(0, 0);
+        let absorbida = math.complex(0, 0);
+        let aparente = 0;
+
+        filas.forEach(fila => {
+            if (fila.esFuente) {
+                suministrada = math.subtract(suministrada, fila.potencia);
+            } else {
+                absorbida = math.add(absorbida, fila.potencia);
+            }
+            aparente += math.abs(fila.potencia);
+        });
+
+        const diferencia = math.abs(math.subtract(suministrada, absorbida));
+
+        return {
+            suministrada: suministrada,
+            absorbida: absorbida,
+            diferencia: diferencia,
+            cumple: diferencia <= this.TOLERANCIA_BALANCE * Math.max(aparente, this.POTENCIA_MINIMA)
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Fila de un diodo o transistor a partir de sus ramas
+     * (resultado.info.ramasDispositivos): la potencia es Σ ramas v·i (½·v·i* en AC)
+     */
+    crearFilaDispositivo(elem, resultado, frequency) {
+        const ramas = resultado.info.ramasDispositivos[elem.nombre];
+        const potencia = ramas.reduce((suma, rama) => math.add(suma, this.potenciaCompleja(
+            this.voltajeEntre(resultado, rama.desde, rama.hacia), rama.corriente, frequency
+        )), 0);
+
+        const fila = this.crearFila(elem, elem.nombre,
+            this.voltajeEntre(resultado, elem.nodoPositivo, elem.nodoNegativo), ramas[0].corriente, frequency);
+        fila.potencia = potencia;
+        fila.factorPotencia = this.factorPotencia(potencia);
+        return fila;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Fila de la tabla con la potencia y el factor de potencia
+     */
+    crearFila(elem, etiqueta, voltaje, corriente, frequency) {
+        const potencia = this.potenciaCompleja(voltaje, corriente, frequency);
+        return {
+            nombre: elem.nombre,
+            tipo: elem.tipo,
+            etiqueta: etiqueta,
+            esFuente: this.TIPOS_FUENTE.includes(elem.tipo),
+            voltaje: voltaje,
+            corriente: corriente,
+            potencia: potencia,
+            factorPotencia: this.factorPotencia(potencia)
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Potencia compleja absorbida S = v·i (DC) o ½·v·i* (AC)
+     * @returns {number|Complex}
+     */
+    potenciaCompleja(voltaje, corriente, frequency) {
+        return frequency === 0
+            ? math.multiply(voltaje, corriente)
+            : math.multiply(0.5, math.multiply(voltaje, math.conj(corriente)));
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Factor de potencia |P|/|S|
+     * @returns {number|null} null si la potencia aparente es despreciable
+     */
+    factorPotencia(potencia) {
+        const aparente = math.abs(potencia);
+        return aparente > this.POTENCIA_MINIMA ? Math.abs(math.re(potencia)) / aparente : null;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Voltaje V(a) − V(b) de la solución
+     * @returns {number|Complex}
+     */
+    voltajeEntre(resultado, nodoA, nodoB) {
+        return math.subtract(resultado.voltajes[nodoA], resultado.voltajes[nodoB]);
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PowerAnalysis;
+}
@@ -9,12 +9,70 @@
  * Funcionalidades:
  * - Display de voltajes de nodos (DC y AC)
  * - Display de corrientes en fuentes
+ * - Voltaje, corriente y potencia de cada elemento con el balance de potencia
  * - Visualización de matrices del sistema
+ * - Diagramas de Bode del barrido AC
+ * - Curvas y tabla del barrido DC y formas de onda del transitorio
+ * - Equivalentes de Thévenin y Norton
+ * - Contribución de cada fuente (superposición)
+ * - Parámetros de dos puertos
+ * - Impedancias de entrada y salida
+ * - Sensibilidad de un voltaje respecto a cada elemento
+ * - Estadísticas e histogramas de Monte Carlo
+ * - Peor caso con las esquinas de tolerancia
+ * - Barrido paramétrico con las curvas de cada valor superpuestas
+ * - Polos y ceros en el plano s con ω0, ζ y Q
  * - Exportación de resultados
  * - Mensajes de estado (éxito, error, advertencia)
  */
 
 const ResultDisplay = {
+    // Filas máximas de las tablas de curvas largas (la exportación incluye todas)
+    MAX_FILAS_TABLA_CURVAS: 200,
+
+    // Nombres de las estrategias de convergencia (ver MNACore.resolverPuntoOperacion)
+    NOMBRES_ESTRATEGIA: {
+        newton: 'Newton-Raphson',
+        amortiguado: 'Newton amortiguado',
+        gmin: 'gmin stepping',
+        fuentes: 'rampa de fuentes'
+    },
+
+    // Análisis que repite el barrido paramétrico (para las descripciones)
+    NOMBRES_ANALISIS_PARAMETRICO: {
+        punto: 'el punto de operación',
+        barridoAC: 'el barrido AC',
+        barridoDC: 'el barrido DC',
+        transitorio: 'el análisis transitorio',
+        thevenin: 'el equivalente de Thévenin/Norton',
+        superposicion: 'la superposición',
+        dosPuertos: 'el cálculo de los parámetros de dos puertos',
+        impedancias: 'la medición de las impedancias de entrada y salida',
+        sensibilidad: 'el análisis de sensibilidad',
+        monteCarlo: 'el análisis de Monte Carlo',
+        peorCaso: 'el análisis del peor caso',
+        polosCeros: 'el análisis de polos y ceros'
+    },
+
+    // Conclusión según la posición de los polos (ver PoleZeroAnalysis.estabilidad)
+    DESCRIPCION_ESTABILIDAD: {
+        estable: 'Estable: todos los polos están en el semiplano izquierdo.',
+        marginal: 'Marginalmente estable: hay polos sobre el eje jω y ninguno en el semiplano derecho.',
+        inestable: 'Inestable: hay polos en el semiplano derecho.'
+    },
+
+    // Unidad del valor de cada tipo de elemento
+    UNIDADES_VALOR: { R: 'Ω', V: 'V', I: 'A', C: 'F', L: 'H', G: 'S', H: 'Ω' },
+
+    // Ecuación, símbolos y unidades de cada conjunto de parámetros de dos puertos
+    PARAMETROS_DOS_PUERTOS: {
+        Z: { ecuacion: '[V₁; V₂] = Z·[I₁; I₂]', simbolos: [['z₁₁', 'z₁₂'], ['z₂₁', 'z₂₂']], unidades: [['Ω', 'Ω'], ['Ω', 'Ω']] },
+        Y: { ecuacion: '[I₁; I₂] = Y·[V₁; V₂]', simbolos: [['y₁₁', 'y₁₂'], ['y₂₁', 'y₂₂']], unidades: [['S', 'S'], ['S', 'S']] },
+        H: { ecuacion: '[V₁; I₂] = H·[I₁; V₂]', simbolos: [['h₁₁', 'h₁₂'], ['h₂₁', 'h₂₂']], unidades: [['Ω', ''], ['', 'S']] },
+        G: { ecuacion: '[I₁; V₂] = G·[V₁; I₂]', simbolos: [['g₁₁', 'g₁₂'], ['g₂₁', 'g₂₂']], unidades: [['S', ''], ['', 'Ω']] },
+        ABCD: { ecuacion: '[V₁; I₁] = T·[V₂; −I₂]', simbolos: [['A', 'B'], ['C', 'D']], unidades: [['', 'Ω'], ['S', '']] }
+    },
+
     /**
      * Método principal que orquesta el display completo de resultados
      * @param {Object} resultado - Objeto resultado de MNACore.analizarCircuito()
@@ -31,19 +89,34 @@ const ResultDisplay = {
                 return;
             }
 
+            this.mostrarGruposAnalisis('punto');
+
             // Mostrar voltajes de nodos
             if (resultado.voltajes) {
                 this.mostrarVoltajes(resultado.voltajes, frequency);
             }
 
-            // Mostrar corrientes en fuentes de voltaje
+            // Mostrar corrientes en fuentes de voltaje (y en dispositivos no lineales)
             if (resultado.corrientes) {
-                this.mostrarCorrientes(resultado.corrientes, frequency);
+                const incognitasRama = resultado.info ? resultado.info.incognitasRama : [];
+                const dispositivos = resultado.info && resultado.info.dispositivos
+                    ? Object.keys(resultado.info.dispositivos).map(nombre => ({
+                        nombre: nombre,
+                        tipo: resultado.info.dispositivos[nombre].tipo
+                    }))
+                    : [];
+                this.mostrarCorrientes(resultado.corrientes, frequency, incognitasRama.concat(dispositivos));
             }
 
+            // Mostrar voltaje, corriente y potencia de cada elemento
+            this.mostrarPotencias(resultado.potencias, frequency);
+
+            // Mostrar el punto de operación de diodos y transistores
+            this.mostrarDispositivos(resultado.info ? resultado.info.dispositivos : null, frequency);
+
             // Mostrar matrices del sistema
             if (resultado.matrices) {
-                this.mostrarMatrices(resultado.matrices);
+                this.mostrarMatrices(resultado.matrices, resultado.info);
             }
 
             // Mostrar advertencias específicas para DC
@@ -55,7 +128,7 @@ const ResultDisplay = {
                     this.mostrarAdvertencia('Análisis DC: Los capacitores actúan como circuito abierto (impedancia infinita)');
                 }
                 if (tieneInductores) {
-                    this.mostrarAdvertencia('Análisis DC: Los inductores actúan como cortocircuito (impedancia cero)');
+                    this.mostrarAdvertencia('Análisis DC: Los inductores actúan como cortocircuito (ramas de 0V); su corriente se muestra junto a la de las fuentes');
                 }
             }
 
@@ -71,6 +144,11 @@ const ResultDisplay = {
             const tipoAnalisis = frequency === 0 ? 'DC' : `AC (${frequency} Hz)`;
             this.mostrarExito(`Análisis ${tipoAnalisis} completado exitosamente`);
 
+            // Convergencia de Newton-Raphson (circuitos con diodos y transistores)
+            if (resultado.info && resultado.info.newton) {
+                this.mostrarExito(this.describirNewton(resultado.info.newton, resultado.info.convergencia));
+            }
+
         } catch (error) {
             this.mostrarError(`Error al mostrar resultados: ${error.message}`);
         }
@@ -160,21 +238,29 @@ const ResultDisplay = {
     },
 
     /**
-     * Mostrar corrientes en fuentes de voltaje
+     * Mostrar corrientes en fuentes de voltaje (independientes y controladas),
+     * corrientes de salida de amplificadores operacionales, corrientes de los
+     * elementos pasivos con corriente de rama (inductores en DC o acoplados, transformadores)
+     * y corrientes de los diodos y transistores (colector o drenador)
      * @param {Object} corrientes - Objeto con corrientes {fuente: valor}
      * @param {number} frequency - Frecuencia (0=DC, >0=AC)
+     * @param {Array} incognitasRama - [{nombre, tipo}] de cada corriente de rama y de cada dispositivo no lineal
      */
-    mostrarCorrientes(corrientes, frequency) {
+    mostrarCorrientes(corrientes, frequency, incognitasRama = []) {
         const container = document.getElementById('currentsResult');
         if (!container) return;
 
         const isDC = frequency === 0;
 
+        // Tipo de elemento de cada corriente (para describir las salidas de amp. op.)
+        const tipos = {};
+        incognitasRama.forEach(rama => { tipos[rama.nombre] = rama.tipo; });
+
         // Verificar si hay corrientes para mostrar
         if (Object.keys(corrientes).length === 0) {
             container.innerHTML = `
                 <p class="text-muted text-sm">
-                    No hay fuentes de voltaje independientes en el circuito
+                    No hay fuentes de voltaje (independientes o controladas) en el circuito
                 </p>
             `;
             return;
@@ -191,6 +277,9 @@ const ResultDisplay = {
 
         for (const fuente in corrientes) {
             const corriente = corrientes[fuente];
+            const esAmplificador = tipos[fuente] === 'OA';
+            // Inductores, transformadores, diodos y transistores: corriente con convención pasiva
+            const esPasivo = ['L', 'T', 'D', 'Q', 'M'].includes(tipos[fuente]);
             let fila, claseFila;
 
             if (isDC) {
@@ -200,19 +289,45 @@ const ResultDisplay = {
                     : (typeof corriente === 'number' ? corriente : 0);
 
                 const valorFormateado = this.formatearNumero(valor, 6);
-                const direccion = valor >= 0
-                    ? 'Entra por terminal +'
-                    : 'Sale por terminal +';
+                let direccion;
+                if (esAmplificador) {
+                    direccion = valor >= 0
+                        ? 'Sale por la salida hacia el circuito'
+                        : 'Entra por la salida desde el circuito';
+                } else if (esPasivo) {
+                    direccion = valor >= 0
+                        ? 'Entra al elemento por terminal +'
+                        : 'Sale del elemento por terminal +';
+                } else {
+                    direccion = valor >= 0
+                        ? 'Entra por terminal +'
+                        : 'Sale por terminal +';
+                }
 
                 // Formatear nombre con notación matemática: V1 → i<sub>V₁</sub>
-                const nombreFormateado = this.formatearNombreCorriente(fuente);
+                let nombreFormateado = this.formatearNombreCorriente(fuente);
+                if (esAmplificador) {
+                    nombreFormateado += ' (salida del amp. op.)';
+                } else if (tipos[fuente] === 'L') {
+                    nombreFormateado += ' (inductor)';
+                } else if (tipos[fuente] === 'T') {
+                    nombreFormateado += ' (primario del transformador)';
+                } else if (tipos[fuente] === 'D') {
+                    nombreFormateado += ' (diodo, de ánodo a cátodo)';
+                } else if (tipos[fuente] === 'Q') {
+                    nombreFormateado += ' (colector del BJT)';
+                } else if (tipos[fuente] === 'M') {
+                    nombreFormateado += ' (drenador del MOSFET)';
+                }
 
                 fila = [nombreFormateado, valorFormateado, direccion];
                 claseFila = ['', 'valor-numerico', 'text-sm'];
             } else {
                 // AC: magnitud y fase
                 const {magnitud, fase} = this.calcularMagnitudFase(corriente);
-                const direccion = 'Convención pasiva';
+                const direccion = esAmplificador
+                    ? 'Corriente de salida del amp. op.'
+                    : 'Convención pasiva';
 
                 fila = [
                     fuente,
@@ -233,17 +348,170 @@ const ResultDisplay = {
         // Insertar en el contenedor (SIN caja adicional)
         container.innerHTML = `
             <p class="text-muted text-sm" style="margin-bottom: 1rem;">
-                Corrientes que fluyen a través de las fuentes de voltaje independientes (incógnitas 'j' del vector x).
+                Corrientes que fluyen a través de las fuentes de voltaje independientes y controladas, corrientes de salida
+                de los amplificadores operacionales ideales, corrientes de inductores (en DC, o acoplados en AC) y
+                primarios de transformadores (incógnitas 'j' del vector x), y corrientes de los diodos y de colector o
+                drenador de los transistores.
             </p>
             ${tablaHTML}
         `;
     },
 
+    /**
+     * Mostrar voltaje, corriente y potencia compleja de cada elemento (convención
+     * pasiva) y el balance entre la potencia suministrada y la absorbida
+     * @param {Object|undefined} potencias - Resultado de PowerAnalysis.calcularPotencias()
+     * @param {number} frequency - Frecuencia (0=DC, >0=AC)
+     */
+    mostrarPotencias(potencias, frequency) {
+        const container = document.getElementById('potenciasResult');
+        if (!container || !potencias) return;
+
+        const esDC = frequency === 0;
+        const headers = esDC
+            ? ['Elemento', 'Voltaje v (V)', 'Corriente i (A)', 'Potencia P (W)']
+            : ['Elemento', 'Voltaje v (V)', 'Corriente i (A)', 'Potencia S = P + jQ (VA)', 'Factor de potencia'];
+        const filas = [];
+        const clases = [];
+
+        potencias.elementos.forEach(fila => {
+            const celdas = [
+                fila.etiqueta,
+                this.formatearFasor(fila.voltaje, ''),
+                this.formatearFasor(fila.corriente, ''),
+                this.formatearComplejo(fila.potencia, 6)
+            ];
+            if (!esDC) {
+                celdas.push(this.describirFactorPotencia(fila));
+            }
+            filas.push(celdas);
+            clases.push(['', 'valor-numerico', 'valor-numerico', 'valor-numerico', 'valor-numerico']);
+        });
+
+        const { suministrada, absorbida, diferencia, cumple } = potencias.balance;
+        const unidad = esDC ? 'W' : 'VA';
+
+        container.innerHTML = `
+            <p class="text-muted text-sm" style="margin-bottom: 1rem;">
+                Convención pasiva: la corriente entra por el terminal + y la potencia positiva es absorbida
+                (las fuentes que entregan potencia aparecen con P &lt; 0).
+                ${esDC ? '' : 'S = ½·v·i* con fasores en amplitud; el factor de potencia es atrasado si Q &gt; 0.'}
+            </p>
+            ${this.crearTablaHTML(headers, filas, clases)}
+            <div class="alert alert-${cumple ? 'success' : 'warning'}" style="margin-top: 1rem;">
+                Balance de potencia (teorema de Tellegen): suministrada por las fuentes
+                ${this.formatearComplejo(suministrada, 6)} ${unidad}, absorbida por el resto
+                ${this.formatearComplejo(absorbida, 6)} ${unidad}
+                (diferencia ${diferencia.toExponential(2)} ${unidad}${cumple ? '' : ', mayor a la esperada'}).
+            </div>
+        `;
+    },
+
+    /**
+     * Describir el factor de potencia de un elemento en AC
+     * @param {Object} fila - Fila de PowerAnalysis.calcularPotencias()
+     * @returns {string} Ej: "0.8 (atrasado)"
+     */
+    describirFactorPotencia(fila) {
+        if (fila.factorPotencia === null) return '—';
+
+        const q = math.im(math.complex(fila.potencia));
+        const caracter = Math.abs(q) <= 1e-9 * math.abs(fila.potencia)
+            ? 'unitario'
+            : (q > 0 ? 'atrasado' : 'adelantado');
+        return `${this.formatearNumero(fila.factorPotencia, 4)} (${caracter})`;
+    },
+
+    /**
+     * Mostrar el punto de operación de los dispositivos no lineales: región,
+     * polarización, corriente y parámetros de pequeña señal (gm, rπ, ro)
+     * @param {Object|null} dispositivos - {nombre: estado} de resultado.info.dispositivos
+     * @param {number} frequency - Frecuencia (0=DC, >0=AC)
+     */
+    mostrarDispositivos(dispositivos, frequency) {
+        const container = document.getElementById('dispositivosResult');
+        if (!container) return;
+
+        if (!dispositivos || Object.keys(dispositivos).length === 0) {
+            container.innerHTML = `
+                <p class="text-muted text-sm">
+                    No hay diodos ni transistores en el circuito
+                </p>
+            `;
+            return;
+        }
+
+        const headers = ['Dispositivo', 'Región', 'Polarización', 'Corriente', 'gm (S)', 'rπ (Ω)', 'ro / rd (Ω)'];
+        const filas = [];
+        const clases = [];
+
+        for (const nombre in dispositivos) {
+            const d = this.describirDispositivo(dispositivos[nombre]);
+            filas.push([`${nombre} (${d.tipo})`, d.region, d.polarizacion, d.corriente, d.gm, d.rpi, d.ro]);
+            clases.push(['', '', 'text-sm', 'valor-numerico', 'valor-numerico', 'valor-numerico', 'valor-numerico']);
+        }
+
+        const nota = frequency === 0
+            ? 'Punto de operación DC obtenido con Newton-Raphson.'
+            : 'Punto de operación DC en el que se linealizó cada dispositivo para el análisis AC de pequeña señal.';
+
+        container.innerHTML = `
+            <p class="text-muted text-sm" style="margin-bottom: 1rem;">
+                ${nota} Las corrientes entran por el ánodo, el colector o el drenador.
+            </p>
+            ${this.crearTablaHTML(headers, filas, clases)}
+        `;
+    },
+
+    /**
+     * Describir el estado de un dispositivo no lineal como texto
+     * @param {Object} estado - Estado de DeviceModels.evaluar()
+     * @returns {Object} {tipo, region, polarizacion, corriente, gm, rpi, ro}
+     */
+    describirDispositivo(estado) {
+        // Más decimales en valores pequeños (corrientes de base, gm...) para no redondearlos
+        const numero = x => (isFinite(x) ? this.formatearNumero(x, Math.abs(x) < 1e-3 ? 15 : 6) : '∞');
+
+        switch (estado.tipo) {
+            case 'Q':
+                return {
+                    tipo: `BJT ${estado.polaridad}`,
+                    region: estado.region,
+                    polarizacion: `V_BE = ${numero(estado.vbe)} V, V_CE = ${numero(estado.vce)} V`,
+                    corriente: `I_C = ${numero(estado.ic)} A, I_B = ${numero(estado.ib)} A`,
+                    gm: numero(estado.gm),
+                    rpi: numero(estado.rpi),
+                    ro: numero(estado.ro)
+                };
+            case 'M':
+                return {
+                    tipo: `MOSFET ${estado.polaridad}`,
+                    region: estado.region,
+                    polarizacion: `V_GS = ${numero(estado.vgs)} V, V_DS = ${numero(estado.vds)} V`,
+                    corriente: `I_D = ${numero(estado.id)} A`,
+                    gm: numero(estado.gm),
+                    rpi: '∞',
+                    ro: numero(estado.ro)
+                };
+            default:
+                return {
+                    tipo: 'diodo',
+                    region: estado.region,
+                    polarizacion: `V_D = ${numero(estado.voltaje)} V`,
+                    corriente: `I_D = ${numero(estado.corriente)} A`,
+                    gm: '—',
+                    rpi: '—',
+                    ro: numero(1 / estado.conductancia)
+                };
+        }
+    },
+
     /**
      * Mostrar matrices del sistema (A, x, z)
      * @param {Object} matrices - Objeto con matrices {A, x, z}
+     * @param {Object} info - Información del análisis (nodo de tierra e incógnitas de rama)
      */
-    mostrarMatrices(matrices) {
+    mostrarMatrices(matrices, info = {}) {
         if (!matrices || !matrices.A) return;
 
         // Crear etiquetas para las columnas de A y x
@@ -256,21 +524,20 @@ const ResultDisplay = {
         let etiquetasColumnasA = [];
         let etiquetasFilasX = [];
 
-        // Etiquetas para Nodos
+        // Etiquetas para Nodos (se omite el nodo de tierra)
+        const groundNode = info.groundNode || 0;
         for (let i = 0; i < n; i++) {
-            // Asumiendo que groundNode es 0, los nodos son 1...n
-            // (Esto debe mejorarse si groundNode no es 0)
-            const nodoReal = i + 1;
+            const nodoReal = (i < groundNode) ? i : i + 1;
             etiquetasColumnasA.push(`v_${nodoReal}`);
             etiquetasFilasX.push(`v_${nodoReal}`);
         }
 
-        // Etiquetas para Corrientes
-        // Necesitamos los nombres de las fuentes de V, que no están aquí.
-        // Usaremos etiquetas genéricas por ahora.
+        // Etiquetas para Corrientes de rama (fuentes V y fuentes controladas)
+        const incognitasRama = info.incognitasRama || [];
         for (let j = 0; j < m; j++) {
-            etiquetasColumnasA.push(`i_V${j+1}`);
-            etiquetasFilasX.push(`i_V${j+1}`);
+            const nombre = incognitasRama[j] ? incognitasRama[j].nombre : `V${j+1}`;
+            etiquetasColumnasA.push(`i_${nombre}`);
+            etiquetasFilasX.push(`i_${nombre}`);
         }
 
         // Etiquetas para filas de A y z
@@ -402,7 +669,7 @@ const ResultDisplay = {
             // Agregar explicación educativa simple según el tipo de matriz
             let explicacion = '';
             if (contenedorId === 'matrixA') {
-                explicacion = `<p class="matriz-descripcion">La matriz <em>A</em> del sistema contiene los coeficientes que relacionan voltajes y corrientes. Está formada por cuatro submatrices: <em>G</em> (conductancias de elementos pasivos), <em>B</em> (conexiones de fuentes de voltaje), <em>C</em> (transpuesta de <em>B</em>), y <em>D</em> (fuentes dependientes, ceros en circuitos simples).</p>`;
+                explicacion = `<p class="matriz-descripcion">La matriz <em>A</em> del sistema contiene los coeficientes que relacionan voltajes y corrientes. Está formada por cuatro submatrices: <em>G</em> (conductancias de elementos pasivos), <em>B</em> (conexiones de fuentes de voltaje), <em>C</em> (ecuaciones de rama: transpuesta de <em>B</em> más las ganancias de las fuentes controladas), y <em>D</em> (coeficientes de corrientes de rama, ceros en circuitos simples).</p>`;
             } else if (contenedorId === 'vectorX') {
                 explicacion = `<p class="matriz-descripcion">El vector <em>x</em> contiene las incógnitas del sistema: voltajes nodales (<em>v</em><sub>i</sub>) y corrientes a través de fuentes de voltaje (<em>i</em><sub>Vj</sub>). Estos son los valores que buscamos resolver.</p>`;
             } else if (contenedorId === 'vectorZ') {
@@ -425,197 +692,1602 @@ const ResultDisplay = {
     },
 
     /**
-     * Limpiar todos los contenedores de resultados
+     * Mostrar solo los grupos de resultados del tipo de análisis indicado
+     * (data-analisis puede listar varios tipos separados por espacios)
+     * @param {string} tipoAnalisis - Valor de data-analisis ('punto', 'barridoAC')
      */
-    limpiarResultados() {
-        const contenedores = [
-            'voltagesResult',
-            'currentsResult',
-            'matrixA',
-            'vectorX',
-            'vectorZ'
-        ];
-
-        contenedores.forEach(id => {
-            const elemento = document.getElementById(id);
-            if (elemento) {
-                elemento.innerHTML = '';
-            }
+    mostrarGruposAnalisis(tipoAnalisis) {
+        document.querySelectorAll('.resultado-grupo[data-analisis]').forEach(grupo => {
+            grupo.style.display = grupo.dataset.analisis.split(' ').includes(tipoAnalisis) ? '' : 'none';
         });
-
-        // Ocultar sección de resultados
-        const resultsSection = document.getElementById('resultsSection');
-        if (resultsSection) {
-            resultsSection.style.display = 'none';
-            resultsSection.classList.add('hidden');
-        }
-
-        // Limpiar mensajes anteriores
-        this.limpiarMensajes();
     },
 
     /**
-     * Limpiar mensajes de estado (error, advertencia, éxito)
+     * Mostrar los resultados de un barrido AC (diagramas de Bode)
+     * @param {Object} barrido - Resultado de SweepAnalysis.barridoAC()
      */
-    limpiarMensajes() {
-        const contenedorMensajes = document.getElementById('messages');
-        if (contenedorMensajes) {
-            contenedorMensajes.innerHTML = '';
-        }
-    },
+    mostrarBarridoAC(barrido) {
+        this.limpiarResultados();
 
-    /**
-     * Crear tabla HTML genérica
-     * @param {Array<string>} headers - Array de strings para encabezados
-     * @param {Array<Array>} filas - Array de arrays con datos
-     * @param {Array<Array<string>>} clases - Array de arrays con clases CSS opcionales
-     * @returns {string} String HTML de la tabla
-     */
-    crearTablaHTML(headers, filas, clases = []) {
-        let html = '<table class="resultado-table">';
+        try {
+            if (!barrido || !barrido.exito) {
+                this.mostrarError('No hay resultados del barrido para mostrar');
+                return;
+            }
 
-        // Encabezados
-        html += '<tr>';
-        for (const header of headers) {
-            html += `<th>${header}</th>`;
-        }
-        html += '</tr>';
+            this.mostrarGruposAnalisis('barridoAC');
 
-        // Filas de datos
-        for (let i = 0; i < filas.length; i++) {
-            html += '<tr>';
-            const fila = filas[i];
-            const claseFila = clases[i] || [];
+            // Opciones de nodos: la salida no puede ser tierra; la referencia sí (H = V salida)
+            const { numNodos, groundNode } = barrido.info;
+            const selectSalida = document.getElementById('bodeNodoSalida');
+            const selectReferencia = document.getElementById('bodeNodoReferencia');
 
-            for (let j = 0; j < fila.length; j++) {
-                const clase = claseFila[j] || '';
-                html += `<td class="${clase}">${fila[j]}</td>`;
+            let opcionesSalida = '';
+            let opcionesReferencia = `<option value="">Nodo ${groundNode} (Tierra) - H = V(salida)</option>`;
+            for (let nodo = 0; nodo < numNodos; nodo++) {
+                if (nodo === groundNode) continue;
+                opcionesSalida += `<option value="${nodo}">Nodo ${nodo}</option>`;
+                opcionesReferencia += `<option value="${nodo}">Nodo ${nodo}</option>`;
             }
-            html += '</tr>';
-        }
+            selectSalida.innerHTML = opcionesSalida;
+            selectReferencia.innerHTML = opcionesReferencia;
 
-        html += '</table>';
-        return html;
-    },
+            // Por defecto: el último nodo como salida, respecto a tierra
+            selectSalida.selectedIndex = selectSalida.options.length - 1;
 
-    /**
-     * Formatear número complejo para display
-     * @param {number|Object} numero - Número a formatear (real o complejo)
-     * @param {number} decimales - Número de decimales (default: 4)
-     * @returns {string} String formateado
-     */
-    formatearComplejo(numero, decimales = 4) {
-        if (numero === undefined || numero === null) { return '0'; }
-        if (typeof numero === 'number') {
-            return this.formatearNumero(numero, decimales);
-        }
-        if (typeof numero === 'object' && (numero.re !== undefined || numero.im !== undefined)) {
-            const re = numero.re || 0;
-            const im = numero.im || 0;
+            selectSalida.onchange = () => this.actualizarBode(barrido);
+            selectReferencia.onchange = () => this.actualizarBode(barrido);
+            this.actualizarBode(barrido);
 
-            // Si es real (imaginaria despreciable)
-            if (Math.abs(im) < 1e-10) {
-                return this.formatearNumero(re, decimales);
-            }
-            // Si es imaginario puro (real despreciable)
-            if (Math.abs(re) < 1e-10) {
-                return `${this.formatearNumero(im, decimales)}j`;
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
             }
-            // Complejo
-            const reStr = this.formatearNumero(re, decimales);
-            const imStr = this.formatearNumero(Math.abs(im), decimales);
-            const signo = im >= 0 ? '+' : '-';
-            return `${reStr} ${signo} ${imStr}j`;
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar el barrido: ${error.message}`);
         }
-        return String(numero);
     },
 
     /**
-     * Formatear número simple
-     * @param {number} numero - Número a formatear
-     * @param {number} decimales - Número de decimales
-     * @returns {string} Número formateado
+     * Redibujar los diagramas de Bode y la tabla para los nodos seleccionados
+     * @param {Object} barrido - Resultado de SweepAnalysis.barridoAC()
      */
-    formatearNumero(numero, decimales = 4) {
-        if (Math.abs(numero) < 1e-10) {
-            return '0';
-        }
+    actualizarBode(barrido) {
+        const nodoSalida = parseInt(document.getElementById('bodeNodoSalida').value);
+        const valorReferencia = document.getElementById('bodeNodoReferencia').value;
+        const nodoReferencia = valorReferencia === '' ? null : parseInt(valorReferencia);
+
+        const { magnitudDB, faseGrados } = SweepAnalysis.calcularTransferencia(barrido, nodoSalida, nodoReferencia);
+
+        const nombreH = nodoReferencia === null
+            ? `V${this.convertirASubindice(String(nodoSalida))}`
+            : `V${this.convertirASubindice(String(nodoSalida))}/V${this.convertirASubindice(String(nodoReferencia))}`;
+        const escalaX = barrido.info.tipoBarrido === 'lineal' ? 'linear' : 'logarithmic';
+
+        PlotDisplay.dibujarGrafica('bodeMagnitud', {
+            x: barrido.frecuencias,
+            series: [{ nombre: `|${nombreH}|`, datos: magnitudDB }],
+            etiquetaX: 'Frecuencia (Hz)',
+            etiquetaY: nodoReferencia === null ? 'Magnitud (dBV)' : 'Magnitud (dB)',
+            escalaX: escalaX
+        });
 
-        const factor = Math.pow(10, decimales);
-        const redondeado = Math.round(numero * factor) / factor;
+        PlotDisplay.dibujarGrafica('bodeFase', {
+            x: barrido.frecuencias,
+            series: [{ nombre: `∠${nombreH}`, datos: faseGrados }],
+            etiquetaX: 'Frecuencia (Hz)',
+            etiquetaY: 'Fase (°)',
+            escalaX: escalaX
+        });
 
-        // Usar notación científica con superíndice
-        if (Math.abs(redondeado) >= 1e6 || (Math.abs(redondeado) < 1e-3 && redondeado !== 0)) {
-            const exponente = Math.floor(Math.log10(Math.abs(redondeado)));
-            const mantisa = redondeado / Math.pow(10, exponente);
+        const filas = barrido.frecuencias.map((f, k) => [
+            this.formatearNumero(f, 4),
+            this.formatearNumero(magnitudDB[k], 3),
+            this.formatearNumero(faseGrados[k], 2)
+        ]);
 
-            // Mapeo de superíndices
-            const superindices = {
-                '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴',
-                '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '-': '⁻'
-            };
+        document.getElementById('bodeTabla').innerHTML = this.crearTablaHTML(
+            ['Frecuencia (Hz)', `|${nombreH}| (dB)`, `∠${nombreH} (°)`],
+            filas
+        );
+    },
 
-            const exponenteStr = String(exponente).split('').map(char => superindices[char] || char).join('');
+    /**
+     * Mostrar los resultados de un barrido DC: casillas para elegir las curvas,
+     * gráficas de voltajes y de corrientes y la tabla de valores
+     * @param {Object} barrido - Resultado de SweepAnalysis.barridoDC()
+     */
+    mostrarBarridoDC(barrido) {
+        const { nombre, tipo } = barrido && barrido.parametro ? barrido.parametro : {};
+        const unidad = this.UNIDADES_VALOR[tipo];
 
-            return `${mantisa.toFixed(2)} × 10${exponenteStr}`;
-        }
+        this.mostrarCurvas('barridoDC', barrido, {
+            x: barrido ? barrido.valores : [],
+            etiquetaX: unidad ? `${nombre} (${unidad})` : nombre
+        });
+    },
 
-        // .toFixed() y eliminar ceros innecesarios al final
-        let numStr = redondeado.toFixed(decimales);
-        if (numStr.includes('.')) {
-            numStr = numStr.replace(/\.?0+$/, '');
-        }
-        return numStr;
+    /**
+     * Mostrar las formas de onda del análisis transitorio
+     * @param {Object} transitorio - Resultado de TransientAnalysis.analizarTransitorio()
+     */
+    mostrarTransitorio(transitorio) {
+        this.mostrarCurvas('transitorio', transitorio, {
+            x: transitorio ? transitorio.tiempos : [],
+            etiquetaX: 'Tiempo (s)',
+            maxFilasTabla: this.MAX_FILAS_TABLA_CURVAS
+        });
     },
 
     /**
-     * Calcular magnitud y fase de un número complejo
-     * @param {Object|number} numeroComplejo - Número complejo
-     * @returns {Object} {magnitud, fase}
+     * Mostrar el equivalente de Thévenin/Norton: circuitos equivalentes y tabla de valores
+     * @param {Object} equivalente - Resultado de TheveninAnalysis.calcularEquivalente()
      */
-    calcularMagnitudFase(numeroComplejo) {
-        // Si es número real
-        if (typeof numeroComplejo === 'number') {
-            return {
-                magnitud: Math.abs(numeroComplejo),
-                fase: numeroComplejo >= 0 ? 0 : 180
-            };
-        }
+    mostrarThevenin(equivalente) {
+        this.limpiarResultados();
 
-        // Si es objeto complejo
-        if (typeof numeroComplejo === 'object') {
-            const re = numeroComplejo.re !== undefined ? numeroComplejo.re : 0;
-            const im = numeroComplejo.im !== undefined ? numeroComplejo.im : 0;
+        try {
+            if (!equivalente || !equivalente.exito) {
+                this.mostrarError('No hay resultados del equivalente para mostrar');
+                return;
+            }
 
-            // Magnitud: |z| = sqrt(re² + im²)
-            const magnitud = Math.sqrt(re * re + im * im);
+            this.mostrarGruposAnalisis('thevenin');
+
+            const { nodoA, nodoB, frecuencia } = equivalente.info;
+            const esDC = frecuencia === 0;
+            const vth = this.formatearFasor(equivalente.vth, 'V');
+            const zth = this.formatearFasor(equivalente.zth, 'Ω');
+            const norton = equivalente.in === null ? null : this.formatearFasor(equivalente.in, 'A');
+
+            // Circuitos equivalentes
+            let circuitos = this.dibujarEquivalente('thevenin', `Vth = ${vth}`, `Zth = ${zth}`, nodoA, nodoB);
+            circuitos += norton === null
+                ? '<p class="text-muted text-sm">Zth = 0: el equivalente de Norton no existe (fuente de voltaje ideal entre a y b).</p>'
+                : this.dibujarEquivalente('norton', `In = ${norton}`, `Zth = ${zth}`, nodoA, nodoB);
+            document.getElementById('theveninCircuito').innerHTML = circuitos;
+
+            // Tabla de valores
+            const filas = [
+                ['Voltaje de Thévenin Vth = V(a) − V(b) a circuito abierto', vth],
+                [`Impedancia de Thévenin Zth${esDC ? ' (Rth)' : ''}`, zth],
+                ['Corriente de Norton In = Vth/Zth (cortocircuito, de a hacia b)', norton === null ? 'No existe (Zth = 0)' : norton]
+            ];
+
+            if (equivalente.cargaMaxima) {
+                filas.push(
+                    [esDC ? 'Carga de máxima potencia RL = Rth' : 'Carga de máxima potencia ZL = Zth*',
+                        this.formatearFasor(equivalente.cargaMaxima.zl, 'Ω')],
+                    [esDC ? 'Potencia máxima Pmax = Vth²/(4·Rth)' : 'Potencia media máxima Pmax = |Vth|²/(8·Re Zth)',
+                        `${this.formatearNumero(equivalente.cargaMaxima.potencia, 6)} W`]
+                );
+            } else {
+                filas.push(['Carga de máxima potencia', 'No existe (Re(Zth) ≤ 0)']);
+            }
 
-            // Fase: θ = atan2(im, re) en grados
-            const faseRad = Math.atan2(im, re);
-            const fase = faseRad * (180 / Math.PI);
+            const clases = filas.map(() => ['', 'valor-numerico']);
+            document.getElementById('theveninTabla').innerHTML = `
+                <p class="text-muted text-sm" style="margin-bottom: 1rem;">
+                    Equivalente visto desde los nodos a = ${nodoA} y b = ${nodoB} ${esDC ? 'en DC' : `a ${frecuencia} Hz (fasores en amplitud)`},
+                    obtenido con dos soluciones MNA: circuito abierto y fuentes independientes apagadas con una fuente de prueba de 1 A.
+                </p>
+                ${this.crearTablaHTML(['Parámetro', 'Valor'], filas, clases)}
+            `;
 
-            return { magnitud, fase };
-        }
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
 
-        // Fallback
-        return { magnitud: 0, fase: 0 };
+        } catch (error) {
+            this.mostrarError(`Error al mostrar el equivalente: ${error.message}`);
+        }
     },
 
     /**
-     * Mostrar mensaje de error
-     * @param {string} mensaje - Mensaje de error
+     * Mostrar la superposición: contribución de cada fuente a cada voltaje de nodo y
+     * corriente de elemento, su suma y la solución completa
+     * @param {Object} superposicion - Resultado de SuperpositionAnalysis.analizar()
      */
-    mostrarError(mensaje) {
-        this.mostrarMensaje(mensaje, 'danger', '!');
-    },
+    mostrarSuperposicion(superposicion) {
+        this.limpiarResultados();
 
-    /**
-     * Mostrar advertencia
-     * @param {string} mensaje - Mensaje de advertencia
-     */
-    mostrarAdvertencia(mensaje) {
-        this.mostrarMensaje(mensaje, 'warning', '!');
-    },
+        try {
+            if (!superposicion || !superposicion.exito) {
+                this.mostrarError('No hay resultados de la superposición para mostrar');
+                return;
+            }
+
+            this.mostrarGruposAnalisis('superposicion');
+
+            const { fuentes, contribuciones, suma, completo, verificacion, info } = superposicion;
+            const headers = ['Magnitud', ...fuentes.map(f => `Solo ${f}`), 'Suma', 'Todas las fuentes'];
+            const filas = [];
+            const clases = [];
+
+            this.filasSuperposicion(superposicion).forEach(({ etiqueta, magnitud, clave }) => {
+                filas.push([
+                    etiqueta,
+                    ...fuentes.map(f => this.formatearComplejo(contribuciones[f][magnitud][clave], 6)),
+                    this.formatearComplejo(suma[magnitud][clave], 6),
+                    this.formatearComplejo(completo[magnitud][clave], 6)
+                ]);
+                clases.push(['', ...fuentes.map(() => 'valor-numerico'), 'valor-numerico', 'valor-numerico']);
+            });
+
+            document.getElementById('superposicionTabla').innerHTML = `
+                <p class="text-muted text-sm" style="margin-bottom: 1rem;">
+                    ${info.frecuencia === 0 ? 'Análisis DC' : `Fasores a ${info.frecuencia} Hz`}.
+                    Cada columna resuelve el circuito con una sola fuente independiente activa
+                    (las demás fuentes V en cortocircuito y las I en circuito abierto; las fuentes controladas
+                    siguen activas). Corrientes con la convención pasiva (entrando por el terminal +).
+                    La potencia no se superpone.
+                </p>
+                ${this.crearTablaHTML(headers, filas, clases)}
+                <div class="alert alert-${verificacion.cumple ? 'success' : 'warning'}" style="margin-top: 1rem;">
+                    Verificación: la suma de las contribuciones ${verificacion.cumple ? 'coincide' : 'no coincide'}
+                    con la solución completa (diferencia máxima ${verificacion.diferenciaMaxima.toExponential(2)}).
+                </div>
+            `;
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar la superposición: ${error.message}`);
+        }
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Filas de la tabla de superposición (voltajes de nodo y luego
+     * corrientes de elemento)
+     * @param {Object} superposicion - Resultado de SuperpositionAnalysis.analizar()
+     * @returns {Array} [{etiqueta, magnitud: 'voltajes' | 'corrientes', clave}]
+     */
+    filasSuperposicion(superposicion) {
+        const nodos = Object.keys(superposicion.completo.voltajes).sort((a, b) => a - b);
+        return nodos.map(nodo => ({ etiqueta: `V(${nodo}) (V)`, magnitud: 'voltajes', clave: nodo }))
+            .concat(Object.keys(superposicion.completo.corrientes).map(etiqueta => ({
+                etiqueta: `I(${etiqueta}) (A)`, magnitud: 'corrientes', clave: etiqueta
+            })));
+    },
+
+    /**
+     * Mostrar los parámetros de dos puertos: una tabla 2x2 por conjunto (Z, Y, H, G,
+     * ABCD) y si la red es recíproca y simétrica
+     * @param {Object} dosPuertos - Resultado de TwoPortAnalysis.calcularParametros()
+     */
+    mostrarDosPuertos(dosPuertos) {
+        this.limpiarResultados();
+
+        try {
+            if (!dosPuertos || !dosPuertos.exito) {
+                this.mostrarError('No hay parámetros de dos puertos para mostrar');
+                return;
+            }
+
+            this.mostrarGruposAnalisis('dosPuertos');
+
+            const { puerto1, puerto2, frecuencia } = dosPuertos.info;
+            let html = `
+                <p class="text-muted text-sm" style="margin-bottom: 1rem;">
+                    Puerto 1: nodos ${puerto1.positivo} (+) y ${puerto1.negativo} (−); puerto 2: nodos
+                    ${puerto2.positivo} (+) y ${puerto2.negativo} (−). ${frecuencia === 0 ? 'En DC' : `A ${frecuencia} Hz`},
+                    con las fuentes independientes apagadas y las corrientes I₁, I₂ entrando por el nodo + de cada puerto.
+                </p>
+            `;
+
+            for (const nombre in this.PARAMETROS_DOS_PUERTOS) {
+                const { ecuacion, simbolos, unidades } = this.PARAMETROS_DOS_PUERTOS[nombre];
+                const matriz = dosPuertos.parametros[nombre];
+
+                html += `<h4>Parámetros ${nombre}: ${ecuacion}</h4>`;
+
+                if (matriz === null) {
+                    html += '<p class="text-muted text-sm">No existen para esta red (la matriz de conversión es singular).</p>';
+                    continue;
+                }
+
+                const filas = matriz.map((fila, i) => fila.map((valor, j) =>
+                    `${simbolos[i][j]} = ${this.formatearFasor(valor, unidades[i][j])}`
+                ));
+                html += this.crearTablaHTML(['Columna 1', 'Columna 2'], filas, filas.map(() => ['valor-numerico', 'valor-numerico']));
+            }
+
+            html += `
+                <div class="alert alert-${dosPuertos.reciproco ? 'success' : 'warning'}" style="margin-top: 1rem;">
+                    ${this.describirDosPuertos(dosPuertos)}
+                </div>
+            `;
+
+            document.getElementById('dosPuertosResult').innerHTML = html;
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar los parámetros de dos puertos: ${error.message}`);
+        }
+    },
+
+    /**
+     * Describir la reciprocidad y simetría de una red de dos puertos en una línea
+     * @param {Object} dosPuertos - Resultado de TwoPortAnalysis.calcularParametros()
+     * @returns {string}
+     */
+    describirDosPuertos(dosPuertos) {
+        if (!dosPuertos.reciproco) {
+            return 'Red no recíproca (z₁₂ ≠ z₂₁): contiene fuentes controladas o elementos activos.';
+        }
+        return dosPuertos.simetrico
+            ? 'Red recíproca (z₁₂ = z₂₁) y simétrica (z₁₁ = z₂₂): los puertos se pueden intercambiar.'
+            : 'Red recíproca (z₁₂ = z₂₁, AD − BC = 1) pero no simétrica (z₁₁ ≠ z₂₂).';
+    },
+
+    /**
+     * Mostrar las impedancias de entrada y salida (una fila por frecuencia) junto a
+     * los voltajes nodales del circuito completo a la frecuencia de operación
+     * @param {Object} impedancias - Resultado de ImpedanceAnalysis.medir()
+     */
+    mostrarImpedancias(impedancias) {
+        this.limpiarResultados();
+
+        try {
+            if (!impedancias || !impedancias.exito) {
+                this.mostrarError('No hay impedancias para mostrar');
+                return;
+            }
+
+            this.mostrarGruposAnalisis('impedancias');
+            this.mostrarVoltajes(impedancias.voltajes, impedancias.info.frecuencia);
+
+            const filas = impedancias.frecuencias.map((frecuencia, k) => [
+                this.formatearNumero(frecuencia, 4),
+                this.formatearImpedancia(impedancias.zin[k]),
+                this.formatearImpedancia(impedancias.zout[k])
+            ]);
+
+            document.getElementById('impedanciasResult').innerHTML = `
+                <p class="text-muted text-sm" style="margin-bottom: 1rem;">
+                    ${this.describirImpedancias(impedancias)}
+                </p>
+                ${this.crearTablaHTML(['Frecuencia (Hz)', 'Z<sub>in</sub>', 'Z<sub>out</sub>'], filas,
+                    filas.map(() => ['valor-numerico', 'valor-numerico', 'valor-numerico']))}
+            `;
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar las impedancias: ${error.message}`);
+        }
+    },
+
+    /**
+     * Describir cómo se midieron Zin y Zout (excitación, carga y pequeña señal)
+     * @param {Object} impedancias - Resultado de ImpedanceAnalysis.medir()
+     * @returns {string}
+     */
+    describirImpedancias(impedancias) {
+        const { entrada, salida, conCarga, pequenaSenal } = impedancias.info;
+        const excitacion = impedancias.fuenteEntrada
+            ? `la que ve ${impedancias.fuenteEntrada}`
+            : 'medida con una fuente de prueba de 1 A';
+
+        let carga = 'sin elemento de carga';
+        if (impedancias.carga) {
+            carga = conCarga ? `con la carga ${impedancias.carga} conectada` : `sin la carga ${impedancias.carga}`;
+        }
+
+        return `Zin: ${excitacion} en la entrada (${entrada.positivo}, ${entrada.negativo}), ${carga}. ` +
+            `Zout: vista desde la salida (${salida.positivo}, ${salida.negativo}) con la excitación de entrada ` +
+            `apagada${impedancias.carga ? ` y sin ${impedancias.carga}` : ''}.` +
+            (pequenaSenal ? ' Impedancias de pequeña señal en el punto de operación.' : '');
+    },
+
+    /**
+     * Mostrar la sensibilidad de un voltaje: gráfica de barras de la sensibilidad
+     * normalizada y tabla ordenada de mayor a menor influencia
+     * @param {Object} sensibilidad - Resultado de SensitivityAnalysis.calcular()
+     */
+    mostrarSensibilidad(sensibilidad) {
+        this.limpiarResultados();
+
+        try {
+            if (!sensibilidad || !sensibilidad.exito) {
+                this.mostrarError('No hay resultados de sensibilidad para mostrar');
+                return;
+            }
+
+            this.mostrarGruposAnalisis('sensibilidad');
+
+            const { sensibilidades, info } = sensibilidad;
+            const definida = sensibilidades.every(s => s.normalizada !== null);
+            const ac = info.frecuencia !== 0;
+
+            // Sin salida (V = 0) la normalizada no existe: se grafica p·∂V/∂p
+            let etiquetaValor = ac ? 'Re(S): sensibilidad de |V|' : 'Sensibilidad normalizada S';
+            if (!definida) etiquetaValor = ac ? 'Re(p·∂V/∂p) (V)' : 'p·∂V/∂p (V)';
+
+            PlotDisplay.dibujarBarras('sensibilidadGrafica', {
+                etiquetas: sensibilidades.map(s => s.nombre),
+                valores: sensibilidades.map(s => math.re(definida ? s.normalizada : math.multiply(s.valor, s.derivada))),
+                etiquetaValor: etiquetaValor
+            });
+
+            const filas = sensibilidades.map((s, k) => [
+                k + 1,
+                s.nombre,
+                this.formatearValorElemento(s),
+                this.formatearFasor(s.derivada, s.unidad),
+                s.normalizada === null ? '—' : this.formatearFasor(s.normalizada, '')
+            ]);
+
+            document.getElementById('sensibilidadTabla').innerHTML = `
+                <p class="text-muted text-sm" style="margin-bottom: 1rem;">
+                    ${this.describirSensibilidad(sensibilidad)}
+                </p>
+                ${this.crearTablaHTML(['#', 'Elemento', 'Valor', '∂V/∂p', 'S = (p/V)·∂V/∂p'], filas,
+                    filas.map(() => ['', '', 'valor-numerico', 'valor-numerico', 'valor-numerico']))}
+            `;
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar la sensibilidad: ${error.message}`);
+        }
+    },
+
+    /**
+     * Describir la salida de la sensibilidad y cómo leer la normalizada
+     * @param {Object} sensibilidad - Resultado de SensitivityAnalysis.calcular()
+     * @returns {string}
+     */
+    describirSensibilidad(sensibilidad) {
+        const { nodoSalida, nodoReferencia, frecuencia } = sensibilidad.info;
+        const ac = frecuencia !== 0;
+
+        let texto = `V = V(${nodoSalida}) − V(${nodoReferencia}) = ${this.formatearFasor(sensibilidad.salida, 'V')}` +
+            (ac ? ` a ${frecuencia} Hz` : ' en DC') +
+            ', con una sola solución del sistema adjunto Aᵀx̂ = c sobre la factorización LU de A. ' +
+            'Ordenados por |p·∂V/∂p|; S es el cambio relativo de V por cada cambio relativo del valor (1 % en p → S % en V).';
+
+        if (sensibilidad.sensibilidades.some(s => s.normalizada === null)) {
+            texto += ' La salida es 0: la sensibilidad normalizada no está definida.';
+        } else if (ac) {
+            texto += ' En AC, Re(S) es la sensibilidad de |V| e Im(S) la de su fase (rad).';
+        }
+        return texto;
+    },
+
+    /**
+     * Mostrar el análisis de Monte Carlo: estadísticas de cada variable e histograma
+     * de la variable elegida
+     * @param {Object} monteCarlo - Resultado de MonteCarloAnalysis.analizar()
+     */
+    mostrarMonteCarlo(monteCarlo) {
+        this.limpiarResultados();
+
+        try {
+            if (!monteCarlo || !monteCarlo.exito) {
+                this.mostrarError('No hay resultados de Monte Carlo para mostrar');
+                return;
+            }
+
+            this.mostrarGruposAnalisis('monteCarlo');
+
+            const filas = monteCarlo.variables.map(variable => [
+                this.etiquetaVariableMonteCarlo(variable, monteCarlo.info.frecuencia),
+                ...[variable.nominal, variable.media, variable.desviacion, variable.minimo, variable.maximo]
+                    .map(valor => this.formatearEstadistica(valor))
+            ]);
+
+            document.getElementById('monteCarloTabla').innerHTML = `
+                <p class="text-muted text-sm" style="margin-bottom: 1rem;">
+                    ${this.describirMonteCarlo(monteCarlo)}
+                </p>
+                ${this.crearTablaHTML(['Variable', 'Nominal', 'Media', 'Desv. estándar', 'Mínimo', 'Máximo'], filas,
+                    filas.map(() => ['', 'valor-numerico', 'valor-numerico', 'valor-numerico', 'valor-numerico', 'valor-numerico']))}
+            `;
+
+            // Una opción por variable; el histograma muestra la elegida
+            const contenedorTrazas = document.getElementById('monteCarloTrazas');
+            contenedorTrazas.innerHTML = monteCarlo.variables.map((variable, k) =>
+                `<label><input type="radio" name="monteCarloVariable" value="${k}"${k === 0 ? ' checked' : ''}> ${variable.nombre}</label>`
+            ).join('');
+
+            const dibujar = k => {
+                const variable = monteCarlo.variables[k];
+                PlotDisplay.dibujarHistograma('monteCarloHistograma', {
+                    bordes: variable.histograma.bordes,
+                    conteos: variable.histograma.conteos,
+                    etiquetaX: this.etiquetaVariableMonteCarlo(variable, monteCarlo.info.frecuencia)
+                });
+            };
+            contenedorTrazas.querySelectorAll('input[type="radio"]').forEach(opcion => {
+                opcion.addEventListener('change', () => dibujar(Number(opcion.value)));
+            });
+            dibujar(0);
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar el análisis de Monte Carlo: ${error.message}`);
+        }
+    },
+
+    /**
+     * Describir las corridas de Monte Carlo y los elementos variados
+     * @param {Object} monteCarlo - Resultado de MonteCarloAnalysis.analizar()
+     * @returns {string}
+     */
+    describirMonteCarlo(monteCarlo) {
+        const { semilla, frecuencia } = monteCarlo.info;
+        const variados = monteCarlo.variados
+            .map(elem => `${elem.nombre} ±${elem.tolerancia} % (${elem.distribucion})`)
+            .join(', ');
+
+        let texto = `${monteCarlo.exitosas} de ${monteCarlo.corridas} corridas resueltas con semilla ${semilla}` +
+            (frecuencia !== 0 ? `, a ${frecuencia} Hz (magnitudes)` : ', en DC') +
+            `. Elementos variados: ${variados}. En la distribución gaussiana la tolerancia es 3σ.`;
+
+        if (monteCarlo.fallidas > 0) {
+            texto += ` ${monteCarlo.fallidas} corrida(s) sin solución no se incluyen en las estadísticas.`;
+        }
+        return texto;
+    },
+
+    /**
+     * Mostrar el peor caso: salida nominal, mínima y máxima, y el valor de cada
+     * elemento en cada esquina
+     * @param {Object} peorCaso - Resultado de WorstCaseAnalysis.calcular()
+     */
+    mostrarPeorCaso(peorCaso) {
+        this.limpiarResultados();
+
+        try {
+            if (!peorCaso || !peorCaso.exito) {
+                this.mostrarError('No hay resultados del peor caso para mostrar');
+                return;
+            }
+
+            this.mostrarGruposAnalisis('peorCaso');
+
+            const extremos = this.filasPeorCaso(peorCaso).map(fila => [
+                fila.etiqueta,
+                this.formatearEstadistica(fila.salida) + ' V',
+                fila.relativo,
+                fila.esquinas
+            ]);
+
+            const elementos = peorCaso.elementos.map(elem => [
+                elem.nombre,
+                `±${elem.tolerancia} %`,
+                this.formatearValorElemento({ tipo: elem.tipo, valor: elem.nominal }),
+                `${this.formatearEstadistica(elem.pendiente)} ${elem.unidad}`,
+                this.formatearEsquina(elem, elem.valorMinimo, elem.signoMinimo),
+                this.formatearEsquina(elem, elem.valorMaximo, elem.signoMaximo)
+            ]);
+
+            document.getElementById('peorCasoResult').innerHTML = `
+                <p class="text-muted text-sm" style="margin-bottom: 1rem;">
+                    ${this.describirPeorCaso(peorCaso)}
+                </p>
+                ${this.crearTablaHTML(['', 'Salida', 'Respecto al nominal', 'Esquinas probadas'], extremos,
+                    extremos.map(() => ['', 'valor-numerico', 'valor-numerico', '']))}
+                <h4>Valor de cada elemento en las esquinas</h4>
+                ${this.crearTablaHTML(['Elemento', 'Tolerancia', 'Nominal', '∂salida/∂p', 'En el mínimo', 'En el máximo'], elementos,
+                    elementos.map(() => ['', '', 'valor-numerico', 'valor-numerico', 'valor-numerico', 'valor-numerico']))}
+            `;
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar el peor caso: ${error.message}`);
+        }
+    },
+
+    /**
+     * Describir la salida del peor caso y si las esquinas quedaron confirmadas
+     * @param {Object} peorCaso - Resultado de WorstCaseAnalysis.calcular()
+     * @returns {string}
+     */
+    describirPeorCaso(peorCaso) {
+        const { nodoSalida, nodoReferencia, frecuencia } = peorCaso.info;
+        const salida = `V(${nodoSalida}) − V(${nodoReferencia})`;
+
+        let texto = (frecuencia !== 0 ? `|${salida}| a ${frecuencia} Hz` : `${salida} en DC`) +
+            '. Cada elemento con tolerancia se lleva al extremo de su banda que indica el signo de su sensibilidad, ' +
+            'el circuito se resuelve en esa esquina y ahí se vuelven a calcular los signos para confirmarla. ' +
+            'Solo intervienen los extremos de la tolerancia, no su distribución.';
+
+        ['minimo', 'maximo'].forEach(clave => {
+            const extremo = peorCaso[clave];
+            if (!extremo.confirmado) {
+                texto += ` En la esquina del ${clave === 'minimo' ? 'mínimo' : 'máximo'} los signos siguieron cambiando tras ${extremo.iteraciones} esquinas: ` +
+                    'la salida no es monótona en algún elemento y ese extremo puede no ser el peor caso.';
+            }
+        });
+        return texto;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Filas nominal, mínimo y máximo del peor caso
+     * @returns {Array} [{etiqueta, salida, relativo (texto), esquinas (texto)}]
+     */
+    filasPeorCaso(peorCaso) {
+        const { nominal } = peorCaso;
+        const relativo = salida => (nominal !== 0
+            ? `${salida >= nominal ? '+' : ''}${this.formatearNumero((salida - nominal) / Math.abs(nominal) * 100, 3)} %`
+            : '—');
+        const esquinas = extremo => `${extremo.iteraciones}${extremo.confirmado ? ' (confirmada)' : ' (sin confirmar)'}`;
+
+        return [
+            { etiqueta: 'Nominal', salida: nominal, relativo: '—', esquinas: '—' },
+            { etiqueta: 'Mínimo', salida: peorCaso.minimo.salida, relativo: relativo(peorCaso.minimo.salida), esquinas: esquinas(peorCaso.minimo) },
+            { etiqueta: 'Máximo', salida: peorCaso.maximo.salida, relativo: relativo(peorCaso.maximo.salida), esquinas: esquinas(peorCaso.maximo) }
+        ];
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Valor de un elemento en una esquina con su extremo (±t o nominal)
+     */
+    formatearEsquina(elem, valor, signo) {
+        const extremo = signo === 0 ? 'nominal' : `${signo > 0 ? '+' : '−'}${elem.tolerancia} %`;
+        return `${this.formatearValorElemento({ tipo: elem.tipo, valor: valor })} (${extremo})`;
+    },
+
+    /**
+     * Mostrar el barrido paramétrico: con el punto de operación, las curvas de cada
+     * voltaje y corriente contra el parámetro; con los análisis que dan curvas, la
+     * variable elegida con una curva por valor del parámetro; con los que dan
+     * tablas, la magnitud elegida contra el parámetro
+     * @param {Object} parametrico - Resultado de ParametricAnalysis.barrer()
+     */
+    mostrarBarridoParametrico(parametrico) {
+        if (parametrico && parametrico.analisis === 'punto') {
+            this.mostrarCurvas('parametrico', parametrico, {
+                x: parametrico.valores,
+                etiquetaX: parametrico.parametro,
+                escalaX: parametrico.info.tipoBarrido === 'lineal' ? 'linear' : 'logarithmic'
+            });
+        } else if (parametrico && parametrico.exito && !this.superponeCurvas(parametrico)) {
+            this.mostrarMagnitudesParametricas(parametrico);
+        } else {
+            this.mostrarCurvasSuperpuestas(parametrico);
+        }
+
+        if (parametrico && parametrico.exito) {
+            document.getElementById('parametricoDescripcion').innerHTML = `
+                <p class="text-muted text-sm">${this.describirBarridoParametrico(parametrico)}</p>
+            `;
+        }
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Opciones para elegir la variable y gráficas con una curva por
+     * valor del parámetro (barrido AC, barrido DC, transitorio o impedancias en un
+     * barrido en frecuencia)
+     * @param {Object} parametrico - Resultado de ParametricAnalysis.barrer()
+     */
+    mostrarCurvasSuperpuestas(parametrico) {
+        this.limpiarResultados();
+
+        try {
+            if (!parametrico || !parametrico.exito) {
+                this.mostrarError('No hay resultados del barrido paramétrico para mostrar');
+                return;
+            }
+
+            this.mostrarGruposAnalisis('parametrico');
+
+            // Voltajes de nodo (excepto tierra) y, fuera del barrido AC, corrientes de rama;
+            // con las impedancias, Zin y Zout
+            const { numNodos, groundNode } = parametrico.info;
+            const variables = [];
+            let inicial = 0;
+            if (parametrico.analisis === 'impedancias') {
+                variables.push(
+                    { nombre: 'Zin', unidad: 'Ω', tipo: 'impedancia', clave: 'zin' },
+                    { nombre: 'Zout', unidad: 'Ω', tipo: 'impedancia', clave: 'zout' }
+                );
+            } else {
+                for (let nodo = 0; nodo < numNodos; nodo++) {
+                    if (nodo === groundNode) continue;
+                    variables.push({ nombre: `V(${nodo})`, unidad: 'V', tipo: 'voltaje', clave: nodo });
+                }
+                if (parametrico.analisis !== 'barridoAC') {
+                    for (const nombre in parametrico.resultados[0].corrientes) {
+                        variables.push({ nombre: `I(${nombre})`, unidad: 'A', tipo: 'corriente', clave: nombre });
+                    }
+                }
+
+                // Por defecto el voltaje del último nodo (como en los diagramas de Bode)
+                inicial = numNodos - 2;
+            }
+            const contenedorTrazas = document.getElementById('parametricoTrazas');
+            contenedorTrazas.innerHTML = variables.map((variable, k) =>
+                `<label><input type="radio" name="parametricoVariable" value="${k}"${k === inicial ? ' checked' : ''}> ${variable.nombre}</label>`
+            ).join('');
+            contenedorTrazas.querySelectorAll('input[type="radio"]').forEach(opcion => {
+                opcion.addEventListener('change', () => this.actualizarCurvasSuperpuestas(parametrico, variables[Number(opcion.value)]));
+            });
+            this.actualizarCurvasSuperpuestas(parametrico, variables[inicial]);
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar el barrido paramétrico: ${error.message}`);
+        }
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Redibujar las curvas superpuestas y la tabla de una variable
+     * (en el barrido AC, magnitud en dB y fase; en las impedancias, magnitud y fase)
+     * @param {Object} parametrico - Resultado de ParametricAnalysis.barrer()
+     * @param {Object} variable - {nombre, unidad, tipo: 'voltaje'|'corriente'|'impedancia',
+     *                            clave (nodo, elemento, 'zin' o 'zout')}
+     */
+    actualizarCurvasSuperpuestas(parametrico, variable) {
+        const { analisis, parametro, valores, resultados } = parametrico;
+        const primero = resultados[0];
+
+        let eje;
+        if (analisis === 'barridoAC' || analisis === 'impedancias') {
+            eje = {
+                x: primero.frecuencias,
+                etiquetaX: 'Frecuencia (Hz)',
+                escalaX: primero.info.tipoBarrido === 'lineal' ? 'linear' : 'logarithmic'
+            };
+        } else if (analisis === 'barridoDC') {
+            const { nombre, tipo } = primero.parametro;
+            eje = { x: primero.valores, etiquetaX: this.UNIDADES_VALOR[tipo] ? `${nombre} (${this.UNIDADES_VALOR[tipo]})` : nombre };
+        } else {
+            eje = { x: primero.tiempos, etiquetaX: 'Tiempo (s)' };
+        }
+
+        // Datos de cada gráfica: una serie por valor del parámetro
+        let graficas;
+        if (analisis === 'barridoAC') {
+            const transferencias = resultados.map(resultado => SweepAnalysis.calcularTransferencia(resultado, variable.clave));
+            graficas = [
+                { canvasId: 'parametricoVoltajes', etiquetaY: `|${variable.nombre}| (dBV)`, datos: transferencias.map(t => t.magnitudDB) },
+                { canvasId: 'parametricoCorrientes', etiquetaY: `∠${variable.nombre} (°)`, datos: transferencias.map(t => t.faseGrados) }
+            ];
+        } else if (analisis === 'impedancias') {
+            // Las impedancias infinitas (null) quedan como huecos en la curva
+            const impedancias = resultados.map(resultado => resultado[variable.clave]);
+            const convertir = calcular => impedancias.map(z => z.map(valor => (valor === null ? null : calcular(valor))));
+            graficas = [
+                { canvasId: 'parametricoVoltajes', etiquetaY: `|${variable.nombre}| (Ω)`, datos: convertir(valor => math.abs(valor)) },
+                { canvasId: 'parametricoCorrientes', etiquetaY: `∠${variable.nombre} (°)`, datos: convertir(valor => math.arg(valor) * 180 / Math.PI) }
+            ];
+        } else {
+            const campo = variable.tipo === 'voltaje' ? 'voltajes' : 'corrientes';
+            graficas = [
+                { canvasId: 'parametricoVoltajes', etiquetaY: `${variable.nombre} (${variable.unidad})`, datos: resultados.map(resultado => resultado[campo][variable.clave]) }
+            ];
+            PlotDisplay.destruirGrafica('parametricoCorrientes');
+        }
+
+        const nombresValores = valores.map(valor => `${parametro} = ${this.formatearNumero(valor, 4)}`);
+        graficas.forEach(grafica => {
+            PlotDisplay.dibujarGrafica(grafica.canvasId, {
+                x: eje.x,
+                series: grafica.datos.map((datos, k) => ({ nombre: nombresValores[k], datos: datos })),
+                etiquetaX: eje.etiquetaX,
+                etiquetaY: grafica.etiquetaY,
+                escalaX: eje.escalaX
+            });
+        });
+
+        // Tabla de la primera gráfica: una columna por valor del parámetro
+        const salto = Math.max(1, Math.ceil(eje.x.length / this.MAX_FILAS_TABLA_CURVAS));
+        const filas = [];
+        eje.x.forEach((valor, k) => {
+            if (k % salto !== 0 && k !== eje.x.length - 1) return;
+            filas.push([
+                this.formatearNumero(valor, 6),
+                ...graficas[0].datos.map(datos => (datos[k] === null ? '∞' : this.formatearNumero(datos[k], 6)))
+            ]);
+        });
+
+        let html = `<p class="text-muted text-sm">${graficas[0].etiquetaY}</p>` +
+            this.crearTablaHTML([eje.etiquetaX, ...nombresValores], filas);
+        if (salto > 1) {
+            html = `<p class="text-muted text-sm">Se muestra 1 de cada ${salto} muestras; la exportación incluye todas.</p>` + html;
+        }
+        document.getElementById('parametricoTabla').innerHTML = html;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Opciones para elegir la magnitud, gráfica de la magnitud
+     * elegida contra el parámetro y tabla con todas (análisis que dan tablas)
+     * @param {Object} parametrico - Resultado de ParametricAnalysis.barrer()
+     */
+    mostrarMagnitudesParametricas(parametrico) {
+        this.limpiarResultados();
+
+        try {
+            this.mostrarGruposAnalisis('parametrico');
+
+            const { parametro, valores, info } = parametrico;
+            const magnitudes = this.magnitudesParametricas(parametrico);
+            const dibujar = magnitud => PlotDisplay.dibujarGrafica('parametricoVoltajes', {
+                x: valores,
+                series: [{ nombre: magnitud.nombre, datos: magnitud.datos }],
+                etiquetaX: parametro,
+                etiquetaY: this.etiquetaMagnitud(magnitud),
+                escalaX: info.tipoBarrido === 'lineal' ? 'linear' : 'logarithmic'
+            });
+
+            const contenedorTrazas = document.getElementById('parametricoTrazas');
+            contenedorTrazas.innerHTML = magnitudes.map((magnitud, k) =>
+                `<label><input type="radio" name="parametricoVariable" value="${k}"${k === 0 ? ' checked' : ''}> ${magnitud.nombre}</label>`
+            ).join('');
+            contenedorTrazas.querySelectorAll('input[type="radio"]').forEach(opcion => {
+                opcion.addEventListener('change', () => dibujar(magnitudes[Number(opcion.value)]));
+            });
+            dibujar(magnitudes[0]);
+            PlotDisplay.destruirGrafica('parametricoCorrientes');
+
+            // Una fila por valor del parámetro y una columna por magnitud
+            const filas = valores.map((valor, k) => [
+                this.formatearNumero(valor, 6),
+                ...magnitudes.map(magnitud => this.formatearMagnitud(magnitud.datos[k]))
+            ]);
+            document.getElementById('parametricoTabla').innerHTML = this.crearTablaHTML(
+                [parametro, ...magnitudes.map(magnitud => this.etiquetaMagnitud(magnitud))],
+                filas
+            );
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar el barrido paramétrico: ${error.message}`);
+        }
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Indica si el análisis repetido da curvas (se superpone una por
+     * valor del parámetro) en lugar de una tabla de magnitudes
+     * @param {Object} parametrico - Resultado de ParametricAnalysis.barrer()
+     * @returns {boolean}
+     */
+    superponeCurvas(parametrico) {
+        const { analisis, resultados } = parametrico;
+        return ['barridoAC', 'barridoDC', 'transitorio'].includes(analisis) ||
+            (analisis === 'impedancias' && resultados[0].info.tipoBarrido !== null);
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Magnitudes escalares de los análisis que dan tablas, cada una
+     * con un valor por valor del parámetro: parte real en DC y magnitud en AC (como
+     * en el punto de operación), null donde no existe (ej: In con Zth = 0). Los polos
+     * y ceros se numeran por ω0 creciente, los pares complejos una vez (Im > 0).
+     * @param {Object} parametrico - Resultado de ParametricAnalysis.barrer()
+     * @returns {Array} [{nombre, unidad, datos: (number|null)[]}] (sin las que no
+     *          existen en ningún valor, ej: un conjunto de dos puertos)
+     */
+    magnitudesParametricas(parametrico) {
+        const { analisis, resultados } = parametrico;
+        const primero = resultados[0];
+        const { frecuencia } = primero.info;
+
+        const escalar = valor => {
+            if (valor === null) return null;
+            return frecuencia === 0 ? math.re(valor) : math.abs(valor);
+        };
+        const nombreFasor = nombre => (frecuencia !== 0 ? `|${nombre}|` : nombre);
+        const magnitud = (nombre, unidad, extraer) => ({ nombre: nombre, unidad: unidad, datos: resultados.map(extraer) });
+
+        let magnitudes = [];
+        switch (analisis) {
+            case 'thevenin':
+                magnitudes = [
+                    magnitud(nombreFasor('Vth'), 'V', resultado => escalar(resultado.vth)),
+                    magnitud(nombreFasor('Zth'), 'Ω', resultado => escalar(resultado.zth)),
+                    magnitud(nombreFasor('In'), 'A', resultado => escalar(resultado.in)),
+                    magnitud('Potencia máxima', 'W', resultado => (resultado.cargaMaxima ? resultado.cargaMaxima.potencia : null))
+                ];
+                break;
+
+            case 'superposicion':
+                // Cada voltaje y corriente con todas las fuentes y con cada una por separado
+                this.filasSuperposicion(primero).forEach(({ magnitud: campo, clave }) => {
+                    const nombre = nombreFasor(campo === 'voltajes' ? `V(${clave})` : `I(${clave})`);
+                    const unidad = campo === 'voltajes' ? 'V' : 'A';
+                    magnitudes.push(magnitud(nombre, unidad, resultado => escalar(resultado.completo[campo][clave])));
+                    primero.fuentes.forEach(fuente => {
+                        magnitudes.push(magnitud(`${nombre} solo ${fuente}`, unidad,
+                            resultado => escalar(resultado.contribuciones[fuente][campo][clave])));
+                    });
+                });
+                break;
+
+            case 'dosPuertos':
+                for (const conjunto in this.PARAMETROS_DOS_PUERTOS) {
+                    const { simbolos, unidades } = this.PARAMETROS_DOS_PUERTOS[conjunto];
+                    [0, 1].forEach(i => [0, 1].forEach(j => {
+                        magnitudes.push(magnitud(nombreFasor(simbolos[i][j]), unidades[i][j], resultado => {
+                            const matriz = resultado.parametros[conjunto];
+                            return matriz === null ? null : escalar(matriz[i][j]);
+                        }));
+                    }));
+                }
+                break;
+
+            case 'impedancias':
+                magnitudes = [
+                    magnitud(nombreFasor('Zin'), 'Ω', resultado => escalar(resultado.zin[0])),
+                    magnitud(nombreFasor('Zout'), 'Ω', resultado => escalar(resultado.zout[0]))
+                ];
+                break;
+
+            case 'sensibilidad': {
+                const { nodoSalida, nodoReferencia } = primero.info;
+                magnitudes = [
+                    magnitud(nombreFasor(`V(${nodoSalida}) − V(${nodoReferencia})`), 'V', resultado => escalar(resultado.salida))
+                ].concat(primero.sensibilidades.map(({ nombre }) => magnitud(nombreFasor(`S(${nombre})`), '',
+                    resultado => escalar(resultado.sensibilidades.find(s => s.nombre === nombre).normalizada))));
+                break;
+            }
+
+            case 'monteCarlo':
+                // Las estadísticas ya son de la parte real (DC) o de la magnitud (AC)
+                primero.variables.forEach((variable, k) => {
+                    [
+                        ['Media', 'media'],
+                        ['Desv. estándar', 'desviacion'],
+                        ['Mínimo', 'minimo'],
+                        ['Máximo', 'maximo']
+                    ].forEach(([etiqueta, campo]) => {
+                        magnitudes.push(magnitud(`${etiqueta} de ${nombreFasor(variable.nombre)}`, variable.unidad,
+                            resultado => resultado.variables[k][campo]));
+                    });
+                });
+                break;
+
+            case 'peorCaso': {
+                const { nodoSalida, nodoReferencia } = primero.info;
+                const salida = nombreFasor(`V(${nodoSalida}) − V(${nodoReferencia})`);
+                magnitudes = [
+                    magnitud(`${salida} nominal`, 'V', resultado => resultado.nominal),
+                    magnitud(`${salida} mínimo`, 'V', resultado => resultado.minimo.salida),
+                    magnitud(`${salida} máximo`, 'V', resultado => resultado.maximo.salida)
+                ];
+                break;
+            }
+
+            case 'polosCeros': {
+                // El número de raíces puede cambiar con el parámetro (ej: una cancelación)
+                const raices = (clave, simbolo) => {
+                    const cantidad = Math.max(...resultados.map(resultado => resultado[clave].length));
+                    for (let k = 0; k < cantidad; k++) {
+                        const raiz = resultado => resultado[clave][k] || null;
+                        magnitudes.push(
+                            magnitud(`Re(${simbolo}${k + 1})`, '1/s', resultado => (raiz(resultado) ? raiz(resultado).valor.re : null)),
+                            magnitud(`Im(${simbolo}${k + 1})`, 'rad/s', resultado => (raiz(resultado) ? raiz(resultado).valor.im : null))
+                        );
+                    }
+                };
+                magnitudes.push(magnitud('K', primero.unidad, resultado => resultado.ganancia));
+                raices('polos', 'p');
+                raices('ceros', 'z');
+                break;
+            }
+        }
+
+        return magnitudes.filter(({ datos }) => datos.some(valor => valor !== null));
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Nombre de una magnitud con su unidad (si tiene)
+     */
+    etiquetaMagnitud(magnitud) {
+        return magnitud.unidad ? `${magnitud.nombre} (${magnitud.unidad})` : magnitud.nombre;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Valor de una magnitud con 6 decimales, o "—" si no existe
+     */
+    formatearMagnitud(valor) {
+        return valor === null ? '—' : this.formatearNumero(valor, 6);
+    },
+
+    /**
+     * Describir el parámetro barrido y el análisis que se repite
+     * @param {Object} parametrico - Resultado de ParametricAnalysis.barrer()
+     * @returns {string}
+     */
+    describirBarridoParametrico(parametrico) {
+        const { parametro, valores, analisis, info } = parametrico;
+        const escala = info.tipoBarrido === 'lineal' ? 'lineal' : 'por década';
+
+        let texto = `${parametro} de ${this.formatearNumero(valores[0], 6)} a ${this.formatearNumero(valores[valores.length - 1], 6)} ` +
+            `(${escala}, ${valores.length} valores). En cada valor se repite ${this.NOMBRES_ANALISIS_PARAMETRICO[analisis]} ` +
+            'con los demás parámetros y las expresiones de los elementos evaluados de nuevo.';
+
+        if (analisis === 'punto') {
+            texto += info.frecuencia !== 0 ? ` Magnitudes a ${info.frecuencia} Hz.` : ' Valores en DC.';
+        } else if (analisis === 'barridoAC') {
+            texto += ' Se grafican la magnitud y la fase del voltaje elegido.';
+        } else if (analisis === 'impedancias' && this.superponeCurvas(parametrico)) {
+            texto += ' Se grafican la magnitud y la fase de la impedancia elegida.';
+        } else if (!this.superponeCurvas(parametrico)) {
+            const { frecuencia } = parametrico.resultados[0].info;
+            texto += ' Cada magnitud del resultado se grafica contra el parámetro';
+            if (analisis === 'polosCeros') {
+                texto += ': polos p y ceros z numerados por ω0 creciente, cada par complejo una vez (Im > 0).';
+            } else {
+                texto += frecuencia !== 0 ? ` (magnitudes a ${frecuencia} Hz).` : ' (valores en DC).';
+            }
+        }
+        return texto;
+    },
+
+    /**
+     * Mostrar los polos y ceros de H(s): resumen, plano s y tabla con ω0, ζ y Q
+     * @param {Object} polosCeros - Resultado de PoleZeroAnalysis.calcular()
+     */
+    mostrarPolosCeros(polosCeros) {
+        this.limpiarResultados();
+
+        try {
+            if (!polosCeros || !polosCeros.exito) {
+                this.mostrarError('No hay polos y ceros para mostrar');
+                return;
+            }
+
+            this.mostrarGruposAnalisis('polosCeros');
+
+            document.getElementById('polosCerosResumen').innerHTML = `
+                <p class="text-muted text-sm">${this.describirPolosCeros(polosCeros)}</p>
+            `;
+
+            // Cada par complejo se dibuja con sus dos raíces conjugadas
+            const puntos = raices => raices.flatMap(raiz => (raiz.par
+                ? [{ x: raiz.valor.re, y: raiz.valor.im }, { x: raiz.valor.re, y: -raiz.valor.im }]
+                : [{ x: raiz.valor.re, y: 0 }]));
+            PlotDisplay.dibujarPlanoS('polosCerosGrafica', {
+                polos: puntos(polosCeros.polos),
+                ceros: puntos(polosCeros.ceros)
+            });
+
+            const filas = this.filasPolosCeros(polosCeros);
+            document.getElementById('polosCerosTabla').innerHTML = filas.length > 0
+                ? this.crearTablaHTML(['', 's (1/s)', 'ω0 (rad/s)', 'f0 (Hz)', 'ζ', 'Q'], filas,
+                    filas.map(() => ['', 'valor-numerico', 'valor-numerico', 'valor-numerico', 'valor-numerico', 'valor-numerico']))
+                : '<p class="text-muted text-sm">H(s) no tiene polos ni ceros finitos: la salida es proporcional a la entrada.</p>';
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar los polos y ceros: ${error.message}`);
+        }
+    },
+
+    /**
+     * Describir la función de transferencia, su ganancia y la estabilidad
+     * @param {Object} polosCeros - Resultado de PoleZeroAnalysis.calcular()
+     * @returns {string}
+     */
+    describirPolosCeros(polosCeros) {
+        const { fuente, nodoSalida, nodoReferencia, orden, numCeros } = polosCeros.info;
+
+        let texto = `H(s) = [V(${nodoSalida}) − V(${nodoReferencia})] / ${fuente} = K·Π(s − z)/Π(s − p), ` +
+            `con K = ${this.formatearEstadistica(polosCeros.ganancia)} ${polosCeros.unidad}: ` +
+            `${orden} polo(s) y ${numCeros} cero(s) finitos, valores propios generalizados del sistema MNA G + sC. ` +
+            this.DESCRIPCION_ESTABILIDAD[polosCeros.estabilidad];
+
+        if (polosCeros.canceladas > 0) {
+            texto += ` Se cancelaron ${polosCeros.canceladas} par(es) polo-cero coincidentes (modos que la entrada no excita o que la salida no ve).`;
+        }
+        return texto;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Una fila por polo o cero real y por par complejo conjugado
+     * @returns {Array} [tipo, s, ω0, f0, ζ, Q] como texto
+     */
+    filasPolosCeros(polosCeros) {
+        const fila = (tipo, raiz) => [
+            raiz.par ? `${tipo} (par)` : tipo,
+            raiz.par
+                ? `${this.formatearNumero(raiz.valor.re, 4)} ± ${this.formatearNumero(raiz.valor.im, 4)}j`
+                : this.formatearNumero(raiz.valor.re, 4),
+            this.formatearNumero(raiz.omega0, 4),
+            this.formatearNumero(raiz.frecuencia, 4),
+            raiz.par ? this.formatearNumero(raiz.zeta, 4) : '—',
+            raiz.par ? (isFinite(raiz.Q) ? this.formatearNumero(raiz.Q, 4) : '∞') : '—'
+        ];
+
+        return polosCeros.polos.map(raiz => fila('Polo', raiz))
+            .concat(polosCeros.ceros.map(raiz => fila('Cero', raiz)));
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Nombre y unidad de una variable de Monte Carlo (|·| en AC)
+     */
+    etiquetaVariableMonteCarlo(variable, frecuencia) {
+        const nombre = frecuencia !== 0 ? `|${variable.nombre}|` : variable.nombre;
+        return `${nombre} (${variable.unidad})`;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Estadística con 6 decimales, o en notación científica si es pequeña
+     */
+    formatearEstadistica(valor) {
+        return this.formatearNumero(valor, Math.abs(valor) < 1e-3 ? 15 : 6);
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Dibujar un circuito equivalente en SVG con los terminales a-b
+     * - thevenin: fuente de voltaje en serie con Zth
+     * - norton: fuente de corriente (hacia a) en paralelo con Zth
+     * @param {string} tipo - 'thevenin' | 'norton'
+     * @param {string} etiquetaFuente - Texto de la fuente (ej: "Vth = 5 V")
+     * @param {string} etiquetaImpedancia - Texto de la impedancia
+     * @param {number} nodoA - Nodo del terminal a
+     * @param {number} nodoB - Nodo del terminal b
+     * @returns {string} SVG
+     */
+    dibujarEquivalente(tipo, etiquetaFuente, etiquetaImpedancia, nodoA, nodoB) {
+        const trazo = 'stroke="currentColor" stroke-width="2" fill="none"';
+
+        // Marco común: fuente a la izquierda, terminales a (arriba) y b (abajo) a la derecha
+        let svg = `
+            <line x1="40" y1="40" x2="40" y2="72" ${trazo}/>
+            <line x1="40" y1="108" x2="40" y2="140" ${trazo}/>
+            <line x1="40" y1="140" x2="236" y2="140" ${trazo}/>
+            <circle cx="40" cy="90" r="18" ${trazo}/>
+            <circle cx="240" cy="40" r="4" ${trazo}/>
+            <circle cx="240" cy="140" r="4" ${trazo}/>
+            <text x="250" y="44">a (${nodoA})</text>
+            <text x="250" y="144">b (${nodoB})</text>
+            <text x="10" y="172">${etiquetaFuente}</text>
+            <text x="10" y="190">${etiquetaImpedancia}</text>
+        `;
+
+        if (tipo === 'thevenin') {
+            svg += `
+                <text x="36" y="86">+</text>
+                <text x="36" y="102">−</text>
+                <line x1="40" y1="40" x2="100" y2="40" ${trazo}/>
+                <rect x="100" y="30" width="60" height="20" ${trazo}/>
+                <text x="118" y="24">Zth</text>
+                <line x1="160" y1="40" x2="236" y2="40" ${trazo}/>
+                <text x="64" y="94">Vth</text>
+            `;
+        } else {
+            svg += `
+                <line x1="40" y1="100" x2="40" y2="80" ${trazo}/>
+                <polyline points="34,86 40,78 46,86" ${trazo}/>
+                <line x1="40" y1="40" x2="236" y2="40" ${trazo}/>
+                <line x1="140" y1="40" x2="140" y2="60" ${trazo}/>
+                <rect x="130" y="60" width="20" height="60" ${trazo}/>
+                <line x1="140" y1="120" x2="140" y2="140" ${trazo}/>
+                <text x="156" y="94">Zth</text>
+                <text x="64" y="94">In</text>
+            `;
+        }
+
+        const titulo = tipo === 'thevenin' ? 'Equivalente de Thévenin' : 'Equivalente de Norton';
+        return `<svg viewBox="0 0 320 200" role="img" aria-label="${titulo}"><title>${titulo}</title>${svg}</svg>`;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Mostrar voltajes y corrientes en función de una variable
+     * (barrido DC, transitorio). Usa los contenedores `${prefijo}Trazas`,
+     * `${prefijo}Voltajes`, `${prefijo}Corrientes` y `${prefijo}Tabla`.
+     * @param {string} prefijo - Prefijo de los ids y valor de data-analisis
+     * @param {Object} resultado - {exito, voltajes: {nodo: number[]}, corrientes: {nombre: number[]}, info}
+     * @param {Object} eje - {x: number[], etiquetaX: string, escalaX (opcional, ver PlotDisplay.dibujarGrafica),
+     *                       maxFilasTabla (opcional)}
+     */
+    mostrarCurvas(prefijo, resultado, eje) {
+        this.limpiarResultados();
+
+        try {
+            if (!resultado || !resultado.exito) {
+                this.mostrarError('No hay resultados del análisis para mostrar');
+                return;
+            }
+
+            this.mostrarGruposAnalisis(prefijo);
+
+            // Una casilla por voltaje de nodo (excepto tierra) y por corriente
+            const { numNodos, groundNode } = resultado.info;
+            let casillas = '';
+            for (let nodo = 0; nodo < numNodos; nodo++) {
+                if (nodo === groundNode) continue;
+                casillas += `<label><input type="checkbox" data-traza="voltaje" value="${nodo}" checked> V(${nodo})</label>`;
+            }
+            for (const nombre in resultado.corrientes) {
+                casillas += `<label><input type="checkbox" data-traza="corriente" value="${nombre}" checked> ${this.formatearNombreCorriente(nombre)}</label>`;
+            }
+
+            const contenedorTrazas = document.getElementById(`${prefijo}Trazas`);
+            contenedorTrazas.innerHTML = casillas;
+            contenedorTrazas.querySelectorAll('input[type="checkbox"]').forEach(casilla => {
+                casilla.addEventListener('change', () => this.actualizarCurvas(prefijo, resultado, eje));
+            });
+
+            this.actualizarCurvas(prefijo, resultado, eje);
+
+            const resultsSection = document.getElementById('resultsSection');
+            if (resultsSection) {
+                resultsSection.style.display = 'block';
+                resultsSection.classList.remove('hidden');
+                resultsSection.classList.add('fade-in');
+            }
+
+        } catch (error) {
+            this.mostrarError(`Error al mostrar los resultados: ${error.message}`);
+        }
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Redibujar las gráficas y la tabla con las curvas seleccionadas
+     * @param {string} prefijo - Prefijo de los ids (ver mostrarCurvas)
+     * @param {Object} resultado - Resultado del análisis
+     * @param {Object} eje - {x, etiquetaX, escalaX, maxFilasTabla}
+     */
+    actualizarCurvas(prefijo, resultado, eje) {
+        const seleccion = Array.from(
+            document.querySelectorAll(`#${prefijo}Trazas input[type="checkbox"]:checked`)
+        );
+
+        const seriesVoltaje = seleccion
+            .filter(casilla => casilla.dataset.traza === 'voltaje')
+            .map(casilla => ({ nombre: `V(${casilla.value})`, datos: resultado.voltajes[casilla.value], unidad: 'V' }));
+        const seriesCorriente = seleccion
+            .filter(casilla => casilla.dataset.traza === 'corriente')
+            .map(casilla => ({ nombre: `I(${casilla.value})`, datos: resultado.corrientes[casilla.value], unidad: 'A' }));
+
+        // Voltajes y corrientes en gráficas separadas (escalas muy distintas)
+        [
+            { canvasId: `${prefijo}Voltajes`, series: seriesVoltaje, etiquetaY: 'Voltaje (V)' },
+            { canvasId: `${prefijo}Corrientes`, series: seriesCorriente, etiquetaY: 'Corriente (A)' }
+        ].forEach(grafica => {
+            if (grafica.series.length === 0) {
+                PlotDisplay.destruirGrafica(grafica.canvasId);
+                return;
+            }
+            PlotDisplay.dibujarGrafica(grafica.canvasId, {
+                x: eje.x,
+                series: grafica.series,
+                etiquetaX: eje.etiquetaX,
+                etiquetaY: grafica.etiquetaY,
+                escalaX: eje.escalaX
+            });
+        });
+
+        // En curvas largas la tabla muestra una de cada "salto" muestras (y siempre la última)
+        const salto = eje.maxFilasTabla ? Math.max(1, Math.ceil(eje.x.length / eje.maxFilasTabla)) : 1;
+        const series = seriesVoltaje.concat(seriesCorriente);
+        const filas = [];
+        eje.x.forEach((valor, k) => {
+            if (k % salto !== 0 && k !== eje.x.length - 1) return;
+            filas.push([
+                this.formatearNumero(valor, 6),
+                ...series.map(serie => this.formatearNumero(serie.datos[k], 6))
+            ]);
+        });
+
+        let html = this.crearTablaHTML(
+            [eje.etiquetaX, ...series.map(serie => `${serie.nombre} (${serie.unidad})`)],
+            filas
+        );
+        if (salto > 1) {
+            html = `<p class="text-muted text-sm">Se muestra 1 de cada ${salto} muestras; la exportación incluye todas.</p>` + html;
+        }
+        document.getElementById(`${prefijo}Tabla`).innerHTML = html;
+    },
+
+    /**
+     * Limpiar todos los contenedores de resultados
+     */
+    limpiarResultados() {
+        const contenedores = [
+            'voltagesResult',
+            'currentsResult',
+            'potenciasResult',
+            'matrixA',
+            'vectorX',
+            'vectorZ',
+            'dispositivosResult',
+            'bodeTabla',
+            'barridoDCTrazas',
+            'barridoDCTabla',
+            'transitorioTrazas',
+            'transitorioTabla',
+            'theveninCircuito',
+            'theveninTabla',
+            'superposicionTabla',
+            'dosPuertosResult',
+            'impedanciasResult',
+            'sensibilidadTabla',
+            'monteCarloTabla',
+            'monteCarloTrazas',
+            'peorCasoResult',
+            'parametricoDescripcion',
+            'parametricoTrazas',
+            'parametricoTabla',
+            'polosCerosResumen',
+            'polosCerosTabla'
+        ];
+
+        contenedores.forEach(id => {
+            const elemento = document.getElementById(id);
+            if (elemento) {
+                elemento.innerHTML = '';
+            }
+        });
+
+        // Liberar las gráficas anteriores (las vistas previas del formulario se conservan)
+        if (typeof PlotDisplay !== 'undefined') {
+            PlotDisplay.destruirGraficas('resultsSection');
+        }
+
+        // Ocultar sección de resultados
+        const resultsSection = document.getElementById('resultsSection');
+        if (resultsSection) {
+            resultsSection.style.display = 'none';
+            resultsSection.classList.add('hidden');
+        }
+
+        // Limpiar mensajes anteriores
+        this.limpiarMensajes();
+    },
+
+    /**
+     * Limpiar mensajes de estado (error, advertencia, éxito)
+     */
+    limpiarMensajes() {
+        const contenedorMensajes = document.getElementById('messages');
+        if (contenedorMensajes) {
+            contenedorMensajes.innerHTML = '';
+        }
+    },
+
+    /**
+     * Crear tabla HTML genérica
+     * @param {Array<string>} headers - Array de strings para encabezados
+     * @param {Array<Array>} filas - Array de arrays con datos
+     * @param {Array<Array<string>>} clases - Array de arrays con clases CSS opcionales
+     * @returns {string} String HTML de la tabla
+     */
+    crearTablaHTML(headers, filas, clases = []) {
+        let html = '<table class="resultado-table">';
+
+        // Encabezados
+        html += '<tr>';
+        for (const header of headers) {
+            html += `<th>${header}</th>`;
+        }
+        html += '</tr>';
+
+        // Filas de datos
+        for (let i = 0; i < filas.length; i++) {
+            html += '<tr>';
+            const fila = filas[i];
+            const claseFila = clases[i] || [];
+
+            for (let j = 0; j < fila.length; j++) {
+                const clase = claseFila[j] || '';
+                html += `<td class="${clase}">${fila[j]}</td>`;
+            }
+            html += '</tr>';
+        }
+
+        html += '</table>';
+        return html;
+    },
+
+    /**
+     * Formatear número complejo para display
+     * @param {number|Object} numero - Número a formatear (real o complejo)
+     * @param {number} decimales - Número de decimales (default: 4)
+     * @returns {string} String formateado
+     */
+    formatearComplejo(numero, decimales = 4) {
+        if (numero === undefined || numero === null) { return '0'; }
+        if (typeof numero === 'number') {
+            return this.formatearNumero(numero, decimales);
+        }
+        if (typeof numero === 'object' && (numero.re !== undefined || numero.im !== undefined)) {
+            const re = numero.re || 0;
+            const im = numero.im || 0;
+
+            // Si es real (imaginaria despreciable)
+            if (Math.abs(im) < 1e-10) {
+                return this.formatearNumero(re, decimales);
+            }
+            // Si es imaginario puro (real despreciable)
+            if (Math.abs(re) < 1e-10) {
+                return `${this.formatearNumero(im, decimales)}j`;
+            }
+            // Complejo
+            const reStr = this.formatearNumero(re, decimales);
+            const imStr = this.formatearNumero(Math.abs(im), decimales);
+            const signo = im >= 0 ? '+' : '-';
+            return `${reStr} ${signo} ${imStr}j`;
+        }
+        return String(numero);
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Valor de un elemento con su unidad, sin redondear los valores
+     * pequeños (capacitores e inductores) a cero
+     * @param {Object} elem - {tipo, valor}
+     * @returns {string}
+     */
+    formatearValorElemento(elem) {
+        return `${this.formatearNumero(elem.valor, 15)} ${this.UNIDADES_VALOR[elem.tipo]}`;
+    },
+
+    /**
+     * Formatear número simple
+     * @param {number} numero - Número a formatear
+     * @param {number} decimales - Número de decimales
+     * @returns {string} Número formateado
+     */
+    formatearNumero(numero, decimales = 4) {
+        if (Math.abs(numero) < 1e-10) {
+            return '0';
+        }
+
+        const factor = Math.pow(10, decimales);
+        const redondeado = Math.round(numero * factor) / factor;
+
+        // Usar notación científica con superíndice
+        if (Math.abs(redondeado) >= 1e6 || (Math.abs(redondeado) < 1e-3 && redondeado !== 0)) {
+            const exponente = Math.floor(Math.log10(Math.abs(redondeado)));
+            const mantisa = redondeado / Math.pow(10, exponente);
+
+            // Mapeo de superíndices
+            const superindices = {
+                '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴',
+                '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '-': '⁻'
+            };
+
+            const exponenteStr = String(exponente).split('').map(char => superindices[char] || char).join('');
+
+            return `${mantisa.toFixed(2)} × 10${exponenteStr}`;
+        }
+
+        // .toFixed() y eliminar ceros innecesarios al final
+        let numStr = redondeado.toFixed(decimales);
+        if (numStr.includes('.')) {
+            numStr = numStr.replace(/\.?0+$/, '');
+        }
+        return numStr;
+    },
+
+    /**
+     * Formatear un fasor en forma rectangular y polar, ej: "3 + 4j Ω (5 ∠ 53.13° Ω)".
+     * Si es real se muestra solo el número.
+     * @param {number|Object} valor - Número real o complejo
+     * @param {string} unidad - Unidad (V, A, Ω...; vacía si la indica el encabezado)
+     * @param {number} decimales - Número de decimales (default: 6)
+     * @returns {string} String formateado
+     */
+    formatearFasor(valor, unidad, decimales = 6) {
+        const sufijo = unidad ? ` ${unidad}` : '';
+        const rectangular = `${this.formatearComplejo(valor, decimales)}${sufijo}`;
+        if (typeof valor === 'number' || Math.abs(valor.im || 0) < 1e-10) {
+            return rectangular;
+        }
+
+        const { magnitud, fase } = this.calcularMagnitudFase(valor);
+        return `${rectangular} (${this.formatearNumero(magnitud, decimales)} ∠ ${this.formatearNumero(fase, 2)}°${sufijo})`;
+    },
+
+    /**
+     * Formatear una impedancia con formatearFasor; null es una impedancia infinita
+     * @param {number|Object|null} valor - Impedancia en Ω
+     * @returns {string} String formateado
+     */
+    formatearImpedancia(valor) {
+        return valor === null ? '∞ (circuito abierto)' : this.formatearFasor(valor, 'Ω');
+    },
+
+    /**
+     * Calcular magnitud y fase de un número complejo
+     * @param {Object|number} numeroComplejo - Número complejo
+     * @returns {Object} {magnitud, fase}
+     */
+    calcularMagnitudFase(numeroComplejo) {
+        // Si es número real
+        if (typeof numeroComplejo === 'number') {
+            return {
+                magnitud: Math.abs(numeroComplejo),
+                fase: numeroComplejo >= 0 ? 0 : 180
+            };
+        }
+
+        // Si es objeto complejo
+        if (typeof numeroComplejo === 'object') {
+            const re = numeroComplejo.re !== undefined ? numeroComplejo.re : 0;
+            const im = numeroComplejo.im !== undefined ? numeroComplejo.im : 0;
+
+            // Magnitud: |z| = sqrt(re² + im²)
+            const magnitud = Math.sqrt(re * re + im * im);
+
+            // Fase: θ = atan2(im, re) en grados
+            const faseRad = Math.atan2(im, re);
+            const fase = faseRad * (180 / Math.PI);
+
+            return { magnitud, fase };
+        }
+
+        // Fallback
+        return { magnitud: 0, fase: 0 };
+    },
+
+    /**
+     * Mostrar mensaje de error
+     * @param {string} mensaje - Mensaje de error
+     */
+    mostrarError(mensaje) {
+        this.mostrarMensaje(mensaje, 'danger', '!');
+    },
+
+    /**
+     * Mostrar advertencia
+     * @param {string} mensaje - Mensaje de advertencia
+     */
+    mostrarAdvertencia(mensaje) {
+        this.mostrarMensaje(mensaje, 'warning', '!');
+    },
 
     /**
      * Mostrar mensaje de éxito
@@ -685,45 +2357,110 @@ const ResultDisplay = {
             contenido += 'RESULTADOS DEL ANÁLISIS NODAL MODIFICADO (MNA)\n';
             contenido += `Fecha de Análisis: ${fecha}\n\n`;
 
-            // Voltajes de nodos
-            if (resultado.voltajes) {
-                contenido += 'VOLTAJES DE NODOS\n';
-                const nodos = Object.keys(resultado.voltajes).sort((a, b) => a - b);
-                nodos.forEach(nodo => {
-                    const voltaje = resultado.voltajes[nodo];
-                    const valorStr = this.formatearComplejo(voltaje, 6);
-                    const etiquetaNodo = (nodo == (resultado.info.groundNode || 0)) ? `Nodo ${nodo} (Tierra)` : `Nodo ${nodo}`;
-                    contenido += `  ${etiquetaNodo.padEnd(18)}: ${valorStr} V\n`;
-                });
-                contenido += '\n';
-            }
+            if (resultado.tipoAnalisis === 'barridoAC') {
+                contenido += this.barridoACATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'barridoDC') {
+                contenido += this.barridoDCATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'transitorio') {
+                contenido += this.transitorioATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'thevenin') {
+                contenido += this.theveninATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'superposicion') {
+                contenido += this.superposicionATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'dosPuertos') {
+                contenido += this.dosPuertosATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'impedancias') {
+                contenido += this.impedanciasATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'sensibilidad') {
+                contenido += this.sensibilidadATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'monteCarlo') {
+                contenido += this.monteCarloATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'peorCaso') {
+                contenido += this.peorCasoATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'parametrico') {
+                contenido += this.parametricoATexto(resultado);
+            } else if (resultado.tipoAnalisis === 'polosCeros') {
+                contenido += this.polosCerosATexto(resultado);
+            } else {
+                // Voltajes de nodos
+                if (resultado.voltajes) {
+                    contenido += 'VOLTAJES DE NODOS\n';
+                    const nodos = Object.keys(resultado.voltajes).sort((a, b) => a - b);
+                    nodos.forEach(nodo => {
+                        const voltaje = resultado.voltajes[nodo];
+                        const valorStr = this.formatearComplejo(voltaje, 6);
+                        const etiquetaNodo = (nodo == (resultado.info.groundNode || 0)) ? `Nodo ${nodo} (Tierra)` : `Nodo ${nodo}`;
+                        contenido += `  ${etiquetaNodo.padEnd(18)}: ${valorStr} V\n`;
+                    });
+                    contenido += '\n';
+                }
 
-            // Corrientes en fuentes
-            if (resultado.corrientes && Object.keys(resultado.corrientes).length > 0) {
-                contenido += 'CORRIENTES EN FUENTES DE VOLTAJE\n';
-                for (const fuente in resultado.corrientes) {
-                    const corriente = resultado.corrientes[fuente];
-                    const valorStr = this.formatearComplejo(corriente, 6);
-                    contenido += `  ${fuente.padEnd(18)}: ${valorStr} A\n`;
+                // Fasores de las fuentes independientes
+                const fasoresFuentes = resultado.info ? resultado.info.fasoresFuentes || [] : [];
+                if (fasoresFuentes.length > 0) {
+                    const unidades = { V: 'V', I: 'A' };
+                    contenido += 'FUENTES INDEPENDIENTES (FASORES)\n';
+                    fasoresFuentes.forEach(fuente => {
+                        const polar = `${this.formatearNumero(fuente.magnitud, 6)} ∠ ${this.formatearNumero(fuente.fase, 2)}°`;
+                        const rectangular = this.formatearComplejo(fuente.fasor, 6);
+                        contenido += `  ${fuente.nombre.padEnd(18)}: ${polar} ${unidades[fuente.tipo]}  (${rectangular})\n`;
+                    });
+                    contenido += '\n';
                 }
-                contenido += '\n';
-            }
 
-            // Matrices del sistema
-            if (resultado.matrices) {
-                contenido += 'MATRICES DEL SISTEMA\n\n';
+                // Corrientes en fuentes
+                if (resultado.corrientes && Object.keys(resultado.corrientes).length > 0) {
+                    contenido += 'CORRIENTES DE RAMA (FUENTES DE VOLTAJE, AMP. OP., TRANSFORMADORES, INDUCTORES, DIODOS Y TRANSISTORES)\n';
+                    for (const fuente in resultado.corrientes) {
+                        const corriente = resultado.corrientes[fuente];
+                        const valorStr = this.formatearComplejo(corriente, 6);
+                        contenido += `  ${fuente.padEnd(18)}: ${valorStr} A\n`;
+                    }
+                    contenido += '\n';
+                }
 
-                if (resultado.matrices.A) {
-                    contenido += 'Matriz A (Sistema):\n';
-                    contenido += this.matrizATexto(resultado.matrices.A) + '\n';
+                // Voltaje, corriente y potencia por elemento
+                if (resultado.potencias) {
+                    contenido += this.potenciasATexto(resultado.potencias, resultado.info.frequency);
                 }
-                if (resultado.matrices.x) {
-                    contenido += 'Vector x (Incógnitas):\n';
-                    contenido += this.matrizATexto(resultado.matrices.x) + '\n';
+
+                // Punto de operación de los dispositivos no lineales
+                const dispositivos = resultado.info ? resultado.info.dispositivos || {} : {};
+                if (Object.keys(dispositivos).length > 0) {
+                    contenido += 'PUNTO DE OPERACIÓN DE LOS DISPOSITIVOS\n';
+                    for (const nombre in dispositivos) {
+                        const d = this.describirDispositivo(dispositivos[nombre]);
+                        contenido += `  ${nombre.padEnd(18)}: ${d.tipo}, región ${d.region}; ${d.polarizacion}; ${d.corriente}\n`;
+                        contenido += `  ${''.padEnd(18)}  gm = ${d.gm} S, rπ = ${d.rpi} Ω, ro/rd = ${d.ro} Ω\n`;
+                    }
+                    contenido += '\n';
+                }
+
+                // Convergencia de Newton-Raphson (circuitos con diodos y transistores)
+                if (resultado.info && resultado.info.newton) {
+                    contenido += 'NEWTON-RAPHSON\n';
+                    contenido += `  ${this.describirNewton(resultado.info.newton, resultado.info.convergencia)}\n`;
+                    contenido += resultado.info.pequenaSenal
+                        ? '  Las matrices corresponden al circuito de pequeña señal linealizado en el punto de operación.\n\n'
+                        : '  Las matrices corresponden al circuito linealizado de la última iteración.\n\n';
                 }
-                if (resultado.matrices.z) {
-                    contenido += 'Vector z (Fuentes):\n';
-                    contenido += this.matrizATexto(resultado.matrices.z) + '\n';
+
+                // Matrices del sistema
+                if (resultado.matrices) {
+                    contenido += 'MATRICES DEL SISTEMA\n\n';
+
+                    if (resultado.matrices.A) {
+                        contenido += 'Matriz A (Sistema):\n';
+                        contenido += this.matrizATexto(resultado.matrices.A) + '\n';
+                    }
+                    if (resultado.matrices.x) {
+                        contenido += 'Vector x (Incógnitas):\n';
+                        contenido += this.matrizATexto(resultado.matrices.x) + '\n';
+                    }
+                    if (resultado.matrices.z) {
+                        contenido += 'Vector z (Fuentes):\n';
+                        contenido += this.matrizATexto(resultado.matrices.z) + '\n';
+                    }
                 }
             }
 
@@ -745,6 +2482,414 @@ const ResultDisplay = {
         }
     },
 
+    /**
+     * Describir la convergencia de Newton-Raphson en una línea
+     * @param {Object} newton - {iteraciones, residuo (A), cambioMaximo (V)}
+     * @param {Object} convergencia - {estrategia, intentos} (opcional)
+     * @returns {string}
+     */
+    describirNewton(newton, convergencia = null) {
+        const detalle = `en ${newton.iteraciones} iteraciones ` +
+            `(residuo final ${newton.residuo.toExponential(2)} A, último cambio ${newton.cambioMaximo.toExponential(2)} V)`;
+
+        if (!convergencia || convergencia.estrategia === 'newton') {
+            return `Newton-Raphson convergió ${detalle}`;
+        }
+
+        const fallidas = convergencia.intentos
+            .filter(intento => !intento.exito)
+            .map(intento => this.NOMBRES_ESTRATEGIA[intento.estrategia])
+            .join(', ');
+        return `No convergió con ${fallidas}; convergió con ${this.NOMBRES_ESTRATEGIA[convergencia.estrategia]} ${detalle}`;
+    },
+
+    /**
+     * Convertir los resultados de un barrido AC a texto plano
+     * (fasores de cada nodo en magnitud y fase, una fila por frecuencia)
+     * @param {Object} barrido - Resultado de SweepAnalysis.barridoAC()
+     * @returns {string} Representación en texto
+     */
+    barridoACATexto(barrido) {
+        const { groundNode, tipoBarrido, numPuntos } = barrido.info;
+        const nodos = Object.keys(barrido.voltajes)
+            .map(Number)
+            .filter(nodo => nodo !== groundNode);
+
+        let texto = `BARRIDO AC (${tipoBarrido}, ${numPuntos} puntos)\n`;
+        texto += 'VOLTAJES DE NODOS: magnitud (V) ∠ fase (°)\n';
+        texto += '  ' + 'f (Hz)'.padEnd(14) +
+                 nodos.map(nodo => `Nodo ${nodo}`.padEnd(26)).join('') + '\n';
+
+        barrido.frecuencias.forEach((f, k) => {
+            texto += '  ' + this.formatearNumero(f, 4).padEnd(14);
+            nodos.forEach(nodo => {
+                const { magnitud, fase } = this.calcularMagnitudFase(barrido.voltajes[nodo][k]);
+                texto += `${this.formatearNumero(magnitud, 6)} ∠ ${this.formatearNumero(fase, 2)}°`.padEnd(26);
+            });
+            texto += '\n';
+        });
+
+        return texto + '\n';
+    },
+
+    /**
+     * Convertir los resultados de un barrido DC a texto plano
+     * @param {Object} barrido - Resultado de SweepAnalysis.barridoDC()
+     * @returns {string} Representación en texto
+     */
+    barridoDCATexto(barrido) {
+        const titulo = `BARRIDO DC DE ${barrido.parametro.nombre} (${barrido.info.numPuntos} puntos)`;
+        return this.curvasATexto(titulo, barrido.parametro.nombre, barrido.valores, barrido);
+    },
+
+    /**
+     * Convertir las formas de onda del análisis transitorio a texto plano
+     * @param {Object} transitorio - Resultado de TransientAnalysis.analizarTransitorio()
+     * @returns {string} Representación en texto
+     */
+    transitorioATexto(transitorio) {
+        const { metodo, paso, tFinal, numPuntos } = transitorio.info;
+        const titulo = `ANÁLISIS TRANSITORIO (${metodo}, paso ${paso} s, hasta ${tFinal} s, ${numPuntos} puntos)`;
+        return this.curvasATexto(titulo, 't (s)', transitorio.tiempos, transitorio);
+    },
+
+    /**
+     * Convertir el voltaje, corriente y potencia por elemento a texto plano
+     * @param {Object} potencias - Resultado de PowerAnalysis.calcularPotencias()
+     * @param {number} frequency - Frecuencia (0=DC, >0=AC)
+     * @returns {string} Representación en texto
+     */
+    potenciasATexto(potencias, frequency) {
+        const esDC = frequency === 0;
+        const unidad = esDC ? 'W' : 'VA';
+
+        let texto = 'VOLTAJE, CORRIENTE Y POTENCIA POR ELEMENTO (CONVENCIÓN PASIVA' +
+            (esDC ? ')\n' : ', S = ½·v·i*)\n');
+        texto += '  ' + 'Elemento'.padEnd(18) + 'v (V)'.padEnd(26) + 'i (A)'.padEnd(26) +
+                 `${esDC ? 'P' : 'S'} (${unidad})`.padEnd(26) + (esDC ? '' : 'fp') + '\n';
+
+        potencias.elementos.forEach(fila => {
+            texto += '  ' + fila.etiqueta.padEnd(18) +
+                     this.formatearComplejo(fila.voltaje, 6).padEnd(26) +
+                     this.formatearComplejo(fila.corriente, 6).padEnd(26) +
+                     this.formatearComplejo(fila.potencia, 6).padEnd(26) +
+                     (esDC ? '' : this.describirFactorPotencia(fila)) + '\n';
+        });
+
+        const { suministrada, absorbida, diferencia } = potencias.balance;
+        texto += `  Balance (Tellegen): suministrada ${this.formatearComplejo(suministrada, 6)} ${unidad}, ` +
+                 `absorbida ${this.formatearComplejo(absorbida, 6)} ${unidad}, diferencia ${diferencia.toExponential(2)} ${unidad}\n`;
+
+        return texto + '\n';
+    },
+
+    /**
+     * Convertir el equivalente de Thévenin/Norton a texto plano
+     * @param {Object} equivalente - Resultado de TheveninAnalysis.calcularEquivalente()
+     * @returns {string} Representación en texto
+     */
+    theveninATexto(equivalente) {
+        const { nodoA, nodoB, frecuencia } = equivalente.info;
+
+        let texto = `EQUIVALENTE DE THÉVENIN/NORTON ENTRE LOS NODOS a = ${nodoA} Y b = ${nodoB}` +
+            (frecuencia === 0 ? ' (DC)\n' : ` (${frecuencia} Hz, fasores en amplitud)\n`);
+        texto += `  ${'Vth'.padEnd(22)}: ${this.formatearFasor(equivalente.vth, 'V')}\n`;
+        texto += `  ${'Zth'.padEnd(22)}: ${this.formatearFasor(equivalente.zth, 'Ω')}\n`;
+        texto += `  ${'In'.padEnd(22)}: ${equivalente.in === null ? 'no existe (Zth = 0)' : this.formatearFasor(equivalente.in, 'A')}\n`;
+
+        if (equivalente.cargaMaxima) {
+            texto += `  ${'Carga máx. potencia'.padEnd(22)}: ${this.formatearFasor(equivalente.cargaMaxima.zl, 'Ω')}\n`;
+            texto += `  ${'Potencia máxima'.padEnd(22)}: ${this.formatearNumero(equivalente.cargaMaxima.potencia, 6)} W\n`;
+        } else {
+            texto += `  ${'Carga máx. potencia'.padEnd(22)}: no existe (Re(Zth) ≤ 0)\n`;
+        }
+
+        return texto + '\n';
+    },
+
+    /**
+     * Convertir la superposición a texto plano (una columna por fuente)
+     * @param {Object} superposicion - Resultado de SuperpositionAnalysis.analizar()
+     * @returns {string} Representación en texto
+     */
+    superposicionATexto(superposicion) {
+        const { fuentes, contribuciones, suma, completo, verificacion, info } = superposicion;
+        const ancho = 28;
+
+        let texto = 'SUPERPOSICIÓN: CONTRIBUCIÓN DE CADA FUENTE INDEPENDIENTE' +
+            (info.frecuencia === 0 ? ' (DC)\n' : ` (${info.frecuencia} Hz)\n`);
+        texto += '  ' + 'Magnitud'.padEnd(ancho) +
+                 fuentes.map(f => `Solo ${f}`.padEnd(ancho)).join('') +
+                 'Suma'.padEnd(ancho) + 'Todas las fuentes\n';
+
+        this.filasSuperposicion(superposicion).forEach(({ etiqueta, magnitud, clave }) => {
+            texto += '  ' + etiqueta.padEnd(ancho) +
+                     fuentes.map(f => this.formatearComplejo(contribuciones[f][magnitud][clave], 6).padEnd(ancho)).join('') +
+                     this.formatearComplejo(suma[magnitud][clave], 6).padEnd(ancho) +
+                     this.formatearComplejo(completo[magnitud][clave], 6) + '\n';
+        });
+
+        texto += `  Verificación: diferencia máxima entre la suma y la solución completa ${verificacion.diferenciaMaxima.toExponential(2)}\n`;
+        return texto + '\n';
+    },
+
+    /**
+     * Convertir los parámetros de dos puertos a texto plano (las cinco matrices)
+     * @param {Object} dosPuertos - Resultado de TwoPortAnalysis.calcularParametros()
+     * @returns {string} Representación en texto
+     */
+    dosPuertosATexto(dosPuertos) {
+        const { puerto1, puerto2, frecuencia } = dosPuertos.info;
+
+        let texto = `PARÁMETROS DE DOS PUERTOS: PUERTO 1 = (${puerto1.positivo}, ${puerto1.negativo}), ` +
+            `PUERTO 2 = (${puerto2.positivo}, ${puerto2.negativo})` +
+            (frecuencia === 0 ? ' (DC)\n' : ` (${frecuencia} Hz)\n`);
+
+        for (const nombre in this.PARAMETROS_DOS_PUERTOS) {
+            const { ecuacion, simbolos, unidades } = this.PARAMETROS_DOS_PUERTOS[nombre];
+            const matriz = dosPuertos.parametros[nombre];
+
+            texto += `  ${nombre}: ${ecuacion}\n`;
+            if (matriz === null) {
+                texto += '    No existen para esta red\n';
+                continue;
+            }
+            matriz.forEach((fila, i) => {
+                texto += ('    ' + fila.map((valor, j) =>
+                    `${simbolos[i][j]} = ${this.formatearComplejo(valor, 6)} ${unidades[i][j]}`.trim().padEnd(36)
+                ).join('')).trimEnd() + '\n';
+            });
+        }
+
+        texto += `  ${this.describirDosPuertos(dosPuertos)}\n`;
+        return texto + '\n';
+    },
+
+    /**
+     * Convertir las impedancias de entrada y salida a texto plano (una fila por
+     * frecuencia) con los voltajes nodales a la frecuencia de operación
+     * @param {Object} impedancias - Resultado de ImpedanceAnalysis.medir()
+     * @returns {string} Representación en texto
+     */
+    impedanciasATexto(impedancias) {
+        const { frecuencia, tipoBarrido, groundNode } = impedancias.info;
+        const ancho = 44;
+
+        let texto = 'IMPEDANCIAS DE ENTRADA Y SALIDA' +
+            (tipoBarrido ? ` (barrido ${tipoBarrido}, ${impedancias.frecuencias.length} puntos)\n` :
+                (frecuencia === 0 ? ' (DC)\n' : ` (${frecuencia} Hz)\n`));
+        texto += `  ${this.describirImpedancias(impedancias)}\n`;
+        texto += '  ' + 'Frecuencia (Hz)'.padEnd(18) + 'Zin'.padEnd(ancho) + 'Zout\n';
+
+        impedancias.frecuencias.forEach((f, k) => {
+            texto += '  ' + this.formatearNumero(f, 4).padEnd(18) +
+                     this.formatearImpedancia(impedancias.zin[k]).padEnd(ancho) +
+                     this.formatearImpedancia(impedancias.zout[k]) + '\n';
+        });
+
+        texto += `\nVOLTAJES DE NODOS${frecuencia === 0 ? ' (DC)' : ` (${frecuencia} Hz)`}\n`;
+        Object.keys(impedancias.voltajes).sort((a, b) => a - b).forEach(nodo => {
+            const etiquetaNodo = Number(nodo) === groundNode ? `Nodo ${nodo} (Tierra)` : `Nodo ${nodo}`;
+            texto += `  ${etiquetaNodo.padEnd(18)}: ${this.formatearComplejo(impedancias.voltajes[nodo], 6)} V\n`;
+        });
+        return texto + '\n';
+    },
+
+    /**
+     * Convertir la sensibilidad a texto plano (una fila por elemento, en orden)
+     * @param {Object} sensibilidad - Resultado de SensitivityAnalysis.calcular()
+     * @returns {string} Representación en texto
+     */
+    sensibilidadATexto(sensibilidad) {
+        const ancho = 44;
+
+        let texto = 'SENSIBILIDAD RESPECTO A CADA ELEMENTO (MÉTODO ADJUNTO)\n';
+        texto += `  ${this.describirSensibilidad(sensibilidad)}\n`;
+        texto += '  ' + '#'.padEnd(4) + 'Elemento'.padEnd(12) + 'Valor'.padEnd(16) +
+                 '∂V/∂p'.padEnd(ancho) + 'S = (p/V)·∂V/∂p\n';
+
+        sensibilidad.sensibilidades.forEach((s, k) => {
+            texto += '  ' + String(k + 1).padEnd(4) + s.nombre.padEnd(12) +
+                     this.formatearValorElemento(s).padEnd(16) +
+                     this.formatearFasor(s.derivada, s.unidad).padEnd(ancho) +
+                     (s.normalizada === null ? '—' : this.formatearFasor(s.normalizada, '')) + '\n';
+        });
+
+        return texto + '\n';
+    },
+
+    /**
+     * Convertir el análisis de Monte Carlo a texto plano (estadísticas e histograma
+     * de cada variable)
+     * @param {Object} monteCarlo - Resultado de MonteCarloAnalysis.analizar()
+     * @returns {string} Representación en texto
+     */
+    monteCarloATexto(monteCarlo) {
+        const { frecuencia } = monteCarlo.info;
+
+        let texto = 'ANÁLISIS DE MONTE CARLO\n';
+        texto += `  ${this.describirMonteCarlo(monteCarlo)}\n\n`;
+
+        monteCarlo.variables.forEach(variable => {
+            texto += `  ${this.etiquetaVariableMonteCarlo(variable, frecuencia)}\n`;
+            [
+                ['Nominal', variable.nominal],
+                ['Media', variable.media],
+                ['Desv. estándar', variable.desviacion],
+                ['Mínimo', variable.minimo],
+                ['Máximo', variable.maximo]
+            ].forEach(([etiqueta, valor]) => {
+                texto += `    ${etiqueta.padEnd(16)}: ${this.formatearEstadistica(valor)}\n`;
+            });
+
+            texto += '    Histograma (intervalo: corridas)\n';
+            const { bordes, conteos } = variable.histograma;
+            conteos.forEach((conteo, k) => {
+                const intervalo = `[${this.formatearEstadistica(bordes[k])}, ${this.formatearEstadistica(bordes[k + 1])}]`;
+                texto += `      ${intervalo.padEnd(36)}: ${conteo}\n`;
+            });
+            texto += '\n';
+        });
+
+        return texto;
+    },
+
+    /**
+     * Convertir el peor caso a texto plano (extremos y valor de cada elemento)
+     * @param {Object} peorCaso - Resultado de WorstCaseAnalysis.calcular()
+     * @returns {string} Representación en texto
+     */
+    peorCasoATexto(peorCaso) {
+        let texto = 'PEOR CASO (ESQUINAS DE TOLERANCIA)\n';
+        texto += `  ${this.describirPeorCaso(peorCaso)}\n`;
+
+        this.filasPeorCaso(peorCaso).forEach(fila => {
+            texto += `  ${fila.etiqueta.padEnd(10)}: ${(this.formatearEstadistica(fila.salida) + ' V').padEnd(20)}` +
+                     `${fila.relativo.padEnd(14)}esquinas: ${fila.esquinas}\n`;
+        });
+
+        texto += '\n  ' + 'Elemento'.padEnd(12) + 'Tolerancia'.padEnd(12) + 'Nominal'.padEnd(18) +
+                 '∂salida/∂p'.padEnd(26) + 'En el mínimo'.padEnd(28) + 'En el máximo\n';
+        peorCaso.elementos.forEach(elem => {
+            texto += '  ' + elem.nombre.padEnd(12) + `±${elem.tolerancia} %`.padEnd(12) +
+                     this.formatearValorElemento({ tipo: elem.tipo, valor: elem.nominal }).padEnd(18) +
+                     `${this.formatearEstadistica(elem.pendiente)} ${elem.unidad}`.padEnd(26) +
+                     this.formatearEsquina(elem, elem.valorMinimo, elem.signoMinimo).padEnd(28) +
+                     this.formatearEsquina(elem, elem.valorMaximo, elem.signoMaximo) + '\n';
+        });
+
+        return texto + '\n';
+    },
+
+    /**
+     * Convertir el barrido paramétrico a texto plano: las curvas contra el parámetro
+     * (punto de operación) o el análisis completo de cada valor, precedido por la
+     * tabla de magnitudes en los análisis que dan tablas
+     * @param {Object} parametrico - Resultado de ParametricAnalysis.barrer()
+     * @returns {string} Representación en texto
+     */
+    parametricoATexto(parametrico) {
+        const { analisis, parametro, valores, resultados } = parametrico;
+
+        let texto = `BARRIDO PARAMÉTRICO DE ${parametro}\n`;
+        texto += `  ${this.describirBarridoParametrico(parametrico)}\n\n`;
+
+        if (analisis === 'punto') {
+            return texto + this.curvasATexto('PUNTO DE OPERACIÓN EN FUNCIÓN DEL PARÁMETRO', parametro, valores, parametrico);
+        }
+
+        if (!this.superponeCurvas(parametrico)) {
+            const magnitudes = this.magnitudesParametricas(parametrico);
+            const etiquetas = [parametro, ...magnitudes.map(magnitud => this.etiquetaMagnitud(magnitud))];
+            const ancho = Math.max(14, ...etiquetas.map(etiqueta => etiqueta.length + 2));
+
+            texto += 'MAGNITUDES EN FUNCIÓN DEL PARÁMETRO\n';
+            texto += '  ' + etiquetas.map(etiqueta => etiqueta.padEnd(ancho)).join('').trimEnd() + '\n';
+            valores.forEach((valor, k) => {
+                texto += '  ' + [
+                    this.formatearNumero(valor, 6),
+                    ...magnitudes.map(magnitud => this.formatearMagnitud(magnitud.datos[k]))
+                ].map(celda => celda.padEnd(ancho)).join('').trimEnd() + '\n';
+            });
+            texto += '\n';
+        }
+
+        const convertir = {
+            barridoAC: this.barridoACATexto,
+            barridoDC: this.barridoDCATexto,
+            transitorio: this.transitorioATexto,
+            thevenin: this.theveninATexto,
+            superposicion: this.superposicionATexto,
+            dosPuertos: this.dosPuertosATexto,
+            impedancias: this.impedanciasATexto,
+            sensibilidad: this.sensibilidadATexto,
+            monteCarlo: this.monteCarloATexto,
+            peorCaso: this.peorCasoATexto,
+            polosCeros: this.polosCerosATexto
+        }[analisis];
+
+        resultados.forEach((resultado, k) => {
+            texto += `--- ${parametro} = ${this.formatearNumero(valores[k], 6)} ---\n`;
+            texto += convertir.call(this, resultado);
+        });
+
+        return texto;
+    },
+
+    /**
+     * Convertir los polos y ceros a texto plano (una línea por raíz real o par complejo)
+     * @param {Object} polosCeros - Resultado de PoleZeroAnalysis.calcular()
+     * @returns {string} Representación en texto
+     */
+    polosCerosATexto(polosCeros) {
+        let texto = 'POLOS Y CEROS DE LA FUNCIÓN DE TRANSFERENCIA\n';
+        texto += `  ${this.describirPolosCeros(polosCeros)}\n`;
+        texto += '  ' + ''.padEnd(12) + 's (1/s)'.padEnd(36) + 'ω0 (rad/s)'.padEnd(18) +
+                 'f0 (Hz)'.padEnd(18) + 'ζ'.padEnd(10) + 'Q\n';
+
+        this.filasPolosCeros(polosCeros).forEach(([tipo, s, omega0, frecuencia, zeta, Q]) => {
+            texto += '  ' + tipo.padEnd(12) + s.padEnd(36) + omega0.padEnd(18) +
+                     frecuencia.padEnd(18) + zeta.padEnd(10) + Q + '\n';
+        });
+
+        return texto + '\n';
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Curvas en texto plano (una fila por valor de la variable
+     * independiente con todos los voltajes de nodo y corrientes)
+     * @param {string} titulo - Encabezado de la sección
+     * @param {string} etiquetaX - Nombre de la variable independiente
+     * @param {number[]} x - Valores de la variable independiente
+     * @param {Object} resultado - {voltajes, corrientes, info: {groundNode}}
+     * @returns {string} Representación en texto
+     */
+    curvasATexto(titulo, etiquetaX, x, resultado) {
+        const nodos = Object.keys(resultado.voltajes)
+            .map(Number)
+            .filter(nodo => nodo !== resultado.info.groundNode);
+        const nombresCorrientes = Object.keys(resultado.corrientes);
+
+        let texto = `${titulo}\n`;
+        texto += 'VOLTAJES DE NODOS (V) Y CORRIENTES (A)\n';
+        texto += '  ' + etiquetaX.padEnd(14) +
+                 nodos.map(nodo => `V(${nodo})`.padEnd(14)).join('') +
+                 nombresCorrientes.map(nombre => `I(${nombre})`.padEnd(14)).join('') + '\n';
+
+        x.forEach((valor, k) => {
+            texto += '  ' + this.formatearNumero(valor, 6).padEnd(14);
+            nodos.forEach(nodo => {
+                texto += this.formatearNumero(resultado.voltajes[nodo][k], 6).padEnd(14);
+            });
+            nombresCorrientes.forEach(nombre => {
+                texto += this.formatearNumero(resultado.corrientes[nombre][k], 6).padEnd(14);
+            });
+            texto += '\n';
+        });
+
+        return texto + '\n';
+    },
+
     /**
      * Convertir matriz a texto plano
      * @param {Array} matriz - Matriz a convertir
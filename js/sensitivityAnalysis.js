@@ -0,0 +1,214 @@
+/**
+ * CircuitLab MNA - Análisis de Sensibilidad (método adjunto)
+ *
+ * Calcula la derivada del voltaje de salida V = V(salida) − V(referencia) respecto
+ * al valor de cada resistor, capacitor, inductor y fuente independiente. Con
+ * A·x = z y la salida V = cᵀx, derivar el sistema da
+ *
+ *   ∂V/∂p = x̂ᵀ·(∂z/∂p − ∂A/∂p·x)      con  Aᵀ·x̂ = c   (sistema adjunto)
+ *
+ * x̂ se obtiene una sola vez con la factorización LU que ya usó MNACore para resolver
+ * el circuito (MNACore.resolverAdjunto), y cada elemento solo aporta su estampilla:
+ *
+ *   R (G = 1/R):          ∂V/∂R = (x̂a − x̂b)·(va − vb) / R²
+ *   C (Y = jωC):          ∂V/∂C = −jω·(x̂a − x̂b)·(va − vb)            (0 en DC)
+ *   L (Y = 1/jωL):        ∂V/∂L = (x̂a − x̂b)·(va − vb) / (jωL²)        (0 en DC)
+ *   L acoplado (rama k):  ∂V/∂L = jω·x̂k·ik + jω·Σ ∂M/∂L·(x̂k·ij + x̂j·ik)
+ *   V (rama k):           ∂V/∂V = x̂k·∠fase
+ *   I (de b hacia a):     ∂V/∂I = (x̂a − x̂b)·∠fase
+ *
+ * La sensibilidad normalizada S = (p/V)·∂V/∂p es el cambio relativo de la salida
+ * por cada cambio relativo del valor (1 % en p → S % en V). En AC es compleja: su
+ * parte real es la sensibilidad de la magnitud |V| y su parte imaginaria la de la
+ * fase (en radianes). Los elementos se ordenan por |p·∂V/∂p|, que no depende de V.
+ */
+
+const SensitivityAnalysis = {
+    // Tipos de elemento cuyo valor es un parámetro de la sensibilidad
+    TIPOS_PARAMETRO: ['R', 'C', 'L', 'V', 'I'],
+
+    // Unidad de ∂V/∂p según el tipo de elemento
+    UNIDADES: { R: 'V/Ω', C: 'V/F', L: 'V/H', V: 'V/V', I: 'V/A' },
+
+    // |V| por debajo de este valor la sensibilidad normalizada no se define
+    VOLTAJE_MINIMO: 1e-15,
+
+    /**
+     * 1. SENSIBILIDAD DE UN VOLTAJE RESPECTO A CADA ELEMENTO
+     *
+     * @param {Array} elementos - Lista de elementos del circuito (lineal)
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {nodoSalida, nodoReferencia, frecuencia (Hz, 0 = DC)}
+     * @returns {Object} {
+     *            exito, tipoAnalisis: 'sensibilidad',
+     *            salida: V(salida) − V(referencia),
+     *            sensibilidades: [{nombre, tipo, valor, unidad, derivada (∂V/∂p),
+     *                              normalizada ((p/V)·∂V/∂p, null si V = 0)}]
+     *                            ordenadas de mayor a menor |p·∂V/∂p|,
+     *            info: {nodoSalida, nodoReferencia, frecuencia, groundNode}
+     *          } o {exito: false, error}
+     */
+    calcular(elementos, numNodes, groundNode, opciones) {
+        try {
+            const { nodoSalida, nodoReferencia, frecuencia } = opciones;
+
+            const resultado = MNACore.analizarCircuito(elementos, numNodes, groundNode, frecuencia);
+            if (!resultado.exito) {
+                throw new Error(resultado.error);
+            }
+
+            // Salida cᵀx: +1 en el nodo de salida y −1 en el de referencia
+            const { x, LU } = resultado.matrices;
+            const c = math.zeros(math.size(x));
+            [[nodoSalida, 1], [nodoReferencia, -1]].forEach(([nodo, signo]) => {
+                const indice = MNACore.nodoAIndice(nodo, groundNode);
+                if (indice >= 0) c.set([indice, 0], signo);
+            });
+
+            const contexto = {
+                x: x.toArray().map(fila => fila[0]),
+                adjunto: MNACore.resolverAdjunto(LU, c),
+                n: numNodes - 1,
+                ramas: MNACore.obtenerElementosRama(elementos, frecuencia),
+                acoplamientos: frecuencia === 0 ? [] : MNACore.resolverAcoplamientos(elementos, frecuencia),
+                omega: 2 * Math.PI * frecuencia,
+                frecuencia: frecuencia,
+                groundNode: groundNode
+            };
+
+            const salida = TheveninAnalysis.diferencia(resultado.voltajes, nodoSalida, nodoReferencia);
+            const definida = math.abs(salida) > this.VOLTAJE_MINIMO;
+
+            const sensibilidades = elementos
+                .filter(elem => this.TIPOS_PARAMETRO.includes(elem.tipo))
+                .map(elem => {
+                    const derivada = this.simplificar(this.derivada(elem, contexto));
+                    return {
+                        nombre: elem.nombre,
+                        tipo: elem.tipo,
+                        valor: elem.valor,
+                        unidad: this.UNIDADES[elem.tipo],
+                        derivada: derivada,
+                        normalizada: definida
+                            ? this.simplificar(math.divide(math.multiply(elem.valor, derivada), salida))
+                            : null
+                    };
+                })
+                .sort((a, b) => math.abs(math.multiply(b.valor, b.derivada)) - math.abs(math.multiply(a.valor, a.derivada)));
+
+            return {
+                exito: true,
+                tipoAnalisis: 'sensibilidad',
+                salida: salida,
+                sensibilidades: sensibilidades,
+                info: {
+                    nodoSalida: nodoSalida,
+                    nodoReferencia: nodoReferencia,
+                    frecuencia: frecuencia,
+                    groundNode: groundNode
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'sensibilidad'
+            };
+        }
+    },
+
+    /**
+     * 2. DERIVADA ∂V/∂p DE UN ELEMENTO (ver las estampillas en el encabezado)
+     *
+     * @param {Object} elem - Elemento R, C, L, V o I
+     * @param {Object} contexto - {x, adjunto (x̂), n, ramas (elementos con corriente de rama),
+     *                             acoplamientos, omega, frecuencia, groundNode}
+     * @returns {number|Complex}
+     */
+    derivada(elem, contexto) {
+        const { x, adjunto, n, ramas, omega, frecuencia } = contexto;
+        const rama = ramas.indexOf(elem);
+
+        // Producto (x̂a − x̂b)·(va − vb) de las estampillas de admitancia
+        const producto = () => math.multiply(
+            this.diferencia(adjunto, elem, contexto),
+            this.diferencia(x, elem, contexto)
+        );
+
+        switch (elem.tipo) {
+            case 'R':
+                return math.divide(producto(), elem.valor * elem.valor);
+
+            case 'C':
+                return frecuencia === 0 ? 0 : math.multiply(math.complex(0, -omega), producto());
+
+            case 'L':
+                if (frecuencia === 0) return 0;
+                if (rama < 0) {
+                    return math.divide(producto(), math.complex(0, omega * elem.valor * elem.valor));
+                }
+                return this.derivadaAcoplado(elem, rama, contexto);
+
+            case 'V':
+                return math.multiply(adjunto[n + rama], MNACore.obtenerFasorFuente({ ...elem, valor: 1 }, frecuencia));
+
+            case 'I':
+                return math.multiply(this.diferencia(adjunto, elem, contexto),
+                    MNACore.obtenerFasorFuente({ ...elem, valor: 1 }, frecuencia));
+
+            default:
+                return 0;
+        }
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Derivada respecto a un inductor acoplado (corriente de rama k)
+     *
+     * Su fila tiene −jωL en la diagonal de D y −jωM (M = k·√(L1·L2)) con cada inductor
+     * acoplado; ∂M/∂L = M/(2L).
+     */
+    derivadaAcoplado(elem, rama, contexto) {
+        const { x, adjunto, n, ramas, acoplamientos, omega } = contexto;
+        const k = n + rama;
+        let derivada = math.multiply(math.complex(0, omega), math.multiply(adjunto[k], x[k]));
+
+        acoplamientos
+            .filter(({ indice1, indice2 }) => indice1 === rama || indice2 === rama)
+            .forEach(({ coeficiente, indice1, indice2 }) => {
+                const otraRama = indice1 === rama ? indice2 : indice1;
+                const otra = n + otraRama;
+                const mutua = coeficiente * Math.sqrt(elem.valor * ramas[otraRama].valor);
+                const cruzado = math.add(math.multiply(adjunto[k], x[otra]), math.multiply(adjunto[otra], x[k]));
+                derivada = math.add(derivada,
+                    math.multiply(math.complex(0, omega * mutua / (2 * elem.valor)), cruzado));
+            });
+
+        return derivada;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Diferencia entre los nodos del elemento de un vector del sistema
+     * (el nodo de tierra vale 0)
+     */
+    diferencia(vector, elem, contexto) {
+        const valor = nodo => {
+            const indice = MNACore.nodoAIndice(nodo, contexto.groundNode);
+            return indice >= 0 ? vector[indice] : 0;
+        };
+        return math.subtract(valor(elem.nodoPositivo), valor(elem.nodoNegativo));
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Número real si la parte imaginaria es cero (en DC)
+     */
+    simplificar(valor) {
+        return typeof valor === 'object' && valor.im === 0 ? valor.re : valor;
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensitivityAnalysis;
+}
@@ -0,0 +1,130 @@
+/**
+ * CircuitLab MNA - Principio de Superposición
+ *
+ * En un circuito lineal cada voltaje y corriente es la suma de las contribuciones
+ * de las fuentes independientes actuando una a la vez. Este módulo resuelve el
+ * circuito con MNACore.analizarCircuito una vez por cada fuente independiente,
+ * con las demás apagadas (V → cortocircuito, I → circuito abierto, ver
+ * TheveninAnalysis.apagarFuentes). Las fuentes controladas nunca se apagan: su
+ * valor depende del circuito y participan en todas las soluciones.
+ *
+ * La corriente de cada elemento sale de PowerAnalysis (convención pasiva). La suma
+ * de las contribuciones se compara con la solución con todas las fuentes activas.
+ * La potencia no se superpone (es cuadrática), por eso solo se descomponen
+ * voltajes y corrientes.
+ */
+
+const SuperpositionAnalysis = {
+    // Diferencia relativa máxima entre la suma de contribuciones y la solución completa
+    TOLERANCIA_VERIFICACION: 1e-9,
+
+    /**
+     * 1. CONTRIBUCIÓN DE CADA FUENTE INDEPENDIENTE
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {frecuencia (Hz, 0 = DC)}
+     * @returns {Object} {
+     *            exito, tipoAnalisis: 'superposicion',
+     *            fuentes: [nombre],
+     *            contribuciones: {fuente: {voltajes: {nodo: v}, corrientes: {etiqueta: i}}},
+     *            suma: {voltajes, corrientes},
+     *            completo: {voltajes, corrientes} (todas las fuentes activas),
+     *            verificacion: {diferenciaMaxima, cumple},
+     *            info: {frecuencia, groundNode, numNodos}
+     *          } o {exito: false, error}
+     */
+    analizar(elementos, numNodes, groundNode, opciones) {
+        try {
+            const { frecuencia } = opciones;
+            const fuentes = elementos.filter(e => e.tipo === 'V' || e.tipo === 'I');
+
+            if (fuentes.length === 0) {
+                throw new Error('El circuito no tiene fuentes independientes');
+            }
+
+            const completo = this.resolver(elementos, numNodes, groundNode, frecuencia, 'Todas las fuentes');
+
+            // Una solución por fuente: todas apagadas excepto ella
+            const apagadas = TheveninAnalysis.apagarFuentes(elementos);
+            const contribuciones = {};
+
+            fuentes.forEach(fuente => {
+                const circuito = apagadas.map((elem, k) => (elementos[k] === fuente ? fuente : elem));
+                contribuciones[fuente.nombre] =
+                    this.resolver(circuito, numNodes, groundNode, frecuencia, `Solo ${fuente.nombre}`);
+            });
+
+            // Suma de las contribuciones y comparación con la solución completa
+            const suma = { voltajes: {}, corrientes: {} };
+            let diferenciaMaxima = 0;
+            let escala = 0;
+
+            ['voltajes', 'corrientes'].forEach(magnitud => {
+                for (const clave in completo[magnitud]) {
+                    suma[magnitud][clave] = fuentes.reduce(
+                        (total, fuente) => math.add(total, contribuciones[fuente.nombre][magnitud][clave]), 0
+                    );
+                    diferenciaMaxima = Math.max(diferenciaMaxima,
+                        math.abs(math.subtract(suma[magnitud][clave], completo[magnitud][clave])));
+                    escala = Math.max(escala, math.abs(completo[magnitud][clave]));
+                }
+            });
+
+            return {
+                exito: true,
+                tipoAnalisis: 'superposicion',
+                fuentes: fuentes.map(f => f.nombre),
+                contribuciones: contribuciones,
+                suma: suma,
+                completo: completo,
+                verificacion: {
+                    diferenciaMaxima: diferenciaMaxima,
+                    cumple: diferenciaMaxima <= this.TOLERANCIA_VERIFICACION * Math.max(escala, 1)
+                },
+                info: {
+                    frecuencia: frecuencia,
+                    groundNode: groundNode,
+                    numNodos: numNodes
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'superposicion'
+            };
+        }
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Resolver un circuito y extraer voltajes de nodo (sin tierra)
+     * y la corriente de cada elemento
+     * @param {string} descripcion - Para el mensaje de error (ej: "Solo V1")
+     * @returns {Object} {voltajes: {nodo: v}, corrientes: {etiqueta: i}}
+     * @throws {Error} Si el circuito no se puede resolver
+     */
+    resolver(elementos, numNodes, groundNode, frecuencia, descripcion) {
+        const resultado = MNACore.analizarCircuito(elementos, numNodes, groundNode, frecuencia);
+        if (!resultado.exito) {
+            throw new Error(`${descripcion}: ${resultado.error}`);
+        }
+
+        const voltajes = { ...resultado.voltajes };
+        delete voltajes[groundNode];
+
+        const corrientes = {};
+        PowerAnalysis.calcularPotencias(elementos, resultado, frecuencia).elementos.forEach(fila => {
+            corrientes[fila.etiqueta] = fila.corriente;
+        });
+
+        return { voltajes, corrientes };
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SuperpositionAnalysis;
+}
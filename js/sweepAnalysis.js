@@ -0,0 +1,291 @@
+/**
+ * CircuitLab MNA - Análisis de Barrido
+ *
+ * Repite el análisis MNA variando un parámetro del circuito:
+ * - Barrido AC: resuelve el sistema en una lista de frecuencias (lineal, por década
+ *   o por octava) y devuelve los fasores de todos los nodos en cada frecuencia.
+ *   A partir de ellos se obtiene la función de transferencia H = V(salida)/V(referencia)
+ *   para los diagramas de Bode.
+ * - Barrido DC: varía linealmente el valor de un elemento (fuente, resistor, ganancia...)
+ *   y resuelve el punto de operación DC en cada valor (rectas de carga, divisores).
+ *
+ * Cada punto del barrido es un análisis independiente con MNACore.analizarCircuito,
+ * por lo que se reutilizan todas las estampillas (fuentes controladas, amp. op., etc.).
+ */
+
+const SweepAnalysis = {
+
+    /**
+     * 1. GENERAR FRECUENCIAS DEL BARRIDO
+     *
+     * - lineal: "puntos" frecuencias equiespaciadas entre inicio y fin (incluidos)
+     * - decada: "puntos" frecuencias por década, espaciadas logarítmicamente
+     * - octava: "puntos" frecuencias por octava, espaciadas logarítmicamente
+     *
+     * En los barridos logarítmicos la última frecuencia siempre es "fin", aunque
+     * el intervalo no sea un número entero de décadas u octavas.
+     *
+     * @param {Object} opciones - {tipo, inicio, fin, puntos}
+     * @returns {number[]} Frecuencias en Hz, en orden creciente
+     */
+    generarFrecuencias(opciones) {
+        const { tipo, inicio, fin, puntos } = opciones;
+        const frecuencias = [];
+
+        if (tipo === 'lineal') {
+            if (puntos === 1) {
+                return [inicio];
+            }
+            const paso = (fin - inicio) / (puntos - 1);
+            for (let k = 0; k < puntos; k++) {
+                frecuencias.push(inicio + k * paso);
+            }
+            return frecuencias;
+        }
+
+        // Barridos logarítmicos: razón 10 (década) o 2 (octava) cada "puntos" frecuencias
+        const base = tipo === 'octava' ? 2 : 10;
+        const intervalos = Math.log(fin / inicio) / Math.log(base);
+        const total = Math.floor(intervalos * puntos + 1e-9);
+
+        for (let k = 0; k <= total; k++) {
+            frecuencias.push(inicio * Math.pow(base, k / puntos));
+        }
+
+        if (frecuencias[frecuencias.length - 1] < fin * (1 - 1e-9)) {
+            frecuencias.push(fin);
+        }
+
+        return frecuencias;
+    },
+
+    /**
+     * 2. BARRIDO AC
+     *
+     * Resuelve el circuito en cada frecuencia del barrido.
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {tipo, inicio, fin, puntos} (ver generarFrecuencias)
+     * @returns {Object} Resultados del barrido:
+     *          {
+     *            exito: boolean,
+     *            tipoAnalisis: 'barridoAC',
+     *            frecuencias: number[],
+     *            voltajes: {nodo: Complex[]} (un fasor por frecuencia),
+     *            corrientes: {nombre: Complex[]} (corrientes de rama, null si no existe en esa frecuencia),
+     *            info: {numNodos, groundNode, tipoBarrido, numPuntos}
+     *          }
+     */
+    barridoAC(elementos, numNodes, groundNode, opciones) {
+        try {
+            const frecuencias = this.generarFrecuencias(opciones);
+            const voltajes = {};
+            const corrientes = {};
+
+            for (let nodo = 0; nodo < numNodes; nodo++) {
+                voltajes[nodo] = [];
+            }
+
+            // Con dispositivos no lineales el punto de operación DC es el mismo en todas
+            // las frecuencias: cada una parte del calculado en la anterior
+            let estimacion = null;
+
+            frecuencias.forEach((frecuencia, k) => {
+                const resultado = MNACore.analizarCircuito(elementos, numNodes, groundNode, frecuencia, null, estimacion);
+
+                if (!resultado.exito) {
+                    throw new Error(`f = ${frecuencia} Hz: ${resultado.error}`);
+                }
+                if (resultado.info.puntoOperacion) {
+                    estimacion = resultado.info.puntoOperacion.voltajes;
+                }
+
+                for (let nodo = 0; nodo < numNodes; nodo++) {
+                    voltajes[nodo].push(math.complex(resultado.voltajes[nodo]));
+                }
+
+                // Las corrientes de rama pueden cambiar con la frecuencia (inductores en DC)
+                for (const nombre in resultado.corrientes) {
+                    if (!corrientes[nombre]) {
+                        corrientes[nombre] = new Array(frecuencias.length).fill(null);
+                    }
+                    corrientes[nombre][k] = math.complex(resultado.corrientes[nombre]);
+                }
+            });
+
+            return {
+                exito: true,
+                tipoAnalisis: 'barridoAC',
+                frecuencias: frecuencias,
+                voltajes: voltajes,
+                corrientes: corrientes,
+                info: {
+                    numNodos: numNodes,
+                    groundNode: groundNode,
+                    tipoBarrido: opciones.tipo,
+                    numPuntos: frecuencias.length
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'barridoAC'
+            };
+        }
+    },
+
+    /**
+     * 3. BARRIDO DC
+     *
+     * Varía el valor de un elemento entre inicio y fin ("puntos" valores equiespaciados,
+     * incluidos los extremos) y resuelve el circuito en DC para cada valor.
+     * Los elementos originales no se modifican: en cada punto se usa una copia.
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {elemento (nombre), inicio, fin, puntos}
+     * @returns {Object} Resultados del barrido:
+     *          {
+     *            exito: boolean,
+     *            tipoAnalisis: 'barridoDC',
+     *            parametro: {nombre, tipo},
+     *            valores: number[] (valores del elemento barrido),
+     *            voltajes: {nodo: number[]},
+     *            corrientes: {nombre: number[]} (corrientes de rama),
+     *            info: {numNodos, groundNode, numPuntos}
+     *          }
+     */
+    barridoDC(elementos, numNodes, groundNode, opciones) {
+        try {
+            const nombreBarrido = opciones.elemento.trim().toUpperCase();
+            const indiceBarrido = elementos.findIndex(e => e.nombre.trim().toUpperCase() === nombreBarrido);
+
+            if (indiceBarrido === -1) {
+                throw new Error(`El elemento "${opciones.elemento}" no existe en el circuito`);
+            }
+
+            // Misma distribución que el barrido AC lineal (extremos incluidos)
+            const valores = this.generarFrecuencias({
+                tipo: 'lineal',
+                inicio: opciones.inicio,
+                fin: opciones.fin,
+                puntos: opciones.puntos
+            });
+            const voltajes = {};
+            const corrientes = {};
+
+            for (let nodo = 0; nodo < numNodes; nodo++) {
+                voltajes[nodo] = [];
+            }
+
+            // Con dispositivos no lineales, cada punto parte de la solución del anterior (continuación)
+            let estimacion = null;
+
+            valores.forEach(valor => {
+                const elementosPunto = elementos.slice();
+                elementosPunto[indiceBarrido] = { ...elementos[indiceBarrido], valor: valor };
+
+                const resultado = MNACore.analizarCircuito(elementosPunto, numNodes, groundNode, 0, null, estimacion);
+
+                if (!resultado.exito) {
+                    throw new Error(`${elementos[indiceBarrido].nombre} = ${valor}: ${resultado.error}`);
+                }
+                estimacion = resultado.voltajes;
+
+                for (let nodo = 0; nodo < numNodes; nodo++) {
+                    voltajes[nodo].push(this.parteReal(resultado.voltajes[nodo]));
+                }
+
+                for (const nombre in resultado.corrientes) {
+                    if (!corrientes[nombre]) {
+                        corrientes[nombre] = [];
+                    }
+                    corrientes[nombre].push(this.parteReal(resultado.corrientes[nombre]));
+                }
+            });
+
+            return {
+                exito: true,
+                tipoAnalisis: 'barridoDC',
+                parametro: {
+                    nombre: elementos[indiceBarrido].nombre,
+                    tipo: elementos[indiceBarrido].tipo
+                },
+                valores: valores,
+                voltajes: voltajes,
+                corrientes: corrientes,
+                info: {
+                    numNodos: numNodes,
+                    groundNode: groundNode,
+                    numPuntos: valores.length
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'barridoDC'
+            };
+        }
+    },
+
+    /**
+     * 4. FUNCIÓN DE TRANSFERENCIA
+     *
+     * Calcula H(f) = V(salida) / V(referencia) en cada frecuencia del barrido.
+     * Sin nodo de referencia (null), H es directamente el fasor del nodo de salida
+     * (magnitud en dB relativa a 1 V).
+     *
+     * La fase se "desenvuelve" (se suman múltiplos de 360°) para que la curva sea
+     * continua en lugar de saltar entre -180° y 180°.
+     *
+     * @param {Object} barrido - Resultado de barridoAC
+     * @param {number} nodoSalida - Nodo de salida
+     * @param {number|null} nodoReferencia - Nodo de referencia (entrada) o null
+     * @returns {Object} {transferencia: Complex[], magnitudDB: number[], faseGrados: number[]}
+     */
+    calcularTransferencia(barrido, nodoSalida, nodoReferencia = null) {
+        const salida = barrido.voltajes[nodoSalida];
+        const referencia = nodoReferencia === null ? null : barrido.voltajes[nodoReferencia];
+
+        const transferencia = salida.map((v, k) =>
+            referencia ? math.divide(v, referencia[k]) : v
+        );
+
+        const magnitudDB = transferencia.map(h => 20 * Math.log10(math.abs(h)));
+
+        const faseGrados = [];
+        let desplazamiento = 0;
+        transferencia.forEach((h, k) => {
+            const fase = math.arg(h) * 180 / Math.PI;
+            if (k > 0) {
+                const salto = fase + desplazamiento - faseGrados[k - 1];
+                if (salto > 180) desplazamiento -= 360;
+                if (salto < -180) desplazamiento += 360;
+            }
+            faseGrados.push(fase + desplazamiento);
+        });
+
+        return { transferencia, magnitudDB, faseGrados };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Parte real de un resultado (en DC los fasores son reales)
+     * @param {number|Complex} valor
+     * @returns {number}
+     */
+    parteReal(valor) {
+        return typeof valor === 'number' ? valor : math.re(valor);
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SweepAnalysis;
+}
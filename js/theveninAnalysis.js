@@ -0,0 +1,137 @@
+/**
+ * CircuitLab MNA - Equivalentes de Thévenin y Norton
+ *
+ * Obtiene el equivalente del circuito visto desde un par de nodos (a, b) con dos
+ * soluciones del sistema MNA (MNACore.analizarCircuito), igual que en el método
+ * de la fuente de prueba:
+ *
+ * 1. Circuito abierto: Vth = V(a) − V(b) con el circuito tal cual
+ * 2. Fuente de prueba: con las fuentes independientes apagadas (V → cortocircuito,
+ *    I → circuito abierto) se inyecta 1 A de b hacia a por fuera del circuito:
+ *    Zth = (V(a) − V(b)) / 1 A
+ *
+ * Las fuentes controladas permanecen activas, así que Zth incluye su efecto (puede
+ * ser negativa). De ambos resultados:
+ *
+ *   In = Vth / Zth                    (corriente de cortocircuito de a hacia b)
+ *   Carga de máxima potencia: ZL = Zth* (en DC RL = Rth)
+ *   Pmax = |Vth|² / (4·Re(Zth)) en DC y |Vth|² / (8·Re(Zth)) en AC, donde los
+ *   fasores son amplitudes (valor∠fase)
+ *
+ * Solo para circuitos lineales: con diodos o transistores el equivalente depende
+ * del punto de operación.
+ */
+
+const TheveninAnalysis = {
+    // Por debajo de esta magnitud Zth se considera cero (no existe equivalente de Norton)
+    IMPEDANCIA_MINIMA: 1e-12,
+
+    /**
+     * 1. EQUIVALENTE DE THÉVENIN Y NORTON
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {nodoA, nodoB, frecuencia (Hz, 0 = DC)}
+     * @returns {Object} {exito, tipoAnalisis: 'thevenin', vth, zth, in (null si Zth = 0),
+     *                    cargaMaxima: {zl, potencia} (null si Re(Zth) ≤ 0), info} o {exito: false, error}
+     */
+    calcularEquivalente(elementos, numNodes, groundNode, opciones) {
+        try {
+            const { nodoA, nodoB, frecuencia } = opciones;
+
+            // 1. Circuito abierto
+            const abierto = MNACore.analizarCircuito(elementos, numNodes, groundNode, frecuencia);
+            if (!abierto.exito) {
+                throw new Error(`Circuito abierto: ${abierto.error}`);
+            }
+            const vth = this.diferencia(abierto.voltajes, nodoA, nodoB);
+
+            // 2. Fuentes independientes apagadas y fuente de prueba de 1 A (entra al circuito por a)
+            const prueba = this.apagarFuentes(elementos).concat({
+                tipo: 'I',
+                nombre: 'Iprueba',
+                nodoPositivo: nodoA,
+                nodoNegativo: nodoB,
+                valor: 1
+            });
+
+            const conPrueba = MNACore.analizarCircuito(prueba, numNodes, groundNode, frecuencia);
+            if (!conPrueba.exito) {
+                throw new Error(
+                    `Fuente de prueba: ${conPrueba.error} ` +
+                    `Con las fuentes apagadas los nodos ${nodoA} y ${nodoB} no están unidos por ningún camino: ` +
+                    'Zth es infinita y solo existe el equivalente de Norton con In = 0.'
+                );
+            }
+            const zth = this.diferencia(conPrueba.voltajes, nodoA, nodoB);
+
+            const norton = math.abs(zth) > this.IMPEDANCIA_MINIMA ? math.divide(vth, zth) : null;
+
+            // Máxima transferencia de potencia (solo si la parte resistiva es positiva)
+            const rth = math.re(zth);
+            const cargaMaxima = rth > this.IMPEDANCIA_MINIMA
+                ? {
+                    zl: frecuencia === 0 ? rth : math.conj(math.complex(zth)),
+                    potencia: math.abs(vth) ** 2 / ((frecuencia === 0 ? 4 : 8) * rth)
+                }
+                : null;
+
+            return {
+                exito: true,
+                tipoAnalisis: 'thevenin',
+                vth: vth,
+                zth: zth,
+                in: norton,
+                cargaMaxima: cargaMaxima,
+                info: {
+                    nodoA: nodoA,
+                    nodoB: nodoB,
+                    frecuencia: frecuencia,
+                    groundNode: groundNode,
+                    numNodos: numNodes
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'thevenin'
+            };
+        }
+    },
+
+    /**
+     * 2. APAGAR LAS FUENTES INDEPENDIENTES
+     *
+     * V → 0 V (cortocircuito; se conserva la rama para las fuentes F y H que la usan
+     * como control) e I → 0 A (circuito abierto). Los elementos originales no se modifican.
+     *
+     * @param {Array} elementos
+     * @returns {Array} Copia con las fuentes independientes en cero
+     */
+    apagarFuentes(elementos) {
+        return elementos.map(elem => {
+            if (elem.tipo !== 'V' && elem.tipo !== 'I') return elem;
+
+            const apagada = { ...elem, valor: 0, fase: 0 };
+            delete apagada.formaOnda;
+            return apagada;
+        });
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Voltaje entre dos nodos V(a) − V(b)
+     * @param {Object} voltajes - {nodo: voltaje} de analizarCircuito
+     * @returns {number|Complex}
+     */
+    diferencia(voltajes, nodoA, nodoB) {
+        return math.subtract(voltajes[nodoA], voltajes[nodoB]);
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TheveninAnalysis;
+}
@@ -0,0 +1,377 @@
+/**
+ * CircuitLab MNA - Análisis Transitorio
+ *
+ * Resuelve el circuito en el dominio del tiempo (carga de un RC, descarga de un RL,
+ * oscilación de un RLC...) con paso fijo, sustituyendo en cada paso los capacitores
+ * e inductores por su MODELO DE COMPAÑÍA: una conductancia Geq en paralelo con una
+ * fuente de corriente Ieq que resume la historia del elemento.
+ *
+ *   i(tₙ) = Geq·v(tₙ) − Ieq        (i entra por el terminal positivo del elemento)
+ *
+ * Métodos de integración (h = paso de tiempo):
+ *
+ *   Euler hacia atrás (orden 1, muy estable, amortigua de más):
+ *     C: Geq = C/h      Ieq = Geq·vₙ₋₁
+ *     L: Geq = h/L      Ieq = −iₙ₋₁
+ *
+ *   Trapezoidal (orden 2, conserva la energía de un LC ideal):
+ *     C: Geq = 2C/h     Ieq = Geq·vₙ₋₁ + iₙ₋₁
+ *     L: Geq = h/(2L)   Ieq = −(iₙ₋₁ + Geq·vₙ₋₁)
+ *
+ * El circuito resultante es resistivo, así que cada paso se resuelve con
+ * MNACore.analizarCircuito en DC (mismas estampillas para fuentes controladas,
+ * amp. op., transformadores e interruptores, y Newton-Raphson si hay diodos).
+ *
+ * Estado inicial (t = 0⁻): cada capacitor o inductor puede llevar una condición
+ * inicial (voltaje o corriente). Los que no la tienen toman el valor del punto de
+ * operación DC en t = 0⁻, con las fuentes en su valor previo a t = 0 y los
+ * interruptores en su estado inicial. Las fuentes V e I se evalúan en cada instante
+ * según su forma de onda (Waveforms) y los interruptores (S) conmutan en su
+ * tiempoConmutacion.
+ */
+
+const TransientAnalysis = {
+    // Paso del punto inicial t = 0⁺ relativo al paso del análisis (ver analizarTransitorio)
+    FACTOR_PASO_INICIAL: 1e-6,
+
+    // Instante del punto de operación inicial: justo antes de t = 0
+    TIEMPO_ANTES_DE_CERO: -Number.MIN_VALUE,
+
+    /**
+     * 1. ANÁLISIS TRANSITORIO
+     *
+     * Flujo:
+     * 1. Estado inicial en t = 0⁻: condiciones iniciales y, para el resto de
+     *    capacitores e inductores, punto de operación DC (ver calcularEstadoInicial)
+     * 2. Punto t = 0⁺: un paso de Euler hacia atrás muy corto, en el que los
+     *    capacitores mantienen su voltaje y los inductores su corriente. Da los
+     *    voltajes en t = 0 y las derivadas iniciales que necesita el trapezoidal.
+     * 3. Pasos tₖ = k·h hasta tFinal con el método elegido
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {tFinal (s), paso (s), metodo ('trapezoidal' | 'euler')}
+     * @returns {Object} Resultados del análisis:
+     *          {
+     *            exito: boolean,
+     *            tipoAnalisis: 'transitorio',
+     *            tiempos: number[],
+     *            voltajes: {nodo: number[]},
+     *            corrientes: {nombre: number[]} (corrientes de rama, capacitores e inductores),
+     *            info: {numNodos, groundNode, metodo, paso, tFinal, numPuntos,
+     *                   estadoInicial ('puntoOperacion' | 'condicionesIniciales' | 'reposo'),
+     *                   advertencias: string[]}
+     *          }
+     */
+    analizarTransitorio(elementos, numNodes, groundNode, opciones) {
+        try {
+            const { tFinal, paso, metodo } = opciones;
+            const numPasos = Math.round(tFinal / paso);
+
+            const tiempos = [];
+            const voltajes = {};
+            const corrientes = {};
+
+            for (let nodo = 0; nodo < numNodes; nodo++) {
+                voltajes[nodo] = [];
+            }
+
+            // Guarda los resultados de un instante de tiempo
+            const registrar = (t, resultado, estado) => {
+                tiempos.push(t);
+
+                for (let nodo = 0; nodo < numNodes; nodo++) {
+                    voltajes[nodo].push(this.parteReal(resultado.voltajes[nodo]));
+                }
+
+                for (const nombre in resultado.corrientes) {
+                    if (!corrientes[nombre]) corrientes[nombre] = [];
+                    corrientes[nombre].push(this.parteReal(resultado.corrientes[nombre]));
+                }
+
+                for (const nombre in estado) {
+                    if (!corrientes[nombre]) corrientes[nombre] = [];
+                    corrientes[nombre].push(estado[nombre].corriente);
+                }
+            };
+
+            // PASO 1: Estado en t = 0⁻
+            const inicial = this.calcularEstadoInicial(elementos, numNodes, groundNode);
+            let estado = inicial.estado;
+
+            // PASO 2: Punto inicial t = 0⁺
+            const pasoInicial = paso * this.FACTOR_PASO_INICIAL;
+            let resultado = this.resolverPaso(elementos, numNodes, groundNode, estado, pasoInicial, 'euler', 0);
+            if (!resultado.exito) {
+                throw new Error(`t = 0: ${resultado.error}`);
+            }
+            estado = resultado.estado;
+            registrar(0, resultado, estado);
+
+            // PASO 3: Integración con paso fijo
+            for (let k = 1; k <= numPasos; k++) {
+                const t = k * paso;
+
+                // El instante anterior es el punto de partida de Newton-Raphson (diodos)
+                resultado = this.resolverPaso(elementos, numNodes, groundNode, estado, paso, metodo, t, resultado.voltajes);
+                if (!resultado.exito) {
+                    throw new Error(`t = ${t} s: ${resultado.error}`);
+                }
+                estado = resultado.estado;
+                registrar(t, resultado, estado);
+            }
+
+            return {
+                exito: true,
+                tipoAnalisis: 'transitorio',
+                tiempos: tiempos,
+                voltajes: voltajes,
+                corrientes: corrientes,
+                info: {
+                    numNodos: numNodes,
+                    groundNode: groundNode,
+                    metodo: metodo,
+                    paso: paso,
+                    tFinal: tFinal,
+                    numPuntos: tiempos.length,
+                    estadoInicial: inicial.origen,
+                    advertencias: inicial.advertencias
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'transitorio'
+            };
+        }
+    },
+
+    /**
+     * 2. RESOLVER UN PASO DE TIEMPO
+     *
+     * Sustituye capacitores e inductores por sus modelos de compañía, resuelve el
+     * circuito resistivo resultante y calcula el nuevo estado de cada elemento.
+     *
+     * @param {Array} elementos - Elementos originales del circuito
+     * @param {number} numNodes - Número total de nodos
+     * @param {number} groundNode - Nodo de tierra
+     * @param {Object} estado - {nombre: {voltaje, corriente}} en el instante anterior
+     * @param {number} paso - Paso de tiempo h (s)
+     * @param {string} metodo - 'trapezoidal' | 'euler'
+     * @param {number} tiempo - Instante que se resuelve (s), para evaluar las fuentes
+     * @param {Object|null} estimacion - {nodo: voltaje} estimación inicial para circuitos no lineales
+     * @returns {Object} Resultado de MNACore.analizarCircuito más el nuevo estado
+     */
+    resolverPaso(elementos, numNodes, groundNode, estado, paso, metodo, tiempo, estimacion = null) {
+        const { elementos: circuito, modelos } = this.construirCircuitoCompanion(elementos, estado, paso, metodo);
+
+        const resultado = MNACore.analizarCircuito(circuito, numNodes, groundNode, 0, tiempo, estimacion);
+        if (!resultado.exito) {
+            return resultado;
+        }
+
+        // Nuevo estado: v = V₊ − V₋ y i = Geq·v − Ieq
+        const nuevoEstado = {};
+        for (const nombre in modelos) {
+            const modelo = modelos[nombre];
+            const voltaje = this.parteReal(resultado.voltajes[modelo.nodoPositivo]) -
+                            this.parteReal(resultado.voltajes[modelo.nodoNegativo]);
+
+            nuevoEstado[nombre] = {
+                voltaje: voltaje,
+                corriente: modelo.geq * voltaje - modelo.ieq
+            };
+        }
+
+        resultado.estado = nuevoEstado;
+        return resultado;
+    },
+
+    /**
+     * 3. CONSTRUIR CIRCUITO CON MODELOS DE COMPAÑÍA
+     *
+     * Cada capacitor o inductor se reemplaza por:
+     * - un resistor de valor 1/Geq entre sus nodos
+     * - una fuente de corriente Ieq que inyecta en su nodo positivo
+     * El resto de elementos se copian sin cambios.
+     *
+     * @param {Array} elementos - Elementos originales del circuito
+     * @param {Object} estado - {nombre: {voltaje, corriente}} en el instante anterior
+     * @param {number} paso - Paso de tiempo h (s)
+     * @param {string} metodo - 'trapezoidal' | 'euler'
+     * @returns {Object} {elementos: Array, modelos: {nombre: {geq, ieq, nodoPositivo, nodoNegativo}}}
+     */
+    construirCircuitoCompanion(elementos, estado, paso, metodo) {
+        const circuito = [];
+        const modelos = {};
+
+        for (const elem of elementos) {
+            if (elem.tipo !== 'C' && elem.tipo !== 'L') {
+                circuito.push(elem);
+                continue;
+            }
+
+            const { voltaje, corriente } = estado[elem.nombre];
+            let geq, ieq;
+
+            switch (elem.tipo) {
+                case 'C':
+                    if (metodo === 'trapezoidal') {
+                        geq = 2 * elem.valor / paso;
+                        ieq = geq * voltaje + corriente;
+                    } else {
+                        geq = elem.valor / paso;
+                        ieq = geq * voltaje;
+                    }
+                    break;
+
+                case 'L':
+                    if (metodo === 'trapezoidal') {
+                        geq = paso / (2 * elem.valor);
+                        ieq = -(corriente + geq * voltaje);
+                    } else {
+                        geq = paso / elem.valor;
+                        ieq = -corriente;
+                    }
+                    break;
+            }
+
+            modelos[elem.nombre] = {
+                geq: geq,
+                ieq: ieq,
+                nodoPositivo: elem.nodoPositivo,
+                nodoNegativo: elem.nodoNegativo
+            };
+
+            circuito.push({
+                tipo: 'R',
+                nombre: `${elem.nombre}_Geq`,
+                nodoPositivo: elem.nodoPositivo,
+                nodoNegativo: elem.nodoNegativo,
+                valor: 1 / geq
+            });
+            circuito.push({
+                tipo: 'I',
+                nombre: `${elem.nombre}_Ieq`,
+                nodoPositivo: elem.nodoPositivo,
+                nodoNegativo: elem.nodoNegativo,
+                valor: ieq
+            });
+        }
+
+        return { elementos: circuito, modelos: modelos };
+    },
+
+    /**
+     * 4. ESTADO INICIAL (t = 0⁻)
+     *
+     * Si todos los capacitores e inductores tienen condición inicial, se usan
+     * directamente. Si no, se resuelve el punto de operación DC en t = 0⁻ con:
+     * - capacitores con condición inicial → fuente de voltaje de ese valor
+     * - inductores con condición inicial → fuente de corriente de ese valor
+     * - el resto como en DC (capacitor abierto, inductor en cortocircuito)
+     * Si el punto de operación no tiene solución (p. ej. un nodo unido solo por
+     * capacitores), los elementos sin condición inicial parten de reposo.
+     *
+     * @param {Array} elementos - Elementos del circuito
+     * @param {number} numNodes - Número total de nodos
+     * @param {number} groundNode - Nodo de tierra
+     * @returns {Object} {estado: {nombre: {voltaje, corriente}}, origen, advertencias: string[]}
+     */
+    calcularEstadoInicial(elementos, numNodes, groundNode) {
+        const reactivos = elementos.filter(e => e.tipo === 'C' || e.tipo === 'L');
+        const tieneCI = e => typeof e.condicionInicial === 'number';
+        const advertencias = [];
+        const estado = {};
+
+        // Voltaje (C) o corriente (L) del estado de un elemento con condición inicial
+        const estadoDesdeCI = e => e.tipo === 'C'
+            ? { voltaje: e.condicionInicial, corriente: 0 }
+            : { voltaje: 0, corriente: e.condicionInicial };
+
+        if (reactivos.every(tieneCI)) {
+            reactivos.forEach(e => { estado[e.nombre] = estadoDesdeCI(e); });
+            return {
+                estado: estado,
+                origen: reactivos.length > 0 ? 'condicionesIniciales' : 'reposo',
+                advertencias: advertencias
+            };
+        }
+
+        const circuito = elementos.map(e => {
+            if (!tieneCI(e)) return e;
+
+            if (e.tipo === 'C') {
+                return {
+                    tipo: 'V',
+                    nombre: `${e.nombre}_CI`,
+                    nodoPositivo: e.nodoPositivo,
+                    nodoNegativo: e.nodoNegativo,
+                    valor: e.condicionInicial
+                };
+            }
+            if (e.tipo === 'L') {
+                // La corriente del inductor sale de la fuente por el terminal negativo
+                return {
+                    tipo: 'I',
+                    nombre: `${e.nombre}_CI`,
+                    nodoPositivo: e.nodoPositivo,
+                    nodoNegativo: e.nodoNegativo,
+                    valor: -e.condicionInicial
+                };
+            }
+            return e;
+        });
+
+        const resultado = MNACore.analizarCircuito(circuito, numNodes, groundNode, 0, this.TIEMPO_ANTES_DE_CERO);
+
+        if (!resultado.exito) {
+            advertencias.push(
+                `No se pudo calcular el punto de operación en t = 0⁻ (${resultado.error}). ` +
+                'Los capacitores e inductores sin condición inicial parten de reposo.'
+            );
+        }
+
+        reactivos.forEach(e => {
+            if (tieneCI(e)) {
+                estado[e.nombre] = estadoDesdeCI(e);
+            } else if (!resultado.exito) {
+                estado[e.nombre] = { voltaje: 0, corriente: 0 };
+            } else if (e.tipo === 'C') {
+                estado[e.nombre] = {
+                    voltaje: this.parteReal(resultado.voltajes[e.nodoPositivo]) -
+                             this.parteReal(resultado.voltajes[e.nodoNegativo]),
+                    corriente: 0
+                };
+            } else {
+                estado[e.nombre] = {
+                    voltaje: 0,
+                    corriente: this.parteReal(resultado.corrientes[e.nombre])
+                };
+            }
+        });
+
+        return {
+            estado: estado,
+            origen: resultado.exito ? 'puntoOperacion' : 'reposo',
+            advertencias: advertencias
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Parte real de un resultado (el circuito de compañía es resistivo)
+     * @param {number|Complex} valor
+     * @returns {number}
+     */
+    parteReal(valor) {
+        return typeof valor === 'number' ? valor : math.re(valor);
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransientAnalysis;
+}
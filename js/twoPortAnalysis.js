@@ -0,0 +1,256 @@
+/**
+ * CircuitLab MNA - Parámetros de Dos Puertos (Z, Y, H, G, ABCD)
+ *
+ * La red se observa desde dos puertos, cada uno definido por un par de nodos
+ * (+, −). En cada puerto V es V(+) − V(−) e I es la corriente que entra a la red
+ * por el terminal +:
+ *
+ *   Z:    [V1; V2] = Z·[I1; I2]         Y:    [I1; I2] = Y·[V1; V2]
+ *   H:    [V1; I2] = H·[I1; V2]         G:    [I1; V2] = G·[V1; I2]
+ *   ABCD: [V1; I1] = T·[V2; −I2]
+ *
+ * Con las fuentes independientes apagadas (ver TheveninAnalysis.apagarFuentes) la
+ * red queda descrita por dos soluciones linealmente independientes de
+ * (V1, I1, V2, I2). Se obtienen excitando cada puerto con una fuente de prueba
+ * de 1 A o 1 V (el otro puerto abierto o en cortocircuito) mediante
+ * MNACore.analizarCircuito. Cada conjunto de parámetros expresa las variables
+ * dependientes en función de las independientes:
+ *
+ *   P = W_dep · W_ind⁻¹     (W = matriz 2x2 con las dos soluciones por columnas)
+ *
+ * Si W_ind es singular el conjunto no existe (ej: Z de un elemento en paralelo con
+ * ambos puertos unidos por cortocircuito). Las conversiones entre conjuntos salen
+ * de las mismas dos soluciones, así que son exactas entre sí.
+ */
+
+const TwoPortAnalysis = {
+    // Excitaciones en orden de preferencia (fuente de prueba en el puerto 1 y en el 2):
+    // corriente → el otro puerto queda abierto; voltaje → el otro puerto en cortocircuito
+    EXCITACIONES: [
+        ['I', 'I'],
+        ['V', 'V'],
+        ['I', 'V'],
+        ['V', 'I']
+    ],
+
+    // Variables dependientes e independientes de cada conjunto ('-i2': corriente que sale)
+    DEFINICIONES: {
+        Z: { dependientes: ['v1', 'v2'], independientes: ['i1', 'i2'] },
+        Y: { dependientes: ['i1', 'i2'], independientes: ['v1', 'v2'] },
+        H: { dependientes: ['v1', 'i2'], independientes: ['i1', 'v2'] },
+        G: { dependientes: ['i1', 'v2'], independientes: ['v1', 'i2'] },
+        ABCD: { dependientes: ['v1', 'i1'], independientes: ['v2', '-i2'] }
+    },
+
+    // Determinante relativo por debajo del cual W_ind se considera singular
+    DETERMINANTE_MINIMO: 1e-12,
+
+    // Tolerancia relativa de las comparaciones de reciprocidad y simetría
+    TOLERANCIA: 1e-9,
+
+    /**
+     * 1. PARÁMETROS DE DOS PUERTOS
+     *
+     * @param {Array} elementos - Lista de elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {puerto1: {positivo, negativo}, puerto2: {positivo, negativo},
+     *                             frecuencia (Hz, 0 = DC)}
+     * @returns {Object} {
+     *            exito, tipoAnalisis: 'dosPuertos',
+     *            parametros: {Z, Y, H, G, ABCD} (matrices 2x2, null si el conjunto no existe),
+     *            reciproco, simetrico,
+     *            info: {puerto1, puerto2, frecuencia, excitacion: ['I' | 'V', 'I' | 'V'], groundNode}
+     *          } o {exito: false, error}
+     */
+    calcularParametros(elementos, numNodes, groundNode, opciones) {
+        try {
+            const { puerto1, puerto2, frecuencia } = opciones;
+            const apagado = TheveninAnalysis.apagarFuentes(elementos);
+
+            // Primera excitación con solución en ambos puertos
+            let soluciones = null;
+            let excitacion = null;
+            const errores = [];
+
+            for (const tipos of this.EXCITACIONES) {
+                try {
+                    soluciones = [0, 1].map(activo =>
+                        this.excitar(apagado, numNodes, groundNode, [puerto1, puerto2], tipos, activo, frecuencia)
+                    );
+                    excitacion = tipos;
+                    break;
+                } catch (error) {
+                    errores.push(error.message);
+                }
+            }
+
+            if (!soluciones) {
+                throw new Error(`Ninguna combinación de fuentes de prueba tiene solución. ${errores[0]}`);
+            }
+
+            const parametros = {};
+            for (const nombre in this.DEFINICIONES) {
+                parametros[nombre] = this.expresar(soluciones, this.DEFINICIONES[nombre]);
+            }
+
+            if (Object.values(parametros).every(p => p === null)) {
+                throw new Error('Los dos puertos no son independientes: ningún conjunto de parámetros existe.');
+            }
+
+            return {
+                exito: true,
+                tipoAnalisis: 'dosPuertos',
+                parametros: parametros,
+                ...this.clasificar(parametros),
+                info: {
+                    puerto1: puerto1,
+                    puerto2: puerto2,
+                    frecuencia: frecuencia,
+                    excitacion: excitacion,
+                    groundNode: groundNode
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'dosPuertos'
+            };
+        }
+    },
+
+    /**
+     * 2. EXCITAR UN PUERTO CON SU FUENTE DE PRUEBA
+     *
+     * Puerto activo: fuente de 1 A (entra a la red por +) o de 1 V. Puerto pasivo:
+     * abierto si su fuente es de corriente, en cortocircuito (0 V) si es de voltaje.
+     *
+     * @param {Array} apagado - Elementos con las fuentes independientes apagadas
+     * @param {Array} puertos - [puerto1, puerto2] con {positivo, negativo}
+     * @param {Array} tipos - Tipo de fuente de prueba de cada puerto ('I' | 'V')
+     * @param {number} activo - Índice del puerto excitado (0 o 1)
+     * @returns {Object} {v1, i1, v2, i2}
+     * @throws {Error} Si el circuito con las fuentes de prueba no tiene solución
+     */
+    excitar(apagado, numNodes, groundNode, puertos, tipos, activo, frecuencia) {
+        const pruebas = [];
+
+        puertos.forEach((puerto, k) => {
+            if (tipos[k] === 'I' && k !== activo) return;
+
+            pruebas.push({
+                tipo: tipos[k],
+                nombre: `${tipos[k]}prueba${k + 1}`,
+                nodoPositivo: puerto.positivo,
+                nodoNegativo: puerto.negativo,
+                valor: k === activo ? 1 : 0
+            });
+        });
+
+        const resultado = MNACore.analizarCircuito(apagado.concat(pruebas), numNodes, groundNode, frecuencia);
+        if (!resultado.exito) {
+            throw new Error(`Fuentes de prueba ${tipos.join('/')} en el puerto ${activo + 1}: ${resultado.error}`);
+        }
+
+        // Corriente que entra a la red por el terminal +: la de la fuente de corriente
+        // activa o la que entrega la fuente de voltaje; 0 en un puerto abierto
+        const corriente = k => {
+            if (tipos[k] === 'V') return resultado.corrientes[`Vprueba${k + 1}`];
+            return k === activo ? 1 : 0;
+        };
+        const voltaje = k => math.subtract(resultado.voltajes[puertos[k].positivo], resultado.voltajes[puertos[k].negativo]);
+
+        return { v1: voltaje(0), i1: corriente(0), v2: voltaje(1), i2: corriente(1) };
+    },
+
+    /**
+     * 3. EXPRESAR LAS VARIABLES DEPENDIENTES EN FUNCIÓN DE LAS INDEPENDIENTES
+     *
+     * @param {Array} soluciones - Dos soluciones {v1, i1, v2, i2}
+     * @param {Object} definicion - {dependientes, independientes} de DEFINICIONES
+     * @returns {Array|null} Matriz 2x2 (números o Complex), null si W_ind es singular
+     */
+    expresar(soluciones, definicion) {
+        const columnas = claves => claves.map(clave => soluciones.map(s => this.variable(s, clave)));
+        const dependientes = columnas(definicion.dependientes);
+        const independientes = columnas(definicion.independientes);
+
+        const [[a, b], [c, d]] = independientes;
+        const determinante = math.subtract(math.multiply(a, d), math.multiply(b, c));
+        const escala = math.abs(a) * math.abs(d) + math.abs(b) * math.abs(c);
+
+        if (!(math.abs(determinante) > this.DETERMINANTE_MINIMO * escala)) {
+            return null;
+        }
+
+        const inversa = math.inv(independientes);
+        return math.multiply(dependientes, inversa).map(fila => fila.map(valor => this.simplificar(valor)));
+    },
+
+    /**
+     * 4. RECIPROCIDAD Y SIMETRÍA
+     *
+     * Con el primer conjunto que exista:
+     *   Z, Y:  recíproca si x12 = x21; simétrica si además x11 = x22
+     *   H, G:  recíproca si x12 = −x21; simétrica si además det = 1
+     *   ABCD:  recíproca si AD − BC = 1; simétrica si además A = D
+     *
+     * @param {Object} parametros - {Z, Y, H, G, ABCD}
+     * @returns {Object} {reciproco, simetrico}
+     */
+    clasificar(parametros) {
+        const nombre = Object.keys(this.DEFINICIONES).find(n => parametros[n] !== null);
+        const [[p11, p12], [p21, p22]] = parametros[nombre];
+        const determinante = math.subtract(math.multiply(p11, p22), math.multiply(p12, p21));
+
+        let reciproco, simetrico;
+        switch (nombre) {
+            case 'Z':
+            case 'Y':
+                reciproco = this.iguales(p12, p21);
+                simetrico = reciproco && this.iguales(p11, p22);
+                break;
+            case 'H':
+            case 'G':
+                reciproco = this.iguales(p12, math.multiply(-1, p21));
+                simetrico = reciproco && this.iguales(determinante, 1);
+                break;
+            default:
+                reciproco = this.iguales(determinante, 1);
+                simetrico = reciproco && this.iguales(p11, p22);
+        }
+
+        return { reciproco, simetrico };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Valor de una variable de puerto ('-i2' = corriente que sale por el puerto 2)
+     */
+    variable(solucion, clave) {
+        return clave.startsWith('-')
+            ? math.multiply(-1, solucion[clave.slice(1)])
+            : solucion[clave];
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Comparación con tolerancia relativa
+     */
+    iguales(a, b) {
+        const diferencia = math.abs(math.subtract(a, b));
+        return diferencia <= this.TOLERANCIA * Math.max(math.abs(a), math.abs(b), 1e-12);
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Número real si la parte imaginaria es cero (en DC)
+     */
+    simplificar(valor) {
+        return typeof valor === 'object' && valor.im === 0 ? valor.re : valor;
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TwoPortAnalysis;
+}
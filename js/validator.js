@@ -19,14 +19,69 @@ const Validator = {
     MIN_FRECUENCIA: 0,
 
     // Tipos de elementos válidos
-    TIPOS_VALIDOS: ['R', 'V', 'I', 'C', 'L'],
+    TIPOS_VALIDOS: ['R', 'V', 'I', 'C', 'L', 'E', 'G', 'F', 'H', 'OA', 'K', 'T', 'S', 'D', 'Q', 'M'],
+
+    // Tipos de elementos que no tienen un valor numérico (solo topología o parámetros propios)
+    TIPOS_SIN_VALOR: ['OA', 'S', 'D', 'Q', 'M'],
+
+    // Tipos de elementos que no se conectan a nodos (referencian a otros elementos)
+    TIPOS_SIN_NODOS: ['K'],
+
+    // Tipos de elementos controlados por un par de nodos (requieren nodos de control)
+    TIPOS_CONTROL_VOLTAJE: ['E', 'G'],
+
+    // Tipos de elementos controlados por la corriente de una fuente V (requieren su nombre)
+    TIPOS_CONTROL_CORRIENTE: ['F', 'H'],
 
     // Tipos de elementos que son fuentes
     TIPOS_FUENTES: ['V', 'I'],
 
+    // Análisis que excitan el circuito con sus propias fuentes de prueba (no requieren fuentes)
+    ANALISIS_CON_FUENTES_PRUEBA: ['thevenin', 'dosPuertos', 'impedancias'],
+
+    // Tipos de elemento que pueden ser la carga del puerto de salida (impedancias)
+    TIPOS_CARGA_IMPEDANCIA: ['R', 'C', 'L'],
+
+    // Tipos de elemento cuyo valor puede tener tolerancia (Monte Carlo)
+    TIPOS_TOLERANCIA: ['R', 'C', 'L', 'V', 'I', 'E', 'G', 'F', 'H', 'T'],
+
+    // Distribuciones de la tolerancia de un elemento
+    DISTRIBUCIONES_TOLERANCIA: ['uniforme', 'gaussiana'],
+
+    // Límite de corridas de Monte Carlo (cada corrida es una solución completa del sistema)
+    MAX_CORRIDAS_MONTE_CARLO: 5000,
+
     // Tolerancia para comparaciones numéricas
     EPSILON: 1e-12,
 
+    // Escalas de barrido en frecuencia
+    TIPOS_BARRIDO_AC: ['lineal', 'decada', 'octava'],
+
+    // Límite de puntos de un barrido (cada punto es una solución completa del sistema)
+    MAX_PUNTOS_BARRIDO: 2000,
+
+    // Métodos de integración del análisis transitorio
+    METODOS_INTEGRACION: ['trapezoidal', 'euler'],
+
+    // Límite de pasos del análisis transitorio (cada paso es una solución completa del sistema)
+    MAX_PASOS_TRANSITORIO: 10000,
+
+    // Formas de onda de las fuentes independientes en el transitorio
+    TIPOS_FORMA_ONDA: ['DC', 'STEP', 'PULSE', 'SIN', 'EXP', 'PWL'],
+
+    // Estado inicial de los interruptores controlados por tiempo
+    ESTADOS_INTERRUPTOR: ['abierto', 'cerrado'],
+
+    // Polaridades de los transistores
+    POLARIDADES_BJT: ['NPN', 'PNP'],
+    POLARIDADES_MOSFET: ['NMOS', 'PMOS'],
+
+    // Escalas del barrido paramétrico
+    TIPOS_BARRIDO_PARAMETRICO: ['lineal', 'decada'],
+
+    // Límite de valores del barrido paramétrico (cada valor repite el análisis completo)
+    MAX_VALORES_PARAMETRICO: 25,
+
 
     // ============================================
     // MÉTODO 1: VALIDAR CONFIGURACIÓN DEL CIRCUITO
@@ -139,31 +194,159 @@ const Validator = {
             }
         }
 
-        // Validar nodo positivo
-        if (typeof elemento.nodoPositivo !== 'number') {
-            errores.push(`El nodo positivo debe ser un número. Valor recibido: ${elemento.nodoPositivo}`);
-        } else if (!Number.isInteger(elemento.nodoPositivo)) {
-            errores.push(`El nodo positivo debe ser un número entero. Valor recibido: ${elemento.nodoPositivo}`);
-        } else if (elemento.nodoPositivo < 0) {
-            errores.push(`El nodo positivo no puede ser negativo. Valor recibido: ${elemento.nodoPositivo}`);
+        // Los acoplamientos (K) no tienen nodos: solo referencian a dos inductores
+        const sinNodos = typeof elemento.tipo === 'string' &&
+            this.TIPOS_SIN_NODOS.includes(elemento.tipo.toUpperCase());
+
+        if (!sinNodos) {
+            // Validar nodo positivo
+            if (typeof elemento.nodoPositivo !== 'number') {
+                errores.push(`El nodo positivo debe ser un número. Valor recibido: ${elemento.nodoPositivo}`);
+            } else if (!Number.isInteger(elemento.nodoPositivo)) {
+                errores.push(`El nodo positivo debe ser un número entero. Valor recibido: ${elemento.nodoPositivo}`);
+            } else if (elemento.nodoPositivo < 0) {
+                errores.push(`El nodo positivo no puede ser negativo. Valor recibido: ${elemento.nodoPositivo}`);
+            }
+
+            // Validar nodo negativo
+            if (typeof elemento.nodoNegativo !== 'number') {
+                errores.push(`El nodo negativo debe ser un número. Valor recibido: ${elemento.nodoNegativo}`);
+            } else if (!Number.isInteger(elemento.nodoNegativo)) {
+                errores.push(`El nodo negativo debe ser un número entero. Valor recibido: ${elemento.nodoNegativo}`);
+            } else if (elemento.nodoNegativo < 0) {
+                errores.push(`El nodo negativo no puede ser negativo. Valor recibido: ${elemento.nodoNegativo}`);
+            }
+
+            // Validar que los nodos son diferentes
+            if (Number.isInteger(elemento.nodoPositivo) && Number.isInteger(elemento.nodoNegativo)) {
+                if (elemento.nodoPositivo === elemento.nodoNegativo) {
+                    errores.push(`El elemento "${elemento.nombre}" tiene ambos terminales conectados al mismo nodo (${elemento.nodoPositivo}). Los nodos deben ser diferentes.`);
+                }
+            }
+        }
+
+        // Validar nodos de control (fuentes controladas por voltaje)
+        if (typeof elemento.tipo === 'string' &&
+            this.TIPOS_CONTROL_VOLTAJE.includes(elemento.tipo.toUpperCase())) {
+            errores.push(...this.validarNodosControl(elemento));
+        }
+
+        // Validar nombre de la fuente de control (fuentes controladas por corriente)
+        if (typeof elemento.tipo === 'string' &&
+            this.TIPOS_CONTROL_CORRIENTE.includes(elemento.tipo.toUpperCase())) {
+            if (typeof elemento.elementoControl !== 'string' || elemento.elementoControl.trim() === '') {
+                errores.push(`La fuente controlada "${elemento.nombre}" debe indicar el nombre de la fuente de voltaje que la controla (ej: Vsense).`);
+            }
+        }
+
+        // Validar nodo de salida (amplificador operacional)
+        if (typeof elemento.tipo === 'string' && elemento.tipo.toUpperCase() === 'OA') {
+            if (typeof elemento.nodoSalida !== 'number' || !Number.isInteger(elemento.nodoSalida)) {
+                errores.push(`El nodo de salida de "${elemento.nombre}" debe ser un número entero. Valor recibido: ${elemento.nodoSalida}`);
+            } else if (elemento.nodoSalida < 0) {
+                errores.push(`El nodo de salida de "${elemento.nombre}" no puede ser negativo. Valor recibido: ${elemento.nodoSalida}`);
+            }
+        }
+
+        // Validar inductores referenciados (acoplamiento magnético)
+        if (typeof elemento.tipo === 'string' && elemento.tipo.toUpperCase() === 'K') {
+            const referencias = [elemento.inductor1, elemento.inductor2];
+            referencias.forEach((referencia, indice) => {
+                if (typeof referencia !== 'string' || referencia.trim() === '') {
+                    errores.push(`El acoplamiento "${elemento.nombre}" debe indicar el nombre del inductor ${indice + 1} (ej: L1).`);
+                }
+            });
+
+            if (typeof elemento.inductor1 === 'string' && typeof elemento.inductor2 === 'string' &&
+                elemento.inductor1.trim() !== '' &&
+                elemento.inductor1.trim().toUpperCase() === elemento.inductor2.trim().toUpperCase()) {
+                errores.push(`El acoplamiento "${elemento.nombre}" referencia dos veces al inductor "${elemento.inductor1}". Debe acoplar dos inductores distintos.`);
+            }
+        }
+
+        // Validar nodos del secundario (transformador ideal)
+        if (typeof elemento.tipo === 'string' && elemento.tipo.toUpperCase() === 'T') {
+            const campos = [
+                { valor: elemento.nodoSecundarioPositivo, etiqueta: 'nodo secundario positivo' },
+                { valor: elemento.nodoSecundarioNegativo, etiqueta: 'nodo secundario negativo' }
+            ];
+
+            campos.forEach(campo => {
+                if (typeof campo.valor !== 'number' || !Number.isInteger(campo.valor)) {
+                    errores.push(`El ${campo.etiqueta} de "${elemento.nombre}" debe ser un número entero. Valor recibido: ${campo.valor}`);
+                } else if (campo.valor < 0) {
+                    errores.push(`El ${campo.etiqueta} de "${elemento.nombre}" no puede ser negativo. Valor recibido: ${campo.valor}`);
+                }
+            });
+
+            if (Number.isInteger(elemento.nodoSecundarioPositivo) &&
+                elemento.nodoSecundarioPositivo === elemento.nodoSecundarioNegativo) {
+                errores.push(`El transformador "${elemento.nombre}" tiene ambos terminales del secundario en el mismo nodo (${elemento.nodoSecundarioPositivo}). Los nodos deben ser diferentes.`);
+            }
+        }
+
+        // Validar fase de las fuentes independientes (opcional, en grados)
+        if (typeof elemento.tipo === 'string' &&
+            this.TIPOS_FUENTES.includes(elemento.tipo.toUpperCase()) &&
+            elemento.fase !== undefined) {
+            if (typeof elemento.fase !== 'number' || !isFinite(elemento.fase)) {
+                errores.push(`La fase de la fuente "${elemento.nombre}" debe ser un número finito en grados. Valor recibido: ${elemento.fase}`);
+            }
+        }
+
+        // Validar la amplitud de pequeña señal de las fuentes independientes (opcional, AC)
+        if (typeof elemento.tipo === 'string' &&
+            this.TIPOS_FUENTES.includes(elemento.tipo.toUpperCase()) &&
+            elemento.valorAC !== undefined) {
+            if (typeof elemento.valorAC !== 'number' || !isFinite(elemento.valorAC)) {
+                errores.push(`La amplitud AC de la fuente "${elemento.nombre}" debe ser un número finito. Valor recibido: ${elemento.valorAC}`);
+            }
         }
 
-        // Validar nodo negativo
-        if (typeof elemento.nodoNegativo !== 'number') {
-            errores.push(`El nodo negativo debe ser un número. Valor recibido: ${elemento.nodoNegativo}`);
-        } else if (!Number.isInteger(elemento.nodoNegativo)) {
-            errores.push(`El nodo negativo debe ser un número entero. Valor recibido: ${elemento.nodoNegativo}`);
-        } else if (elemento.nodoNegativo < 0) {
-            errores.push(`El nodo negativo no puede ser negativo. Valor recibido: ${elemento.nodoNegativo}`);
+        // Validar la forma de onda de las fuentes independientes (opcional, transitorio)
+        if (typeof elemento.tipo === 'string' &&
+            this.TIPOS_FUENTES.includes(elemento.tipo.toUpperCase()) &&
+            elemento.formaOnda !== undefined) {
+            errores.push(...this.validarFormaOnda(elemento.formaOnda, elemento.nombre).errores);
         }
 
-        // Validar que los nodos son diferentes
-        if (Number.isInteger(elemento.nodoPositivo) && Number.isInteger(elemento.nodoNegativo)) {
-            if (elemento.nodoPositivo === elemento.nodoNegativo) {
-                errores.push(`El elemento "${elemento.nombre}" tiene ambos terminales conectados al mismo nodo (${elemento.nodoPositivo}). Los nodos deben ser diferentes.`);
+        // Validar la condición inicial de capacitores e inductores (opcional, transitorio)
+        if (typeof elemento.tipo === 'string' &&
+            ['C', 'L'].includes(elemento.tipo.toUpperCase()) &&
+            elemento.condicionInicial !== undefined) {
+            if (typeof elemento.condicionInicial !== 'number' || !isFinite(elemento.condicionInicial)) {
+                errores.push(`La condición inicial de "${elemento.nombre}" debe ser un número finito. Valor recibido: ${elemento.condicionInicial}`);
             }
         }
 
+        // Validar la tolerancia del valor (opcional, Monte Carlo)
+        if (elemento.tolerancia !== undefined) {
+            errores.push(...this.validarTolerancia(elemento));
+        }
+
+        // Validar los parámetros del interruptor controlado por tiempo
+        if (typeof elemento.tipo === 'string' && elemento.tipo.toUpperCase() === 'S') {
+            errores.push(...this.validarInterruptor(elemento));
+        }
+
+        // Validar los parámetros del diodo
+        if (typeof elemento.tipo === 'string' && elemento.tipo.toUpperCase() === 'D') {
+            errores.push(...this.validarDiodo(elemento));
+        }
+
+        // Validar los parámetros y el tercer terminal de los transistores
+        if (typeof elemento.tipo === 'string' && ['Q', 'M'].includes(elemento.tipo.toUpperCase())) {
+            errores.push(...this.validarTransistor(elemento));
+        }
+
+        // Los elementos sin valor (amplificador operacional ideal) terminan aquí
+        if (typeof elemento.tipo === 'string' && this.TIPOS_SIN_VALOR.includes(elemento.tipo.toUpperCase())) {
+            return {
+                valido: errores.length === 0,
+                errores: errores
+            };
+        }
+
         // Validar valor según el tipo
         if (typeof elemento.valor !== 'number') {
             errores.push(`El valor del elemento "${elemento.nombre}" debe ser un número. Valor recibido: ${elemento.valor}`);
@@ -202,9 +385,303 @@ const Validator = {
                         errores.push(`El inductor "${elemento.nombre}" tiene valor ${elemento.valor}H. Las inductancias deben ser mayores a 0H.`);
                     }
                     break;
+
+                case 'E': // Fuente de voltaje controlada por voltaje
+                    // La ganancia puede ser cualquier número (negativa para inversores)
+                    break;
+
+                case 'G': // Fuente de corriente controlada por voltaje
+                    // La transconductancia puede ser cualquier número
+                    break;
+
+                case 'F': // Fuente de corriente controlada por corriente
+                case 'H': // Fuente de voltaje controlada por corriente
+                    // La ganancia (β) o transresistencia (r) puede ser cualquier número
+                    break;
+
+                case 'K': // Acoplamiento magnético entre inductores
+                    if (Math.abs(elemento.valor) > 1) {
+                        errores.push(`El acoplamiento "${elemento.nombre}" tiene coeficiente k = ${elemento.valor}. El coeficiente de acoplamiento debe cumplir |k| ≤ 1.`);
+                    }
+                    break;
+
+                case 'T': // Transformador ideal
+                    if (elemento.valor <= 0) {
+                        errores.push(`El transformador "${elemento.nombre}" tiene relación de vueltas ${elemento.valor}. La relación N₁:N₂ debe ser mayor a 0.`);
+                    }
+                    break;
+            }
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    /**
+     * Valida la tolerancia (%) y la distribución del valor de un elemento
+     * @param {Object} elemento - {tipo, nombre, tolerancia, distribucion}
+     * @returns {string[]} Lista de errores (vacía si es válido)
+     */
+    validarTolerancia(elemento) {
+        const errores = [];
+
+        if (typeof elemento.tipo !== 'string' || !this.TIPOS_TOLERANCIA.includes(elemento.tipo.toUpperCase())) {
+            errores.push(`El elemento "${elemento.nombre}" no admite tolerancia. Solo la tienen los tipos ${this.TIPOS_TOLERANCIA.join(', ')}.`);
+            return errores;
+        }
+
+        if (typeof elemento.tolerancia !== 'number' || !isFinite(elemento.tolerancia)) {
+            errores.push(`La tolerancia de "${elemento.nombre}" debe ser un número. Valor recibido: ${elemento.tolerancia}`);
+        } else if (elemento.tolerancia < 0 || elemento.tolerancia >= 100) {
+            errores.push(`La tolerancia de "${elemento.nombre}" es ${elemento.tolerancia} %. Debe ser mayor o igual a 0 % y menor que 100 %.`);
+        }
+
+        if (!this.DISTRIBUCIONES_TOLERANCIA.includes(elemento.distribucion)) {
+            errores.push(`La distribución de la tolerancia de "${elemento.nombre}" no es válida. Valor recibido: ${elemento.distribucion}. Opciones: ${this.DISTRIBUCIONES_TOLERANCIA.join(', ')}.`);
+        }
+
+        return errores;
+    },
+
+    /**
+     * Valida los parámetros de un interruptor controlado por tiempo
+     * @param {Object} elemento - {nombre, resistenciaOn, resistenciaOff, tiempoConmutacion, estadoInicial}
+     * @returns {string[]} Lista de errores (vacía si es válido)
+     */
+    validarInterruptor(elemento) {
+        const errores = [];
+        const { resistenciaOn, resistenciaOff, tiempoConmutacion, estadoInicial } = elemento;
+        const esPositivo = x => typeof x === 'number' && isFinite(x) && x > 0;
+
+        if (!esPositivo(resistenciaOn)) {
+            errores.push(`La resistencia de encendido (Ron) del interruptor "${elemento.nombre}" debe ser un número finito mayor a 0Ω. Valor recibido: ${resistenciaOn}`);
+        }
+        if (!esPositivo(resistenciaOff)) {
+            errores.push(`La resistencia de apagado (Roff) del interruptor "${elemento.nombre}" debe ser un número finito mayor a 0Ω. Valor recibido: ${resistenciaOff}`);
+        }
+        if (esPositivo(resistenciaOn) && esPositivo(resistenciaOff) && resistenciaOn >= resistenciaOff) {
+            errores.push(`El interruptor "${elemento.nombre}" tiene Ron = ${resistenciaOn}Ω y Roff = ${resistenciaOff}Ω. Ron debe ser menor que Roff.`);
+        }
+
+        if (typeof tiempoConmutacion !== 'number' || !isFinite(tiempoConmutacion) || tiempoConmutacion < 0) {
+            errores.push(`El tiempo de conmutación del interruptor "${elemento.nombre}" debe ser un número finito mayor o igual a 0 s. Valor recibido: ${tiempoConmutacion}`);
+        }
+
+        if (!this.ESTADOS_INTERRUPTOR.includes(estadoInicial)) {
+            errores.push(`El estado inicial del interruptor "${elemento.nombre}" no es válido. Estados permitidos: ${this.ESTADOS_INTERRUPTOR.join(', ')}`);
+        }
+
+        return errores;
+    },
+
+
+    /**
+     * Valida los parámetros del modelo de un diodo
+     * @param {Object} elemento - {nombre, corrienteSaturacion, coeficienteEmision, resistenciaSerie (opcional)}
+     * @returns {string[]} Lista de errores (vacía si es válido)
+     */
+    validarDiodo(elemento) {
+        const errores = [];
+        const { corrienteSaturacion, coeficienteEmision, resistenciaSerie } = elemento;
+        const esPositivo = x => typeof x === 'number' && isFinite(x) && x > 0;
+
+        if (!esPositivo(corrienteSaturacion)) {
+            errores.push(`La corriente de saturación (Is) del diodo "${elemento.nombre}" debe ser un número finito mayor a 0A. Valor recibido: ${corrienteSaturacion}`);
+        }
+        if (!esPositivo(coeficienteEmision)) {
+            errores.push(`El coeficiente de emisión (n) del diodo "${elemento.nombre}" debe ser un número finito mayor a 0. Valor recibido: ${coeficienteEmision}`);
+        }
+        if (resistenciaSerie !== undefined &&
+            (typeof resistenciaSerie !== 'number' || !isFinite(resistenciaSerie) || resistenciaSerie < 0)) {
+            errores.push(`La resistencia serie (Rs) del diodo "${elemento.nombre}" debe ser un número finito mayor o igual a 0Ω. Valor recibido: ${resistenciaSerie}`);
+        }
+
+        return errores;
+    },
+
+
+    /**
+     * Valida el tercer terminal y los parámetros del modelo de un transistor
+     * @param {Object} elemento - BJT (Q): {nombre, nodoBase, polaridad, corrienteSaturacion,
+     *        betaF, betaR, voltajeEarly (opcional)}; MOSFET (M): {nombre, nodoCompuerta,
+     *        polaridad, transconductancia, voltajeUmbral, lambda (opcional)}
+     * @returns {string[]} Lista de errores (vacía si es válido)
+     */
+    validarTransistor(elemento) {
+        const errores = [];
+        const esBJT = elemento.tipo.toUpperCase() === 'Q';
+        const esPositivo = x => typeof x === 'number' && isFinite(x) && x > 0;
+        const esNoNegativo = x => typeof x === 'number' && isFinite(x) && x >= 0;
+
+        const nodo = esBJT ? elemento.nodoBase : elemento.nodoCompuerta;
+        const etiqueta = esBJT ? 'nodo de base' : 'nodo de compuerta';
+        if (typeof nodo !== 'number' || !Number.isInteger(nodo)) {
+            errores.push(`El ${etiqueta} de "${elemento.nombre}" debe ser un número entero. Valor recibido: ${nodo}`);
+        } else if (nodo < 0) {
+            errores.push(`El ${etiqueta} de "${elemento.nombre}" no puede ser negativo. Valor recibido: ${nodo}`);
+        }
+
+        const polaridades = esBJT ? this.POLARIDADES_BJT : this.POLARIDADES_MOSFET;
+        if (!polaridades.includes(elemento.polaridad)) {
+            errores.push(`La polaridad del transistor "${elemento.nombre}" no es válida. Polaridades permitidas: ${polaridades.join(', ')}`);
+        }
+
+        if (esBJT) {
+            const { corrienteSaturacion, betaF, betaR, voltajeEarly } = elemento;
+
+            if (!esPositivo(corrienteSaturacion)) {
+                errores.push(`La corriente de saturación (Is) del transistor "${elemento.nombre}" debe ser un número finito mayor a 0A. Valor recibido: ${corrienteSaturacion}`);
+            }
+            if (!esPositivo(betaF)) {
+                errores.push(`La ganancia directa (βF) del transistor "${elemento.nombre}" debe ser un número finito mayor a 0. Valor recibido: ${betaF}`);
+            }
+            if (!esPositivo(betaR)) {
+                errores.push(`La ganancia inversa (βR) del transistor "${elemento.nombre}" debe ser un número finito mayor a 0. Valor recibido: ${betaR}`);
+            }
+            if (voltajeEarly !== undefined && !esNoNegativo(voltajeEarly)) {
+                errores.push(`El voltaje Early (VAF) del transistor "${elemento.nombre}" debe ser un número finito mayor o igual a 0V (0 = sin efecto Early). Valor recibido: ${voltajeEarly}`);
+            }
+        } else {
+            const { transconductancia, voltajeUmbral, lambda } = elemento;
+
+            if (!esPositivo(transconductancia)) {
+                errores.push(`El parámetro de transconductancia (K) del transistor "${elemento.nombre}" debe ser un número finito mayor a 0A/V². Valor recibido: ${transconductancia}`);
+            }
+            if (typeof voltajeUmbral !== 'number' || !isFinite(voltajeUmbral)) {
+                errores.push(`El voltaje umbral (Vth) del transistor "${elemento.nombre}" debe ser un número finito. Valor recibido: ${voltajeUmbral}`);
+            }
+            if (lambda !== undefined && !esNoNegativo(lambda)) {
+                errores.push(`La modulación de canal (λ) del transistor "${elemento.nombre}" debe ser un número finito mayor o igual a 0V⁻¹. Valor recibido: ${lambda}`);
+            }
+        }
+
+        return errores;
+    },
+
+
+    /**
+     * Valida los nodos de control de una fuente controlada por voltaje
+     * @param {Object} elemento - {nombre, nodoControlPositivo, nodoControlNegativo}
+     * @returns {string[]} Lista de errores (vacía si es válido)
+     */
+    validarNodosControl(elemento) {
+        const errores = [];
+        const campos = [
+            { valor: elemento.nodoControlPositivo, etiqueta: 'nodo de control positivo' },
+            { valor: elemento.nodoControlNegativo, etiqueta: 'nodo de control negativo' }
+        ];
+
+        campos.forEach(campo => {
+            if (typeof campo.valor !== 'number' || !Number.isInteger(campo.valor)) {
+                errores.push(`El ${campo.etiqueta} de "${elemento.nombre}" debe ser un número entero. Valor recibido: ${campo.valor}`);
+            } else if (campo.valor < 0) {
+                errores.push(`El ${campo.etiqueta} de "${elemento.nombre}" no puede ser negativo. Valor recibido: ${campo.valor}`);
             }
+        });
+
+        if (Number.isInteger(elemento.nodoControlPositivo) &&
+            elemento.nodoControlPositivo === elemento.nodoControlNegativo) {
+            errores.push(`La fuente controlada "${elemento.nombre}" tiene ambos nodos de control en el mismo nodo (${elemento.nodoControlPositivo}). El voltaje de control sería siempre cero.`);
         }
 
+        return errores;
+    },
+
+
+    /**
+     * Verifica que los nodos de control de las fuentes E y G existan en el circuito
+     * (validarElemento no conoce el número de nodos, por eso se revisa aparte)
+     * @param {Array} elementos - Array de elementos del circuito
+     * @param {number} numNodes - Número total de nodos
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarNodosControlEnRango(elementos, numNodes) {
+        const errores = [];
+
+        elementos.forEach(elem => {
+            if (!elem || typeof elem.tipo !== 'string') return;
+            if (!this.TIPOS_CONTROL_VOLTAJE.includes(elem.tipo.toUpperCase())) return;
+
+            [elem.nodoControlPositivo, elem.nodoControlNegativo].forEach(nodo => {
+                if (Number.isInteger(nodo) && nodo >= numNodes) {
+                    errores.push(`La fuente controlada "${elem.nombre}" usa el nodo de control ${nodo}, pero el circuito solo tiene los nodos 0 a ${numNodes - 1}.`);
+                }
+            });
+        });
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    /**
+     * Verifica que cada fuente F/H haga referencia a una fuente de voltaje existente
+     * @param {Array} elementos - Array de elementos del circuito
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarElementosControl(elementos) {
+        const errores = [];
+
+        elementos.forEach(elem => {
+            if (!elem || typeof elem.tipo !== 'string') return;
+            if (!this.TIPOS_CONTROL_CORRIENTE.includes(elem.tipo.toUpperCase())) return;
+            if (typeof elem.elementoControl !== 'string' || elem.elementoControl.trim() === '') return;
+
+            // Los nombres son únicos sin distinguir mayúsculas (ver validarNombresUnicos)
+            const nombreControl = elem.elementoControl.trim().toUpperCase();
+            const control = elementos.find(otro =>
+                otro && typeof otro.nombre === 'string' &&
+                otro.nombre.trim().toUpperCase() === nombreControl
+            );
+
+            if (!control) {
+                errores.push(`La fuente controlada "${elem.nombre}" hace referencia a "${elem.elementoControl}", pero no existe ningún elemento con ese nombre.`);
+            } else if (typeof control.tipo !== 'string' || control.tipo.toUpperCase() !== 'V') {
+                errores.push(`La fuente controlada "${elem.nombre}" hace referencia a "${control.nombre}", que no es una fuente de voltaje. La corriente de control debe medirse con una fuente V (use una fuente de 0V en serie como amperímetro).`);
+            }
+        });
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    /**
+     * Verifica que cada acoplamiento K haga referencia a dos inductores existentes
+     * @param {Array} elementos - Array de elementos del circuito
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarAcoplamientos(elementos) {
+        const errores = [];
+
+        elementos.forEach(elem => {
+            if (!elem || typeof elem.tipo !== 'string') return;
+            if (elem.tipo.toUpperCase() !== 'K') return;
+
+            [elem.inductor1, elem.inductor2].forEach(referencia => {
+                if (typeof referencia !== 'string' || referencia.trim() === '') return;
+
+                const nombreInductor = referencia.trim().toUpperCase();
+                const inductor = elementos.find(otro =>
+                    otro && typeof otro.nombre === 'string' &&
+                    otro.nombre.trim().toUpperCase() === nombreInductor
+                );
+
+                if (!inductor) {
+                    errores.push(`El acoplamiento "${elem.nombre}" hace referencia a "${referencia}", pero no existe ningún elemento con ese nombre.`);
+                } else if (typeof inductor.tipo !== 'string' || inductor.tipo.toUpperCase() !== 'L') {
+                    errores.push(`El acoplamiento "${elem.nombre}" hace referencia a "${inductor.nombre}", que no es un inductor. Solo se pueden acoplar elementos de tipo L.`);
+                }
+            });
+        });
+
         return {
             valido: errores.length === 0,
             errores: errores
@@ -244,15 +721,20 @@ const Validator = {
         // Agregar todos los nodos que aparecen en los elementos
         elementos.forEach(elemento => {
             if (elemento && typeof elemento === 'object') {
-                if (Number.isInteger(elemento.nodoPositivo) && elemento.nodoPositivo >= 0) {
-                    nodosConectados.add(elemento.nodoPositivo);
-                }
-                if (Number.isInteger(elemento.nodoNegativo) && elemento.nodoNegativo >= 0) {
-                    nodosConectados.add(elemento.nodoNegativo);
-                }
+                this.obtenerTerminales(elemento).forEach(nodo => nodosConectados.add(nodo));
             }
         });
 
+        // Verificar que ningún terminal usa un nodo inexistente
+        elementos.forEach(elemento => {
+            if (!elemento || typeof elemento !== 'object') return;
+            new Set(this.obtenerTerminales(elemento)).forEach(nodo => {
+                if (Number.isInteger(numNodes) && nodo >= numNodes) {
+                    errores.push(`El elemento "${elemento.nombre}" está conectado al nodo ${nodo}, pero el circuito solo tiene los nodos 0 a ${numNodes - 1}.`);
+                }
+            });
+        });
+
         // Verificar que todos los nodos (excepto posiblemente algunos) están conectados
         // Revisar cada nodo del circuito
         for (let nodo = 0; nodo < numNodes; nodo++) {
@@ -282,12 +764,11 @@ const Validator = {
         const conteoConexiones = new Array(numNodes).fill(0);
         elementos.forEach(elemento => {
             if (elemento && typeof elemento === 'object') {
-                if (Number.isInteger(elemento.nodoPositivo) && elemento.nodoPositivo >= 0 && elemento.nodoPositivo < numNodes) {
-                    conteoConexiones[elemento.nodoPositivo]++;
-                }
-                if (Number.isInteger(elemento.nodoNegativo) && elemento.nodoNegativo >= 0 && elemento.nodoNegativo < numNodes) {
-                    conteoConexiones[elemento.nodoNegativo]++;
-                }
+                this.obtenerTerminales(elemento).forEach(nodo => {
+                    if (nodo < numNodes) {
+                        conteoConexiones[nodo]++;
+                    }
+                });
             }
         });
 
@@ -309,9 +790,12 @@ const Validator = {
      * @param {number} numNodes - Número de nodos
      * @param {number} groundNode - Nodo de tierra
      * @param {number} frequency - Frecuencia de análisis
+     * @param {string} tipoAnalisis - 'transitorio' y 'polosCeros' (que no usa la frecuencia)
+     *        omiten las validaciones de DC; los análisis con fuentes
+     *        de prueba (ANALISIS_CON_FUENTES_PRUEBA) no requieren fuentes (default: 'punto')
      * @returns {Object} {valido: boolean, errores: string[], advertencias: string[]}
      */
-    validarCircuitoCompleto(elementos, numNodes, groundNode, frequency) {
+    validarCircuitoCompleto(elementos, numNodes, groundNode, frequency, tipoAnalisis = 'punto') {
         const errores = [];
         const advertencias = [];
 
@@ -333,7 +817,7 @@ const Validator = {
             return this.TIPOS_FUENTES.includes(tipo);
         });
 
-        if (!tieneFuente) {
+        if (!tieneFuente && !this.ANALISIS_CON_FUENTES_PRUEBA.includes(tipoAnalisis)) {
             errores.push('El circuito debe tener al menos una fuente de voltaje (V) o corriente (I) para poder realizar el análisis.');
         }
 
@@ -402,7 +886,7 @@ const Validator = {
         });
 
         // 4. Validaciones específicas para frecuencia = 0 (DC)
-        if (frequency === 0) {
+        if (frequency === 0 && tipoAnalisis !== 'transitorio' && tipoAnalisis !== 'polosCeros') {
             // Advertir sobre capacitores en DC
             const capacitores = elementos.filter(elem => {
                 if (!elem || !elem.tipo) return false;
@@ -427,14 +911,109 @@ const Validator = {
             if (inductores.length > 0) {
                 const nombres = inductores.map(l => l.nombre).join(', ');
                 if (inductores.length === 1) {
-                    advertencias.push(`Análisis DC detectado (frecuencia = 0 Hz): El inductor ${nombres} actuará como cortocircuito (impedancia cero).`);
+                    advertencias.push(`Análisis DC detectado (frecuencia = 0 Hz): El inductor ${nombres} actuará como cortocircuito (impedancia cero). Se modela como una rama de 0V con su propia corriente como incógnita, que se reporta junto a las corrientes de las fuentes de voltaje.`);
                 } else {
-                    advertencias.push(`Análisis DC detectado (frecuencia = 0 Hz): Los inductores ${nombres} actuarán como cortocircuito (impedancia cero).`);
+                    advertencias.push(`Análisis DC detectado (frecuencia = 0 Hz): Los inductores ${nombres} actuarán como cortocircuito (impedancia cero). Se modelan como ramas de 0V con su propia corriente como incógnita, que se reporta junto a las corrientes de las fuentes de voltaje.`);
+                }
+
+                // Un inductor que cierra un lazo de fuentes de voltaje e inductores deja
+                // indeterminada la corriente del lazo (matriz A singular)
+                errores.push(...this.validarLazosInductivosDC(fuentesVoltaje, inductores));
+            }
+
+            // Advertir que la fase de las fuentes se ignora en DC
+            const fuentesConFase = elementos.filter(elem =>
+                elem && typeof elem.tipo === 'string' &&
+                this.TIPOS_FUENTES.includes(elem.tipo.toUpperCase()) &&
+                typeof elem.fase === 'number' && elem.fase !== 0
+            );
+
+            if (fuentesConFase.length > 0) {
+                const nombres = fuentesConFase.map(f => f.nombre).join(', ');
+                advertencias.push(`Análisis DC detectado (frecuencia = 0 Hz): La fase de ${nombres} se ignora; en DC las fuentes toman solo su valor.`);
+            }
+
+            // Advertir que el transformador ideal también transfiere DC
+            elementos.forEach(elem => {
+                if (!elem || typeof elem.tipo !== 'string' || elem.tipo.toUpperCase() !== 'T') return;
+                advertencias.push(`Análisis DC detectado (frecuencia = 0 Hz): El transformador ideal ${elem.nombre} se modela sin inductancia de magnetización, por lo que también transfiere voltaje y corriente en DC.`);
+            });
+        }
+
+        // 4b. Validaciones específicas del análisis transitorio
+        if (tipoAnalisis === 'transitorio') {
+            // Los modelos de compañía son de un solo elemento: no hay término mutuo
+            const acoplamientos = elementos.filter(elem =>
+                elem && typeof elem.tipo === 'string' && elem.tipo.toUpperCase() === 'K'
+            );
+
+            if (acoplamientos.length > 0) {
+                const nombres = acoplamientos.map(k => k.nombre).join(', ');
+                errores.push(`El análisis transitorio no admite acoplamientos magnéticos (${nombres}). Use un transformador ideal (T) o analice el circuito en AC.`);
+            }
+        }
+
+        // 4c. En AC los dispositivos no lineales se linealizan en su punto de operación DC
+        if (frequency !== 0 && tipoAnalisis !== 'transitorio') {
+            const noLineales = elementos.filter(elem =>
+                elem && typeof elem.tipo === 'string' && ['D', 'Q', 'M'].includes(elem.tipo.toUpperCase())
+            );
+
+            if (noLineales.length > 0) {
+                const nombres = noLineales.map(d => d.nombre).join(', ');
+                advertencias.push(`Análisis AC de pequeña señal: los dispositivos no lineales (${nombres}) se linealizan en el punto de operación DC. Las fuentes independientes fijan la polarización con su valor y excitan el circuito con su amplitud AC.`);
+
+                const excitadas = elementos.filter(elem =>
+                    elem && typeof elem.tipo === 'string' &&
+                    this.TIPOS_FUENTES.includes(elem.tipo.toUpperCase()) &&
+                    typeof elem.valorAC === 'number' && elem.valorAC !== 0
+                );
+
+                if (excitadas.length === 0) {
+                    advertencias.push('Ninguna fuente tiene amplitud AC distinta de 0: la respuesta de pequeña señal será nula.');
                 }
             }
         }
 
-        // 5. Advertir si hay solo fuentes de corriente y no hay camino a tierra
+        // 4d. Las formas de onda solo se usan en el transitorio
+        if (tipoAnalisis !== 'transitorio') {
+            const fuentesConForma = elementos.filter(elem =>
+                elem && typeof elem.tipo === 'string' &&
+                this.TIPOS_FUENTES.includes(elem.tipo.toUpperCase()) &&
+                elem.formaOnda && elem.formaOnda.tipo !== 'DC'
+            );
+
+            if (fuentesConForma.length > 0) {
+                const nombres = fuentesConForma.map(f => f.nombre).join(', ');
+                advertencias.push(`La forma de onda de ${nombres} solo se aplica en el análisis transitorio; en este análisis se usa el valor de la fuente.`);
+            }
+
+            const interruptores = elementos.filter(elem =>
+                elem && typeof elem.tipo === 'string' && elem.tipo.toUpperCase() === 'S'
+            );
+
+            if (interruptores.length > 0) {
+                const nombres = interruptores.map(s => s.nombre).join(', ');
+                advertencias.push(`Los interruptores ${nombres} solo conmutan en el análisis transitorio; en este análisis permanecen en su estado inicial.`);
+            }
+
+            const conCondicionInicial = elementos.filter(elem =>
+                elem && typeof elem.tipo === 'string' &&
+                ['C', 'L'].includes(elem.tipo.toUpperCase()) &&
+                elem.condicionInicial !== undefined
+            );
+
+            if (conCondicionInicial.length > 0) {
+                const nombres = conCondicionInicial.map(e => e.nombre).join(', ');
+                advertencias.push(`La condición inicial de ${nombres} solo se usa en el análisis transitorio.`);
+            }
+        }
+
+        // 5. Validar amplificadores operacionales ideales
+        const resAmplificadores = this.validarAmplificadores(elementos, numNodes, groundNode);
+        errores.push(...resAmplificadores.errores);
+
+        // 6. Advertir si hay solo fuentes de corriente y no hay camino a tierra
         const soloFuentesI = elementos.every(elem => {
             if (!elem || !elem.tipo) return false;
             const tipo = elem.tipo.toUpperCase();
@@ -453,27 +1032,976 @@ const Validator = {
     },
 
 
-    // ============================================
-    // MÉTODO 5: VALIDAR NOMBRES ÚNICOS
-    // ============================================
-
     /**
-     * Verifica que no hay nombres duplicados en los elementos
-     * @param {Array} elementos - Array de elementos
-     * @returns {Object} {valido: boolean, errores: string[]}
+     * Detecta, en DC, inductores que cierran un lazo formado solo por fuentes de
+     * voltaje e inductores (ramas de 0V). La corriente que circula por ese lazo no
+     * está determinada y la matriz A resulta singular.
+     *
+     * Los lazos formados solo por fuentes V ya se reportan como fuentes en paralelo,
+     * por eso las fuentes se unen primero y solo se revisan los inductores.
+     *
+     * @param {Array} fuentesVoltaje - Fuentes V del circuito
+     * @param {Array} inductores - Inductores del circuito
+     * @returns {string[]} Lista de errores (vacía si no hay lazos)
      */
-    validarNombresUnicos(elementos) {
+    validarLazosInductivosDC(fuentesVoltaje, inductores) {
         const errores = [];
-        if (!Array.isArray(elementos)) {
-            errores.push('Los elementos deben ser un array.');
-            return { valido: false, errores: errores };
-        }
+        const padre = new Map();
 
-        // Validar nombres únicos (CRÍTICO)
-        const nombres = new Set();
-        const nombresDuplicados = new Set();
+        // Conjuntos disjuntos de nodos unidos por ramas de 0 impedancia
+        const raiz = (nodo) => {
+            if (!padre.has(nodo)) padre.set(nodo, nodo);
+            while (padre.get(nodo) !== nodo) {
+                nodo = padre.get(nodo);
+            }
+            return nodo;
+        };
 
-        for (const elem of elementos) {
+        const conexionValida = elem =>
+            Number.isInteger(elem.nodoPositivo) && Number.isInteger(elem.nodoNegativo);
+
+        fuentesVoltaje.filter(conexionValida).forEach(fuente => {
+            padre.set(raiz(fuente.nodoPositivo), raiz(fuente.nodoNegativo));
+        });
+
+        inductores.filter(conexionValida).forEach(inductor => {
+            const a = raiz(inductor.nodoPositivo);
+            const b = raiz(inductor.nodoNegativo);
+
+            if (a === b) {
+                errores.push(`Análisis DC: el inductor "${inductor.nombre}" cierra un lazo formado solo por fuentes de voltaje e inductores (cortocircuitos en DC), por lo que la corriente del lazo queda indeterminada. Agregue una resistencia en serie o analice en AC.`);
+            } else {
+                padre.set(a, b);
+            }
+        });
+
+        return errores;
+    },
+
+
+    /**
+     * Valida la conexión de los amplificadores operacionales ideales
+     *
+     * - La salida no puede estar en el nodo de tierra ni forzada a tierra por una
+     *   fuente de voltaje (la salida ideal es una fuente de voltaje: habría conflicto)
+     * - Debe existir un camino de realimentación desde la salida hasta la entrada
+     *   inversora que no pase por tierra; sin él, la condición v+ = v- del nulor
+     *   no se puede cumplir y la matriz A resulta singular
+     *
+     * @param {Array} elementos - Array de elementos
+     * @param {number} numNodes - Número de nodos
+     * @param {number} groundNode - Nodo de tierra
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarAmplificadores(elementos, numNodes, groundNode) {
+        const errores = [];
+
+        const amplificadores = elementos.filter(elem =>
+            elem && typeof elem.tipo === 'string' && elem.tipo.toUpperCase() === 'OA'
+        );
+
+        amplificadores.forEach(amp => {
+            const salida = amp.nodoSalida;
+            if (!Number.isInteger(salida)) return; // Ya reportado en validarElemento
+
+            if (Number.isInteger(numNodes) && salida >= numNodes) return; // Ya reportado en validarConectividad
+
+            // Salida en cortocircuito con tierra
+            if (salida === groundNode) {
+                errores.push(`El amplificador "${amp.nombre}" tiene su salida conectada directamente a tierra (nodo ${groundNode}). La salida de un amplificador operacional no puede estar en cortocircuito con tierra.`);
+                return;
+            }
+
+            const fuenteEnSalida = elementos.find(elem =>
+                elem && typeof elem.tipo === 'string' && elem.tipo.toUpperCase() === 'V' &&
+                ((elem.nodoPositivo === salida && elem.nodoNegativo === groundNode) ||
+                 (elem.nodoNegativo === salida && elem.nodoPositivo === groundNode))
+            );
+            if (fuenteEnSalida) {
+                errores.push(`La salida del amplificador "${amp.nombre}" (nodo ${salida}) está forzada a tierra por la fuente de voltaje "${fuenteEnSalida.nombre}". Esto equivale a un cortocircuito de la salida.`);
+            }
+
+            // Buscar un camino de realimentación salida -> entrada inversora sin pasar por tierra
+            if (!Number.isInteger(amp.nodoNegativo) || amp.nodoNegativo === groundNode) {
+                errores.push(`El amplificador "${amp.nombre}" tiene la entrada inversora en tierra, por lo que no puede tener realimentación negativa. Conecte la red de realimentación a la entrada inversora.`);
+                return;
+            }
+
+            const visitados = new Set([salida]);
+            const pendientes = [salida];
+            while (pendientes.length > 0) {
+                const nodo = pendientes.pop();
+                elementos.forEach(elem => {
+                    if (!elem || elem === amp) return;
+                    // La señal también se propaga a través de los nodos de control de E y G
+                    const terminales = this.obtenerTerminales(elem).concat(
+                        [elem.nodoControlPositivo, elem.nodoControlNegativo].filter(Number.isInteger)
+                    );
+                    if (!terminales.includes(nodo)) return;
+                    terminales.forEach(otro => {
+                        if (otro !== groundNode && !visitados.has(otro)) {
+                            visitados.add(otro);
+                            pendientes.push(otro);
+                        }
+                    });
+                });
+            }
+
+            if (!visitados.has(amp.nodoNegativo)) {
+                errores.push(`El amplificador "${amp.nombre}" no tiene realimentación: no hay ningún camino desde la salida (nodo ${salida}) hasta la entrada inversora (nodo ${amp.nodoNegativo}). Un amplificador operacional ideal requiere realimentación negativa.`);
+            }
+        });
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4b: VALIDAR OPCIONES DEL BARRIDO AC
+    // ============================================
+
+    /**
+     * Valida las opciones de un barrido en frecuencia
+     * @param {Object} opciones - {tipo, inicio, fin, puntos}
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarBarridoAC(opciones) {
+        const errores = [];
+        const { tipo, inicio, fin, puntos } = opciones || {};
+
+        if (!this.TIPOS_BARRIDO_AC.includes(tipo)) {
+            errores.push(`Tipo de barrido "${tipo}" no válido. Tipos permitidos: ${this.TIPOS_BARRIDO_AC.join(', ')}`);
+        }
+
+        [
+            { valor: inicio, etiqueta: 'La frecuencia inicial' },
+            { valor: fin, etiqueta: 'La frecuencia final' }
+        ].forEach(campo => {
+            if (typeof campo.valor !== 'number' || !isFinite(campo.valor)) {
+                errores.push(`${campo.etiqueta} del barrido debe ser un número válido. Valor recibido: ${campo.valor}`);
+            } else if (campo.valor < 0) {
+                errores.push(`${campo.etiqueta} del barrido no puede ser negativa. Valor recibido: ${campo.valor} Hz`);
+            }
+        });
+
+        if (!Number.isInteger(puntos) || puntos < 1) {
+            errores.push(`El número de puntos del barrido debe ser un entero mayor o igual a 1. Valor recibido: ${puntos}`);
+        }
+
+        if (errores.length > 0) {
+            return { valido: false, errores: errores };
+        }
+
+        if (fin <= inicio) {
+            errores.push(`La frecuencia final (${fin} Hz) debe ser mayor que la inicial (${inicio} Hz).`);
+        }
+
+        // Los barridos logarítmicos no pueden empezar en 0 Hz
+        if (tipo !== 'lineal' && inicio <= 0) {
+            errores.push('En un barrido por década u octava la frecuencia inicial debe ser mayor a 0 Hz. Use el barrido lineal para incluir DC.');
+        }
+
+        if (tipo === 'lineal' && puntos < 2) {
+            errores.push('Un barrido lineal necesita al menos 2 puntos.');
+        }
+
+        // Número total de soluciones que requiere el barrido
+        if (errores.length === 0) {
+            const base = tipo === 'octava' ? 2 : 10;
+            const total = tipo === 'lineal'
+                ? puntos
+                : Math.ceil(Math.log(fin / inicio) / Math.log(base) * puntos) + 1;
+
+            if (total > this.MAX_PUNTOS_BARRIDO) {
+                errores.push(`El barrido requiere ${total} puntos y el máximo es ${this.MAX_PUNTOS_BARRIDO}. Reduzca el rango o los puntos.`);
+            }
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4c: VALIDAR OPCIONES DEL BARRIDO DC
+    // ============================================
+
+    /**
+     * Valida las opciones de un barrido DC del valor de un elemento.
+     * El barrido es lineal, así que basta con validar el elemento con los
+     * valores de los extremos (las restricciones de valor son intervalos).
+     * @param {Object} opciones - {elemento (nombre), inicio, fin, puntos}
+     * @param {Array} elementos - Elementos del circuito
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarBarridoDC(opciones, elementos) {
+        const errores = [];
+        const { elemento: nombre, inicio, fin, puntos } = opciones || {};
+
+        if (typeof nombre !== 'string' || nombre.trim() === '') {
+            errores.push('Indique el nombre del elemento cuyo valor se va a barrer.');
+        }
+
+        [
+            { valor: inicio, etiqueta: 'El valor inicial' },
+            { valor: fin, etiqueta: 'El valor final' }
+        ].forEach(campo => {
+            if (typeof campo.valor !== 'number' || !isFinite(campo.valor)) {
+                errores.push(`${campo.etiqueta} del barrido debe ser un número válido. Valor recibido: ${campo.valor}`);
+            }
+        });
+
+        if (!Number.isInteger(puntos) || puntos < 2) {
+            errores.push(`El número de puntos del barrido debe ser un entero mayor o igual a 2. Valor recibido: ${puntos}`);
+        } else if (puntos > this.MAX_PUNTOS_BARRIDO) {
+            errores.push(`El barrido requiere ${puntos} puntos y el máximo es ${this.MAX_PUNTOS_BARRIDO}.`);
+        }
+
+        if (errores.length > 0) {
+            return { valido: false, errores: errores };
+        }
+
+        if (fin === inicio) {
+            errores.push(`El valor final del barrido debe ser distinto del inicial (${inicio}).`);
+        }
+
+        const elemento = elementos.find(e =>
+            typeof e.nombre === 'string' &&
+            e.nombre.trim().toUpperCase() === nombre.trim().toUpperCase()
+        );
+
+        if (!elemento) {
+            errores.push(`El elemento "${nombre}" que se quiere barrer no existe en el circuito.`);
+        } else if (typeof elemento.tipo === 'string' && this.TIPOS_SIN_VALOR.includes(elemento.tipo.toUpperCase())) {
+            errores.push(`El elemento "${elemento.nombre}" no tiene valor que se pueda barrer.`);
+        } else {
+            // Cada extremo debe ser un valor válido para el elemento (p. ej. R > 0, |k| ≤ 1)
+            [inicio, fin].forEach(valor => {
+                const resultado = this.validarElemento({ ...elemento, valor: valor });
+                errores.push(...resultado.errores.map(error => `Barrido DC: ${error}`));
+            });
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4d: VALIDAR OPCIONES DEL ANÁLISIS TRANSITORIO
+    // ============================================
+
+    /**
+     * Valida las opciones del análisis transitorio
+     * @param {Object} opciones - {tFinal, paso, metodo}
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarTransitorio(opciones) {
+        const errores = [];
+        const { tFinal, paso, metodo } = opciones || {};
+
+        if (!this.METODOS_INTEGRACION.includes(metodo)) {
+            errores.push(`Método de integración "${metodo}" no válido. Métodos permitidos: ${this.METODOS_INTEGRACION.join(', ')}`);
+        }
+
+        [
+            { valor: tFinal, etiqueta: 'El tiempo final' },
+            { valor: paso, etiqueta: 'El paso de tiempo' }
+        ].forEach(campo => {
+            if (typeof campo.valor !== 'number' || !isFinite(campo.valor)) {
+                errores.push(`${campo.etiqueta} debe ser un número válido. Valor recibido: ${campo.valor}`);
+            } else if (campo.valor <= 0) {
+                errores.push(`${campo.etiqueta} debe ser mayor a 0 s. Valor recibido: ${campo.valor} s`);
+            }
+        });
+
+        if (errores.length > 0) {
+            return { valido: false, errores: errores };
+        }
+
+        if (paso > tFinal) {
+            errores.push(`El paso de tiempo (${paso} s) no puede ser mayor que el tiempo final (${tFinal} s).`);
+        }
+
+        const numPasos = Math.round(tFinal / paso);
+        if (numPasos > this.MAX_PASOS_TRANSITORIO) {
+            errores.push(`El análisis requiere ${numPasos} pasos y el máximo es ${this.MAX_PASOS_TRANSITORIO}. Aumente el paso o reduzca el tiempo final.`);
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4e: VALIDAR FORMA DE ONDA DE UNA FUENTE
+    // ============================================
+
+    /**
+     * Valida los parámetros de la forma de onda de una fuente V o I
+     * @param {Object} forma - {tipo, ...parámetros} (ver Waveforms)
+     * @param {string} nombre - Nombre de la fuente (para los mensajes)
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarFormaOnda(forma, nombre) {
+        const errores = [];
+
+        if (!forma || typeof forma !== 'object' || !this.TIPOS_FORMA_ONDA.includes(forma.tipo)) {
+            errores.push(`La forma de onda de "${nombre}" no es válida. Tipos permitidos: ${this.TIPOS_FORMA_ONDA.join(', ')}`);
+            return { valido: false, errores: errores };
+        }
+
+        // Parámetros numéricos de cada tipo y cuáles no pueden ser negativos (tiempos)
+        const parametros = {
+            DC: [],
+            STEP: ['v1', 'v2', 'td', 'tr'],
+            PULSE: ['v1', 'v2', 'td', 'tr', 'tf', 'pw', 'per'],
+            SIN: ['vo', 'va', 'f', 'fase'],
+            EXP: ['v1', 'v2', 'td1', 'tau1', 'td2', 'tau2'],
+            PWL: []
+        }[forma.tipo];
+        const noNegativos = ['td', 'tr', 'tf', 'pw', 'per', 'f', 'td1', 'tau1', 'td2', 'tau2'];
+
+        parametros.forEach(clave => {
+            const valor = forma[clave];
+            if (typeof valor !== 'number' || !isFinite(valor)) {
+                errores.push(`El parámetro ${clave} de la forma ${forma.tipo} de "${nombre}" debe ser un número válido. Valor recibido: ${valor}`);
+            } else if (noNegativos.includes(clave) && valor < 0) {
+                errores.push(`El parámetro ${clave} de la forma ${forma.tipo} de "${nombre}" no puede ser negativo. Valor recibido: ${valor}`);
+            }
+        });
+
+        if (errores.length > 0) {
+            return { valido: false, errores: errores };
+        }
+
+        switch (forma.tipo) {
+            case 'PULSE':
+                if (forma.per <= 0) {
+                    errores.push(`El periodo del pulso de "${nombre}" debe ser mayor a 0 s.`);
+                } else if (forma.tr + forma.pw + forma.tf > forma.per) {
+                    errores.push(`El pulso de "${nombre}" no cabe en su periodo: tr + pw + tf = ${forma.tr + forma.pw + forma.tf} s > per = ${forma.per} s.`);
+                }
+                break;
+
+            case 'EXP':
+                if (forma.tau1 <= 0 || forma.tau2 <= 0) {
+                    errores.push(`Las constantes de tiempo τ1 y τ2 de "${nombre}" deben ser mayores a 0 s.`);
+                }
+                if (forma.td2 < forma.td1) {
+                    errores.push(`En la forma EXP de "${nombre}" el retardo de bajada td2 (${forma.td2} s) no puede ser menor que el de subida td1 (${forma.td1} s).`);
+                }
+                break;
+
+            case 'PWL': {
+                const puntos = forma.puntos;
+                if (!Array.isArray(puntos) || puntos.length === 0) {
+                    errores.push(`La forma PWL de "${nombre}" necesita al menos un punto (t v).`);
+                    break;
+                }
+                puntos.forEach((punto, k) => {
+                    const [t, v] = Array.isArray(punto) ? punto : [];
+                    if (!isFinite(t) || !isFinite(v)) {
+                        errores.push(`El punto ${k + 1} de la forma PWL de "${nombre}" debe tener dos números "t v".`);
+                    } else if (t < 0) {
+                        errores.push(`El punto ${k + 1} de la forma PWL de "${nombre}" tiene un tiempo negativo (${t} s).`);
+                    } else if (k > 0 && t < puntos[k - 1][0]) {
+                        errores.push(`Los tiempos de la forma PWL de "${nombre}" deben estar en orden creciente (punto ${k + 1}).`);
+                    }
+                });
+                break;
+            }
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4f: VALIDAR OPCIONES DEL EQUIVALENTE DE THÉVENIN
+    // ============================================
+
+    /**
+     * Valida el par de nodos del equivalente de Thévenin/Norton y que el circuito
+     * sea lineal (con diodos o transistores el equivalente depende del punto de operación)
+     * @param {Object} opciones - {nodoA, nodoB}
+     * @param {Array} elementos - Elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarThevenin(opciones, elementos, numNodes) {
+        const errores = [];
+        const { nodoA, nodoB } = opciones || {};
+
+        [
+            { valor: nodoA, etiqueta: 'El nodo a' },
+            { valor: nodoB, etiqueta: 'El nodo b' }
+        ].forEach(campo => {
+            if (!Number.isInteger(campo.valor)) {
+                errores.push(`${campo.etiqueta} del equivalente debe ser un número entero. Valor recibido: ${campo.valor}`);
+            } else if (campo.valor < 0 || campo.valor >= numNodes) {
+                errores.push(`${campo.etiqueta} del equivalente debe estar entre 0 y ${numNodes - 1}. Valor recibido: ${campo.valor}`);
+            }
+        });
+
+        if (errores.length === 0 && nodoA === nodoB) {
+            errores.push(`Los nodos a y b del equivalente deben ser diferentes (ambos son ${nodoA}).`);
+        }
+
+        const noLineales = elementos.filter(elem =>
+            elem && typeof elem.tipo === 'string' && ['D', 'Q', 'M'].includes(elem.tipo.toUpperCase())
+        );
+
+        if (noLineales.length > 0) {
+            const nombres = noLineales.map(d => d.nombre).join(', ');
+            errores.push(`El equivalente de Thévenin solo existe para circuitos lineales; el circuito tiene dispositivos no lineales (${nombres}).`);
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4g: VALIDAR EL CIRCUITO PARA SUPERPOSICIÓN
+    // ============================================
+
+    /**
+     * La superposición requiere al menos una fuente independiente y un circuito
+     * lineal (sin diodos ni transistores)
+     * @param {Array} elementos - Elementos del circuito
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarSuperposicion(elementos) {
+        const errores = [];
+        const tipo = elem => (elem && typeof elem.tipo === 'string' ? elem.tipo.toUpperCase() : '');
+
+        if (!elementos.some(elem => tipo(elem) === 'V' || tipo(elem) === 'I')) {
+            errores.push('La superposición necesita al menos una fuente independiente (V o I).');
+        }
+
+        const noLineales = elementos.filter(elem => ['D', 'Q', 'M'].includes(tipo(elem)));
+        if (noLineales.length > 0) {
+            const nombres = noLineales.map(d => d.nombre).join(', ');
+            errores.push(`El principio de superposición solo se aplica a circuitos lineales; el circuito tiene dispositivos no lineales (${nombres}).`);
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4h: VALIDAR LOS PUERTOS DE LA RED DE DOS PUERTOS
+    // ============================================
+
+    /**
+     * Valida los nodos de los dos puertos: enteros dentro del circuito, terminales
+     * distintos en cada puerto y puertos diferentes entre sí. El circuito debe ser lineal.
+     * @param {Object} opciones - {puerto1: {positivo, negativo}, puerto2: {positivo, negativo}}
+     * @param {Array} elementos - Elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarDosPuertos(opciones, elementos, numNodes) {
+        const { puerto1 = {}, puerto2 = {} } = opciones || {};
+        const errores = this.validarNodosPuertos([puerto1, puerto2], ['puerto 1', 'puerto 2'], numNodes);
+
+        const noLineales = elementos.filter(elem =>
+            elem && typeof elem.tipo === 'string' && ['D', 'Q', 'M'].includes(elem.tipo.toUpperCase())
+        );
+
+        if (noLineales.length > 0) {
+            const nombres = noLineales.map(d => d.nombre).join(', ');
+            errores.push(`Los parámetros de dos puertos solo existen para redes lineales; el circuito tiene dispositivos no lineales (${nombres}).`);
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4i: VALIDAR LA MEDICIÓN DE IMPEDANCIAS DE ENTRADA Y SALIDA
+    // ============================================
+
+    /**
+     * Valida los puertos de entrada y salida (como en validarDosPuertos), la carga
+     * opcional (resistor, capacitor o inductor no acoplado conectado entre los nodos
+     * del puerto de salida) y el barrido en frecuencia si se pidió. Con diodos o
+     * transistores las impedancias son de pequeña señal y la frecuencia debe ser mayor a 0 Hz.
+     * @param {Object} opciones - {entrada, salida, carga, frecuencia, barrido (null o {tipo, inicio, fin, puntos})}
+     * @param {Array} elementos - Elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarImpedancias(opciones, elementos, numNodes) {
+        const { entrada = {}, salida = {}, carga = '', frecuencia, barrido = null } = opciones || {};
+        const errores = this.validarNodosPuertos([entrada, salida],
+            ['puerto de entrada', 'puerto de salida'], numNodes);
+
+        if (carga !== '') {
+            const elemento = elementos.find(elem =>
+                elem && typeof elem.nombre === 'string' && elem.nombre.toUpperCase() === carga.toUpperCase()
+            );
+            const acoplado = elementos.some(elem =>
+                elem && elem.tipo === 'K' &&
+                [elem.inductor1, elem.inductor2].some(nombre => String(nombre).toUpperCase() === carga.toUpperCase())
+            );
+
+            if (!elemento) {
+                errores.push(`El elemento de carga "${carga}" no existe en el circuito.`);
+            } else if (!this.TIPOS_CARGA_IMPEDANCIA.includes(elemento.tipo)) {
+                errores.push(`La carga debe ser un elemento de tipo ${this.TIPOS_CARGA_IMPEDANCIA.join(', ')}; "${carga}" es de tipo ${elemento.tipo}.`);
+            } else if (acoplado) {
+                errores.push(`El inductor de carga "${carga}" está acoplado magnéticamente; no se puede desconectar.`);
+            } else if (errores.length === 0 &&
+                !((elemento.nodoPositivo === salida.positivo && elemento.nodoNegativo === salida.negativo) ||
+                  (elemento.nodoPositivo === salida.negativo && elemento.nodoNegativo === salida.positivo))) {
+                errores.push(`La carga "${carga}" (nodos ${elemento.nodoPositivo} y ${elemento.nodoNegativo}) debe estar conectada entre los nodos del puerto de salida (${salida.positivo} y ${salida.negativo}).`);
+            }
+        }
+
+        if (barrido) {
+            errores.push(...this.validarBarridoAC(barrido).errores);
+        }
+
+        const noLineales = elementos.filter(elem =>
+            elem && typeof elem.tipo === 'string' && ['D', 'Q', 'M'].includes(elem.tipo.toUpperCase())
+        );
+        const frecuenciaMinima = barrido ? barrido.inicio : frecuencia;
+
+        if (noLineales.length > 0 && !(frecuenciaMinima > 0)) {
+            const nombres = noLineales.map(d => d.nombre).join(', ');
+            errores.push(`Con dispositivos no lineales (${nombres}) las impedancias son de pequeña señal: la frecuencia${barrido ? ' inicial del barrido' : ' de análisis'} debe ser mayor a 0 Hz.`);
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4j: VALIDAR EL ANÁLISIS DE SENSIBILIDAD
+    // ============================================
+
+    /**
+     * Valida el nodo de salida y el de referencia (enteros dentro del circuito y
+     * diferentes). El circuito debe ser lineal y tener al menos un resistor,
+     * capacitor, inductor o fuente independiente cuyo valor sea un parámetro.
+     * @param {Object} opciones - {nodoSalida, nodoReferencia}
+     * @param {Array} elementos - Elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarSensibilidad(opciones, elementos, numNodes) {
+        const errores = [
+            ...this.validarNodosSalida(opciones, numNodes, 'de la sensibilidad'),
+            ...this.validarCircuitoLineal(elementos, 'de sensibilidad')
+        ];
+
+        const parametros = elementos.filter(elem =>
+            elem && typeof elem.tipo === 'string' && ['R', 'C', 'L', 'V', 'I'].includes(elem.tipo.toUpperCase())
+        );
+
+        if (parametros.length === 0) {
+            errores.push('El circuito no tiene resistores, capacitores, inductores ni fuentes independientes cuya sensibilidad calcular.');
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+    // ============================================
+    // MÉTODO 4k: VALIDAR EL ANÁLISIS DE MONTE CARLO
+    // ============================================
+
+    /**
+     * Valida el número de corridas, la semilla y las variables observadas (nodos
+     * distintos de tierra y elementos con corriente). Al menos un elemento debe
+     * tener tolerancia mayor a 0 %.
+     * @param {Object} opciones - {corridas, semilla, nodos: number[], corrientes: string[]}
+     * @param {Array} elementos - Elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarMonteCarlo(opciones, elementos, numNodes, groundNode) {
+        const errores = [];
+        const { corridas, semilla, nodos = [], corrientes = [] } = opciones || {};
+
+        if (!Number.isInteger(corridas)) {
+            errores.push(`El número de corridas debe ser un número entero. Valor recibido: ${corridas}`);
+        } else if (corridas < 2 || corridas > this.MAX_CORRIDAS_MONTE_CARLO) {
+            errores.push(`El número de corridas debe estar entre 2 y ${this.MAX_CORRIDAS_MONTE_CARLO}. Valor recibido: ${corridas}`);
+        }
+
+        if (!Number.isInteger(semilla)) {
+            errores.push(`La semilla debe ser un número entero. Valor recibido: ${semilla}`);
+        } else if (semilla < 0 || semilla > 4294967295) {
+            errores.push(`La semilla debe estar entre 0 y 4294967295. Valor recibido: ${semilla}`);
+        }
+
+        if (nodos.length === 0 && corrientes.length === 0) {
+            errores.push('Indique al menos un voltaje de nodo o una corriente de elemento a observar.');
+        }
+
+        nodos.forEach(nodo => {
+            if (!Number.isInteger(nodo)) {
+                errores.push(`Los nodos observados deben ser números enteros. Valor recibido: ${nodo}`);
+            } else if (nodo < 0 || nodo >= numNodes) {
+                errores.push(`El nodo observado ${nodo} no existe: debe estar entre 0 y ${numNodes - 1}.`);
+            } else if (nodo === groundNode) {
+                errores.push(`El nodo ${nodo} es la tierra: su voltaje siempre es 0 V.`);
+            }
+        });
+
+        corrientes.forEach(nombre => {
+            const elemento = elementos.find(elem =>
+                elem && typeof elem.nombre === 'string' && elem.nombre.toUpperCase() === nombre.toUpperCase()
+            );
+            if (!elemento) {
+                errores.push(`El elemento "${nombre}" cuya corriente se observa no existe en el circuito.`);
+            } else if (typeof elemento.tipo === 'string' && this.TIPOS_SIN_NODOS.includes(elemento.tipo.toUpperCase())) {
+                errores.push(`El acoplamiento "${elemento.nombre}" no tiene corriente propia; observe la de sus inductores.`);
+            }
+        });
+
+        const variados = elementos.filter(elem => elem && elem.tolerancia > 0);
+        if (variados.length === 0) {
+            errores.push('Ningún elemento tiene tolerancia: indique la tolerancia (%) de al menos un elemento.');
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+    // ============================================
+    // MÉTODO 4l: VALIDAR EL ANÁLISIS DEL PEOR CASO
+    // ============================================
+
+    /**
+     * Valida el nodo de salida y el de referencia como en la sensibilidad (en la que
+     * se basa el peor caso). Al menos un elemento debe tener tolerancia, y solo la
+     * pueden tener los tipos con sensibilidad (R, C, L, V, I).
+     * @param {Object} opciones - {nodoSalida, nodoReferencia}
+     * @param {Array} elementos - Elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarPeorCaso(opciones, elementos, numNodes) {
+        const errores = [
+            ...this.validarNodosSalida(opciones, numNodes, 'del peor caso'),
+            ...this.validarCircuitoLineal(elementos, 'del peor caso')
+        ];
+
+        const variados = elementos.filter(elem => elem && elem.tolerancia > 0);
+        if (variados.length === 0) {
+            errores.push('Ningún elemento tiene tolerancia: indique la tolerancia (%) de al menos un elemento.');
+        }
+
+        const sinSensibilidad = variados.filter(elem =>
+            typeof elem.tipo !== 'string' || !['R', 'C', 'L', 'V', 'I'].includes(elem.tipo.toUpperCase())
+        );
+        if (sinSensibilidad.length > 0) {
+            const nombres = sinSensibilidad.map(elem => elem.nombre).join(', ');
+            errores.push(`El peor caso usa la sensibilidad, que solo se calcula para R, C, L, V e I; quite la tolerancia de ${nombres}.`);
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Nodo de salida y de referencia de un análisis: enteros dentro
+     * del circuito y diferentes
+     * @param {Object} opciones - {nodoSalida, nodoReferencia}
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {string} analisis - Complemento del análisis en los mensajes (ej: 'de la sensibilidad')
+     * @returns {string[]} Errores encontrados
+     */
+    validarNodosSalida(opciones, numNodes, analisis) {
+        const errores = [];
+        const { nodoSalida, nodoReferencia } = opciones || {};
+
+        [
+            { valor: nodoSalida, etiqueta: 'El nodo de salida' },
+            { valor: nodoReferencia, etiqueta: 'El nodo de referencia' }
+        ].forEach(campo => {
+            if (!Number.isInteger(campo.valor)) {
+                errores.push(`${campo.etiqueta} ${analisis} debe ser un número entero. Valor recibido: ${campo.valor}`);
+            } else if (campo.valor < 0 || campo.valor >= numNodes) {
+                errores.push(`${campo.etiqueta} ${analisis} debe estar entre 0 y ${numNodes - 1}. Valor recibido: ${campo.valor}`);
+            }
+        });
+
+        if (errores.length === 0 && nodoSalida === nodoReferencia) {
+            errores.push(`Los nodos de salida y de referencia deben ser diferentes (ambos son ${nodoSalida}).`);
+        }
+
+        return errores;
+    },
+
+    /**
+     * MÉTODO AUXILIAR: El circuito no tiene dispositivos no lineales (D, Q, M)
+     * @param {Array} elementos - Elementos del circuito
+     * @param {string} analisis - Complemento del análisis en el mensaje (ej: 'de sensibilidad')
+     * @returns {string[]} Errores encontrados
+     */
+    validarCircuitoLineal(elementos, analisis) {
+        const noLineales = elementos.filter(elem =>
+            elem && typeof elem.tipo === 'string' && ['D', 'Q', 'M'].includes(elem.tipo.toUpperCase())
+        );
+
+        if (noLineales.length === 0) return [];
+
+        const nombres = noLineales.map(d => d.nombre).join(', ');
+        return [`El análisis ${analisis} solo está disponible para circuitos lineales; el circuito tiene dispositivos no lineales (${nombres}).`];
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Nodos de los puertos de un análisis: enteros dentro del circuito,
+     * terminales distintos en cada puerto y puertos diferentes entre sí
+     * @param {Array} puertos - [{positivo, negativo}]
+     * @param {string[]} nombres - Nombre de cada puerto en los mensajes (ej: 'puerto 1')
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @returns {string[]} Errores encontrados
+     */
+    validarNodosPuertos(puertos, nombres, numNodes) {
+        const errores = [];
+
+        puertos.forEach((puerto, k) => {
+            [
+                { valor: puerto.positivo, etiqueta: `El nodo + del ${nombres[k]}` },
+                { valor: puerto.negativo, etiqueta: `El nodo − del ${nombres[k]}` }
+            ].forEach(campo => {
+                if (!Number.isInteger(campo.valor)) {
+                    errores.push(`${campo.etiqueta} debe ser un número entero. Valor recibido: ${campo.valor}`);
+                } else if (campo.valor < 0 || campo.valor >= numNodes) {
+                    errores.push(`${campo.etiqueta} debe estar entre 0 y ${numNodes - 1}. Valor recibido: ${campo.valor}`);
+                }
+            });
+
+            if (Number.isInteger(puerto.positivo) && puerto.positivo === puerto.negativo) {
+                errores.push(`Los nodos del ${nombres[k]} deben ser diferentes (ambos son ${puerto.positivo}).`);
+            }
+        });
+
+        const mismoPar = (a, b) =>
+            (a.positivo === b.positivo && a.negativo === b.negativo) ||
+            (a.positivo === b.negativo && a.negativo === b.positivo);
+
+        if (errores.length === 0 && mismoPar(puertos[0], puertos[1])) {
+            errores.push('Los dos puertos usan el mismo par de nodos; deben ser puertos diferentes.');
+        }
+
+        return errores;
+    },
+
+
+    // ============================================
+    // MÉTODO 4m: VALIDAR LA TABLA DE PARÁMETROS GLOBALES
+    // ============================================
+
+    /**
+     * Valida la forma de cada línea (nombre = expresión) y los nombres: con la misma
+     * regla que los de los elementos, sin repetir y distintos de los de los
+     * elementos (ambos se usan en las expresiones). Las expresiones se revisan al
+     * evaluarlas (ver Parameters.evaluar).
+     * @param {Array} parametros - [{nombre (null si falta el "="), expresion, texto}]
+     * @param {Array} elementos - Elementos del circuito
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarParametros(parametros, elementos) {
+        const errores = [];
+        const nombresElementos = new Set(
+            elementos
+                .filter(elem => elem && typeof elem.nombre === 'string')
+                .map(elem => elem.nombre.trim().toUpperCase())
+        );
+        const vistos = new Set();
+
+        parametros.forEach(parametro => {
+            if (parametro.nombre === null) {
+                errores.push(`La línea "${parametro.texto}" de los parámetros no tiene la forma nombre = expresión.`);
+                return;
+            }
+
+            if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(parametro.nombre)) {
+                errores.push(`El nombre de parámetro "${parametro.nombre}" no es válido: debe empezar con una letra y contener solo letras, números y guion bajo.`);
+                return;
+            }
+
+            const clave = parametro.nombre.toUpperCase();
+            if (vistos.has(clave)) {
+                errores.push(`El parámetro ${parametro.nombre} está definido más de una vez.`);
+            } else if (nombresElementos.has(clave)) {
+                errores.push(`El parámetro ${parametro.nombre} tiene el mismo nombre que un elemento del circuito.`);
+            }
+            vistos.add(clave);
+
+            if (parametro.expresion === '') {
+                errores.push(`El parámetro ${parametro.nombre} no tiene expresión después del "=".`);
+            }
+        });
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 4n: VALIDAR EL BARRIDO PARAMÉTRICO
+    // ============================================
+
+    /**
+     * Valida el parámetro barrido (debe estar en la tabla), la escala, el rango y el
+     * número de valores.
+     * @param {Object} opciones - {parametro, tipo ('lineal'|'decada'), inicio, fin, puntos}
+     * @param {string[]} nombresParametros - Nombres de la tabla de parámetros globales
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarBarridoParametrico(opciones, nombresParametros) {
+        const errores = [];
+        const { parametro, tipo, inicio, fin, puntos } = opciones || {};
+
+        if (typeof parametro !== 'string' || parametro === '') {
+            errores.push('Indique el parámetro global que se va a barrer.');
+        } else if (!nombresParametros.includes(parametro)) {
+            errores.push(`El parámetro "${parametro}" no está en la tabla de parámetros globales (las mayúsculas cuentan).`);
+        }
+
+        if (!this.TIPOS_BARRIDO_PARAMETRICO.includes(tipo)) {
+            errores.push(`Escala del barrido paramétrico "${tipo}" no válida. Escalas permitidas: ${this.TIPOS_BARRIDO_PARAMETRICO.join(', ')}`);
+        }
+
+        [
+            { valor: inicio, etiqueta: 'El valor inicial' },
+            { valor: fin, etiqueta: 'El valor final' }
+        ].forEach(campo => {
+            if (typeof campo.valor !== 'number' || !isFinite(campo.valor)) {
+                errores.push(`${campo.etiqueta} del barrido paramétrico debe ser un número válido. Valor recibido: ${campo.valor}`);
+            }
+        });
+
+        if (!Number.isInteger(puntos) || puntos < 1) {
+            errores.push(`El número de puntos del barrido paramétrico debe ser un entero mayor o igual a 1. Valor recibido: ${puntos}`);
+        }
+
+        if (errores.length > 0) {
+            return { valido: false, errores: errores };
+        }
+
+        if (fin <= inicio) {
+            errores.push(`El valor final del barrido paramétrico (${fin}) debe ser mayor que el inicial (${inicio}).`);
+        } else if (tipo === 'decada' && inicio <= 0) {
+            errores.push('En un barrido paramétrico por década el valor inicial debe ser mayor a 0.');
+        } else if (tipo === 'lineal' && puntos < 2) {
+            errores.push('Un barrido paramétrico lineal necesita al menos 2 puntos.');
+        } else {
+            const total = tipo === 'lineal'
+                ? puntos
+                : Math.ceil(Math.log10(fin / inicio) * puntos) + 1;
+
+            if (total > this.MAX_VALORES_PARAMETRICO) {
+                errores.push(`El barrido paramétrico requiere ${total} valores y el máximo es ${this.MAX_VALORES_PARAMETRICO}. Reduzca el rango o los puntos.`);
+            }
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+    // ============================================
+    // MÉTODO 4o: VALIDAR EL ANÁLISIS DE POLOS Y CEROS
+    // ============================================
+
+    /**
+     * Valida la fuente de entrada (una fuente independiente V o I del circuito) y
+     * los nodos de salida y de referencia. El circuito debe ser lineal.
+     * @param {Object} opciones - {fuente, nodoSalida, nodoReferencia}
+     * @param {Array} elementos - Elementos del circuito
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarPolosCeros(opciones, elementos, numNodes) {
+        const errores = [
+            ...this.validarNodosSalida(opciones, numNodes, 'de la función de transferencia'),
+            ...this.validarCircuitoLineal(elementos, 'de polos y ceros')
+        ];
+        const { fuente } = opciones || {};
+
+        if (typeof fuente !== 'string' || fuente === '') {
+            errores.push('Indique la fuente de entrada de la función de transferencia (una fuente V o I).');
+        } else {
+            const elemento = elementos.find(elem =>
+                elem && typeof elem.nombre === 'string' && elem.nombre.toUpperCase() === fuente.toUpperCase()
+            );
+            if (!elemento) {
+                errores.push(`La fuente de entrada "${fuente}" no existe en el circuito.`);
+            } else if (typeof elemento.tipo !== 'string' || !this.TIPOS_FUENTES.includes(elemento.tipo.toUpperCase())) {
+                errores.push(`La entrada debe ser una fuente independiente (${this.TIPOS_FUENTES.join(', ')}); "${elemento.nombre}" es de tipo ${elemento.tipo}.`);
+            }
+        }
+
+        return {
+            valido: errores.length === 0,
+            errores: errores
+        };
+    },
+
+
+    // ============================================
+    // MÉTODO 5: VALIDAR NOMBRES ÚNICOS
+    // ============================================
+
+    /**
+     * Verifica que no hay nombres duplicados en los elementos
+     * @param {Array} elementos - Array de elementos
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarNombresUnicos(elementos) {
+        const errores = [];
+        if (!Array.isArray(elementos)) {
+            errores.push('Los elementos deben ser un array.');
+            return { valido: false, errores: errores };
+        }
+
+        // Validar nombres únicos (CRÍTICO)
+        const nombres = new Set();
+        const nombresDuplicados = new Set();
+
+        for (const elem of elementos) {
             if (!elem || typeof elem.nombre !== 'string' || elem.nombre.trim() === '') {
                 // Este error ya se reporta en validarElemento, pero lo chequeamos por si acaso.
                 continue;
@@ -617,7 +2145,7 @@ const Validator = {
 
     /**
      * Valida y sanitiza el tipo de elemento
-     * @param {string} tipo - Tipo de elemento (R, V, I, C, L)
+     * @param {string} tipo - Tipo de elemento (R, V, I, C, L, E, G, F, H, OA, K, T, S, D, Q, M)
      * @returns {string} Tipo en mayúsculas o cadena vacía si es inválido
      */
     sanitizarTipo(tipo) {
@@ -634,6 +2162,35 @@ const Validator = {
         return '';
     },
 
+    /**
+     * Devuelve los nodos a los que está conectado físicamente un elemento
+     * (los nodos de control de E y G no se incluyen: no toman corriente)
+     * @param {Object} elemento - Elemento del circuito
+     * @returns {number[]} Nodos válidos (enteros no negativos)
+     */
+    obtenerTerminales(elemento) {
+        const nodos = [elemento.nodoPositivo, elemento.nodoNegativo];
+
+        if (elemento.nodoSalida !== undefined) {
+            nodos.push(elemento.nodoSalida);
+        }
+
+        // Base del BJT y compuerta del MOSFET
+        if (elemento.nodoBase !== undefined) {
+            nodos.push(elemento.nodoBase);
+        }
+        if (elemento.nodoCompuerta !== undefined) {
+            nodos.push(elemento.nodoCompuerta);
+        }
+
+        // Secundario del transformador ideal
+        if (elemento.nodoSecundarioPositivo !== undefined) {
+            nodos.push(elemento.nodoSecundarioPositivo, elemento.nodoSecundarioNegativo);
+        }
+
+        return nodos.filter(nodo => Number.isInteger(nodo) && nodo >= 0);
+    },
+
     /**
      * Convierte una cadena a número de forma segura
      * @param {any} valor - Valor a convertir
@@ -667,7 +2224,7 @@ const Validator = {
     /**
      * Valida todos los aspectos del circuito en una sola llamada
      * Método conveniente que ejecuta todas las validaciones
-     * @param {Object} configuracion - {numNodes, groundNode, frequency, elementos}
+     * @param {Object} configuracion - {numNodes, groundNode, frequency, elementos, tipoAnalisis (opcional)}
      * @returns {Object} {valido: boolean, errores: string[], advertencias: string[]}
      */
     validarTodo(configuracion) {
@@ -675,7 +2232,7 @@ const Validator = {
         const todasAdvertencias = [];
 
         // Extraer configuración
-        const { numNodes, groundNode, frequency, elementos } = configuracion;
+        const { numNodes, groundNode, frequency, elementos, tipoAnalisis } = configuracion;
 
         // 1. Validar configuración general
         const resConfig = this.validarConfiguracionCircuito(
@@ -705,8 +2262,20 @@ const Validator = {
             const resConectividad = this.validarConectividad(elementos, numNodes, groundNode);
             todosErrores.push(...resConectividad.errores);
 
+            // 4b. Validar que los nodos de control existen
+            const resControl = this.validarNodosControlEnRango(elementos, numNodes);
+            todosErrores.push(...resControl.errores);
+
+            // 4c. Validar las fuentes de control de F y H
+            const resElementosControl = this.validarElementosControl(elementos);
+            todosErrores.push(...resElementosControl.errores);
+
+            // 4d. Validar los inductores referenciados por los acoplamientos K
+            const resAcoplamientos = this.validarAcoplamientos(elementos);
+            todosErrores.push(...resAcoplamientos.errores);
+
             // 5. Validar circuito completo
-            const resCircuito = this.validarCircuitoCompleto(elementos, numNodes, groundNode, frequency);
+            const resCircuito = this.validarCircuitoCompleto(elementos, numNodes, groundNode, frequency, tipoAnalisis);
             todosErrores.push(...resCircuito.errores);
             todasAdvertencias.push(...resCircuito.advertencias);
         } else {
@@ -0,0 +1,206 @@
+/**
+ * CircuitLab MNA - Formas de Onda de las Fuentes
+ *
+ * Define cómo varían en el tiempo las fuentes independientes (V e I) durante el
+ * análisis transitorio. Cada fuente puede llevar una forma de onda opcional:
+ *
+ *   elemento.formaOnda = { tipo: 'PULSE', v1: 0, v2: 5, td: 0, tr: 1e-6, ... }
+ *
+ * Tipos (parámetros con la misma convención que SPICE):
+ * - DC:    constante, igual al valor de la fuente
+ * - STEP:  escalón de v1 a v2 en td, con rampa de subida tr (0 = ideal)
+ * - PULSE: pulso periódico v1 → v2 (retardo td, subida tr, bajada tf, ancho pw, periodo per)
+ * - SIN:   vo + va·sen(2π·f·t + fase)
+ * - EXP:   subida exponencial hacia v2 desde td1 (constante tau1) y
+ *          regreso hacia v1 desde td2 (constante tau2)
+ * - PWL:   lineal por tramos entre puntos (t, v); constante fuera de los puntos
+ *
+ * En los análisis DC y AC la fuente sigue usando su valor (y fase): la forma de
+ * onda solo se evalúa en el transitorio, al construir el vector z de cada instante.
+ */
+
+const Waveforms = {
+    /**
+     * Descripción de cada forma de onda para el editor del formulario
+     * (clave del parámetro, etiqueta y valor por defecto)
+     */
+    DEFINICIONES: {
+        DC: {
+            nombre: 'DC (constante)',
+            parametros: []
+        },
+        STEP: {
+            nombre: 'Escalón (STEP)',
+            parametros: [
+                { clave: 'v1', etiqueta: 'Valor inicial', defecto: 0 },
+                { clave: 'v2', etiqueta: 'Valor final', defecto: 1 },
+                { clave: 'td', etiqueta: 'Retardo td (s)', defecto: 0 },
+                { clave: 'tr', etiqueta: 'Subida tr (s)', defecto: 0 }
+            ]
+        },
+        PULSE: {
+            nombre: 'Pulso (PULSE)',
+            parametros: [
+                { clave: 'v1', etiqueta: 'Valor inicial v1', defecto: 0 },
+                { clave: 'v2', etiqueta: 'Valor del pulso v2', defecto: 1 },
+                { clave: 'td', etiqueta: 'Retardo td (s)', defecto: 0 },
+                { clave: 'tr', etiqueta: 'Subida tr (s)', defecto: 1e-6 },
+                { clave: 'tf', etiqueta: 'Bajada tf (s)', defecto: 1e-6 },
+                { clave: 'pw', etiqueta: 'Ancho pw (s)', defecto: 5e-4 },
+                { clave: 'per', etiqueta: 'Periodo per (s)', defecto: 1e-3 }
+            ]
+        },
+        SIN: {
+            nombre: 'Senoidal (SIN)',
+            parametros: [
+                { clave: 'vo', etiqueta: 'Nivel medio vo', defecto: 0 },
+                { clave: 'va', etiqueta: 'Amplitud va', defecto: 1 },
+                { clave: 'f', etiqueta: 'Frecuencia f (Hz)', defecto: 1000 },
+                { clave: 'fase', etiqueta: 'Fase (°)', defecto: 0 }
+            ]
+        },
+        EXP: {
+            nombre: 'Exponencial (EXP)',
+            parametros: [
+                { clave: 'v1', etiqueta: 'Valor inicial v1', defecto: 0 },
+                { clave: 'v2', etiqueta: 'Valor final v2', defecto: 1 },
+                { clave: 'td1', etiqueta: 'Retardo de subida td1 (s)', defecto: 0 },
+                { clave: 'tau1', etiqueta: 'Constante de subida τ1 (s)', defecto: 2e-4 },
+                { clave: 'td2', etiqueta: 'Retardo de bajada td2 (s)', defecto: 2e-3 },
+                { clave: 'tau2', etiqueta: 'Constante de bajada τ2 (s)', defecto: 4e-4 }
+            ]
+        },
+        PWL: {
+            nombre: 'Lineal por tramos (PWL)',
+            parametros: []
+        }
+    },
+
+    /**
+     * 1. EVALUAR LA FUENTE EN UN INSTANTE
+     *
+     * @param {Object} fuente - Fuente V o I (con formaOnda opcional)
+     * @param {number} t - Tiempo en segundos
+     * @returns {number} Valor de la fuente en t
+     */
+    evaluar(fuente, t) {
+        const forma = fuente.formaOnda;
+        if (!forma || forma.tipo === 'DC') {
+            return fuente.valor;
+        }
+
+        switch (forma.tipo) {
+            case 'STEP':
+                if (t < forma.td) return forma.v1;
+                if (forma.tr > 0 && t < forma.td + forma.tr) {
+                    return forma.v1 + (forma.v2 - forma.v1) * (t - forma.td) / forma.tr;
+                }
+                return forma.v2;
+
+            case 'PULSE': {
+                if (t < forma.td) return forma.v1;
+
+                // Tiempo dentro del periodo actual
+                const tp = (t - forma.td) % forma.per;
+
+                if (tp < forma.tr) {
+                    return forma.v1 + (forma.v2 - forma.v1) * tp / forma.tr;
+                }
+                if (tp < forma.tr + forma.pw) {
+                    return forma.v2;
+                }
+                if (tp < forma.tr + forma.pw + forma.tf) {
+                    return forma.v2 + (forma.v1 - forma.v2) * (tp - forma.tr - forma.pw) / forma.tf;
+                }
+                return forma.v1;
+            }
+
+            case 'SIN':
+                return forma.vo + forma.va * Math.sin(2 * Math.PI * forma.f * t + forma.fase * Math.PI / 180);
+
+            case 'EXP': {
+                let valor = forma.v1;
+                if (t >= forma.td1) {
+                    valor += (forma.v2 - forma.v1) * (1 - Math.exp(-(t - forma.td1) / forma.tau1));
+                }
+                if (t >= forma.td2) {
+                    valor += (forma.v1 - forma.v2) * (1 - Math.exp(-(t - forma.td2) / forma.tau2));
+                }
+                return valor;
+            }
+
+            case 'PWL':
+                return this.interpolarPWL(forma.puntos, t);
+
+            default:
+                throw new Error(`Forma de onda desconocida: ${forma.tipo}`);
+        }
+    },
+
+    /**
+     * 2. MUESTREAR LA FORMA DE ONDA (vista previa)
+     *
+     * @param {Object} fuente - Fuente V o I (con formaOnda opcional)
+     * @param {number} tFinal - Último instante (s)
+     * @param {number} numPuntos - Número de muestras (default: 400)
+     * @returns {Object} {tiempos: number[], valores: number[]}
+     */
+    muestrear(fuente, tFinal, numPuntos = 400) {
+        const tiempos = [];
+        const valores = [];
+
+        for (let k = 0; k < numPuntos; k++) {
+            const t = tFinal * k / (numPuntos - 1);
+            tiempos.push(t);
+            valores.push(this.evaluar(fuente, t));
+        }
+
+        return { tiempos, valores };
+    },
+
+    /**
+     * 3. LEER PUNTOS PWL DESDE TEXTO
+     *
+     * Formato: pares "t v" separados por comas, punto y coma o saltos de línea.
+     * Ej: "0 0, 1e-3 5, 2e-3 5, 3e-3 0"
+     * Los pares mal escritos se devuelven como [NaN, NaN] para que el validador los reporte.
+     *
+     * @param {string} texto
+     * @returns {Array<number[]>} Puntos [t, v]
+     */
+    parsearPWL(texto) {
+        return String(texto)
+            .split(/[\n,;]+/)
+            .map(par => par.trim())
+            .filter(par => par !== '')
+            .map(par => {
+                const numeros = par.split(/\s+/).map(Number);
+                return numeros.length === 2 ? numeros : [NaN, NaN];
+            });
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Interpolación lineal entre puntos PWL (tiempos no decrecientes)
+     * @param {Array<number[]>} puntos - Puntos [t, v]
+     * @param {number} t - Tiempo en segundos
+     * @returns {number}
+     */
+    interpolarPWL(puntos, t) {
+        if (t <= puntos[0][0]) return puntos[0][1];
+
+        for (let k = 1; k < puntos.length; k++) {
+            const [t1, v1] = puntos[k];
+            if (t < t1) {
+                const [t0, v0] = puntos[k - 1];
+                return v0 + (v1 - v0) * (t - t0) / (t1 - t0);
+            }
+        }
+
+        return puntos[puntos.length - 1][1];
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Waveforms;
+}
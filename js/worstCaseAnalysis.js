@@ -0,0 +1,181 @@
+/**
+ * CircuitLab MNA - Análisis del Peor Caso (esquinas de tolerancia)
+ *
+ * Cada elemento con tolerancia t (ver MonteCarloAnalysis) se lleva a uno de los
+ * extremos de su banda, valor·(1 ± t), según el signo de su sensibilidad: para el
+ * máximo de la salida, al extremo que la aumenta; para el mínimo, al que la reduce.
+ * La salida es V = V(salida) − V(referencia) en DC y |V| en AC, con
+ *
+ *   ∂|V|/∂p = Re(V*·∂V/∂p) / |V|
+ *
+ * y ∂V/∂p del método adjunto (SensitivityAnalysis). El circuito se resuelve en cada
+ * esquina y ahí se vuelven a calcular los signos: si alguno cambió (la salida no es
+ * monótona en ese elemento) se prueba la nueva esquina, hasta MAX_ITERACIONES; sin
+ * confirmar se informa la mejor de las esquinas probadas. Con los signos confirmados,
+ * el mínimo y el máximo son los extremos garantizados cuando la salida es monótona
+ * en cada elemento dentro de su tolerancia.
+ */
+
+const WorstCaseAnalysis = {
+    // Esquinas que se prueban como máximo para cada extremo
+    MAX_ITERACIONES: 5,
+
+    /**
+     * 1. PEOR CASO DE UN VOLTAJE
+     *
+     * @param {Array} elementos - Lista de elementos del circuito (lineal), con tolerancia
+     * @param {number} numNodes - Número total de nodos (incluyendo tierra)
+     * @param {number} groundNode - Índice del nodo de tierra
+     * @param {Object} opciones - {nodoSalida, nodoReferencia, frecuencia (Hz, 0 = DC)}
+     * @returns {Object} {
+     *            exito, tipoAnalisis: 'peorCaso',
+     *            nominal: salida con los valores nominales,
+     *            minimo, maximo: {salida, iteraciones, confirmado (los signos no cambian en la esquina)},
+     *            elementos: [{nombre, tipo, tolerancia, nominal, pendiente (∂salida/∂p nominal), unidad,
+     *                         signoMinimo, signoMaximo (extremo: −1, 0 = nominal o 1),
+     *                         valorMinimo, valorMaximo (valor en cada esquina)}],
+     *            info: {nodoSalida, nodoReferencia, frecuencia, groundNode}
+     *          } o {exito: false, error}
+     */
+    calcular(elementos, numNodes, groundNode, opciones) {
+        try {
+            const variados = elementos.filter(elem => elem.tolerancia > 0);
+            const evaluar = circuito => this.evaluar(circuito, numNodes, groundNode, opciones);
+
+            const nominal = evaluar(elementos);
+            const maximo = this.buscarEsquina(elementos, variados, 1, nominal, evaluar);
+            const minimo = this.buscarEsquina(elementos, variados, -1, nominal, evaluar);
+
+            return {
+                exito: true,
+                tipoAnalisis: 'peorCaso',
+                nominal: nominal.salida,
+                minimo: { salida: minimo.salida, iteraciones: minimo.iteraciones, confirmado: minimo.confirmado },
+                maximo: { salida: maximo.salida, iteraciones: maximo.iteraciones, confirmado: maximo.confirmado },
+                elementos: variados.map((elem, k) => ({
+                    nombre: elem.nombre,
+                    tipo: elem.tipo,
+                    tolerancia: elem.tolerancia,
+                    nominal: elem.valor,
+                    pendiente: nominal.pendientes[elem.nombre],
+                    unidad: SensitivityAnalysis.UNIDADES[elem.tipo],
+                    signoMinimo: minimo.signos[k],
+                    signoMaximo: maximo.signos[k],
+                    valorMinimo: this.valorEsquina(elem, minimo.signos[k]),
+                    valorMaximo: this.valorEsquina(elem, maximo.signos[k])
+                })),
+                info: {
+                    nodoSalida: opciones.nodoSalida,
+                    nodoReferencia: opciones.nodoReferencia,
+                    frecuencia: opciones.frecuencia,
+                    groundNode: groundNode
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                tipoAnalisis: 'peorCaso'
+            };
+        }
+    },
+
+    /**
+     * 2. ESQUINA QUE MAXIMIZA O MINIMIZA LA SALIDA
+     *
+     * @param {Array} elementos - Circuito nominal
+     * @param {Array} variados - Elementos con tolerancia
+     * @param {number} sentido - 1 para el máximo, −1 para el mínimo
+     * @param {Object} nominal - Evaluación nominal (ver evaluar)
+     * @param {Function} evaluar - Circuito → {salida, pendientes}
+     * @returns {Object} {salida, signos (−1, 0 o 1 por elemento variado), iteraciones, confirmado}
+     *          de la mejor de las esquinas probadas
+     */
+    buscarEsquina(elementos, variados, sentido, nominal, evaluar) {
+        let signos = this.signos(variados, nominal.pendientes, sentido, null);
+        let mejor = null;
+        let iteraciones = 0;
+        let confirmado;
+
+        for (;;) {
+            iteraciones++;
+            const evaluacion = evaluar(this.aplicarEsquina(elementos, variados, signos));
+            if (!mejor || sentido * evaluacion.salida > sentido * mejor.salida) {
+                mejor = { salida: evaluacion.salida, signos: signos };
+            }
+
+            const siguientes = this.signos(variados, evaluacion.pendientes, sentido, signos);
+            confirmado = siguientes.every((signo, k) => signo === signos[k]);
+            if (confirmado || iteraciones === this.MAX_ITERACIONES) break;
+            signos = siguientes;
+        }
+
+        return {
+            salida: mejor.salida,
+            signos: mejor.signos,
+            iteraciones: iteraciones,
+            confirmado: confirmado
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Salida y pendiente ∂salida/∂p de cada elemento en un circuito
+     * @returns {Object} {salida (V en DC, |V| en AC), pendientes: {nombre: number}}
+     * @throws {Error} Si el circuito no se puede resolver
+     */
+    evaluar(circuito, numNodes, groundNode, opciones) {
+        const sensibilidad = SensitivityAnalysis.calcular(circuito, numNodes, groundNode, opciones);
+        if (!sensibilidad.exito) {
+            throw new Error(sensibilidad.error);
+        }
+
+        const { salida } = sensibilidad;
+        const magnitud = math.abs(salida);
+        const pendientes = {};
+        sensibilidad.sensibilidades.forEach(s => {
+            pendientes[s.nombre] = opciones.frecuencia === 0
+                ? math.re(s.derivada)
+                : (magnitud > 0 ? math.re(math.multiply(math.conj(salida), s.derivada)) / magnitud : 0);
+        });
+
+        return {
+            salida: opciones.frecuencia === 0 ? math.re(salida) : magnitud,
+            pendientes: pendientes
+        };
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Extremo de cada elemento variado (1 = valor·(1 + t), −1 = valor·(1 − t)).
+     * Con pendiente nula se conserva el extremo anterior (o el valor nominal).
+     */
+    signos(variados, pendientes, sentido, anteriores) {
+        return variados.map((elem, k) => {
+            const signo = Math.sign(pendientes[elem.nombre]) * sentido;
+            if (signo !== 0) return signo;
+            return anteriores ? anteriores[k] : 0;
+        });
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Copia del circuito con cada elemento variado en su extremo
+     */
+    aplicarEsquina(elementos, variados, signos) {
+        return elementos.map(elem => {
+            const k = variados.indexOf(elem);
+            return k < 0 ? elem : { ...elem, valor: this.valorEsquina(elem, signos[k]) };
+        });
+    },
+
+    /**
+     * MÉTODO AUXILIAR: Valor del elemento en un extremo de su tolerancia
+     */
+    valorEsquina(elem, signo) {
+        return elem.valor * (1 + signo * elem.tolerancia / 100);
+    }
+};
+
+// Exportar para uso en otros módulos (si se usa en Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorstCaseAnalysis;
+}